@@ -0,0 +1,241 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import morgan from 'morgan';
+
+import SwaggerConfig from './config/swagger.js';
+import { errorHandler } from './middlewares/errorHandler.js';
+import authRoutes from './routes/auth.js';
+import serviciosRoutes from './routes/servicios.js';
+import salonesRoutes from './routes/salones.js';
+import turnosRoutes from './routes/turnos.js';
+import usuariosRoutes from './routes/usuarios.js';
+import reservasRoutes from './routes/reservas.js';
+import reglasPrecioRoutes from './routes/reglasPrecio.js';
+import cuponesRoutes from './routes/cupones.js';
+import pagosRoutes from './routes/pagos.js';
+import tareasRoutes from './routes/tareas.js';
+import auditoriaRoutes from './routes/auditoria.js';
+
+/**
+ * Construye la aplicación Express con middlewares, rutas y manejo de errores,
+ * sin abrir el puerto: index.js la pone a escuchar y los tests la usan con supertest.
+ */
+const createApp = () => {
+    const app = express();
+
+    // Configuración de middlewares de seguridad y utilidad
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                scriptSrc: ["'self'", "'unsafe-inline'"],
+                styleSrc: ["'self'", "'unsafe-inline'"],
+                imgSrc: ["'self'", "data:", "https:"],
+            },
+        },
+    }));
+
+    app.use(cors({
+        origin: process.env.NODE_ENV === 'production' ? false : '*',
+        credentials: true
+    }));
+
+    // Sin log de peticiones en los tests
+    if (process.env.NODE_ENV !== 'test') {
+        app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+    }
+    // Se conserva el cuerpo original: los webhooks de pago se verifican con su firma
+    app.use(express.json({
+        limit: '10mb',
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+    // Configuración de Swagger usando clase
+    const swagger = new SwaggerConfig(app);
+    swagger.init();
+
+    // Rutas de la API
+    app.use('/api/auth', authRoutes);
+    app.use('/api/servicios', serviciosRoutes);
+    app.use('/api/reservas', reservasRoutes);
+    app.use('/api/salones', salonesRoutes);
+    app.use('/api/turnos', turnosRoutes);
+    app.use('/api/usuarios', usuariosRoutes);
+    app.use('/api/reglas-precio', reglasPrecioRoutes);
+    app.use('/api/cupones', cuponesRoutes);
+    app.use('/api/pagos', pagosRoutes);
+    app.use('/api/tareas', tareasRoutes);
+    app.use('/api/auditoria', auditoriaRoutes);
+
+    // Ruta de health check
+    app.get('/api/health', (req, res) => {
+        res.status(200).json({
+            status: 'OK',
+            message: 'PROGIII API está funcionando correctamente',
+            timestamp: new Date().toISOString(),
+            version: process.env.APP_VERSION || '1.0.0',
+            environment: process.env.NODE_ENV || 'development',
+            database: 'MySQL - Conectado',
+            features: [
+                'BREAD completo para Servicios',
+                'Autenticación JWT',
+                'Autorización por roles',
+                'Validaciones robustas',
+                'Soft delete',
+                'Paginación y búsqueda',
+                'Documentación Swagger'
+            ]
+        });
+    });
+
+    // Middleware de rutas no encontradas
+    app.use((req, res, next) => {
+        res.status(404).json({
+            status: 'error',
+            message: `Endpoint ${req.method} ${req.originalUrl} no encontrado`,
+            availableEndpoints: {
+                auth: [
+                    'POST /api/auth/login - Iniciar sesión',
+                    'GET /api/auth/me - Perfil del usuario',
+                    'POST /api/auth/refresh - Renovar token (rota el refresh token)',
+                    'POST /api/auth/logout - Cerrar sesión',
+                    'POST /api/auth/logout-all - Cerrar todas las sesiones',
+                    'GET /api/auth/bloqueos - Bloqueos de login (Admin)',
+                    'DELETE /api/auth/bloqueos/:tipo/:valor - Quitar bloqueo (Admin)',
+                    'GET /api/auth/permisos - Matriz de permisos por rol (Admin)',
+                    'GET /api/auth/calendar-token - Token para los calendarios .ics'
+                ],
+                servicios: [
+                    'GET /api/servicios - Listar servicios (Browse)',
+                    'GET /api/servicios/stats/most-used - Servicios más usados',
+                    'GET /api/servicios/:id - Obtener servicio (Read)',
+                    'POST /api/servicios - Crear servicio (Add)',
+                    'PUT /api/servicios/:id - Actualizar servicio (Edit)',
+                    'PATCH /api/servicios/:id - Actualización parcial',
+                    'DELETE /api/servicios/:id - Eliminar servicio (Delete)',
+                    'PATCH /api/servicios/:id/restore - Restaurar servicio'
+                ],
+                reservas: [
+                    'GET /api/reservas - Listar reservas (Browse)',
+                    'GET /api/reservas/:id - Obtener reserva (Read)',
+                    'POST /api/reservas - Crear reserva (Add)',
+                    'POST /api/reservas/quote - Cotizar reserva sin crearla',
+                    'POST /api/reservas/series - Crear reservas recurrentes o de varios turnos',
+                    'GET /api/reservas/series/:id - Serie con sus reservas',
+                    'PATCH /api/reservas/series/:id - Editar las reservas pendientes de la serie (Admin)',
+                    'PATCH /api/reservas/series/:id/cancel - Cancelar las reservas futuras de la serie',
+                    'GET /api/reservas/:id/historial - Historial de estados',
+                    'GET /api/reservas/:id/comprobante - Comprobante en PDF',
+                    'GET /api/reservas/:id/pagos - Pagos y saldo de la reserva',
+                    'POST /api/reservas/:id/pagos - Registrar seña o pago (Admin/Empleado)',
+                    'POST /api/reservas/:id/pagos/online - Iniciar cobro online',
+                    'POST /api/reservas/:id/pagos/:pagoId/refund - Reembolsar pago (Admin)',
+                    'PATCH /api/reservas/:id/confirm - Confirmar reserva',
+                    'PATCH /api/reservas/:id/pay - Marcar como pagada',
+                    'PATCH /api/reservas/:id/complete - Marcar como realizada',
+                    'PATCH /api/reservas/:id/cancel - Cancelar reserva (clientes: solo propias)',
+                    'DELETE /api/reservas/:id - Eliminar reserva (Delete)',
+                    'GET /api/reservas/lista-espera - Inscripciones en la lista de espera (clientes: solo propias)',
+                    'POST /api/reservas/lista-espera - Anotarse en la lista de espera de un turno ocupado',
+                    'DELETE /api/reservas/lista-espera/:id - Salir de la lista de espera',
+                    'POST /api/reservas/lista-espera/:id/confirm - Reservar el turno ofrecido',
+                    'GET /api/reservas/holds - Retenciones de turnos (clientes: solo propias)',
+                    'POST /api/reservas/holds - Retener un turno durante el checkout',
+                    'DELETE /api/reservas/holds/:id - Liberar una retención',
+                    'POST /api/reservas/holds/:id/confirm - Convertir la retención en reserva'
+                ],
+                salones: [
+                    'GET /api/salones - Listar salones (Browse)',
+                    'GET /api/salones/:id - Obtener salón (Read)',
+                    'POST /api/salones - Crear salón (Add)',
+                    'GET /api/salones/stats/most-reserved - Salones más reservados',
+                    'GET /api/salones/:id/availability - Chequear disponibilidad',
+                    'GET /api/salones/:id/calendar?desde&hasta - Calendario de disponibilidad',
+                    'GET /api/salones/availability?fecha&turno_id - Salones libres en un turno',
+                    'GET /api/salones/:id/bloqueos - Bloqueos del salón',
+                    'POST /api/salones/:id/bloqueos - Bloquear fechas o turnos (Admin)',
+                    'PUT /api/salones/:id/bloqueos/:bloqueoId - Actualizar bloqueo (Admin)',
+                    'DELETE /api/salones/:id/bloqueos/:bloqueoId - Quitar bloqueo (Admin)',
+                    'GET /api/salones/:id/calendar.ics - Calendario de reservas del salón',
+                    'PUT /api/salones/:id - Actualizar salón (Edit)',
+                    'PATCH /api/salones/:id - Actualización parcial',
+                    'DELETE /api/salones/:id - Eliminar salón (Delete)',
+                    'PATCH /api/salones/:id/restore - Restaurar salón'
+                ],
+                turnos: [
+                    'GET /api/turnos/active - Listar turnos activos',
+                    'GET /api/turnos/stats/most-used - Turnos más usados',
+                    'GET /api/turnos - Listar turnos (Browse)',
+                    'GET /api/turnos/:id/availability - Chequear disponibilidad',
+                    'GET /api/turnos/:id - Obtener turno (Read)',
+                    'POST /api/turnos - Crear turno (Add)',
+                    'PUT /api/turnos/:id - Actualizar turno (Edit)',
+                    'PATCH /api/turnos/:id - Actualización parcial',
+                    'DELETE /api/turnos/:id - Eliminar turno (Delete)',
+                    'PATCH /api/turnos/:id/restore - Restaurar turno'
+                ],
+                usuarios: [
+                    'POST /api/usuarios/register - Registro público de clientes',
+                    'GET /api/usuarios/:id/calendar.ics - Calendario de reservas del usuario',
+                    'POST /api/usuarios/forgot-password - Solicitar recuperación de contraseña',
+                    'POST /api/usuarios/reset-password - Restablecer contraseña',
+                    'GET /api/usuarios/stats - Estadísticas de usuarios',
+                    'GET /api/usuarios/top-clientes - Clientes principales',
+                    'GET /api/usuarios - Listar usuarios (Browse)',
+                    'GET /api/usuarios/:id - Obtener usuario (Read)',
+                    'POST /api/usuarios - Crear usuario (Add)',
+                    'PUT /api/usuarios/:id - Actualizar usuario (Edit)',
+                    'PATCH /api/usuarios/:id - Actualización parcial',
+                    'PATCH /api/usuarios/:id/change-tipo - Cambiar tipo de usuario',
+                    'PATCH /api/usuarios/:id/change-password - Cambiar contraseña',
+                    'DELETE /api/usuarios/:id - Eliminar usuario (Delete)',
+                    'PATCH /api/usuarios/:id/restore - Restaurar usuario'
+                ],
+                reglasPrecio: [
+                    'GET /api/reglas-precio - Listar reglas de precio',
+                    'GET /api/reglas-precio/:id - Obtener regla de precio',
+                    'POST /api/reglas-precio - Crear regla de precio (Admin)',
+                    'PUT /api/reglas-precio/:id - Actualizar regla de precio (Admin)',
+                    'DELETE /api/reglas-precio/:id - Eliminar regla de precio (Admin)'
+                ],
+                cupones: [
+                    'GET /api/cupones - Listar cupones (Admin)',
+                    'GET /api/cupones/:id - Obtener cupón (Admin)',
+                    'POST /api/cupones - Crear cupón (Admin)',
+                    'PUT /api/cupones/:id - Actualizar cupón (Admin)',
+                    'DELETE /api/cupones/:id - Desactivar cupón (Admin)'
+                ],
+                pagos: [
+                    'POST /api/pagos/webhooks/:proveedor - Notificaciones del proveedor de pagos',
+                    'POST /api/pagos/fake/:referencia - Simular el resultado de un cobro (proveedor fake)'
+                ],
+                tareas: [
+                    'GET /api/tareas - Tareas programadas (Admin)',
+                    'PATCH /api/tareas/:nombre/pause - Pausar tarea (Admin)',
+                    'PATCH /api/tareas/:nombre/resume - Reanudar tarea (Admin)',
+                    'POST /api/tareas/:nombre/run - Ejecutar tarea ahora (Admin)'
+                ],
+                auditoria: [
+                    'GET /api/auditoria - Registro de cambios con filtros y paginación (Admin)'
+                ],
+                system: [
+                    'GET /api/health - Estado del servidor',
+                    'GET /api-docs - Documentación Swagger',
+                    'GET /api-docs.json - Especificación OpenAPI'
+                ]
+            },
+            documentation: `http://localhost:${process.env.PORT || 3000}/api-docs`
+        });
+    });
+
+    // Middleware de manejo de errores
+    app.use(errorHandler);
+
+    return app;
+};
+
+export { createApp };
@@ -30,10 +30,12 @@ const testConnection = async () => {
   }
 };
 
-// Función para ejecutar queries
-const query = async (sql, params = []) => {
+// Función para ejecutar queries.
+// El executor opcional es la conexión de una transacción abierta con transaction();
+// sin executor la query se ejecuta directamente en el pool.
+const query = async (sql, params = [], executor = null) => {
   try {
-    const [rows] = await pool.execute(sql, params);
+    const [rows] = await (executor || pool).execute(sql, params);
     return rows;
   } catch (error) {
     console.error('Error en query:', error.message);
@@ -41,39 +43,38 @@ const query = async (sql, params = []) => {
   }
 };
 
-// Sistema de transacciones corregido
-const transaction = {
-  // Iniciar transacción
-  start: async () => {
-    const connection = await pool.getConnection();
-    await connection.beginTransaction();
-    return connection;
-  },
-  
-  // Ejecutar query dentro de transacción
-  query: async (connection, sql, params = []) => {
-    const [rows] = await connection.execute(sql, params);
-    return rows;
-  },
-  
-  // Confirmar transacción
-  commit: async (connection) => {
-    await connection.commit();
-    connection.release();
-  },
-  
-  // Revertir transacción
-  rollback: async (connection) => {
-    await connection.rollback();
-    connection.release();
+/**
+ * Ejecuta el callback dentro de una transacción y le pasa la conexión a usar como executor.
+ * Confirma si el callback termina bien y revierte si lanza un error.
+ *
+ * Si se recibe el executor de una transacción ya abierta, el callback corre en un
+ * scope anidado sobre la misma conexión usando un SAVEPOINT: un error revierte solo
+ * lo hecho en ese scope (y se propaga), y la transacción externa decide el COMMIT final.
+ */
+const transaction = async (callback, executor = null) => {
+  // Scope anidado: savepoint sobre la conexión de la transacción externa
+  if (executor && executor.transactionDepth > 0) {
+    const savepoint = `sp_${executor.transactionDepth}`;
+    executor.transactionDepth += 1;
+
+    try {
+      await executor.query(`SAVEPOINT ${savepoint}`);
+      const result = await callback(executor);
+      await executor.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (error) {
+      await executor.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw error;
+    } finally {
+      executor.transactionDepth -= 1;
+    }
   }
-};
 
-// Función helper para transacciones (callback style)
-const executeTransaction = async (callback) => {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
+    connection.transactionDepth = 1;
+
     const result = await callback(connection);
     await connection.commit();
     return result;
@@ -81,6 +82,7 @@ const executeTransaction = async (callback) => {
     await connection.rollback();
     throw error;
   } finally {
+    connection.transactionDepth = 0;
     connection.release();
   }
 };
@@ -90,6 +92,5 @@ export {
   pool,
   query,
   transaction,
-  executeTransaction,
   testConnection
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+// Estados del ciclo de vida de una reserva
+const ESTADOS_RESERVA = {
+  PENDIENTE: 'pendiente',
+  CONFIRMADA: 'confirmada',
+  PAGADA: 'pagada',
+  REALIZADA: 'realizada',
+  CANCELADA: 'cancelada'
+};
+
+// Transiciones permitidas desde cada estado (realizada y cancelada son finales)
+const TRANSICIONES_RESERVA = {
+  [ESTADOS_RESERVA.PENDIENTE]: [ESTADOS_RESERVA.CONFIRMADA, ESTADOS_RESERVA.CANCELADA],
+  [ESTADOS_RESERVA.CONFIRMADA]: [ESTADOS_RESERVA.PAGADA, ESTADOS_RESERVA.CANCELADA],
+  [ESTADOS_RESERVA.PAGADA]: [ESTADOS_RESERVA.REALIZADA, ESTADOS_RESERVA.CANCELADA],
+  [ESTADOS_RESERVA.REALIZADA]: [],
+  [ESTADOS_RESERVA.CANCELADA]: []
+};
+
+// Estados que ocupan el salón en la fecha y turno reservados
+const ESTADOS_BLOQUEANTES = [
+  ESTADOS_RESERVA.PENDIENTE,
+  ESTADOS_RESERVA.CONFIRMADA,
+  ESTADOS_RESERVA.PAGADA,
+  ESTADOS_RESERVA.REALIZADA
+];
+
+// Fragmento SQL para filtrar por estados bloqueantes (valores fijos, no provienen del usuario)
+const ESTADOS_BLOQUEANTES_SQL = ESTADOS_BLOQUEANTES.map(estado => `'${estado}'`).join(', ');
+
+const puedeTransicionar = (estadoActual, estadoNuevo) => {
+  return (TRANSICIONES_RESERVA[estadoActual] || []).includes(estadoNuevo);
+};
+
+export {
+  ESTADOS_RESERVA,
+  TRANSICIONES_RESERVA,
+  ESTADOS_BLOQUEANTES,
+  ESTADOS_BLOQUEANTES_SQL,
+  puedeTransicionar
+};
@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Configuración del correo saliente
+const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox'),
+  from: process.env.MAIL_FROM || 'Reservas PROGIII <no-reply@progiii.com>',
+  adminInbox: process.env.MAIL_ADMIN || null,
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.resolve('outbox'),
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  }
+};
+
+/**
+ * Transport SMTP (producción) basado en nodemailer
+ */
+const createSmtpTransport = (config = mailConfig.smtp) => {
+  const transporter = nodemailer.createTransport(config);
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId, accepted: info.accepted };
+    }
+  };
+};
+
+/**
+ * Transport "outbox": guarda cada mensaje como JSON en disco (desarrollo y tests)
+ */
+const createOutboxTransport = (dir = mailConfig.outboxDir) => {
+  const messages = [];
+
+  return {
+    name: 'outbox',
+    messages,
+    send: async (message) => {
+      const messageId = `${Date.now()}-${messages.length + 1}`;
+      const entry = { messageId, fecha: new Date().toISOString(), ...message };
+
+      messages.push(entry);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify(entry, null, 2));
+
+      return { messageId, accepted: [].concat(message.to) };
+    }
+  };
+};
+
+// Transports disponibles, se pueden registrar otros con registerTransport
+const transportFactories = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+let activeTransport = null;
+
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Permite reemplazar el transport activo (por ejemplo desde los tests)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories[mailConfig.transport];
+    if (!factory) {
+      throw new Error(`Transport de correo desconocido: ${mailConfig.transport}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+// Función para enviar un correo con el transport activo
+const sendMail = async ({ to, subject, html, attachments }) => {
+  return getTransport().send({
+    from: mailConfig.from,
+    to,
+    subject,
+    html,
+    ...(attachments && { attachments })
+  });
+};
+
+export {
+  mailConfig,
+  createSmtpTransport,
+  createOutboxTransport,
+  registerTransport,
+  setTransport,
+  getTransport,
+  sendMail
+};
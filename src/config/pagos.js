@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+
+// Tipos de movimiento: la seña y los pagos suman, los reembolsos restan
+const TIPOS_PAGO = {
+  SENA: 'sena',
+  PAGO: 'pago',
+  REEMBOLSO: 'reembolso'
+};
+
+const ESTADOS_PAGO = {
+  PENDIENTE: 'pendiente',
+  APROBADO: 'aprobado',
+  RECHAZADO: 'rechazado'
+};
+
+// "online" es el cobro a través del proveedor de pagos; el resto se registra en el local
+const METODOS_PAGO = ['efectivo', 'transferencia', 'tarjeta', 'online'];
+
+// Configuración de cobros
+const pagosConfig = {
+  proveedor: process.env.PAYMENT_PROVIDER || 'fake',
+  // La reserva debe estar paga por completo esta cantidad de días antes del evento
+  diasLimitePago: parseInt(process.env.PAYMENT_DUE_DAYS_BEFORE || '7'),
+  // Minutos que un cobro online puede quedar pendiente antes de darse por rechazado
+  minutosCobroPendiente: parseInt(process.env.PAYMENT_PENDING_MINUTES || '30'),
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || null,
+  baseUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`
+};
+
+/**
+ * Importe neto cobrado de la reserva indicada por la columna: pagos aprobados menos
+ * reembolsos aprobados (valores fijos, no provienen del usuario)
+ */
+const importePagadoSql = (columnaReserva) => `(
+  SELECT COALESCE(SUM(CASE WHEN p.tipo = '${TIPOS_PAGO.REEMBOLSO}' THEN -p.importe ELSE p.importe END), 0)
+  FROM pagos p
+  WHERE p.reserva_id = ${columnaReserva} AND p.estado = '${ESTADOS_PAGO.APROBADO}'
+)`;
+
+/**
+ * Proveedor "fake": no sale a ninguna red. Genera referencias propias, firma las
+ * notificaciones con HMAC como lo haría un proveedor real y permite simular el
+ * webhook que confirma o rechaza el cobro (ver POST /api/pagos/fake/:referencia).
+ *
+ * Todo proveedor expone:
+ *   nombre
+ *   crearPago({ pago_id, reserva_id, importe, descripcion }) -> { referencia, url_pago }
+ *   verificarWebhook(rawBody, headers) -> { referencia, estado: 'aprobado' | 'rechazado' }
+ *     (lanza si la firma no es válida)
+ *   reembolsar({ referencia, importe }) -> { referencia }
+ *   cancelarPago({ referencia }) (opcional): anula un cobro pendiente para que ya no pueda
+ *     completarse (lanza si el proveedor ya lo cobró)
+ */
+const createFakeProvider = (secret = pagosConfig.webhookSecret || `${process.env.JWT_SECRET}:pagos`) => {
+  const firmar = (body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  return {
+    nombre: 'fake',
+
+    crearPago: async () => {
+      const referencia = `fake_${crypto.randomUUID()}`;
+      return { referencia, url_pago: `${pagosConfig.baseUrl}/api/pagos/fake/${referencia}` };
+    },
+
+    verificarWebhook: (rawBody, headers = {}) => {
+      const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+      const firma = Buffer.from(String(headers['x-fake-signature'] || ''));
+      const esperada = Buffer.from(firmar(body));
+
+      if (firma.length !== esperada.length || !crypto.timingSafeEqual(firma, esperada)) {
+        throw new Error('Firma de webhook inválida');
+      }
+
+      try {
+        const { referencia, estado } = JSON.parse(body);
+        return { referencia, estado };
+      } catch {
+        throw new Error('Webhook con formato inválido');
+      }
+    },
+
+    reembolsar: async () => ({ referencia: `fake_${crypto.randomUUID()}` }),
+
+    cancelarPago: async () => {},
+
+    // Arma la notificación firmada que enviaría el proveedor al terminar el cobro
+    simularWebhook: (referencia, estado) => {
+      const body = JSON.stringify({ referencia, estado });
+      return { body, headers: { 'x-fake-signature': firmar(body) } };
+    }
+  };
+};
+
+// Proveedores disponibles, se pueden registrar otros con registerProveedor
+const proveedorFactories = {
+  fake: createFakeProvider
+};
+
+const proveedores = new Map();
+
+const registerProveedor = (nombre, factory) => {
+  proveedorFactories[nombre] = factory;
+  proveedores.delete(nombre);
+};
+
+// Permite reemplazar la instancia de un proveedor (por ejemplo desde los tests)
+const setProveedor = (proveedor) => {
+  proveedores.set(proveedor.nombre, proveedor);
+};
+
+/**
+ * Proveedor por nombre (por defecto el configurado), o null si no existe
+ */
+const getProveedor = (nombre = pagosConfig.proveedor) => {
+  if (!proveedores.has(nombre)) {
+    const factory = Object.hasOwn(proveedorFactories, nombre) ? proveedorFactories[nombre] : null;
+    if (!factory) {
+      return null;
+    }
+    proveedores.set(nombre, factory());
+  }
+  return proveedores.get(nombre);
+};
+
+export {
+  TIPOS_PAGO,
+  ESTADOS_PAGO,
+  METODOS_PAGO,
+  pagosConfig,
+  importePagadoSql,
+  createFakeProvider,
+  registerProveedor,
+  setProveedor,
+  getProveedor
+};
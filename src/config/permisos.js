@@ -0,0 +1,127 @@
+// Roles del sistema
+const ROLES = {
+  ADMINISTRADOR: 1,
+  EMPLEADO: 2,
+  CLIENTE: 3
+};
+
+/**
+ * Matriz de permisos por rol.
+ * Cada permiso tiene la forma "recurso:accion:alcance", donde el alcance es
+ * "any" (cualquier registro) u "own" (solo registros propios del usuario).
+ */
+const PERMISOS_POR_ROL = {
+  [ROLES.ADMINISTRADOR]: [
+    'servicios:read:any', 'servicios:read_inactive:any', 'servicios:create:any', 'servicios:update:any',
+    'servicios:delete:any', 'servicios:restore:any', 'servicios:stats:any',
+    'salones:read:any', 'salones:read_inactive:any', 'salones:create:any', 'salones:update:any',
+    'salones:delete:any', 'salones:restore:any', 'salones:stats:any', 'salones:block:any',
+    'turnos:read:any', 'turnos:create:any', 'turnos:update:any',
+    'turnos:delete:any', 'turnos:restore:any', 'turnos:stats:any',
+    'usuarios:read:any', 'usuarios:create:any', 'usuarios:update:any', 'usuarios:change_password:any',
+    'usuarios:change_role:any', 'usuarios:delete:any', 'usuarios:restore:any', 'usuarios:stats:any',
+    'reservas:read:any', 'reservas:read_inactive:any', 'reservas:create:any', 'reservas:update:any',
+    'reservas:transition:any', 'reservas:cancel:any', 'reservas:delete:any', 'reservas:restore:any', 'reservas:stats:any',
+    'reglas_precio:read:any', 'reglas_precio:create:any', 'reglas_precio:update:any', 'reglas_precio:delete:any',
+    'cupones:read:any', 'cupones:create:any', 'cupones:update:any', 'cupones:delete:any',
+    'pagos:read:any', 'pagos:create:any', 'pagos:checkout:any', 'pagos:refund:any',
+    'tareas:read:any', 'tareas:update:any', 'tareas:run:any',
+    'lista_espera:read:any', 'lista_espera:create:any', 'lista_espera:cancel:any', 'lista_espera:confirm:any',
+    'retenciones:read:any', 'retenciones:create:any', 'retenciones:release:any', 'retenciones:confirm:any',
+    'auditoria:read:any',
+    'bloqueos:read:any', 'bloqueos:delete:any',
+    'permisos:read:any'
+  ],
+  [ROLES.EMPLEADO]: [
+    'servicios:read:any', 'servicios:create:any', 'servicios:update:any', 'servicios:delete:any', 'servicios:stats:any',
+    'salones:read:any', 'salones:create:any', 'salones:update:any', 'salones:delete:any', 'salones:stats:any',
+    'turnos:read:any', 'turnos:create:any', 'turnos:update:any', 'turnos:delete:any', 'turnos:stats:any',
+    'usuarios:read:own', 'usuarios:change_password:own',
+    'reservas:read:any', 'reservas:create:any', 'reservas:transition:any', 'reservas:cancel:any', 'reservas:stats:any',
+    'reglas_precio:read:any',
+    'pagos:read:any', 'pagos:create:any', 'pagos:checkout:any',
+    'lista_espera:read:any', 'lista_espera:create:any', 'lista_espera:cancel:any', 'lista_espera:confirm:any',
+    'retenciones:read:any', 'retenciones:create:any', 'retenciones:release:any', 'retenciones:confirm:any'
+  ],
+  [ROLES.CLIENTE]: [
+    'servicios:read:any', 'servicios:stats:any',
+    'usuarios:read:own', 'usuarios:change_password:own',
+    'reservas:read:own', 'reservas:create:own', 'reservas:cancel:own',
+    'pagos:read:own', 'pagos:checkout:own',
+    'lista_espera:read:own', 'lista_espera:create:own', 'lista_espera:cancel:own', 'lista_espera:confirm:own',
+    'retenciones:read:own', 'retenciones:create:own', 'retenciones:release:own', 'retenciones:confirm:own'
+  ]
+};
+
+// Cómo se obtiene el dueño de un registro de cada recurso (para el alcance "own")
+const OWNERSHIP = {
+  usuarios: (registro) => registro.usuario_id,
+  reservas: (registro) => registro.usuario_id,
+  // Los pagos se autorizan sobre la reserva a la que pertenecen
+  pagos: (registro) => registro.usuario_id,
+  lista_espera: (registro) => registro.usuario_id,
+  retenciones: (registro) => registro.usuario_id
+};
+
+const getNombreRol = (tipo) => {
+  const nombre = Object.keys(ROLES).find(rol => ROLES[rol] === tipo);
+  return nombre || 'DESCONOCIDO';
+};
+
+/**
+ * Alcance con el que el usuario puede realizar la acción ("recurso:accion"):
+ * "any", "own" o null si no tiene permiso.
+ */
+const scopeFor = (user, action) => {
+  if (!user) return null;
+
+  const permisos = PERMISOS_POR_ROL[user.tipo] || [];
+  if (permisos.includes(`${action}:any`)) return 'any';
+  if (permisos.includes(`${action}:own`)) return 'own';
+  return null;
+};
+
+/**
+ * Indica si el usuario puede realizar la acción ("recurso:accion").
+ * Sin registro, alcanza con tener el permiso en cualquier alcance (chequeo de ruta);
+ * con registro, el alcance "own" exige que el registro pertenezca al usuario.
+ */
+const can = (user, action, resource = null) => {
+  const scope = scopeFor(user, action);
+
+  if (scope === 'any') return true;
+  if (scope !== 'own') return false;
+  if (!resource) return true;
+
+  const [recurso] = action.split(':');
+  const getOwner = OWNERSHIP[recurso];
+  return Boolean(getOwner) && Number(getOwner(resource)) === Number(user.id);
+};
+
+/**
+ * Usuario al que deben limitarse las consultas del modelo: el propio usuario si
+ * solo tiene alcance "own" sobre la acción, o null si puede operar sobre cualquiera.
+ */
+const ownerIdFor = (user, action) => {
+  return scopeFor(user, action) === 'own' ? user.id : null;
+};
+
+/**
+ * Matriz efectiva de permisos, para consulta de administradores
+ */
+const getPermissionMatrix = () => {
+  return Object.entries(PERMISOS_POR_ROL).map(([tipo, permisos]) => ({
+    tipo_usuario: parseInt(tipo),
+    rol: getNombreRol(parseInt(tipo)),
+    permisos: [...permisos].sort()
+  }));
+};
+
+export {
+  ROLES,
+  PERMISOS_POR_ROL,
+  scopeFor,
+  can,
+  ownerIdFor,
+  getPermissionMatrix
+};
@@ -116,11 +116,19 @@ class SwaggerConfig {
             type: 'object',
             properties: {
               token: { type: 'string' },
+              refreshToken: { type: 'string', description: 'Refresh token de un solo uso para /api/auth/refresh' },
               user: { $ref: '#/components/schemas/Usuario' }
             }
           }
         }
       },
+      RefreshRequest: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+          refreshToken: { type: 'string', example: '3f1c...e9a0', description: 'Refresh token recibido en el login o en el último refresh' }
+        }
+      },
       Usuario: {
         type: 'object',
         properties: {
@@ -181,6 +189,7 @@ class SwaggerConfig {
           longitud: { type: 'number', format: 'decimal', description: 'Longitud GPS', minimum: -180, maximum: 180, example: -58.0039, nullable: true },
           capacidad: { type: 'integer', description: 'Capacidad máxima de personas', minimum: 1, example: 200 },
           importe: { type: 'number', format: 'decimal', description: 'Importe de alquiler en pesos', minimum: 0, maximum: 9999999.99, example: 95000.00 },
+          horas_cancelacion: { type: 'integer', description: 'Anticipación mínima en horas para que un cliente cancele su reserva', minimum: 0, maximum: 720, example: 48 },
           activo: { type: 'boolean', description: 'Estado del salón', example: true, readOnly: true },
           creado: { type: 'string', format: 'date-time', example: '2025-08-19T21:51:22.000Z', readOnly: true },
           modificado: { type: 'string', format: 'date-time', example: '2025-08-19T21:51:22.000Z', readOnly: true }
@@ -197,7 +206,8 @@ class SwaggerConfig {
           latitud: { type: 'number', format: 'decimal', minimum: -90, maximum: 90, example: -32.3868 },
           longitud: { type: 'number', format: 'decimal', minimum: -180, maximum: 180, example: -58.0039 },
           capacidad: { type: 'integer', minimum: 1, example: 200 },
-          importe: { type: 'number', format: 'decimal', minimum: 0, maximum: 9999999.99, example: 95000.00 }
+          importe: { type: 'number', format: 'decimal', minimum: 0, maximum: 9999999.99, example: 95000.00 },
+          horas_cancelacion: { type: 'integer', minimum: 0, maximum: 720, default: 48, example: 48 }
         }
       },
 
@@ -212,7 +222,14 @@ class SwaggerConfig {
           foto_cumpleaniero: { type: 'string', format: 'uri', description: 'URL de la foto del cumpleañero', example: 'https://ejemplo.com/foto.jpg', nullable: true },
           tematica: { type: 'string', description: 'Temática de la fiesta', maxLength: 255, example: 'Plim plim', nullable: true },
           importe_salon: { type: 'number', format: 'decimal', description: 'Importe del salón', example: 95000.00 },
-          importe_total: { type: 'number', format: 'decimal', description: 'Importe total incluyendo servicios', example: 200000.00 },
+          importe_total: { type: 'number', format: 'decimal', description: 'Importe total incluyendo servicios, con el descuento del cupón aplicado', example: 200000.00 },
+          cupon_id: { type: 'integer', description: 'Cupón aplicado', example: null, nullable: true, readOnly: true },
+          importe_descuento: { type: 'number', format: 'decimal', description: 'Importe descontado por el cupón', example: 0, readOnly: true },
+          importe_pagado: { type: 'number', format: 'decimal', description: 'Pagos aprobados menos reembolsos', example: 50000.00, readOnly: true },
+          saldo: { type: 'number', format: 'decimal', description: 'Importe que resta cobrar', example: 150000.00, readOnly: true },
+          fecha_limite_pago: { type: 'string', format: 'date', description: 'Fecha en que la reserva debe estar paga por completo', example: '2025-09-13', readOnly: true },
+          pago_vencido: { type: 'boolean', description: 'Pasó la fecha límite de pago con saldo pendiente', example: false, readOnly: true },
+          estado: { type: 'string', enum: ['pendiente', 'confirmada', 'pagada', 'realizada', 'cancelada'], description: 'Estado del ciclo de vida de la reserva', example: 'pendiente', readOnly: true },
           activo: { type: 'boolean', description: 'Estado de la reserva', example: true, readOnly: true },
           creado: { type: 'string', format: 'date-time', example: '2025-08-19T22:02:33.000Z', readOnly: true },
           modificado: { type: 'string', format: 'date-time', example: '2025-08-19T22:02:33.000Z', readOnly: true },
@@ -228,6 +245,21 @@ class SwaggerConfig {
                 importe_adicional: { type: 'number', example: 50000.00 }
               }
             }
+          },
+          desglose: {
+            type: 'array',
+            description: 'Desglose del precio: por concepto, el importe base (regla_id null) y el ajuste de cada regla de precio aplicada',
+            readOnly: true,
+            items: {
+              type: 'object',
+              properties: {
+                concepto: { type: 'string', enum: ['salon', 'servicio'], example: 'salon' },
+                servicio_id: { type: 'integer', nullable: true, example: null },
+                regla_id: { type: 'integer', nullable: true, example: 3 },
+                descripcion: { type: 'string', example: 'Recargo fin de semana' },
+                importe: { type: 'number', example: 19000.00 }
+              }
+            }
           }
         },
         required: ['reserva_id', 'fecha_reserva', 'salon_id', 'usuario_id', 'turno_id', 'importe_salon', 'importe_total', 'activo']
@@ -267,6 +299,13 @@ class SwaggerConfig {
         }
       },
 
+      TransicionReserva: {
+        type: 'object',
+        properties: {
+          motivo: { type: 'string', maxLength: 255, description: 'Motivo del cambio de estado (queda en el historial)', example: 'Seña recibida' }
+        }
+      },
+
       Turno: {
         type: 'object',
         properties: {
@@ -301,6 +340,11 @@ class SwaggerConfig {
         description: 'Error de validación',
         content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' }, example: { status: 'error', message: 'Errores de validación', errors: [{ field: 'descripcion', message: 'La descripción es requerida', value: '' }] } } }
       },
+      TooManyRequests: {
+        description: 'Demasiados intentos - Ver encabezado Retry-After',
+        headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Segundos hasta poder reintentar' } },
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' }, example: { status: 'error', message: 'Demasiados intentos fallidos, intente nuevamente más tarde', retryAfter: 60 } } }
+      },
       InternalServerError: {
         description: 'Error interno del servidor',
         content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' }, example: { status: 'error', message: 'Error interno del servidor' } } }
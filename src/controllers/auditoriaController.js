@@ -0,0 +1,115 @@
+import Auditoria from '../models/Auditoria.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auditoria
+ *   description: Registro de cambios en salones, turnos, servicios, usuarios y reservas - Solo administradores
+ */
+
+class AuditoriaController {
+
+    /**
+     * @swagger
+     * /api/auditoria:
+     *   get:
+     *     summary: Consultar el registro de auditoría
+     *     description: |
+     *       Cada alta, modificación, baja o restauración con el usuario que la hizo y los campos
+     *       que cambiaron, del más reciente al más antiguo. Las contraseñas figuran como "[oculto]".
+     *       Los cambios que hace el sistema (vencimientos, pagos aprobados por el proveedor) no
+     *       tienen usuario.
+     *     tags: [Auditoria]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *       - in: query
+     *         name: entidad
+     *         schema:
+     *           type: string
+     *           enum: [salones, turnos, servicios, usuarios, reservas, pagos, lista_espera, retenciones]
+     *       - in: query
+     *         name: entidadId
+     *         schema:
+     *           type: integer
+     *         description: ID del registro (requiere entidad)
+     *       - in: query
+     *         name: usuarioId
+     *         schema:
+     *           type: integer
+     *         description: Usuario que hizo el cambio
+     *       - in: query
+     *         name: accion
+     *         schema:
+     *           type: string
+     *           enum: [create, update, partial_update, delete, restore, transition, change_role, change_password]
+     *       - in: query
+     *         name: fechaDesde
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: fechaHasta
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Registros de auditoría
+     *         content:
+     *           application/json:
+     *             example:
+     *               status: success
+     *               data:
+     *                 - auditoria_id: 15
+     *                   entidad: salones
+     *                   entidad_id: 3
+     *                   accion: partial_update
+     *                   usuario_id: 1
+     *                   usuario: { usuario_id: 1, nombre: Ana, apellido: Pérez, nombre_usuario: admin@correo.com }
+     *                   cambios:
+     *                     importe: { antes: 95000, despues: 110000 }
+     *                   creado: "2025-06-01T13:45:00.000Z"
+     *       403:
+     *         description: Solo administradores
+     */
+    static async getAll(req, res, next) {
+        try {
+            const { page = 1, limit = 20, entidad, entidadId, usuarioId, accion, fechaDesde, fechaHasta } = req.query;
+
+            const result = await Auditoria.findAll({
+                page: parseInt(page),
+                limit: parseInt(limit),
+                entidad,
+                entidadId: entidadId ? parseInt(entidadId) : null,
+                usuarioId: usuarioId ? parseInt(usuarioId) : null,
+                accion,
+                fechaDesde,
+                fechaHasta
+            });
+
+            res.status(200).json({
+                status: 'success',
+                data: result.registros,
+                pagination: result.pagination
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+export default AuditoriaController;
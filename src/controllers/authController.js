@@ -1,8 +1,11 @@
 import { query } from '../config/database.js';
 import { createError } from '../middlewares/errorHandler.js';
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import { ROLES } from '../middlewares/auth.js';
+import Usuario from '../models/Usuario.js';
+import PasswordService from '../services/passwordService.js';
+import BloqueoLoginService from '../services/bloqueoLoginService.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { generateToken, generateFeedToken, createSession } from '../middlewares/auth.js';
+import { getPermissionMatrix, can } from '../config/permisos.js';
 
 /**
  * @swagger
@@ -35,6 +38,8 @@ class AuthController {
    *         $ref: '#/components/responses/ValidationError'
    *       401:
    *         $ref: '#/components/responses/Unauthorized'
+   *       429:
+   *         $ref: '#/components/responses/TooManyRequests'
    *       500:
    *         $ref: '#/components/responses/InternalServerError'
    */
@@ -42,38 +47,38 @@ class AuthController {
     try {
       const { nombre_usuario, contrasenia } = req.body;
       
+      // Rechazar si el usuario o la IP están bloqueados por intentos fallidos
+      await BloqueoLoginService.verificar(nombre_usuario, req.ip);
+      
       // Buscar usuario por nombre_usuario
       const usuarios = await query(
-        `SELECT usuario_id, nombre, apellido, nombre_usuario, contrasenia, tipo_usuario, celular, foto 
+        `SELECT usuario_id, nombre, apellido, nombre_usuario, contrasenia, tipo_usuario, celular, foto, token_version 
          FROM usuarios 
          WHERE nombre_usuario = ? AND activo = 1`,
         [nombre_usuario]
       );
 
-      if (usuarios.length === 0) {
-        throw createError('Credenciales inválidas', 401);
-      }
-
       const usuario = usuarios[0];
       
-      // Verificar contraseña (usando MD5 como está en la BD de ejemplo)
-      // NOTA: MD5 no es seguro, deberías migrar a bcrypt
-      const crypto = await import('crypto');
-      const hashedPassword = crypto.createHash('md5').update(contrasenia).digest('hex');
+      // Verificar contraseña (bcrypt o MD5 heredado)
+      const passwordValida = usuario
+        ? await PasswordService.verify(contrasenia, usuario.contrasenia)
+        : false;
       
-      if (hashedPassword !== usuario.contrasenia) {
+      if (!passwordValida) {
+        await BloqueoLoginService.registrarFallo(nombre_usuario, req.ip);
         throw createError('Credenciales inválidas', 401);
       }
 
-      // Generar JWT token
-      const token = jwt.sign(
-        { 
-          userId: usuario.usuario_id,
-          tipo: usuario.tipo_usuario 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
+      await BloqueoLoginService.registrarExito(nombre_usuario);
+
+      // Migración transparente: los hashes MD5 heredados se reemplazan por bcrypt
+      if (PasswordService.needsRehash(usuario.contrasenia)) {
+        await new Usuario(usuario).changePassword(contrasenia);
+      }
+
+      // Abrir sesión: token de acceso + refresh token
+      const { token, refreshToken } = await createSession(usuario);
 
       // Determinar tipo de usuario
       const getTipoUsuarioTexto = (tipo) => {
@@ -91,6 +96,7 @@ class AuthController {
         message: 'Login exitoso',
         data: {
           token,
+          refreshToken,
           user: {
             id: usuario.usuario_id,
             nombre: usuario.nombre,
@@ -181,10 +187,17 @@ class AuthController {
    * @swagger
    * /api/auth/refresh:
    *   post:
-   *     summary: Refrescar el token de acceso
+   *     summary: Renovar el token de acceso con un refresh token
+   *     description: |
+   *       El refresh token se rota en cada uso: la respuesta trae uno nuevo y el anterior deja de servir.
+   *       Si se presenta un refresh token ya usado se revoca toda la sesión.
    *     tags: [Autenticación]
-   *     security:
-   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/RefreshRequest'
    *     responses:
    *       200:
    *         description: Token refrescado exitosamente
@@ -205,39 +218,268 @@ class AuthController {
    *                     token:
    *                       type: string
    *                       description: Nuevo token JWT
+   *                     refreshToken:
+   *                       type: string
+   *                       description: Nuevo refresh token (reemplaza al enviado)
+   *       400:
+   *         $ref: '#/components/responses/ValidationError'
    *       401:
    *         $ref: '#/components/responses/Unauthorized'
    */
   static async refreshToken(req, res, next) {
     try {
-      const userId = req.user.id;
-      const userTipo = req.user.tipo;
-      
+      const rotado = await RefreshToken.rotate(req.body.refreshToken);
+
+      if (!rotado) {
+        throw createError('Refresh token inválido o expirado', 401);
+      }
+
+      if (rotado.reutilizado) {
+        throw createError('Refresh token reutilizado: la sesión fue revocada por seguridad', 401);
+      }
+
       // Verificar que el usuario sigue activo
       const usuarios = await query(
-        'SELECT usuario_id FROM usuarios WHERE usuario_id = ? AND activo = 1',
-        [userId]
+        'SELECT usuario_id, tipo_usuario, token_version FROM usuarios WHERE usuario_id = ? AND activo = 1',
+        [rotado.usuarioId]
       );
 
       if (usuarios.length === 0) {
+        await RefreshToken.revokeFamily(rotado.familia);
         throw createError('Usuario no encontrado o inactivo', 401);
       }
 
-      // Generar nuevo token
-      const token = jwt.sign(
-        { 
-          userId: userId,
-          tipo: userTipo 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
+      // Generar nuevo token en la misma sesión
+      const token = generateToken(usuarios[0], rotado.familia);
 
       res.status(200).json({
         status: 'success',
         message: 'Token refrescado exitosamente',
         data: {
-          token
+          token,
+          refreshToken: rotado.token
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/auth/logout:
+   *   post:
+   *     summary: Cerrar la sesión actual
+   *     description: Revoca el refresh token enviado (o la sesión del token de acceso) y todos los de su sesión
+   *     tags: [Autenticación]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: false
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/RefreshRequest'
+   *     responses:
+   *       200:
+   *         description: Sesión cerrada exitosamente
+   *       401:
+   *         $ref: '#/components/responses/Unauthorized'
+   */
+  static async logout(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (refreshToken) {
+        await RefreshToken.revokeFamilyOf(refreshToken, req.user.id);
+      }
+
+      if (req.user.sesion) {
+        await RefreshToken.revokeFamily(req.user.sesion);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Sesión cerrada exitosamente'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/auth/logout-all:
+   *   post:
+   *     summary: Cerrar todas las sesiones del usuario
+   *     description: Invalida todos los tokens de acceso y refresh tokens emitidos hasta el momento
+   *     tags: [Autenticación]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sesiones cerradas exitosamente
+   *       401:
+   *         $ref: '#/components/responses/Unauthorized'
+   */
+  static async logoutAll(req, res, next) {
+    try {
+      const usuario = new Usuario({ usuario_id: req.user.id });
+      await usuario.revokeSessions();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Todas las sesiones fueron cerradas exitosamente'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/auth/bloqueos:
+   *   get:
+   *     summary: Listar bloqueos e intentos fallidos de login (Solo Administradores)
+   *     tags: [Autenticación]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Bloqueos obtenidos exitosamente
+   *       401:
+   *         $ref: '#/components/responses/Unauthorized'
+   *       403:
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  static async getBloqueos(req, res, next) {
+    try {
+      const bloqueos = await BloqueoLoginService.listar();
+
+      res.status(200).json({
+        status: 'success',
+        data: bloqueos
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/auth/bloqueos/{tipo}/{valor}:
+   *   delete:
+   *     summary: Quitar el bloqueo de un usuario o IP (Solo Administradores)
+   *     tags: [Autenticación]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: tipo
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [usuario, ip]
+   *       - in: path
+   *         name: valor
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Email del usuario o dirección IP
+   *     responses:
+   *       200:
+   *         description: Bloqueo eliminado exitosamente
+   *       404:
+   *         $ref: '#/components/responses/NotFound'
+   */
+  static async clearBloqueo(req, res, next) {
+    try {
+      const { tipo, valor } = req.params;
+
+      const eliminado = await BloqueoLoginService.limpiar(tipo, valor);
+      if (!eliminado) {
+        throw createError('No hay bloqueos registrados para ese valor', 404);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Bloqueo eliminado exitosamente'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/auth/permisos:
+   *   get:
+   *     summary: Matriz efectiva de permisos por rol (Solo Administradores)
+   *     description: Permisos con formato recurso:accion:alcance, donde el alcance es "any" (cualquier registro) u "own" (solo los propios)
+   *     tags: [Autenticación]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Matriz de permisos obtenida exitosamente
+   *       401:
+   *         $ref: '#/components/responses/Unauthorized'
+   *       403:
+   *         $ref: '#/components/responses/Forbidden'
+   */
+  static async getPermisos(req, res, next) {
+    try {
+      res.status(200).json({
+        status: 'success',
+        data: getPermissionMatrix()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/auth/calendar-token:
+   *   get:
+   *     summary: Obtener el token de los calendarios .ics
+   *     description: |
+   *       Devuelve un token firmado para suscribirse a los feeds de calendario desde apps
+   *       que no envían encabezados de autenticación (se pasa como ?token=). No vence;
+   *       se revoca cerrando todas las sesiones (logout-all).
+   *     tags: [Autenticación]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Token y URLs de suscripción
+   *       401:
+   *         $ref: '#/components/responses/Unauthorized'
+   */
+  static async getCalendarToken(req, res, next) {
+    try {
+      const usuarios = await query(
+        'SELECT usuario_id, token_version FROM usuarios WHERE usuario_id = ? AND activo = 1',
+        [req.user.id]
+      );
+
+      if (usuarios.length === 0) {
+        throw createError('Usuario no encontrado', 404);
+      }
+
+      const token = generateFeedToken(usuarios[0]);
+      const baseUrl = `${req.protocol}://${req.get('host')}/api`;
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          token,
+          urls: {
+            usuario: `${baseUrl}/usuarios/${req.user.id}/calendar.ics?token=${token}`,
+            ...(can(req.user, 'salones:read') && {
+              salon: `${baseUrl}/salones/{salon_id}/calendar.ics?token=${token}`
+            })
+          }
         }
       });
     } catch (error) {
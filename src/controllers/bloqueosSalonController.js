@@ -0,0 +1,201 @@
+import Salon from '../models/Salon.js';
+import BloqueoSalon from '../models/BloqueoSalon.js';
+import { createError, asyncHandler } from '../middlewares/errorHandler.js';
+
+// Errores del modelo que corresponden a respuestas distintas de 500
+const mapBloqueoError = (error) => {
+    if (error.message.includes('reservas activas')) {
+        return createError(error.message, 409, { reservas: error.reservas });
+    }
+    if (error.message.includes('no existe')) {
+        return createError(error.message, 400);
+    }
+    return error;
+};
+
+// El salón debe existir (activo o no: se puede bloquear un salón dado de baja)
+const findSalon = async (id) => {
+    const salon = await Salon.findById(id);
+    if (!salon) {
+        throw createError('Salón no encontrado', 404);
+    }
+    return salon;
+};
+
+const findBloqueo = async (salonId, bloqueoId) => {
+    const bloqueo = await BloqueoSalon.findActiveById(salonId, bloqueoId);
+    if (!bloqueo) {
+        throw createError('Bloqueo no encontrado', 404);
+    }
+    return bloqueo;
+};
+
+class BloqueosSalonController {
+    /**
+     * @swagger
+     * /api/salones/{id}/bloqueos:
+     *   get:
+     *     summary: Listar bloqueos del salón
+     *     description: Bloqueos vigentes del salón, opcionalmente los que se superponen con un rango de fechas
+     *     tags: [Salones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: desde
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: hasta
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Bloqueos obtenidos exitosamente
+     *       404:
+     *         description: Salón no encontrado
+     */
+    static getAll = asyncHandler(async (req, res) => {
+        const { desde, hasta } = req.query;
+        const salon = await findSalon(req.params.id);
+
+        const bloqueos = await BloqueoSalon.findAll(salon.salon_id, { desde, hasta });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Bloqueos obtenidos exitosamente',
+            data: bloqueos.map(bloqueo => bloqueo.toJSON())
+        });
+    });
+
+    /**
+     * @swagger
+     * /api/salones/{id}/bloqueos/{bloqueoId}:
+     *   get:
+     *     summary: Obtener bloqueo del salón
+     *     tags: [Salones]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static getById = asyncHandler(async (req, res) => {
+        const bloqueo = await findBloqueo(req.params.id, req.params.bloqueoId);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Bloqueo obtenido exitosamente',
+            data: bloqueo.toJSON()
+        });
+    });
+
+    /**
+     * @swagger
+     * /api/salones/{id}/bloqueos:
+     *   post:
+     *     summary: Bloquear el salón en un rango de fechas (solo administradores)
+     *     description: |
+     *       Sin turnos, el bloqueo cubre el día entero. Se rechaza con 409 si hay reservas
+     *       activas en el período; deben cancelarse o moverse antes.
+     *     tags: [Salones]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - fecha_desde
+     *               - fecha_hasta
+     *               - motivo
+     *             properties:
+     *               fecha_desde:
+     *                 type: string
+     *                 format: date
+     *               fecha_hasta:
+     *                 type: string
+     *                 format: date
+     *               motivo:
+     *                 type: string
+     *                 example: Reparación del techo
+     *               turnos:
+     *                 type: array
+     *                 items:
+     *                   type: integer
+     *     responses:
+     *       201:
+     *         description: Bloqueo creado exitosamente
+     *       409:
+     *         description: Hay reservas activas en el período
+     */
+    static create = asyncHandler(async (req, res) => {
+        const { fecha_desde, fecha_hasta, motivo, turnos = [] } = req.body;
+        const salon = await findSalon(req.params.id);
+
+        const bloqueo = await BloqueoSalon.create({
+            salon_id: salon.salon_id,
+            fecha_desde,
+            fecha_hasta,
+            motivo,
+            turnos
+        }, req.user.id).catch(error => { throw mapBloqueoError(error); });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Bloqueo creado exitosamente',
+            data: bloqueo.toJSON()
+        });
+    });
+
+    /**
+     * @swagger
+     * /api/salones/{id}/bloqueos/{bloqueoId}:
+     *   put:
+     *     summary: Actualizar bloqueo del salón (solo administradores)
+     *     tags: [Salones]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static update = asyncHandler(async (req, res) => {
+        const { fecha_desde, fecha_hasta, motivo, turnos = [] } = req.body;
+        const bloqueo = await findBloqueo(req.params.id, req.params.bloqueoId);
+
+        const bloqueoActualizado = await bloqueo.update({ fecha_desde, fecha_hasta, motivo, turnos })
+            .catch(error => { throw mapBloqueoError(error); });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Bloqueo actualizado exitosamente',
+            data: bloqueoActualizado.toJSON()
+        });
+    });
+
+    /**
+     * @swagger
+     * /api/salones/{id}/bloqueos/{bloqueoId}:
+     *   delete:
+     *     summary: Eliminar bloqueo del salón (solo administradores)
+     *     tags: [Salones]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static delete = asyncHandler(async (req, res) => {
+        const bloqueo = await findBloqueo(req.params.id, req.params.bloqueoId);
+
+        await bloqueo.softDelete();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Bloqueo eliminado exitosamente'
+        });
+    });
+}
+
+export default BloqueosSalonController;
@@ -0,0 +1,281 @@
+import Cupon from '../models/Cupon.js';
+import { createError } from '../middlewares/errorHandler.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cupones
+ *   description: Códigos de descuento aplicables al crear o editar reservas - Solo administradores
+ */
+
+// Campos del cupón tal como llegan en POST y PUT
+const datosCupon = (body) => ({
+    codigo: body.codigo,
+    descripcion: body.descripcion,
+    tipo: body.tipo,
+    valor: body.valor,
+    fecha_desde: body.fecha_desde,
+    fecha_hasta: body.fecha_hasta,
+    usos_maximos: body.usos_maximos,
+    usos_por_usuario: body.usos_por_usuario,
+    salon_id: body.salon_id,
+    servicio_id: body.servicio_id
+});
+
+class CuponesController {
+
+    /**
+     * @swagger
+     * /api/cupones:
+     *   get:
+     *     summary: Listar cupones
+     *     tags: [Cupones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *       - in: query
+     *         name: search
+     *         schema:
+     *           type: string
+     *         description: Buscar por código o descripción
+     *       - in: query
+     *         name: includeInactive
+     *         schema:
+     *           type: boolean
+     *     responses:
+     *       200:
+     *         description: Cupones con la cantidad de usos de cada uno
+     */
+    static async getAll(req, res, next) {
+        try {
+            const { page = 1, limit = 10, search = '', includeInactive = false } = req.query;
+
+            const result = await Cupon.findAll({
+                page: parseInt(page),
+                limit: parseInt(limit),
+                search,
+                includeInactive: includeInactive === true || includeInactive === 'true'
+            });
+
+            res.status(200).json({
+                status: 'success',
+                data: result.cupones,
+                pagination: result.pagination
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/cupones/{id}:
+     *   get:
+     *     summary: Obtener cupón
+     *     tags: [Cupones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Cupón obtenido
+     *       404:
+     *         description: Cupón no encontrado
+     */
+    static async getById(req, res, next) {
+        try {
+            const cupon = await Cupon.findById(req.params.id);
+            if (!cupon) {
+                throw createError('Cupón no encontrado', 404);
+            }
+
+            res.status(200).json({
+                status: 'success',
+                data: cupon
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/cupones:
+     *   post:
+     *     summary: Crear cupón
+     *     description: |
+     *       "porcentaje" descuenta valor% y "fijo" descuenta valor (sin superar el importe).
+     *       El descuento se calcula sobre el total de la reserva, o solo sobre el servicio
+     *       indicado en servicio_id, que la reserva debe incluir. Los códigos no distinguen
+     *       mayúsculas de minúsculas.
+     *     tags: [Cupones]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - codigo
+     *               - tipo
+     *               - valor
+     *             properties:
+     *               codigo:
+     *                 type: string
+     *                 example: PRIMAVERA10
+     *               descripcion:
+     *                 type: string
+     *               tipo:
+     *                 type: string
+     *                 enum: [porcentaje, fijo]
+     *               valor:
+     *                 type: number
+     *                 example: 10
+     *               fecha_desde:
+     *                 type: string
+     *                 format: date
+     *               fecha_hasta:
+     *                 type: string
+     *                 format: date
+     *               usos_maximos:
+     *                 type: integer
+     *                 description: Usos totales permitidos (sin límite si se omite)
+     *               usos_por_usuario:
+     *                 type: integer
+     *               salon_id:
+     *                 type: integer
+     *               servicio_id:
+     *                 type: integer
+     *     responses:
+     *       201:
+     *         description: Cupón creado
+     *       409:
+     *         description: Ya existe un cupón con ese código
+     */
+    static async create(req, res, next) {
+        try {
+            const cupon = await Cupon.create(datosCupon(req.body));
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Cupón creado exitosamente',
+                data: cupon
+            });
+        } catch (error) {
+            if (error.message.includes('Ya existe un cupón')) {
+                next(createError(error.message, 409));
+            } else if (error.message.includes('no existe')) {
+                next(createError(error.message, 400));
+            } else {
+                next(error);
+            }
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/cupones/{id}:
+     *   put:
+     *     summary: Reemplazar cupón
+     *     description: Las reservas que ya lo usaron conservan su descuento
+     *     tags: [Cupones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Cupón actualizado
+     *       404:
+     *         description: Cupón no encontrado
+     *       409:
+     *         description: Ya existe un cupón con ese código
+     */
+    static async update(req, res, next) {
+        try {
+            const cupon = await Cupon.findById(req.params.id);
+            if (!cupon || !cupon.activo) {
+                throw createError('Cupón no encontrado', 404);
+            }
+
+            const cuponActualizado = await cupon.update(datosCupon(req.body));
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Cupón actualizado exitosamente',
+                data: cuponActualizado
+            });
+        } catch (error) {
+            if (error.message.includes('Ya existe un cupón')) {
+                next(createError(error.message, 409));
+            } else if (error.message.includes('no existe')) {
+                next(createError(error.message, 400));
+            } else {
+                next(error);
+            }
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/cupones/{id}:
+     *   delete:
+     *     summary: Desactivar cupón
+     *     description: El código deja de aceptarse; las reservas que ya lo usaron no cambian
+     *     tags: [Cupones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Cupón desactivado
+     *       404:
+     *         description: Cupón no encontrado
+     */
+    static async delete(req, res, next) {
+        try {
+            const cupon = await Cupon.findById(req.params.id);
+            if (!cupon || !cupon.activo) {
+                throw createError('Cupón no encontrado', 404);
+            }
+
+            await cupon.softDelete();
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Cupón eliminado exitosamente'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+export default CuponesController;
@@ -0,0 +1,317 @@
+import ListaEspera from '../models/ListaEspera.js';
+import { MENSAJE_CUPON_INVALIDO } from '../models/Cupon.js';
+import ListaEsperaService from '../services/listaEsperaService.js';
+import AuditoriaService from '../services/auditoriaService.js';
+import ComprobanteService from '../services/comprobanteService.js';
+import NotificacionesService from '../services/notificacionesService.js';
+import { createError } from '../middlewares/errorHandler.js';
+import { transaction } from '../config/database.js';
+import { ownerIdFor } from '../config/permisos.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Lista de espera
+ *   description: |
+ *     Inscripción a turnos ocupados. Cuando el turno se libera, la primera inscripción recibe una
+ *     oferta por correo y el turno queda retenido para ella por tiempo limitado; si no lo reserva
+ *     a tiempo, pasa a la siguiente. Los clientes gestionan sus propias inscripciones.
+ */
+
+// Errores del modelo y de Reserva.create que corresponden a respuestas distintas de 500
+const mapListaEsperaError = (error) => {
+    if (error.message.includes('ya está en la lista de espera') || error.message.includes('no está disponible')) {
+        return createError(error.message, 409);
+    }
+    if (error.message.includes('no existe') ||
+        error.message.includes('no está activo') ||
+        error.message.includes(MENSAJE_CUPON_INVALIDO)) {
+        return createError(error.message, 400);
+    }
+    return error;
+};
+
+class ListaEsperaController {
+
+    /**
+     * @swagger
+     * /api/reservas/lista-espera:
+     *   get:
+     *     summary: Listar inscripciones en la lista de espera
+     *     description: Los clientes solo ven las propias. Cada inscripción vigente indica su posición en la lista del turno.
+     *     tags: [Lista de espera]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *       - in: query
+     *         name: salonId
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: fecha
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: estado
+     *         schema:
+     *           type: string
+     *           enum: [esperando, ofrecida, confirmada, vencida, cancelada]
+     *       - in: query
+     *         name: usuarioId
+     *         schema:
+     *           type: integer
+     *         description: Solo administradores y empleados
+     *     responses:
+     *       200:
+     *         description: Inscripciones
+     */
+    static async getAll(req, res, next) {
+        try {
+            const { page = 1, limit = 10, salonId, fecha, estado, usuarioId } = req.query;
+
+            const result = await ListaEspera.findAll({
+                page: parseInt(page),
+                limit: parseInt(limit),
+                usuarioId: ownerIdFor(req.user, 'lista_espera:read') || (usuarioId ? parseInt(usuarioId) : null),
+                salonId: salonId ? parseInt(salonId) : null,
+                fecha,
+                estado
+            });
+
+            res.status(200).json({
+                status: 'success',
+                data: result.inscripciones,
+                pagination: result.pagination
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/lista-espera/{id}:
+     *   get:
+     *     summary: Obtener una inscripción con su posición
+     *     tags: [Lista de espera]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Inscripción
+     *       404:
+     *         description: Inscripción no encontrada
+     */
+    static async getById(req, res, next) {
+        try {
+            const inscripcion = await ListaEspera.findById(req.params.id, ownerIdFor(req.user, 'lista_espera:read'));
+            if (!inscripcion) {
+                throw createError('Inscripción no encontrada', 404);
+            }
+
+            res.status(200).json({
+                status: 'success',
+                data: inscripcion
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/lista-espera:
+     *   post:
+     *     summary: Anotarse en la lista de espera de un turno ocupado
+     *     tags: [Lista de espera]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [fecha_reserva, salon_id, turno_id]
+     *             properties:
+     *               fecha_reserva:
+     *                 type: string
+     *                 format: date
+     *                 example: "2025-12-25"
+     *               salon_id:
+     *                 type: integer
+     *                 example: 1
+     *               turno_id:
+     *                 type: integer
+     *                 example: 1
+     *               usuario_id:
+     *                 type: integer
+     *                 description: Requerido para administradores y empleados; los clientes se anotan a sí mismos
+     *     responses:
+     *       201:
+     *         description: Inscripción creada con su posición
+     *       400:
+     *         description: Datos inválidos o salón/turno inexistente
+     *       409:
+     *         description: El turno está libre o bloqueado, o el usuario ya está anotado
+     */
+    static async create(req, res, next) {
+        try {
+            const { fecha_reserva, salon_id, turno_id } = req.body;
+            const usuario_id = ownerIdFor(req.user, 'lista_espera:create') || req.body.usuario_id;
+
+            if (!usuario_id) {
+                throw createError('El usuario_id es requerido para administradores y empleados', 400);
+            }
+
+            const inscripcion = await ListaEsperaService.inscribir({
+                fecha_reserva,
+                salon_id: parseInt(salon_id),
+                turno_id: parseInt(turno_id),
+                usuario_id: parseInt(usuario_id)
+            });
+
+            res.status(201).json({
+                status: 'success',
+                message: `Inscripción en la lista de espera registrada (posición ${inscripcion.posicion})`,
+                data: inscripcion
+            });
+        } catch (error) {
+            next(mapListaEsperaError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/lista-espera/{id}:
+     *   delete:
+     *     summary: Salir de la lista de espera
+     *     description: Si la inscripción tenía la oferta del turno, se ofrece a la siguiente
+     *     tags: [Lista de espera]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Inscripción cancelada
+     *       404:
+     *         description: Inscripción no encontrada
+     *       409:
+     *         description: La inscripción ya no está vigente
+     */
+    static async cancel(req, res, next) {
+        try {
+            const inscripcion = await ListaEspera.findById(req.params.id, ownerIdFor(req.user, 'lista_espera:cancel'));
+            if (!inscripcion) {
+                throw createError('Inscripción no encontrada', 404);
+            }
+
+            const cancelada = await ListaEsperaService.cancelar(inscripcion);
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Inscripción cancelada exitosamente',
+                data: cancelada
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/lista-espera/{id}/confirm:
+     *   post:
+     *     summary: Confirmar la oferta y crear la reserva
+     *     description: |
+     *       Crea la reserva del turno ofrecido para el cliente inscripto. Reservar el mismo turno
+     *       con POST /api/reservas también confirma la oferta.
+     *     tags: [Lista de espera]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               foto_cumpleaniero:
+     *                 type: string
+     *               tematica:
+     *                 type: string
+     *               servicios:
+     *                 type: array
+     *                 items:
+     *                   type: object
+     *                   properties:
+     *                     servicio_id:
+     *                       type: integer
+     *               codigo_cupon:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Reserva creada
+     *       404:
+     *         description: Inscripción no encontrada
+     *       409:
+     *         description: La inscripción no tiene una oferta vigente
+     */
+    static async confirm(req, res, next) {
+        try {
+            const inscripcion = await ListaEspera.findById(req.params.id, ownerIdFor(req.user, 'lista_espera:confirm'));
+            if (!inscripcion) {
+                throw createError('Inscripción no encontrada', 404);
+            }
+
+            const reserva = await transaction(async (connection) => {
+                const reserva = await ListaEsperaService.confirmar(inscripcion, req.body || {}, req.user.id, connection);
+
+                await AuditoriaService.registrar(req.user, 'reservas', reserva.reserva_id, 'create', null, reserva, {}, connection);
+                return reserva;
+            });
+
+            // Aviso por correo al cliente y al administrador, sin bloquear la respuesta (ver ComprobanteService.adjuntos)
+            ComprobanteService.adjuntos(reserva)
+                .then(adjuntos => NotificacionesService.notificarNuevaReserva(reserva, { adjuntos }));
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Reserva creada desde la lista de espera',
+                data: reserva
+            });
+        } catch (error) {
+            next(mapListaEsperaError(error));
+        }
+    }
+}
+
+export default ListaEsperaController;
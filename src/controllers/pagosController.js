@@ -0,0 +1,425 @@
+import Reserva from '../models/Reserva.js';
+import Pago, { MENSAJE_PAGO_INVALIDO } from '../models/Pago.js';
+import PagosService from '../services/pagosService.js';
+import { createError } from '../middlewares/errorHandler.js';
+import { ownerIdFor } from '../config/permisos.js';
+import { getProveedor } from '../config/pagos.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pagos
+ *   description: Señas, pagos, reembolsos y saldo de las reservas - Los clientes ven sus pagos y pagan online
+ */
+
+// Estado de cuenta de la reserva que acompaña a cada respuesta de pagos
+const resumen = (reserva) => ({
+    reserva_id: reserva.reserva_id,
+    estado: reserva.estado,
+    importe_total: parseFloat(reserva.importe_total),
+    importe_pagado: parseFloat(reserva.importe_pagado),
+    saldo: reserva.getSaldo(),
+    fecha_limite_pago: reserva.getFechaLimitePago(),
+    pago_vencido: reserva.isPagoVencido()
+});
+
+const mapPagoError = (error) => {
+    if (error.message.startsWith(MENSAJE_PAGO_INVALIDO)) {
+        return createError(error.message, 400);
+    }
+    if (error.message.includes('Reserva no encontrada')) {
+        return createError(error.message, 404);
+    }
+    return error;
+};
+
+class PagosController {
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/pagos:
+     *   get:
+     *     summary: Pagos de la reserva y su saldo
+     *     description: Los clientes solo pueden consultar sus propias reservas
+     *     tags: [Pagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Estado de cuenta (importe_total, importe_pagado, saldo, fecha_limite_pago, pago_vencido) y pagos
+     *       404:
+     *         description: Reserva no encontrada
+     */
+    static async getByReserva(req, res, next) {
+        try {
+            const reserva = await Reserva.findById(req.params.id, false, ownerIdFor(req.user, 'pagos:read'));
+            if (!reserva || !reserva.activo) {
+                throw createError('Reserva no encontrada', 404);
+            }
+
+            const pagos = await Pago.findByReserva(reserva.reserva_id);
+
+            res.status(200).json({
+                status: 'success',
+                data: { ...resumen(reserva), pagos }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/pagos:
+     *   post:
+     *     summary: Registrar una seña o un pago recibido en el local - Administradores y empleados
+     *     description: |
+     *       El importe no puede superar el saldo. Una reserva confirmada que queda sin saldo
+     *       pasa a "pagada".
+     *     tags: [Pagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - metodo
+     *               - importe
+     *             properties:
+     *               tipo:
+     *                 type: string
+     *                 enum: [sena, pago]
+     *                 default: pago
+     *               metodo:
+     *                 type: string
+     *                 enum: [efectivo, transferencia, tarjeta]
+     *               importe:
+     *                 type: number
+     *                 example: 50000
+     *               nota:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Pago registrado, con el estado de cuenta actualizado
+     *       400:
+     *         description: El importe supera el saldo o la reserva está cancelada
+     *       404:
+     *         description: Reserva no encontrada
+     */
+    static async create(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const pago = await Pago.registrar(id, {
+                tipo: req.body.tipo || 'pago',
+                metodo: req.body.metodo,
+                importe: req.body.importe,
+                nota: req.body.nota
+            }, req.user.id);
+
+            const reserva = await Reserva.findById(id, false);
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Pago registrado exitosamente',
+                data: { pago, reserva: resumen(reserva) }
+            });
+        } catch (error) {
+            next(mapPagoError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/pagos/online:
+     *   post:
+     *     summary: Iniciar un cobro online con el proveedor de pagos
+     *     description: |
+     *       Registra el pago como pendiente y devuelve la URL donde se completa. El proveedor
+     *       lo aprueba o rechaza después, por webhook. Sin importe se cobra el saldo completo.
+     *       Mientras está pendiente, su importe no puede volver a cobrarse online (los pagos
+     *       en el local no se frenan); vence a los PAYMENT_PENDING_MINUTES minutos.
+     *       Los clientes solo pueden pagar sus propias reservas.
+     *     tags: [Pagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               tipo:
+     *                 type: string
+     *                 enum: [sena, pago]
+     *               importe:
+     *                 type: number
+     *     responses:
+     *       201:
+     *         description: Pago pendiente y url_pago
+     *       400:
+     *         description: El importe supera el saldo o la reserva está cancelada
+     *       502:
+     *         description: El proveedor de pagos no respondió
+     */
+    static async checkout(req, res, next) {
+        try {
+            const reserva = await Reserva.findById(req.params.id, false, ownerIdFor(req.user, 'pagos:checkout'));
+            if (!reserva || !reserva.activo) {
+                throw createError('Reserva no encontrada', 404);
+            }
+
+            const { tipo, importe } = req.body || {};
+            const cobro = await PagosService.iniciarCobro(reserva, { tipo, importe }, req.user.id);
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Cobro iniciado, pendiente de confirmación del proveedor',
+                data: cobro
+            });
+        } catch (error) {
+            next(mapPagoError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/pagos/{pagoId}/cancel:
+     *   post:
+     *     summary: Cancelar un cobro online pendiente
+     *     description: |
+     *       Anula el cobro en el proveedor y lo marca rechazado, liberando el saldo que
+     *       comprometía. Los cobros sin confirmar también se rechazan solos al vencer
+     *       (PAYMENT_PENDING_MINUTES). Los clientes solo cancelan cobros de sus reservas.
+     *     tags: [Pagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: pagoId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Cobro cancelado, con el estado de cuenta actualizado
+     *       404:
+     *         description: Pago no encontrado
+     *       409:
+     *         description: El pago no es un cobro online pendiente
+     *       502:
+     *         description: El proveedor de pagos no permitió cancelarlo
+     */
+    static async cancel(req, res, next) {
+        try {
+            const { id, pagoId } = req.params;
+
+            const reserva = await Reserva.findById(id, false, ownerIdFor(req.user, 'pagos:checkout'));
+            const pago = reserva && await Pago.findById(pagoId);
+            if (!pago || Number(pago.reserva_id) !== Number(reserva.reserva_id)) {
+                throw createError('Pago no encontrado', 404);
+            }
+
+            const cancelado = await PagosService.cancelarCobro(pago, req.user);
+            const actualizada = await Reserva.findById(id, false);
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Cobro cancelado exitosamente',
+                data: { pago: cancelado, reserva: resumen(actualizada) }
+            });
+        } catch (error) {
+            next(mapPagoError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/pagos/{pagoId}/refund:
+     *   post:
+     *     summary: Reembolsar un pago - Solo administradores
+     *     description: |
+     *       Sin importe se reembolsa lo que resta del pago. Los cobros online se reembolsan
+     *       a través del mismo proveedor.
+     *     tags: [Pagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: pagoId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               importe:
+     *                 type: number
+     *               nota:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Reembolso registrado, con el estado de cuenta actualizado
+     *       400:
+     *         description: El pago no es reembolsable o el importe supera lo que resta reembolsar
+     *       404:
+     *         description: Pago no encontrado
+     */
+    static async refund(req, res, next) {
+        try {
+            const { id, pagoId } = req.params;
+
+            const pago = await Pago.findById(pagoId);
+            if (!pago || Number(pago.reserva_id) !== Number(id)) {
+                throw createError('Pago no encontrado', 404);
+            }
+
+            const { importe, nota } = req.body || {};
+            const reembolso = await PagosService.reembolsar(pago, { importe, nota }, req.user.id);
+
+            const reserva = await Reserva.findById(id, false);
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Reembolso registrado exitosamente',
+                data: { pago: reembolso, reserva: resumen(reserva) }
+            });
+        } catch (error) {
+            next(mapPagoError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/pagos/webhooks/{proveedor}:
+     *   post:
+     *     summary: Notificación del proveedor de pagos
+     *     description: |
+     *       Sin autenticación: el proveedor firma cada notificación y la firma se verifica
+     *       contra el cuerpo original. Las notificaciones repetidas no vuelven a aplicarse.
+     *     tags: [Pagos]
+     *     parameters:
+     *       - in: path
+     *         name: proveedor
+     *         required: true
+     *         schema:
+     *           type: string
+     *           example: fake
+     *     responses:
+     *       200:
+     *         description: Notificación procesada
+     *       401:
+     *         description: Firma inválida
+     *       404:
+     *         description: Proveedor o pago desconocido
+     */
+    static async webhook(req, res, next) {
+        try {
+            const pago = await PagosService.procesarWebhook(
+                req.params.proveedor,
+                req.rawBody || JSON.stringify(req.body || {}),
+                req.headers
+            );
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Notificación procesada',
+                data: pago
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/pagos/fake/{referencia}:
+     *   post:
+     *     summary: Simular el resultado de un cobro del proveedor fake
+     *     description: |
+     *       Para desarrollo sin conexión (no disponible en producción): el proveedor fake
+     *       arma y firma el webhook que enviaría un proveedor real y se procesa como tal.
+     *       Los clientes solo pueden simular cobros de sus propias reservas.
+     *     tags: [Pagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: referencia
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               estado:
+     *                 type: string
+     *                 enum: [aprobado, rechazado]
+     *                 default: aprobado
+     *     responses:
+     *       200:
+     *         description: Pago resuelto
+     *       404:
+     *         description: Pago no encontrado
+     */
+    static async simularFake(req, res, next) {
+        try {
+            const proveedor = getProveedor('fake');
+            const pago = await Pago.findByReferencia(proveedor.nombre, req.params.referencia);
+            const reserva = pago && await Reserva.findById(pago.reserva_id, false, ownerIdFor(req.user, 'pagos:checkout'));
+            if (!reserva) {
+                throw createError('Pago no encontrado', 404);
+            }
+
+            const { body, headers } = proveedor.simularWebhook(req.params.referencia, (req.body || {}).estado || 'aprobado');
+            const pagoResuelto = await PagosService.procesarWebhook(proveedor.nombre, body, headers);
+
+            res.status(200).json({
+                status: 'success',
+                message: `Cobro ${pagoResuelto.estado}`,
+                data: pagoResuelto
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+export default PagosController;
@@ -0,0 +1,303 @@
+import ReglaPrecio from '../models/ReglaPrecio.js';
+import { createError } from '../middlewares/errorHandler.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reglas de precio
+ *   description: Recargos y descuentos aplicados al cotizar reservas - Administradores las gestionan, empleados las consultan
+ */
+
+// Campos de la regla tal como llegan en POST y PUT
+const datosRegla = (body) => ({
+    nombre: body.nombre,
+    aplica_a: body.aplica_a || 'salon',
+    tipo: body.tipo,
+    valor: body.valor,
+    prioridad: body.prioridad,
+    exclusiva: body.exclusiva,
+    salon_id: body.salon_id,
+    servicio_id: body.servicio_id,
+    turno_id: body.turno_id,
+    dias_semana: body.dias_semana,
+    fecha_desde: body.fecha_desde,
+    fecha_hasta: body.fecha_hasta,
+    anticipacion_min: body.anticipacion_min,
+    anticipacion_max: body.anticipacion_max
+});
+
+class ReglasPrecioController {
+
+    /**
+     * @swagger
+     * /api/reglas-precio:
+     *   get:
+     *     summary: Listar reglas de precio
+     *     tags: [Reglas de precio]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *       - in: query
+     *         name: salonId
+     *         schema:
+     *           type: integer
+     *         description: Reglas del salón y reglas generales
+     *       - in: query
+     *         name: aplicaA
+     *         schema:
+     *           type: string
+     *           enum: [salon, servicio]
+     *       - in: query
+     *         name: includeInactive
+     *         schema:
+     *           type: boolean
+     *     responses:
+     *       200:
+     *         description: Reglas en orden de aplicación
+     */
+    static async getAll(req, res, next) {
+        try {
+            const { page = 1, limit = 10, salonId = null, aplicaA = null, includeInactive = false } = req.query;
+
+            const result = await ReglaPrecio.findAll({
+                page: parseInt(page),
+                limit: parseInt(limit),
+                salonId,
+                aplicaA,
+                includeInactive: includeInactive === true || includeInactive === 'true'
+            });
+
+            res.status(200).json({
+                status: 'success',
+                data: result.reglas,
+                pagination: result.pagination
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reglas-precio/{id}:
+     *   get:
+     *     summary: Obtener regla de precio
+     *     tags: [Reglas de precio]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Regla obtenida
+     *       404:
+     *         description: Regla no encontrada
+     */
+    static async getById(req, res, next) {
+        try {
+            const regla = await ReglaPrecio.findById(req.params.id);
+            if (!regla) {
+                throw createError('Regla de precio no encontrada', 404);
+            }
+
+            res.status(200).json({
+                status: 'success',
+                data: regla
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reglas-precio:
+     *   post:
+     *     summary: Crear regla de precio (solo administradores)
+     *     description: |
+     *       Las condiciones omitidas o null aplican a cualquier valor. "porcentaje" suma valor%
+     *       del importe acumulado y "fijo" suma valor; un valor negativo es un descuento.
+     *       Las reglas se aplican de mayor a menor prioridad y una regla exclusiva detiene
+     *       la evaluación del concepto.
+     *     tags: [Reglas de precio]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - nombre
+     *               - tipo
+     *               - valor
+     *             properties:
+     *               nombre:
+     *                 type: string
+     *                 example: Recargo fin de semana
+     *               aplica_a:
+     *                 type: string
+     *                 enum: [salon, servicio]
+     *                 default: salon
+     *               tipo:
+     *                 type: string
+     *                 enum: [porcentaje, fijo]
+     *               valor:
+     *                 type: number
+     *                 example: 20
+     *               prioridad:
+     *                 type: integer
+     *                 default: 0
+     *               exclusiva:
+     *                 type: boolean
+     *                 default: false
+     *               salon_id:
+     *                 type: integer
+     *               servicio_id:
+     *                 type: integer
+     *                 description: Solo para reglas que aplican a servicios
+     *               turno_id:
+     *                 type: integer
+     *               dias_semana:
+     *                 type: array
+     *                 items:
+     *                   type: integer
+     *                   minimum: 0
+     *                   maximum: 6
+     *                 example: [0, 6]
+     *                 description: 0 = domingo ... 6 = sábado
+     *               fecha_desde:
+     *                 type: string
+     *                 format: date
+     *               fecha_hasta:
+     *                 type: string
+     *                 format: date
+     *               anticipacion_min:
+     *                 type: integer
+     *                 description: Días mínimos entre el día en que se reserva y la fecha reservada
+     *               anticipacion_max:
+     *                 type: integer
+     *     responses:
+     *       201:
+     *         description: Regla creada
+     *       400:
+     *         description: Datos inválidos o referencias inexistentes
+     */
+    static async create(req, res, next) {
+        try {
+            const regla = await ReglaPrecio.create(datosRegla(req.body));
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Regla de precio creada exitosamente',
+                data: regla
+            });
+        } catch (error) {
+            if (error.message.includes('no existe')) {
+                next(createError(error.message, 400));
+            } else {
+                next(error);
+            }
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reglas-precio/{id}:
+     *   put:
+     *     summary: Reemplazar regla de precio (solo administradores)
+     *     description: Las reservas ya creadas conservan el precio con que se cotizaron
+     *     tags: [Reglas de precio]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Regla actualizada
+     *       404:
+     *         description: Regla no encontrada
+     */
+    static async update(req, res, next) {
+        try {
+            const regla = await ReglaPrecio.findActiveById(req.params.id);
+            if (!regla) {
+                throw createError('Regla de precio no encontrada', 404);
+            }
+
+            const reglaActualizada = await regla.update(datosRegla(req.body));
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Regla de precio actualizada exitosamente',
+                data: reglaActualizada
+            });
+        } catch (error) {
+            if (error.message.includes('no existe')) {
+                next(createError(error.message, 400));
+            } else {
+                next(error);
+            }
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reglas-precio/{id}:
+     *   delete:
+     *     summary: Eliminar regla de precio (solo administradores)
+     *     tags: [Reglas de precio]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Regla eliminada
+     *       404:
+     *         description: Regla no encontrada
+     */
+    static async delete(req, res, next) {
+        try {
+            const regla = await ReglaPrecio.findActiveById(req.params.id);
+            if (!regla) {
+                throw createError('Regla de precio no encontrada', 404);
+            }
+
+            await regla.softDelete();
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Regla de precio eliminada exitosamente'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+export default ReglasPrecioController;
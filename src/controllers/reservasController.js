@@ -1,11 +1,19 @@
 import Reserva from '../models/Reserva.js';
+import { MENSAJE_CUPON_INVALIDO } from '../models/Cupon.js';
+import NotificacionesService from '../services/notificacionesService.js';
+import ComprobanteService from '../services/comprobanteService.js';
+import AuditoriaService from '../services/auditoriaService.js';
+import ListaEsperaService from '../services/listaEsperaService.js';
 import { createError } from '../middlewares/errorHandler.js';
+import { transaction } from '../config/database.js';
+import { can, ownerIdFor } from '../config/permisos.js';
+import { ESTADOS_RESERVA } from '../config/estadosReserva.js';
 
 /**
  * @swagger
  * tags:
  *   name: Reservas
- *   description: Gestión de reservas - BREAD completo solo para Administradores
+ *   description: Gestión de reservas - Administradores y empleados gestionan todas; los clientes ven, crean y cancelan las propias
  */
 
 class ReservasController {
@@ -69,6 +77,22 @@ class ReservasController {
      *         schema:
      *           type: integer
      *           minimum: 1
+     *       - in: query
+     *         name: serieId
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *         description: Solo las reservas de la serie
+     *       - in: query
+     *         name: estado
+     *         schema:
+     *           type: string
+     *           enum: [pendiente, confirmada, pagada, realizada, cancelada]
+     *       - in: query
+     *         name: pagoVencido
+     *         schema:
+     *           type: boolean
+     *         description: Solo reservas con saldo pendiente y la fecha límite de pago vencida
      */
     static async getAll(req, res, next) {
         try {
@@ -81,16 +105,16 @@ class ReservasController {
                 fechaHasta,
                 usuarioId,
                 salonId,
-                turnoId
+                turnoId,
+                serieId,
+                estado,
+                pagoVencido = false
             } = req.query;
             
-            // Los clientes solo pueden ver sus propias reservas
-            let finalUsuarioId = usuarioId;
-            if (req.user.tipo === 3) { // Cliente
-                finalUsuarioId = req.user.id;
-            }
+            // Con alcance "own" solo se listan las reservas propias
+            const finalUsuarioId = ownerIdFor(req.user, 'reservas:read') || usuarioId;
             
-            const canSeeInactive = req.user.tipo === 1 && includeInactive === 'true';
+            const canSeeInactive = can(req.user, 'reservas:read_inactive') && includeInactive === 'true';
             
             const options = {
                 page: parseInt(page),
@@ -102,6 +126,9 @@ class ReservasController {
                 usuarioId: finalUsuarioId,
                 salonId,
                 turnoId,
+                serieId,
+                estado,
+                pagoVencido: pagoVencido === true || pagoVencido === 'true',
                 includeRelations: true
             };
             
@@ -119,7 +146,7 @@ class ReservasController {
 
     /**
      * @swagger
-     * /api/reservas/stats/monthly:
+     * /api/reservas/stats/monthly-reservations:
      *   get:
      *     summary: Obtener estadísticas de reservas por mes
      *     tags: [Reservas]
@@ -132,7 +159,7 @@ class ReservasController {
      *           type: integer
      *           minimum: 2020
      *           maximum: 2030
-     *         description: Año para las estadísticas (default: año actual)
+     *         description: "Año para las estadísticas (por defecto, el año actual)"
      */
     static async getStatsByMonth(req, res, next) {
         try {
@@ -157,7 +184,7 @@ class ReservasController {
 
     /**
      * @swagger
-     * /api/reservas/upcoming:
+     * /api/reservas/stats/upcoming:
      *   get:
      *     summary: Obtener reservas próximas (para recordatorios)
      *     tags: [Reservas]
@@ -194,6 +221,45 @@ class ReservasController {
         }
     }
 
+    /**
+     * @swagger
+     * /api/reservas/stats/most-reserved-month:
+     *   get:
+     *     summary: Obtener el mes con más reservas del año
+     *     tags: [Reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: year
+     *         schema:
+     *           type: integer
+     *           minimum: 2020
+     *           maximum: 2030
+     *         description: "Año a consultar (por defecto, el año actual)"
+     */
+    static async getMostReservedMonth(req, res, next) {
+        try {
+            const { year = new Date().getFullYear() } = req.query;
+            
+            const parsedYear = parseInt(year);
+            if (isNaN(parsedYear) || parsedYear < 2020 || parsedYear > 2030) {
+                throw createError('El año debe estar entre 2020 y 2030', 400);
+            }
+            
+            const stats = await Reserva.getStatsByMonth(parsedYear);
+            const mes = stats.reduce((max, stat) => (!max || stat.total_reservas > max.total_reservas ? stat : max), null);
+            
+            res.status(200).json({
+                status: 'success',
+                message: `Mes con más reservas de ${parsedYear} obtenido exitosamente`,
+                data: mes
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * @swagger
      * /api/reservas/{id}:
@@ -213,19 +279,15 @@ class ReservasController {
     static async getById(req, res, next) {
         try {
             const { id } = req.params;
-            const reserva = await Reserva.findById(id, true);
+            // Con alcance "own" el modelo solo encuentra reservas del propio usuario
+            const reserva = await Reserva.findById(id, true, ownerIdFor(req.user, 'reservas:read'));
             
             if (!reserva) {
                 throw createError('Reserva no encontrada', 404);
             }
             
-            // Los clientes solo pueden ver sus propias reservas
-            if (req.user.tipo === 3 && reserva.usuario_id !== req.user.id) {
-                throw createError('No tienes permisos para ver esta reserva', 403);
-            }
-            
-            // Los empleados solo pueden ver reservas activas
-            if (req.user.tipo === 2 && !reserva.activo) {
+            // Las reservas eliminadas solo las ven quienes pueden ver inactivas
+            if (!reserva.activo && !can(req.user, 'reservas:read_inactive')) {
                 throw createError('Reserva no encontrada', 404);
             }
             
@@ -243,6 +305,7 @@ class ReservasController {
      * /api/reservas:
      *   post:
      *     summary: Crear nueva reserva (Add)
+     *     description: Si el usuario tiene el turno retenido (POST /api/reservas/holds) u ofrecido por la lista de espera, la reserva lo conserva.
      *     tags: [Reservas]
      *     security:
      *       - bearerAuth: []
@@ -286,37 +349,58 @@ class ReservasController {
      *                       type: integer
      *                       minimum: 1
      *                 example: [{"servicio_id": 1}, {"servicio_id": 2}]
+     *               codigo_cupon:
+     *                 type: string
+     *                 maxLength: 50
+     *                 example: "PRIMAVERA10"
+     *     responses:
+     *       201:
+     *         description: Reserva creada en estado pendiente
+     *       409:
+     *         description: El salón ya está reservado en esa fecha y turno
      */
     static async create(req, res, next) {
         try {
-            const { fecha_reserva, salon_id, turno_id, foto_cumpleaniero, tematica, servicios = [] } = req.body;
+            const { fecha_reserva, salon_id, turno_id, foto_cumpleaniero, tematica, servicios = [], codigo_cupon } = req.body;
             
-            // Los clientes solo pueden crear reservas para sí mismos
-            const usuario_id = req.user.tipo === 3 ? req.user.id : req.body.usuario_id;
+            // Con alcance "own" la reserva siempre se crea para el propio usuario
+            const usuario_id = ownerIdFor(req.user, 'reservas:create') || req.body.usuario_id;
             
             if (!usuario_id) {
                 throw createError('El usuario_id es requerido para administradores y empleados', 400);
             }
             
-            const nuevaReserva = await Reserva.create({
-                fecha_reserva,
-                salon_id: parseInt(salon_id),
-                usuario_id: parseInt(usuario_id),
-                turno_id: parseInt(turno_id),
-                foto_cumpleaniero,
-                tematica,
-                servicios
+            const nuevaReserva = await transaction(async (connection) => {
+                const nuevaReserva = await Reserva.create({
+                    fecha_reserva,
+                    salon_id: parseInt(salon_id),
+                    usuario_id: parseInt(usuario_id),
+                    turno_id: parseInt(turno_id),
+                    foto_cumpleaniero,
+                    tematica,
+                    servicios,
+                    codigo_cupon
+                }, req.user.id, connection);
+                
+                await AuditoriaService.registrar(req.user, 'reservas', nuevaReserva.reserva_id, 'create', null, nuevaReserva, {}, connection);
+                return nuevaReserva;
             });
             
+            // Aviso por correo al cliente y al administrador, sin bloquear la respuesta (ver ComprobanteService.adjuntos)
+            ComprobanteService.adjuntos(nuevaReserva)
+                .then(adjuntos => NotificacionesService.notificarNuevaReserva(nuevaReserva, { adjuntos }));
+            
             res.status(201).json({
                 status: 'success',
                 message: 'Reserva creada exitosamente',
                 data: nuevaReserva
             });
         } catch (error) {
-            if (error.message.includes('no está disponible') || 
-                error.message.includes('no existe') ||
-                error.message.includes('no está activo')) {
+            if (error.message.includes('no está disponible')) {
+                next(createError(error.message, 409));
+            } else if (error.message.includes('no existe') ||
+                error.message.includes('no está activo') ||
+                error.message.includes(MENSAJE_CUPON_INVALIDO)) {
                 next(createError(error.message, 400));
             } else {
                 next(error);
@@ -369,22 +453,26 @@ class ReservasController {
      *                     servicio_id:
      *                       type: integer
      *                       minimum: 1
+     *               codigo_cupon:
+     *                 type: string
+     *                 maxLength: 50
+     *                 nullable: true
+     *                 description: Código de cupón a aplicar; null o vacío quita el cupón actual
      */
     static async update(req, res, next) {
         try {
-            // Solo administradores pueden modificar reservas según requerimientos
-            if (req.user.tipo !== 1) {
-                throw createError('Solo los administradores pueden modificar reservas', 403);
-            }
-            
             const { id } = req.params;
-            const { fecha_reserva, salon_id, turno_id, foto_cumpleaniero, tematica, servicios } = req.body;
+            const { fecha_reserva, salon_id, turno_id, foto_cumpleaniero, tematica, servicios, codigo_cupon } = req.body;
             
-            const reserva = await Reserva.findById(id, false);
+            const reserva = await Reserva.findById(id, true, ownerIdFor(req.user, 'reservas:update'));
             if (!reserva) {
                 throw createError('Reserva no encontrada', 404);
             }
             
+            if (!can(req.user, 'reservas:update', reserva)) {
+                throw createError('No tienes permisos para modificar esta reserva', 403);
+            }
+            
             const updateData = {};
             if (fecha_reserva !== undefined) updateData.fecha_reserva = fecha_reserva;
             if (salon_id !== undefined) updateData.salon_id = parseInt(salon_id);
@@ -392,8 +480,16 @@ class ReservasController {
             if (foto_cumpleaniero !== undefined) updateData.foto_cumpleaniero = foto_cumpleaniero;
             if (tematica !== undefined) updateData.tematica = tematica;
             if (servicios !== undefined) updateData.servicios = servicios;
+            if (codigo_cupon !== undefined) updateData.codigo_cupon = codigo_cupon;
             
-            const reservaActualizada = await reserva.update(updateData);
+            const reservaActualizada = await transaction(async (connection) => {
+                const reservaActualizada = await reserva.update(updateData, connection);
+                await AuditoriaService.registrar(req.user, 'reservas', reserva.reserva_id, 'update', reserva, reservaActualizada, {}, connection);
+                return reservaActualizada;
+            });
+
+            // Si la reserva cambió de turno, el original puede ofrecerse a la lista de espera
+            await ListaEsperaService.liberarTurno(reserva.salon_id, reserva.fecha_reserva, reserva.turno_id);
             
             res.status(200).json({
                 status: 'success',
@@ -401,11 +497,13 @@ class ReservasController {
                 data: reservaActualizada
             });
         } catch (error) {
-            if (error.message.includes('no está disponible') || 
-                error.message.includes('no existe') ||
+            if (error.message.includes('no está disponible')) {
+                next(createError(error.message, 409));
+            } else if (error.message.includes('no existe') ||
                 error.message.includes('no está activo') ||
-                error.message.includes('Solo los administradores')) {
-                next(createError(error.message, error.message.includes('Solo los administradores') ? 403 : 400));
+                error.message.includes(MENSAJE_CUPON_INVALIDO) ||
+                error.message.includes('No se puede modificar')) {
+                next(createError(error.message, 400));
             } else {
                 next(error);
             }
@@ -459,21 +557,25 @@ class ReservasController {
      *                     servicio_id:
      *                       type: integer
      *                       minimum: 1
+     *               codigo_cupon:
+     *                 type: string
+     *                 maxLength: 50
+     *                 nullable: true
+     *                 description: Código de cupón a aplicar; null o vacío quita el cupón actual
      */
     static async partialUpdate(req, res, next) {
         try {
-            // Solo administradores pueden modificar reservas
-            if (req.user.tipo !== 1) {
-                throw createError('Solo los administradores pueden modificar reservas', 403);
-            }
-            
             const { id } = req.params;
-            const { fecha_reserva, salon_id, turno_id, foto_cumpleaniero, tematica, servicios, activo } = req.body;
+            const { fecha_reserva, salon_id, turno_id, foto_cumpleaniero, tematica, servicios, codigo_cupon, activo } = req.body;
             
-            const reserva = await Reserva.findById(id, false);
+            const reserva = await Reserva.findById(id, true, ownerIdFor(req.user, 'reservas:update'));
             if (!reserva) {
                 throw createError('Reserva no encontrada', 404);
             }
+            
+            if (!can(req.user, 'reservas:update', reserva)) {
+                throw createError('No tienes permisos para modificar esta reserva', 403);
+            }
 
             const updateData = {};
             
@@ -501,11 +603,20 @@ class ReservasController {
                 updateData.servicios = servicios;
             }
             
+            if (codigo_cupon !== undefined) {
+                updateData.codigo_cupon = codigo_cupon;
+            }
+            
             if (activo !== undefined) {
                 updateData.activo = activo;
             }
 
-            const reservaActualizada = await reserva.update(updateData);
+            const reservaActualizada = await transaction(async (connection) => {
+                const reservaActualizada = await reserva.update(updateData, connection);
+                await AuditoriaService.registrar(req.user, 'reservas', reserva.reserva_id, 'partial_update', reserva, reservaActualizada, {}, connection);
+                return reservaActualizada;
+            });
+            await ListaEsperaService.liberarTurno(reserva.salon_id, reserva.fecha_reserva, reserva.turno_id);
 
             res.status(200).json({
                 status: 'success',
@@ -513,11 +624,13 @@ class ReservasController {
                 data: reservaActualizada
             });
         } catch (error) {
-            if (error.message.includes('no está disponible') || 
-                error.message.includes('no existe') ||
+            if (error.message.includes('no está disponible')) {
+                next(createError(error.message, 409));
+            } else if (error.message.includes('no existe') ||
                 error.message.includes('no está activo') ||
-                error.message.includes('Solo los administradores')) {
-                next(createError(error.message, error.message.includes('Solo los administradores') ? 403 : 400));
+                error.message.includes(MENSAJE_CUPON_INVALIDO) ||
+                error.message.includes('No se puede modificar')) {
+                next(createError(error.message, 400));
             } else {
                 next(error);
             }
@@ -542,34 +655,313 @@ class ReservasController {
      */
     static async delete(req, res, next) {
         try {
-            // Solo administradores pueden eliminar reservas
-            if (req.user.tipo !== 1) {
-                throw createError('Solo los administradores pueden eliminar reservas', 403);
-            }
-            
             const { id } = req.params;
             
-            const reserva = await Reserva.findById(id, false);
+            const reserva = await Reserva.findById(id, true, ownerIdFor(req.user, 'reservas:delete'));
             if (!reserva) {
                 throw createError('Reserva no encontrada', 404);
             }
             
+            if (!can(req.user, 'reservas:delete', reserva)) {
+                throw createError('No tienes permisos para eliminar esta reserva', 403);
+            }
+            
             if (!reserva.activo) {
                 throw createError('La reserva ya está eliminada', 400);
             }
             
-            await reserva.softDelete();
+            const antes = AuditoriaService.snapshot(reserva);
+            await transaction(async (connection) => {
+                await reserva.softDelete(connection);
+                await AuditoriaService.registrar(req.user, 'reservas', reserva.reserva_id, 'delete', antes, reserva, {}, connection);
+            });
+            await ListaEsperaService.liberarTurno(reserva.salon_id, reserva.fecha_reserva, reserva.turno_id);
             
             res.status(200).json({
                 status: 'success',
                 message: 'Reserva eliminada exitosamente'
             });
         } catch (error) {
-            if (error.message.includes('Solo los administradores')) {
-                next(createError(error.message, 403));
-            } else {
-                next(error);
+            next(error);
+        }
+    }
+    
+    /**
+     * Aplica una transición de estado a la reserva y responde con la reserva actualizada
+     */
+    static async transicionar(req, res, next, estado, mensaje) {
+        try {
+            const { id } = req.params;
+            
+            const reserva = await Reserva.findById(id);
+            if (!reserva || !reserva.activo) {
+                throw createError('Reserva no encontrada', 404);
+            }
+            
+            const reservaActualizada = await transaction(async (connection) => {
+                const reservaActualizada = await reserva.cambiarEstado(estado, {
+                    autorId: req.user.id,
+                    motivo: req.body.motivo
+                }, connection);
+                await AuditoriaService.registrar(req.user, 'reservas', reserva.reserva_id, 'transition', reserva, reservaActualizada, {}, connection);
+                return reservaActualizada;
+            });
+            
+            res.status(200).json({
+                status: 'success',
+                message: mensaje,
+                data: reservaActualizada
+            });
+        } catch (error) {
+            next(ReservasController.mapEstadoError(error));
+        }
+    }
+
+    /**
+     * Errores de transición: 409 si el estado no lo permite o cambió en paralelo
+     */
+    static mapEstadoError(error) {
+        if (error.message.includes('Transición de estado') || error.message.includes('cambió de estado')) {
+            return createError(error.message, 409);
+        }
+        if (error.message.includes('plazo para cancelar')) {
+            return createError(error.message, 400);
+        }
+        return error;
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/confirm:
+     *   patch:
+     *     summary: Confirmar reserva pendiente
+     *     tags: [Reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TransicionReserva'
+     *     responses:
+     *       200:
+     *         description: Reserva confirmada
+     *       409:
+     *         description: La reserva no está pendiente
+     */
+    static async confirm(req, res, next) {
+        return ReservasController.transicionar(req, res, next, ESTADOS_RESERVA.CONFIRMADA, 'Reserva confirmada exitosamente');
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/pay:
+     *   patch:
+     *     summary: Marcar reserva confirmada como pagada
+     *     tags: [Reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TransicionReserva'
+     *     responses:
+     *       200:
+     *         description: Reserva marcada como pagada
+     *       409:
+     *         description: La reserva no está confirmada
+     */
+    static async markPaid(req, res, next) {
+        return ReservasController.transicionar(req, res, next, ESTADOS_RESERVA.PAGADA, 'Reserva marcada como pagada exitosamente');
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/complete:
+     *   patch:
+     *     summary: Marcar reserva pagada como realizada
+     *     tags: [Reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TransicionReserva'
+     *     responses:
+     *       200:
+     *         description: Reserva marcada como realizada
+     *       409:
+     *         description: La reserva no está pagada
+     */
+    static async complete(req, res, next) {
+        return ReservasController.transicionar(req, res, next, ESTADOS_RESERVA.REALIZADA, 'Reserva marcada como realizada exitosamente');
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/cancel:
+     *   patch:
+     *     summary: Cancelar reserva
+     *     description: Los clientes solo pueden cancelar sus propias reservas y antes de la ventana de cancelación del salón (horas_cancelacion)
+     *     tags: [Reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TransicionReserva'
+     *     responses:
+     *       200:
+     *         description: Reserva cancelada
+     *       409:
+     *         description: La reserva ya está realizada o cancelada
+     */
+    static async cancel(req, res, next) {
+        try {
+            const { id } = req.params;
+            const usuarioId = ownerIdFor(req.user, 'reservas:cancel');
+            
+            const reserva = await Reserva.findById(id, true, usuarioId);
+            if (!reserva || !reserva.activo) {
+                throw createError('Reserva no encontrada', 404);
             }
+            
+            // Administradores y empleados pueden cancelar fuera de la ventana del salón
+            const reservaCancelada = await transaction(async (connection) => {
+                const reservaCancelada = await reserva.cancel({
+                    autorId: req.user.id,
+                    motivo: req.body.motivo,
+                    usuarioDueno: usuarioId,
+                    respetarPlazo: Boolean(usuarioId)
+                }, connection);
+                await AuditoriaService.registrar(req.user, 'reservas', reserva.reserva_id, 'transition', reserva, reservaCancelada, {}, connection);
+                return reservaCancelada;
+            });
+            await ListaEsperaService.liberarTurno(reserva.salon_id, reserva.fecha_reserva, reserva.turno_id);
+            
+            res.status(200).json({
+                status: 'success',
+                message: 'Reserva cancelada exitosamente',
+                data: reservaCancelada
+            });
+        } catch (error) {
+            next(ReservasController.mapEstadoError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/historial:
+     *   get:
+     *     summary: Historial de cambios de estado de la reserva
+     *     tags: [Reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     */
+    static async getHistorial(req, res, next) {
+        try {
+            const { id } = req.params;
+            
+            const reserva = await Reserva.findById(id, false, ownerIdFor(req.user, 'reservas:read'));
+            if (!reserva) {
+                throw createError('Reserva no encontrada', 404);
+            }
+            
+            const historial = await reserva.getHistorial();
+            
+            res.status(200).json({
+                status: 'success',
+                data: historial
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/{id}/comprobante:
+     *   get:
+     *     summary: Comprobante de la reserva en PDF
+     *     description: |
+     *       Salón, turno, servicios, importes, pagos registrados, saldo y un código QR con
+     *       la referencia de la reserva. Los clientes solo pueden obtener el de sus reservas.
+     *     tags: [Reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *     responses:
+     *       200:
+     *         description: Comprobante
+     *         content:
+     *           application/pdf:
+     *             schema:
+     *               type: string
+     *               format: binary
+     *       404:
+     *         description: Reserva no encontrada
+     */
+    static async getComprobante(req, res, next) {
+        try {
+            const { id } = req.params;
+            
+            const reserva = await Reserva.findById(id, true, ownerIdFor(req.user, 'reservas:read'));
+            if (!reserva || !reserva.activo) {
+                throw createError('Reserva no encontrada', 404);
+            }
+            
+            const pdf = await ComprobanteService.generarPdf(reserva);
+            
+            res.status(200)
+                .set('Content-Type', 'application/pdf')
+                .set('Content-Disposition', `inline; filename="comprobante-${ComprobanteService.referencia(reserva)}.pdf"`)
+                .send(pdf);
+        } catch (error) {
+            next(error);
         }
     }
     
@@ -591,23 +983,26 @@ class ReservasController {
      */
     static async restore(req, res, next) {
         try {
-            // Solo administradores pueden restaurar reservas
-            if (req.user.tipo !== 1) {
-                throw createError('Solo los administradores pueden restaurar reservas', 403);
-            }
-            
             const { id } = req.params;
             
-            const reserva = await Reserva.findById(id, false);
+            const reserva = await Reserva.findById(id, true, ownerIdFor(req.user, 'reservas:restore'));
             if (!reserva) {
                 throw createError('Reserva no encontrada', 404);
             }
             
+            if (!can(req.user, 'reservas:restore', reserva)) {
+                throw createError('No tienes permisos para restaurar esta reserva', 403);
+            }
+            
             if (reserva.activo) {
                 throw createError('La reserva ya está activa', 400);
             }
             
-            const reservaRestaurada = await reserva.restore();
+            const reservaRestaurada = await transaction(async (connection) => {
+                const reservaRestaurada = await reserva.restore(connection);
+                await AuditoriaService.registrar(req.user, 'reservas', reserva.reserva_id, 'restore', reserva, reservaRestaurada, {}, connection);
+                return reservaRestaurada;
+            });
             
             res.status(200).json({
                 status: 'success',
@@ -615,9 +1010,9 @@ class ReservasController {
                 data: reservaRestaurada
             });
         } catch (error) {
-            if (error.message.includes('Solo los administradores')) {
-                next(createError(error.message, 403));
-            } else if (error.message.includes('No se puede restaurar')) {
+            if (error.message.includes('no está disponible')) {
+                next(createError(error.message, 409));
+            } else if (error.message.includes('no está activo')) {
                 next(createError(error.message, 400));
             } else {
                 next(error);
@@ -681,6 +1076,88 @@ class ReservasController {
             next(error);
         }
     }
+
+    /**
+     * @swagger
+     * /api/reservas/quote:
+     *   post:
+     *     summary: Cotizar una reserva sin crearla
+     *     description: |
+     *       Aplica las reglas de precio vigentes y devuelve el importe del salón, de cada servicio
+     *       y el desglose de ajustes, junto con la disponibilidad del salón en esa fecha y turno.
+     *     tags: [Reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - fecha_reserva
+     *               - salon_id
+     *               - turno_id
+     *             properties:
+     *               fecha_reserva:
+     *                 type: string
+     *                 format: date
+     *               salon_id:
+     *                 type: integer
+     *                 minimum: 1
+     *               turno_id:
+     *                 type: integer
+     *                 minimum: 1
+     *               servicios:
+     *                 type: array
+     *                 items:
+     *                   type: object
+     *                   properties:
+     *                     servicio_id:
+     *                       type: integer
+     *                       minimum: 1
+     *               codigo_cupon:
+     *                 type: string
+     *                 maxLength: 50
+     *     responses:
+     *       200:
+     *         description: Cotización de la reserva
+     *       400:
+     *         description: Salón, turno o servicio inexistente o inactivo
+     */
+    static async quote(req, res, next) {
+        try {
+            const { fecha_reserva, salon_id, turno_id, servicios = [], codigo_cupon } = req.body;
+            
+            // Los límites de uso por usuario del cupón se evalúan para quien haría la reserva
+            const usuario_id = ownerIdFor(req.user, 'reservas:create') || req.body.usuario_id || null;
+            
+            const cotizacion = await Reserva.cotizar({
+                fecha_reserva,
+                salon_id: parseInt(salon_id),
+                turno_id: parseInt(turno_id),
+                servicios,
+                codigo_cupon,
+                usuario_id: usuario_id ? parseInt(usuario_id) : null
+            });
+            
+            const disponible = await Reserva.checkAvailability(cotizacion.salon_id, fecha_reserva, cotizacion.turno_id);
+            
+            res.status(200).json({
+                status: 'success',
+                message: 'Cotización calculada exitosamente',
+                data: { ...cotizacion, disponible }
+            });
+        } catch (error) {
+            if (error.message.includes('no existe') ||
+                error.message.includes('no está activo') ||
+                error.message.includes(MENSAJE_CUPON_INVALIDO)) {
+                next(createError(error.message, 400));
+            } else {
+                next(error);
+            }
+        }
+    }
 }
 
 export default ReservasController;
\ No newline at end of file
@@ -0,0 +1,309 @@
+import Retencion from '../models/Retencion.js';
+import { MENSAJE_CUPON_INVALIDO } from '../models/Cupon.js';
+import RetencionesService from '../services/retencionesService.js';
+import AuditoriaService from '../services/auditoriaService.js';
+import ComprobanteService from '../services/comprobanteService.js';
+import NotificacionesService from '../services/notificacionesService.js';
+import { createError } from '../middlewares/errorHandler.js';
+import { transaction } from '../config/database.js';
+import { ownerIdFor } from '../config/permisos.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Retenciones
+ *   description: |
+ *     Retención temporal de un turno mientras el cliente completa la reserva. Mientras está
+ *     vigente el turno figura como reservado para todos los demás; al reservar el mismo turno
+ *     (con POST /api/reservas o confirmando la retención) se conserva sin liberarse.
+ */
+
+// Errores del modelo y de Reserva.create que corresponden a respuestas distintas de 500
+const mapRetencionError = (error) => {
+    if (error.message.includes('ya está retenido') || error.message.includes('no está disponible')) {
+        return createError(error.message, 409);
+    }
+    if (error.message.includes('no existe') ||
+        error.message.includes('no está activo') ||
+        error.message.includes(MENSAJE_CUPON_INVALIDO)) {
+        return createError(error.message, 400);
+    }
+    return error;
+};
+
+class RetencionesController {
+
+    /**
+     * @swagger
+     * /api/reservas/holds:
+     *   get:
+     *     summary: Listar retenciones de turnos
+     *     description: Los clientes solo ven las propias
+     *     tags: [Retenciones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *       - in: query
+     *         name: salonId
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: estado
+     *         schema:
+     *           type: string
+     *           enum: [activa, convertida, liberada, vencida]
+     *       - in: query
+     *         name: usuarioId
+     *         schema:
+     *           type: integer
+     *         description: Solo administradores y empleados
+     *     responses:
+     *       200:
+     *         description: Retenciones
+     */
+    static async getAll(req, res, next) {
+        try {
+            const { page = 1, limit = 10, salonId, estado, usuarioId } = req.query;
+
+            const result = await Retencion.findAll({
+                page: parseInt(page),
+                limit: parseInt(limit),
+                usuarioId: ownerIdFor(req.user, 'retenciones:read') || (usuarioId ? parseInt(usuarioId) : null),
+                salonId: salonId ? parseInt(salonId) : null,
+                estado
+            });
+
+            res.status(200).json({
+                status: 'success',
+                data: result.retenciones,
+                pagination: result.pagination
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/holds/{id}:
+     *   get:
+     *     summary: Obtener una retención
+     *     tags: [Retenciones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Retención
+     *       404:
+     *         description: Retención no encontrada
+     */
+    static async getById(req, res, next) {
+        try {
+            const retencion = await Retencion.findById(req.params.id, ownerIdFor(req.user, 'retenciones:read'));
+            if (!retencion) {
+                throw createError('Retención no encontrada', 404);
+            }
+
+            res.status(200).json({
+                status: 'success',
+                data: retencion
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/holds:
+     *   post:
+     *     summary: Retener un turno disponible durante el checkout
+     *     description: La retención vence a los HOLD_MINUTES minutos (15 por defecto)
+     *     tags: [Retenciones]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [fecha_reserva, salon_id, turno_id]
+     *             properties:
+     *               fecha_reserva:
+     *                 type: string
+     *                 format: date
+     *                 example: "2025-12-25"
+     *               salon_id:
+     *                 type: integer
+     *                 example: 1
+     *               turno_id:
+     *                 type: integer
+     *                 example: 1
+     *               usuario_id:
+     *                 type: integer
+     *                 description: Requerido para administradores y empleados; los clientes retienen para sí mismos
+     *     responses:
+     *       201:
+     *         description: Turno retenido hasta la fecha de vencimiento indicada
+     *       400:
+     *         description: Datos inválidos o salón/turno inexistente
+     *       409:
+     *         description: El turno no está disponible o el usuario alcanzó el límite de retenciones
+     */
+    static async create(req, res, next) {
+        try {
+            const { fecha_reserva, salon_id, turno_id } = req.body;
+            const usuario_id = ownerIdFor(req.user, 'retenciones:create') || req.body.usuario_id;
+
+            if (!usuario_id) {
+                throw createError('El usuario_id es requerido para administradores y empleados', 400);
+            }
+
+            const retencion = await RetencionesService.retener({
+                fecha_reserva,
+                salon_id: parseInt(salon_id),
+                turno_id: parseInt(turno_id),
+                usuario_id: parseInt(usuario_id)
+            });
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Turno retenido exitosamente',
+                data: retencion
+            });
+        } catch (error) {
+            next(mapRetencionError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/holds/{id}:
+     *   delete:
+     *     summary: Liberar una retención antes de que venza
+     *     tags: [Retenciones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Retención liberada
+     *       404:
+     *         description: Retención no encontrada
+     *       409:
+     *         description: La retención ya no está vigente
+     */
+    static async release(req, res, next) {
+        try {
+            const retencion = await Retencion.findById(req.params.id, ownerIdFor(req.user, 'retenciones:release'));
+            if (!retencion) {
+                throw createError('Retención no encontrada', 404);
+            }
+
+            const liberada = await RetencionesService.liberar(retencion);
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Retención liberada exitosamente',
+                data: liberada
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/holds/{id}/confirm:
+     *   post:
+     *     summary: Convertir la retención en una reserva
+     *     description: Equivale a POST /api/reservas con el salón, la fecha y el turno retenidos
+     *     tags: [Retenciones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               foto_cumpleaniero:
+     *                 type: string
+     *               tematica:
+     *                 type: string
+     *               servicios:
+     *                 type: array
+     *                 items:
+     *                   type: object
+     *                   properties:
+     *                     servicio_id:
+     *                       type: integer
+     *               codigo_cupon:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Reserva creada
+     *       404:
+     *         description: Retención no encontrada
+     *       409:
+     *         description: La retención ya no está vigente
+     */
+    static async confirm(req, res, next) {
+        try {
+            const retencion = await Retencion.findById(req.params.id, ownerIdFor(req.user, 'retenciones:confirm'));
+            if (!retencion) {
+                throw createError('Retención no encontrada', 404);
+            }
+
+            const reserva = await transaction(async (connection) => {
+                const reserva = await RetencionesService.confirmar(retencion, req.body || {}, req.user.id, connection);
+
+                await AuditoriaService.registrar(req.user, 'reservas', reserva.reserva_id, 'create', null, reserva, {}, connection);
+                return reserva;
+            });
+
+            // Aviso por correo al cliente y al administrador, sin bloquear la respuesta (ver ComprobanteService.adjuntos)
+            ComprobanteService.adjuntos(reserva)
+                .then(adjuntos => NotificacionesService.notificarNuevaReserva(reserva, { adjuntos }));
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Reserva creada desde la retención',
+                data: reserva
+            });
+        } catch (error) {
+            next(mapRetencionError(error));
+        }
+    }
+}
+
+export default RetencionesController;
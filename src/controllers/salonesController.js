@@ -1,5 +1,21 @@
 import Salon from '../models/Salon.js';
+import Turno from '../models/Turno.js';
 import { createError, asyncHandler } from '../middlewares/errorHandler.js';
+import { transaction } from '../config/database.js';
+import { can } from '../config/permisos.js';
+import CalendarioService from '../services/calendarioService.js';
+import AuditoriaService from '../services/auditoriaService.js';
+
+// Errores del modelo que corresponden a respuestas distintas de 500
+const mapSalonError = (error) => {
+    if (error.message.includes('Ya existe un salon')) {
+        return createError(error.message, 409);
+    }
+    if (error.message.includes('tiene reservas activas')) {
+        return createError(error.message, 400);
+    }
+    return error;
+};
 
 class SalonesController {
     /**
@@ -48,7 +64,7 @@ class SalonesController {
         const { page = 1, limit = 10, search = '', includeInactive = false } = req.query;
         
         // Solo administradores pueden ver inactivos
-        const canSeeInactive = req.user.tipo === 1 && includeInactive === true;
+        const canSeeInactive = can(req.user, 'salones:read_inactive') && includeInactive === true;
         
         const options = {
             page: parseInt(page),
@@ -80,7 +96,7 @@ class SalonesController {
         const { id } = req.params;
         
         // Administradores pueden ver cualquier salón, otros solo activos
-        const salon = req.user.tipo === 1 
+        const salon = can(req.user, 'salones:read_inactive')
             ? await Salon.findById(id)
             : await Salon.findActiveById(id);
             
@@ -105,7 +121,7 @@ class SalonesController {
      *       - bearerAuth: []
      */
     static create = asyncHandler(async (req, res) => {
-        const { titulo, direccion, latitud, longitud, capacidad, importe } = req.body;
+        const { titulo, direccion, latitud, longitud, capacidad, importe, horas_cancelacion } = req.body;
         
         // Validar datos
         const errors = Salon.validateData(req.body);
@@ -113,13 +129,19 @@ class SalonesController {
             throw createError('Datos de entrada inválidos', 400, errors);
         }
         
-        const newSalon = await Salon.create({
-            titulo: titulo.trim(),
-            direccion: direccion.trim(),
-            latitud,
-            longitud,
-            capacidad: parseInt(capacidad),
-            importe: parseFloat(importe)
+        const newSalon = await transaction(async (connection) => {
+            const newSalon = await Salon.create({
+                titulo: titulo.trim(),
+                direccion: direccion.trim(),
+                latitud,
+                longitud,
+                capacidad: parseInt(capacidad),
+                importe: parseFloat(importe),
+                horas_cancelacion
+            }, connection).catch(error => { throw mapSalonError(error); });
+            
+            await AuditoriaService.registrar(req.user, 'salones', newSalon.salon_id, 'create', null, newSalon, {}, connection);
+            return newSalon;
         });
         
         res.status(201).json({
@@ -140,7 +162,7 @@ class SalonesController {
      */
     static update = asyncHandler(async (req, res) => {
         const { id } = req.params;
-        const { titulo, direccion, latitud, longitud, capacidad, importe } = req.body;
+        const { titulo, direccion, latitud, longitud, capacidad, importe, horas_cancelacion } = req.body;
         
         // Validar datos
         const errors = Salon.validateData(req.body, true);
@@ -148,19 +170,26 @@ class SalonesController {
             throw createError('Datos de entrada inválidos', 400, errors);
         }
         
-        const updatedSalon = await Salon.update(id, {
-            titulo: titulo?.trim(),
-            direccion: direccion?.trim(),
-            latitud,
-            longitud,
-            capacidad: capacidad ? parseInt(capacidad) : undefined,
-            importe: importe ? parseFloat(importe) : undefined
-        });
-        
-        if (!updatedSalon) {
+        const salon = await Salon.findById(id);
+        if (!salon) {
             throw createError('Salón no encontrado', 404);
         }
         
+        const updatedSalon = await transaction(async (connection) => {
+            const updatedSalon = await salon.update({
+                titulo: titulo?.trim(),
+                direccion: direccion?.trim(),
+                latitud,
+                longitud,
+                capacidad: capacidad !== undefined ? parseInt(capacidad) : undefined,
+                importe: importe !== undefined ? parseFloat(importe) : undefined,
+                horas_cancelacion
+            }, connection).catch(error => { throw mapSalonError(error); });
+            
+            await AuditoriaService.registrar(req.user, 'salones', salon.salon_id, 'update', salon, updatedSalon, {}, connection);
+            return updatedSalon;
+        });
+        
         res.status(200).json({
             status: 'success',
             message: 'Salón actualizado exitosamente',
@@ -189,7 +218,11 @@ class SalonesController {
             throw createError('El salón ya está eliminado', 400);
         }
         
-        await salon.softDelete();
+        const antes = AuditoriaService.snapshot(salon);
+        await transaction(async (connection) => {
+            await salon.softDelete(connection).catch(error => { throw mapSalonError(error); });
+            await AuditoriaService.registrar(req.user, 'salones', salon.salon_id, 'delete', antes, salon, {}, connection);
+        });
         
         res.status(200).json({
             status: 'success',
@@ -218,7 +251,11 @@ class SalonesController {
             throw createError('El salón ya está activo', 400);
         }
         
-        const salonRestaurado = await salon.restore();
+        const salonRestaurado = await transaction(async (connection) => {
+            const salonRestaurado = await salon.restore(connection);
+            await AuditoriaService.registrar(req.user, 'salones', salon.salon_id, 'restore', salon, salonRestaurado, {}, connection);
+            return salonRestaurado;
+        });
         
         res.status(200).json({
             status: 'success',
@@ -238,7 +275,7 @@ class SalonesController {
      */
     static partialUpdate = asyncHandler(async (req, res) => {
         const { id } = req.params;
-        const { titulo, direccion, latitud, longitud, capacidad, importe, activo } = req.body;
+        const { titulo, direccion, latitud, longitud, capacidad, importe, horas_cancelacion, activo } = req.body;
         
         const salon = await Salon.findById(id);
         if (!salon) {
@@ -271,8 +308,16 @@ class SalonesController {
         if (importe !== undefined) {
             updateData.importe = parseFloat(importe);
         }
+        
+        if (horas_cancelacion !== undefined) {
+            updateData.horas_cancelacion = parseInt(horas_cancelacion);
+        }
 
-        const salonActualizado = await salon.update(updateData);
+        const salonActualizado = await transaction(async (connection) => {
+            const salonActualizado = await salon.update(updateData, connection).catch(error => { throw mapSalonError(error); });
+            await AuditoriaService.registrar(req.user, 'salones', salon.salon_id, 'partial_update', salon, salonActualizado, {}, connection);
+            return salonActualizado;
+        });
 
         res.status(200).json({
             status: 'success',
@@ -293,7 +338,7 @@ class SalonesController {
             throw createError('El límite debe ser un número entre 1 y 20', 400);
         }
         
-        const salonesMasUsados = await Salon.getMostUsed(parsedLimit);
+        const salonesMasUsados = await Salon.getMostReserved(parsedLimit);
         
         res.status(200).json({
             status: 'success',
@@ -301,6 +346,211 @@ class SalonesController {
             data: salonesMasUsados
         });
     });
+
+    /**
+     * @swagger
+     * /api/salones/{id}/availability:
+     *   get:
+     *     summary: Verificar si el salón está libre en una fecha y turno
+     *     tags: [Salones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: fecha
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: turno_id
+     *         required: true
+     *         schema:
+     *           type: integer
+     */
+    static checkAvailability = asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { fecha, turno_id } = req.query;
+        
+        const salon = await Salon.findActiveById(id);
+        if (!salon) {
+            throw createError('Salón no encontrado', 404);
+        }
+        
+        const disponible = await salon.checkAvailability(fecha, parseInt(turno_id));
+        
+        res.status(200).json({
+            status: 'success',
+            data: {
+                salon_id: salon.salon_id,
+                turno_id: parseInt(turno_id),
+                fecha,
+                disponible
+            }
+        });
+    });
+
+    /**
+     * @swagger
+     * /api/salones/{id}/calendar:
+     *   get:
+     *     summary: Calendario de disponibilidad del salón en un rango de fechas
+     *     description: |
+     *       Para cada fecha del rango devuelve los turnos activos con su estado:
+     *       libre, reservado, bloqueado (el salón no admite reservas) o pasado.
+     *       El rango admite hasta 92 días.
+     *     tags: [Salones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: desde
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: hasta
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Calendario obtenido exitosamente
+     *       400:
+     *         description: Rango de fechas inválido
+     *       404:
+     *         description: Salón no encontrado
+     */
+    static getAvailabilityCalendar = asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { desde, hasta } = req.query;
+
+        const salon = can(req.user, 'salones:read_inactive')
+            ? await Salon.findById(id)
+            : await Salon.findActiveById(id);
+
+        if (!salon) {
+            throw createError('Salón no encontrado', 404);
+        }
+
+        const dias = await salon.getCalendar(desde, hasta);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Calendario de disponibilidad obtenido exitosamente',
+            data: {
+                salon_id: salon.salon_id,
+                desde,
+                hasta,
+                dias
+            }
+        });
+    });
+
+    /**
+     * @swagger
+     * /api/salones/availability:
+     *   get:
+     *     summary: Disponibilidad de todos los salones en una fecha y turno
+     *     description: Lista los salones activos con su estado en ese turno, los libres primero
+     *     tags: [Salones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: fecha
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: turno_id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Disponibilidad obtenida exitosamente
+     *       404:
+     *         description: Turno no encontrado
+     */
+    static findAvailable = asyncHandler(async (req, res) => {
+        const { fecha, turno_id } = req.query;
+
+        const turno = await Turno.findActiveById(turno_id);
+        if (!turno) {
+            throw createError('Turno no encontrado', 404);
+        }
+
+        const salones = await Salon.findAvailability(fecha, turno.turno_id);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Disponibilidad de salones obtenida exitosamente',
+            data: {
+                fecha,
+                turno_id: turno.turno_id,
+                salones
+            }
+        });
+    });
+
+    /**
+     * @swagger
+     * /api/salones/{id}/calendar.ics:
+     *   get:
+     *     summary: Calendario iCalendar de las reservas del salón
+     *     description: |
+     *       Feed para suscribirse desde apps de calendario. Acepta el JWT de acceso o el
+     *       token de calendario (GET /api/auth/calendar-token) en el parámetro token.
+     *       Las reservas canceladas o eliminadas se publican con STATUS:CANCELLED.
+     *     tags: [Salones]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: token
+     *         schema:
+     *           type: string
+     *         description: Token de calendario
+     *     responses:
+     *       200:
+     *         description: Calendario en formato text/calendar
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       404:
+     *         description: Salón no encontrado
+     */
+    static getCalendar = asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const salon = can(req.user, 'salones:read_inactive')
+            ? await Salon.findById(id)
+            : await Salon.findActiveById(id);
+
+        if (!salon) {
+            throw createError('Salón no encontrado', 404);
+        }
+
+        const reservas = await CalendarioService.getReservas({ salonId: salon.salon_id });
+
+        res.status(200)
+            .set('Content-Type', 'text/calendar; charset=utf-8')
+            .set('Content-Disposition', `inline; filename="salon-${salon.salon_id}.ics"`)
+            .send(CalendarioService.generar(`Reservas - ${salon.titulo}`, reservas));
+    });
 }
 
-export default SalonesController;
\ No newline at end of file
+export default SalonesController;
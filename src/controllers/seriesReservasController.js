@@ -0,0 +1,310 @@
+import SerieReserva from '../models/SerieReserva.js';
+import { MENSAJE_CUPON_INVALIDO } from '../models/Cupon.js';
+import SeriesReservasService from '../services/seriesReservasService.js';
+import ReservasController from './reservasController.js';
+import NotificacionesService from '../services/notificacionesService.js';
+import { createError } from '../middlewares/errorHandler.js';
+import { ownerIdFor } from '../config/permisos.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Series de reservas
+ *   description: |
+ *     Reservas recurrentes (semanales o mensuales) y de varios turnos del mismo día. La serie se
+ *     crea completa o no se crea; sus reservas se consultan, editan y cancelan también una a una
+ *     con los endpoints de reservas (serie_id las identifica).
+ */
+
+// Errores del modelo que corresponden a respuestas distintas de 500
+const mapSerieError = (error) => {
+    if (error.message.includes('no existe') ||
+        error.message.includes('no está activo') ||
+        error.message.includes(MENSAJE_CUPON_INVALIDO) ||
+        error.message.includes('No se puede modificar')) {
+        return createError(error.message, 400);
+    }
+    return error;
+};
+
+class SeriesReservasController {
+
+    /**
+     * @swagger
+     * /api/reservas/series:
+     *   post:
+     *     summary: Crear una serie de reservas recurrentes y/o de varios turnos
+     *     description: |
+     *       Crea una reserva por cada fecha de la recurrencia y cada turno indicado. Si alguno no
+     *       está disponible no se crea ninguna y se responde 409 con la lista de conflictos.
+     *       El máximo de reservas por serie es SERIES_MAX_RESERVATIONS (52 por defecto).
+     *     tags: [Series de reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [fecha_reserva, salon_id, turnos]
+     *             properties:
+     *               fecha_reserva:
+     *                 type: string
+     *                 format: date
+     *                 description: Primera fecha de la serie
+     *                 example: "2025-12-05"
+     *               salon_id:
+     *                 type: integer
+     *                 example: 1
+     *               usuario_id:
+     *                 type: integer
+     *                 description: Requerido para administradores y empleados; los clientes reservan para sí mismos
+     *               turnos:
+     *                 type: array
+     *                 description: Turnos a reservar en cada fecha
+     *                 items:
+     *                   type: integer
+     *                 example: [1, 2]
+     *               recurrencia:
+     *                 type: object
+     *                 description: Sin recurrencia se reserva solo fecha_reserva. Indicar hasta o repeticiones.
+     *                 properties:
+     *                   frecuencia:
+     *                     type: string
+     *                     enum: [semanal, mensual]
+     *                   hasta:
+     *                     type: string
+     *                     format: date
+     *                     description: Última fecha posible (inclusive)
+     *                   repeticiones:
+     *                     type: integer
+     *                     minimum: 1
+     *                     description: Cantidad de fechas, incluida la primera
+     *               foto_cumpleaniero:
+     *                 type: string
+     *               tematica:
+     *                 type: string
+     *               servicios:
+     *                 type: array
+     *                 items:
+     *                   type: object
+     *                   properties:
+     *                     servicio_id:
+     *                       type: integer
+     *               codigo_cupon:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Serie creada con sus reservas
+     *       400:
+     *         description: Datos inválidos, demasiadas reservas o salón/turno/usuario inexistente
+     *       409:
+     *         description: Algunos turnos no están disponibles (detalle en details)
+     */
+    static async create(req, res, next) {
+        try {
+            const { fecha_reserva, salon_id, turnos, recurrencia, foto_cumpleaniero, tematica, servicios, codigo_cupon } = req.body;
+            const usuario_id = ownerIdFor(req.user, 'reservas:create') || req.body.usuario_id;
+
+            if (!usuario_id) {
+                throw createError('El usuario_id es requerido para administradores y empleados', 400);
+            }
+
+            const serie = await SeriesReservasService.crear({
+                fecha_reserva,
+                salon_id: parseInt(salon_id),
+                usuario_id: parseInt(usuario_id),
+                turnos,
+                recurrencia,
+                foto_cumpleaniero,
+                tematica,
+                servicios,
+                codigo_cupon
+            }, req.user.id);
+
+            // Un aviso por reserva, de a uno (no bloquea la respuesta); el comprobante de cada
+            // reserva se descarga desde /api/reservas/{id}/comprobante
+            serie.reservas.reduce(
+                (envios, reserva) => envios.then(() => NotificacionesService.notificarNuevaReserva(reserva)),
+                Promise.resolve()
+            );
+
+            res.status(201).json({
+                status: 'success',
+                message: `Serie creada con ${serie.reservas.length} reservas`,
+                data: serie
+            });
+        } catch (error) {
+            next(mapSerieError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/series/{id}:
+     *   get:
+     *     summary: Obtener una serie con sus reservas
+     *     tags: [Series de reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Serie
+     *       404:
+     *         description: Serie no encontrada
+     */
+    static async getById(req, res, next) {
+        try {
+            const serie = await SerieReserva.findById(req.params.id, ownerIdFor(req.user, 'reservas:read'));
+            if (!serie) {
+                throw createError('Serie no encontrada', 404);
+            }
+
+            res.status(200).json({
+                status: 'success',
+                data: serie
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/series/{id}:
+     *   patch:
+     *     summary: Editar todas las reservas pendientes de la serie - Solo Administradores
+     *     description: |
+     *       Aplica los cambios a las reservas activas de hoy en adelante que no estén canceladas
+     *       ni realizadas, a todas o a ninguna.
+     *     tags: [Series de reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               salon_id:
+     *                 type: integer
+     *               foto_cumpleaniero:
+     *                 type: string
+     *               tematica:
+     *                 type: string
+     *               servicios:
+     *                 type: array
+     *                 items:
+     *                   type: object
+     *                   properties:
+     *                     servicio_id:
+     *                       type: integer
+     *               codigo_cupon:
+     *                 type: string
+     *                 nullable: true
+     *     responses:
+     *       200:
+     *         description: Serie actualizada
+     *       404:
+     *         description: Serie no encontrada
+     *       409:
+     *         description: Sin reservas pendientes, o turnos no disponibles en el nuevo salón
+     */
+    static async update(req, res, next) {
+        try {
+            const serie = await SerieReserva.findById(req.params.id);
+            if (!serie) {
+                throw createError('Serie no encontrada', 404);
+            }
+
+            const { salon_id, foto_cumpleaniero, tematica, servicios, codigo_cupon } = req.body;
+            const updateData = {};
+            if (salon_id !== undefined) updateData.salon_id = parseInt(salon_id);
+            if (foto_cumpleaniero !== undefined) updateData.foto_cumpleaniero = foto_cumpleaniero;
+            if (tematica !== undefined) updateData.tematica = tematica;
+            if (servicios !== undefined) updateData.servicios = servicios;
+            if (codigo_cupon !== undefined) updateData.codigo_cupon = codigo_cupon;
+
+            const { serie: serieActualizada, cambios } = await SeriesReservasService.actualizar(serie, updateData, req.user.id);
+
+            res.status(200).json({
+                status: 'success',
+                message: `${cambios.length} reservas de la serie actualizadas`,
+                data: serieActualizada
+            });
+        } catch (error) {
+            next(mapSerieError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/reservas/series/{id}/cancel:
+     *   patch:
+     *     summary: Cancelar las reservas futuras de la serie
+     *     description: |
+     *       Los clientes solo cancelan series propias y respetan la ventana de cancelación de cada
+     *       reserva: las que ya no pueden cancelarse quedan como están (se informan en omitidas).
+     *     tags: [Series de reservas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TransicionReserva'
+     *     responses:
+     *       200:
+     *         description: Reservas canceladas
+     *       404:
+     *         description: Serie no encontrada
+     *       409:
+     *         description: La serie no tiene reservas que puedan cancelarse
+     */
+    static async cancel(req, res, next) {
+        try {
+            const usuarioId = ownerIdFor(req.user, 'reservas:cancel');
+
+            const serie = await SerieReserva.findById(req.params.id, usuarioId);
+            if (!serie) {
+                throw createError('Serie no encontrada', 404);
+            }
+
+            const { serie: serieCancelada, cambios, omitidas } = await SeriesReservasService.cancelar(serie, {
+                autorId: req.user.id,
+                motivo: req.body.motivo,
+                usuarioDueno: usuarioId
+            });
+
+            res.status(200).json({
+                status: 'success',
+                message: `${cambios.length} reservas de la serie canceladas`,
+                data: { ...serieCancelada.toJSON(), omitidas }
+            });
+        } catch (error) {
+            next(ReservasController.mapEstadoError(error));
+        }
+    }
+}
+
+export default SeriesReservasController;
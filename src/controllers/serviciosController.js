@@ -1,5 +1,8 @@
 import Servicio from '../models/Servicio.js';
+import AuditoriaService from '../services/auditoriaService.js';
 import { createError } from '../middlewares/errorHandler.js';
+import { transaction } from '../config/database.js';
+import { can } from '../config/permisos.js';
 
 class ServiciosController {
     
@@ -7,7 +10,7 @@ class ServiciosController {
     static async getAll(req, res, next) {
         try {
             const { page = 1, limit = 10, search = '', includeInactive = false } = req.query;
-            const canSeeInactive = req.user.tipo === 1 && includeInactive === 'true';
+            const canSeeInactive = can(req.user, 'servicios:read_inactive') && includeInactive === 'true';
             
             const options = {
                 page: parseInt(page),
@@ -55,7 +58,7 @@ class ServiciosController {
     static async getById(req, res, next) {
         try {
             const { id } = req.params;
-            const servicio = req.user.tipo === 1 
+            const servicio = can(req.user, 'servicios:read_inactive')
                 ? await Servicio.findById(id)
                 : await Servicio.findActiveById(id);
             
@@ -77,9 +80,14 @@ class ServiciosController {
         try {
             const { descripcion, importe } = req.body;
             
-            const nuevoServicio = await Servicio.create({
-                descripcion: descripcion.trim(),
-                importe: parseFloat(importe)
+            const nuevoServicio = await transaction(async (connection) => {
+                const nuevoServicio = await Servicio.create({
+                    descripcion: descripcion.trim(),
+                    importe: parseFloat(importe)
+                }, connection);
+                
+                await AuditoriaService.registrar(req.user, 'servicios', nuevoServicio.servicio_id, 'create', null, nuevoServicio, {}, connection);
+                return nuevoServicio;
             });
             
             res.status(201).json({
@@ -111,7 +119,11 @@ class ServiciosController {
             if (descripcion !== undefined) updateData.descripcion = descripcion.trim();
             if (importe !== undefined) updateData.importe = parseFloat(importe);
             
-            const servicioActualizado = await servicio.update(updateData);
+            const servicioActualizado = await transaction(async (connection) => {
+                const servicioActualizado = await servicio.update(updateData, connection);
+                await AuditoriaService.registrar(req.user, 'servicios', servicio.servicio_id, 'update', servicio, servicioActualizado, {}, connection);
+                return servicioActualizado;
+            });
             
             res.status(200).json({
                 status: 'success',
@@ -141,7 +153,11 @@ class ServiciosController {
                 throw createError('El servicio ya está eliminado', 400);
             }
             
-            await servicio.softDelete();
+            const antes = AuditoriaService.snapshot(servicio);
+            await transaction(async (connection) => {
+                await servicio.softDelete(connection);
+                await AuditoriaService.registrar(req.user, 'servicios', servicio.servicio_id, 'delete', antes, servicio, {}, connection);
+            });
             
             res.status(200).json({
                 status: 'success',
@@ -170,7 +186,11 @@ class ServiciosController {
                 throw createError('El servicio ya está activo', 400);
             }
             
-            const servicioRestaurado = await servicio.restore();
+            const servicioRestaurado = await transaction(async (connection) => {
+                const servicioRestaurado = await servicio.restore(connection);
+                await AuditoriaService.registrar(req.user, 'servicios', servicio.servicio_id, 'restore', servicio, servicioRestaurado, {}, connection);
+                return servicioRestaurado;
+            });
             
             res.status(200).json({
                 status: 'success',
@@ -208,7 +228,11 @@ class ServiciosController {
                 updateData.activo = activo;
             }
 
-            const servicioActualizado = await servicio.update(updateData);
+            const servicioActualizado = await transaction(async (connection) => {
+                const servicioActualizado = await servicio.update(updateData, connection);
+                await AuditoriaService.registrar(req.user, 'servicios', servicio.servicio_id, 'partial_update', servicio, servicioActualizado, {}, connection);
+                return servicioActualizado;
+            });
 
             res.status(200).json({
                 status: 'success',
@@ -0,0 +1,146 @@
+import SchedulerService from '../services/schedulerService.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tareas
+ *   description: Tareas programadas (recordatorios de reservas, vencimiento de la lista de espera y de las retenciones) - Solo administradores
+ */
+
+class TareasController {
+
+    /**
+     * @swagger
+     * /api/tareas:
+     *   get:
+     *     summary: Listar tareas programadas
+     *     description: Cada tarea con su intervalo, si está pausada y el resultado de la última ejecución
+     *     tags: [Tareas]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Tareas programadas
+     */
+    static async getAll(req, res, next) {
+        try {
+            const tareas = await SchedulerService.listar();
+
+            res.status(200).json({
+                status: 'success',
+                data: tareas
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/tareas/{nombre}/pause:
+     *   patch:
+     *     summary: Pausar una tarea
+     *     description: Deja de ejecutarse periódicamente hasta reanudarla, también tras reiniciar el servidor
+     *     tags: [Tareas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: nombre
+     *         required: true
+     *         schema:
+     *           type: string
+     *           example: recordatorios
+     *     responses:
+     *       200:
+     *         description: Tarea pausada
+     *       404:
+     *         description: Tarea no encontrada
+     */
+    static async pause(req, res, next) {
+        try {
+            const tarea = await SchedulerService.pausar(req.params.nombre, true);
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Tarea pausada',
+                data: tarea
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/tareas/{nombre}/resume:
+     *   patch:
+     *     summary: Reanudar una tarea pausada
+     *     tags: [Tareas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: nombre
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Tarea reanudada
+     *       404:
+     *         description: Tarea no encontrada
+     */
+    static async resume(req, res, next) {
+        try {
+            const tarea = await SchedulerService.pausar(req.params.nombre, false);
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Tarea reanudada',
+                data: tarea
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/tareas/{nombre}/run:
+     *   post:
+     *     summary: Ejecutar una tarea ahora
+     *     description: Corre aunque esté pausada. Los recordatorios ya enviados no se repiten.
+     *     tags: [Tareas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: nombre
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Resultado de la ejecución
+     *       404:
+     *         description: Tarea no encontrada
+     *       409:
+     *         description: La tarea ya se está ejecutando
+     */
+    static async run(req, res, next) {
+        try {
+            const resultado = await SchedulerService.ejecutar(req.params.nombre);
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Tarea ejecutada',
+                data: resultado
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+export default TareasController;
@@ -1,88 +1,387 @@
-import express from 'express';
-const router = express.Router();
-
-import TurnosController from '../controllers/turnosController.js';
-import { verifyToken, requireRole, ROLES } from '../middlewares/auth.js';
-import { handleValidationErrors } from '../middlewares/errorHandler.js';
-// Importación corregida: se importa el objeto completo de validaciones
-import validations from '../middlewares/validation.js';
-
-// Middleware de autenticación para todas las rutas
-router.use(verifyToken);
-router.use(requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]));
-
-// Rutas específicas PRIMERO
-router.get('/active',
-  TurnosController.getAllActive
-);
-
-router.get('/stats/most-used',
-  // Uso corregido de la validación
-  validations.validateStatsQuery,
-  handleValidationErrors,
-  TurnosController.getMostUsed
-);
-
-// BREAD Routes
-router.get('/',
-  // Uso corregido de la validación
-  validations.validatePagination,
-  handleValidationErrors,
-  TurnosController.getAll
-);
-
-router.get('/:id/availability',
-  // Uso corregido de la validación
-  validations.validateTurnoAvailability,
-  handleValidationErrors,
-  TurnosController.checkAvailability
-);
-
-router.get('/:id',
-  // Uso corregido de la validación
-  validations.validateId,
-  handleValidationErrors,
-  TurnosController.getById
-);
-
-router.post('/',
-  requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
-  // Uso corregido de la validación
-  validations.validateTurnoCreate,
-  handleValidationErrors,
-  TurnosController.create
-);
-
-router.put('/:id',
-  requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
-  // Uso corregido de la validación
-  validations.validateTurnoUpdate,
-  handleValidationErrors,
-  TurnosController.update
-);
-
-router.patch('/:id',
-  requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
-  // Uso corregido de la validación
-  validations.validateTurnoPartialUpdate,
-  handleValidationErrors,
-  TurnosController.partialUpdate
-);
-
-router.delete('/:id',
-  requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
-  // Uso corregido de la validación
-  validations.validateId,
-  handleValidationErrors,
-  TurnosController.delete
-);
-
-router.patch('/:id/restore',
-  requireRole([ROLES.ADMINISTRADOR]),
-  // Uso corregido de la validación
-  validations.validateId,
-  handleValidationErrors,
-  TurnosController.restore
-);
-
-export default router;
\ No newline at end of file
+import Turno from '../models/Turno.js';
+import AuditoriaService from '../services/auditoriaService.js';
+import { createError } from '../middlewares/errorHandler.js';
+import { transaction } from '../config/database.js';
+
+// Errores del modelo que responden a datos en conflicto con otros turnos
+const mapTurnoError = (error) => {
+    if (error.message.includes('Ya existe un turno') ||
+        error.message.includes('se solapa') ||
+        error.message.includes('No se puede restaurar')) {
+        return createError(error.message, 409);
+    }
+    if (error.message.includes('hora de inicio') || error.message.includes('tiene reservas activas')) {
+        return createError(error.message, 400);
+    }
+    return error;
+};
+
+class TurnosController {
+
+    /**
+     * @swagger
+     * /api/turnos:
+     *   get:
+     *     summary: Obtener lista de turnos (Browse)
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 10
+     *     responses:
+     *       200:
+     *         description: Lista de turnos obtenida exitosamente
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     */
+    static async getAll(req, res, next) {
+        try {
+            const { page = 1, limit = 10 } = req.query;
+
+            const result = await Turno.findAll({
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Turnos obtenidos exitosamente',
+                data: result.turnos.map(turno => turno.toJSON()),
+                pagination: result.pagination
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/turnos/active:
+     *   get:
+     *     summary: Listar todos los turnos activos ordenados
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static async getAllActive(req, res, next) {
+        try {
+            const turnos = await Turno.findAllActive();
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Turnos activos obtenidos exitosamente',
+                data: turnos.map(turno => turno.toJSON())
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/turnos/stats/most-used:
+     *   get:
+     *     summary: Turnos más reservados
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static async getMostUsed(req, res, next) {
+        try {
+            const { limit = 5 } = req.query;
+
+            const turnosMasUsados = await Turno.getMostUsed(parseInt(limit));
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Turnos más utilizados obtenidos exitosamente',
+                data: turnosMasUsados
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/turnos/{id}:
+     *   get:
+     *     summary: Obtener turno por ID (Read)
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static async getById(req, res, next) {
+        try {
+            const turno = await Turno.findActiveById(req.params.id);
+
+            if (!turno) {
+                throw createError('Turno no encontrado', 404);
+            }
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Turno obtenido exitosamente',
+                data: turno.toJSON()
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/turnos/{id}/availability:
+     *   get:
+     *     summary: Verificar si el turno está libre en un salón y fecha
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: fecha
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: salon_id
+     *         required: true
+     *         schema:
+     *           type: integer
+     */
+    static async checkAvailability(req, res, next) {
+        try {
+            const { fecha, salon_id } = req.query;
+
+            const turno = await Turno.findActiveById(req.params.id);
+            if (!turno) {
+                throw createError('Turno no encontrado', 404);
+            }
+
+            const disponible = await turno.checkAvailability(fecha, parseInt(salon_id));
+
+            res.status(200).json({
+                status: 'success',
+                data: {
+                    turno_id: turno.turno_id,
+                    salon_id: parseInt(salon_id),
+                    fecha,
+                    disponible
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/turnos:
+     *   post:
+     *     summary: Crear nuevo turno (Add)
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static async create(req, res, next) {
+        try {
+            const { orden, hora_desde, hora_hasta } = req.body;
+
+            const nuevoTurno = await transaction(async (connection) => {
+                const nuevoTurno = await Turno.create({
+                    orden: parseInt(orden),
+                    hora_desde,
+                    hora_hasta
+                }, connection);
+
+                await AuditoriaService.registrar(req.user, 'turnos', nuevoTurno.turno_id, 'create', null, nuevoTurno, {}, connection);
+                return nuevoTurno;
+            });
+
+            res.status(201).json({
+                status: 'success',
+                message: 'Turno creado exitosamente',
+                data: nuevoTurno.toJSON()
+            });
+        } catch (error) {
+            next(mapTurnoError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/turnos/{id}:
+     *   put:
+     *     summary: Actualizar turno completo (Edit)
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static async update(req, res, next) {
+        try {
+            const { orden, hora_desde, hora_hasta } = req.body;
+
+            const turno = await Turno.findById(req.params.id);
+            if (!turno) {
+                throw createError('Turno no encontrado', 404);
+            }
+
+            const turnoActualizado = await transaction(async (connection) => {
+                const turnoActualizado = await turno.update({
+                    orden: parseInt(orden),
+                    hora_desde,
+                    hora_hasta
+                }, connection);
+                await AuditoriaService.registrar(req.user, 'turnos', turno.turno_id, 'update', turno, turnoActualizado, {}, connection);
+                return turnoActualizado;
+            });
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Turno actualizado exitosamente',
+                data: turnoActualizado.toJSON()
+            });
+        } catch (error) {
+            next(mapTurnoError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/turnos/{id}:
+     *   patch:
+     *     summary: Actualización parcial de turno
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static async partialUpdate(req, res, next) {
+        try {
+            const { orden, hora_desde, hora_hasta, activo } = req.body;
+
+            const turno = await Turno.findById(req.params.id);
+            if (!turno) {
+                throw createError('Turno no encontrado', 404);
+            }
+
+            const updateData = {};
+
+            // Solo incluye los campos que están presentes en el body
+            if (orden !== undefined) {
+                updateData.orden = parseInt(orden);
+            }
+
+            if (hora_desde !== undefined) {
+                updateData.hora_desde = hora_desde;
+            }
+
+            if (hora_hasta !== undefined) {
+                updateData.hora_hasta = hora_hasta;
+            }
+
+            if (activo !== undefined) {
+                updateData.activo = activo;
+            }
+
+            const turnoActualizado = await transaction(async (connection) => {
+                const turnoActualizado = await turno.update(updateData, connection);
+                await AuditoriaService.registrar(req.user, 'turnos', turno.turno_id, 'partial_update', turno, turnoActualizado, {}, connection);
+                return turnoActualizado;
+            });
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Turno actualizado parcialmente exitosamente',
+                data: turnoActualizado.toJSON()
+            });
+        } catch (error) {
+            next(mapTurnoError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/turnos/{id}:
+     *   delete:
+     *     summary: Eliminar turno (Delete - soft delete)
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static async delete(req, res, next) {
+        try {
+            const turno = await Turno.findById(req.params.id);
+            if (!turno) {
+                throw createError('Turno no encontrado', 404);
+            }
+
+            if (!turno.activo) {
+                throw createError('El turno ya está eliminado', 400);
+            }
+
+            const antes = AuditoriaService.snapshot(turno);
+            await transaction(async (connection) => {
+                await turno.softDelete(connection);
+                await AuditoriaService.registrar(req.user, 'turnos', turno.turno_id, 'delete', antes, turno, {}, connection);
+            });
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Turno eliminado exitosamente'
+            });
+        } catch (error) {
+            next(mapTurnoError(error));
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/turnos/{id}/restore:
+     *   patch:
+     *     summary: Restaurar turno eliminado
+     *     tags: [Turnos]
+     *     security:
+     *       - bearerAuth: []
+     */
+    static async restore(req, res, next) {
+        try {
+            const turno = await Turno.findById(req.params.id);
+            if (!turno) {
+                throw createError('Turno no encontrado', 404);
+            }
+
+            if (turno.activo) {
+                throw createError('El turno ya está activo', 400);
+            }
+
+            const turnoRestaurado = await transaction(async (connection) => {
+                const turnoRestaurado = await turno.restore(connection);
+                await AuditoriaService.registrar(req.user, 'turnos', turno.turno_id, 'restore', turno, turnoRestaurado, {}, connection);
+                return turnoRestaurado;
+            });
+
+            res.status(200).json({
+                status: 'success',
+                message: 'Turno restaurado exitosamente',
+                data: turnoRestaurado.toJSON()
+            });
+        } catch (error) {
+            next(mapTurnoError(error));
+        }
+    }
+}
+
+export default TurnosController;
@@ -1,12 +1,18 @@
 import Usuario from '../models/Usuario.js';
+import TokenRecuperacion from '../models/TokenRecuperacion.js';
+import NotificacionesService from '../services/notificacionesService.js';
+import CalendarioService from '../services/calendarioService.js';
+import AuditoriaService from '../services/auditoriaService.js';
 import { createError } from '../middlewares/errorHandler.js';
-import bcrypt from 'bcryptjs'; // AGREGADO: Importar la librería bcryptjs
+import { transaction } from '../config/database.js';
+import { createSession, ROLES } from '../middlewares/auth.js';
+import { can } from '../config/permisos.js';
 
 /**
  * @swagger
  * tags:
- * name: Usuarios
- * description: BREAD completo para gestión de usuarios (Solo Administradores)
+ *   - name: Usuarios
+ *     description: BREAD completo para gestión de usuarios (Solo Administradores)
  */
 
 class UsuariosController {
@@ -14,43 +20,43 @@ class UsuariosController {
     /**
      * @swagger
      * /api/usuarios:
-     * get:
-     * summary: Obtener lista de usuarios (Browse)
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * parameters:
-     * - in: query
-     * name: page
-     * schema:
-     * type: integer
-     * minimum: 1
-     * default: 1
-     * - in: query
-     * name: limit
-     * schema:
-     * type: integer
-     * minimum: 1
-     * maximum: 100
-     * default: 10
-     * - in: query
-     * name: search
-     * schema:
-     * type: string
-     * maxLength: 100
-     * description: Buscar en nombre, apellido o email
-     * - in: query
-     * name: includeInactive
-     * schema:
-     * type: boolean
-     * default: false
-     * description: Incluir usuarios inactivos
-     * - in: query
-     * name: tipoUsuario
-     * schema:
-     * type: integer
-     * enum: [1, 2, 3]
-     * description: Filtrar por tipo de usuario (1=Admin, 2=Empleado, 3=Cliente)
+     *   get:
+     *     summary: Obtener lista de usuarios (Browse)
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 10
+     *       - in: query
+     *         name: search
+     *         schema:
+     *           type: string
+     *           maxLength: 100
+     *         description: Buscar en nombre, apellido o email
+     *       - in: query
+     *         name: includeInactive
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: Incluir usuarios inactivos
+     *       - in: query
+     *         name: tipoUsuario
+     *         schema:
+     *           type: integer
+     *           enum: [1, 2, 3]
+     *         description: Filtrar por tipo de usuario (1=Admin, 2=Empleado, 3=Cliente)
      */
     static async getAll(req, res, next) {
         try {
@@ -85,11 +91,11 @@ class UsuariosController {
     /**
      * @swagger
      * /api/usuarios/stats:
-     * get:
-     * summary: Obtener estadísticas de usuarios por tipo
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
+     *   get:
+     *     summary: Obtener estadísticas de usuarios por tipo
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
      */
     static async getStats(req, res, next) {
         try {
@@ -108,19 +114,19 @@ class UsuariosController {
     /**
      * @swagger
      * /api/usuarios/top-clientes:
-     * get:
-     * summary: Obtener clientes con más reservas
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * parameters:
-     * - in: query
-     * name: limit
-     * schema:
-     * type: integer
-     * minimum: 1
-     * maximum: 20
-     * default: 5
+     *   get:
+     *     summary: Obtener clientes con más reservas
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 20
+     *           default: 5
      */
     static async getTopClientes(req, res, next) {
         try {
@@ -146,18 +152,18 @@ class UsuariosController {
     /**
      * @swagger
      * /api/usuarios/{id}:
-     * get:
-     * summary: Obtener usuario por ID (Read)
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * parameters:
-     * - in: path
-     * name: id
-     * required: true
-     * schema:
-     * type: integer
-     * minimum: 1
+     *   get:
+     *     summary: Obtener usuario por ID (Read)
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
      */
     static async getById(req, res, next) {
         try {
@@ -168,6 +174,11 @@ class UsuariosController {
                 throw createError('Usuario no encontrado', 404);
             }
             
+            // Empleados y clientes solo pueden ver su propio usuario
+            if (!can(req.user, 'usuarios:read', usuario)) {
+                throw createError('No tienes permisos para ver este usuario', 403);
+            }
+            
             res.status(200).json({
                 status: 'success',
                 data: usuario
@@ -177,76 +188,137 @@ class UsuariosController {
         }
     }
 
+    /**
+     * @swagger
+     * /api/usuarios/{id}/calendar.ics:
+     *   get:
+     *     summary: Calendario iCalendar de las reservas del usuario
+     *     description: |
+     *       Feed para suscribirse desde apps de calendario. Acepta el JWT de acceso o el
+     *       token de calendario (GET /api/auth/calendar-token) en el parámetro token.
+     *       Clientes y empleados solo acceden a su propio calendario.
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *       - in: query
+     *         name: token
+     *         schema:
+     *           type: string
+     *         description: Token de calendario
+     *     responses:
+     *       200:
+     *         description: Calendario en formato text/calendar
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       404:
+     *         description: Usuario no encontrado
+     */
+    static async getCalendar(req, res, next) {
+        try {
+            const usuario = await Usuario.findById(req.params.id);
+
+            if (!usuario) {
+                throw createError('Usuario no encontrado', 404);
+            }
+
+            // Con alcance "own" solo se accede al calendario de las reservas propias
+            if (!can(req.user, 'reservas:read', usuario)) {
+                throw createError('No tienes permisos para ver el calendario de este usuario', 403);
+            }
+
+            const reservas = await CalendarioService.getReservas({ usuarioId: usuario.usuario_id });
+
+            res.status(200)
+                .set('Content-Type', 'text/calendar; charset=utf-8')
+                .set('Content-Disposition', `inline; filename="usuario-${usuario.usuario_id}.ics"`)
+                .send(CalendarioService.generar(`Reservas - ${usuario.getFullName()}`, reservas));
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * @swagger
      * /api/usuarios:
-     * post:
-     * summary: Crear nuevo usuario (Add)
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * requestBody:
-     * required: true
-     * content:
-     * application/json:
-     * schema:
-     * type: object
-     * required:
-     * - nombre
-     * - apellido
-     * - nombre_usuario
-     * - contrasenia
-     * - tipo_usuario
-     * properties:
-     * nombre:
-     * type: string
-     * minLength: 2
-     * maxLength: 50
-     * example: "Juan"
-     * apellido:
-     * type: string
-     * minLength: 2
-     * maxLength: 50
-     * example: "Pérez"
-     * nombre_usuario:
-     * type: string
-     * format: email
-     * maxLength: 50
-     * example: "juan.perez@correo.com"
-     * contrasenia:
-     * type: string
-     * minLength: 3
-     * maxLength: 50
-     * example: "password123"
-     * tipo_usuario:
-     * type: integer
-     * enum: [1, 2, 3]
-     * description: "1=Administrador, 2=Empleado, 3=Cliente"
-     * example: 3
-     * celular:
-     * type: string
-     * maxLength: 20
-     * example: "1234567890"
-     * foto:
-     * type: string
-     * maxLength: 255
-     * example: "foto.jpg"
+     *   post:
+     *     summary: Crear nuevo usuario (Add)
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - nombre
+     *               - apellido
+     *               - nombre_usuario
+     *               - contrasenia
+     *               - tipo_usuario
+     *             properties:
+     *               nombre:
+     *                 type: string
+     *                 minLength: 2
+     *                 maxLength: 50
+     *                 example: "Juan"
+     *               apellido:
+     *                 type: string
+     *                 minLength: 2
+     *                 maxLength: 50
+     *                 example: "Pérez"
+     *               nombre_usuario:
+     *                 type: string
+     *                 format: email
+     *                 maxLength: 50
+     *                 example: "juan.perez@correo.com"
+     *               contrasenia:
+     *                 type: string
+     *                 minLength: 3
+     *                 maxLength: 50
+     *                 example: "password123"
+     *               tipo_usuario:
+     *                 type: integer
+     *                 enum: [1, 2, 3]
+     *                 description: "1=Administrador, 2=Empleado, 3=Cliente"
+     *                 example: 3
+     *               celular:
+     *                 type: string
+     *                 maxLength: 20
+     *                 example: "1234567890"
+     *               foto:
+     *                 type: string
+     *                 maxLength: 255
+     *                 example: "foto.jpg"
      */
     static async create(req, res, next) {
         try {
             const { nombre, apellido, nombre_usuario, contrasenia, tipo_usuario = 3, celular = null, foto = null } = req.body;
             
-            // CORRECCIÓN CRÍTICA: Hashear la contraseña con bcrypt antes de guardarla.
-            const hashedPassword = await bcrypt.hash(contrasenia, 10);
-
-            const nuevoUsuario = await Usuario.create({
-                nombre: nombre.trim(),
-                apellido: apellido.trim(),
-                nombre_usuario: nombre_usuario.toLowerCase(),
-                contrasenia: hashedPassword, // Usar la contraseña hasheada
-                tipo_usuario: parseInt(tipo_usuario),
-                celular,
-                foto
+            // El modelo se encarga de hashear la contraseña
+            const nuevoUsuario = await transaction(async (connection) => {
+                const nuevoUsuario = await Usuario.create({
+                    nombre: nombre.trim(),
+                    apellido: apellido.trim(),
+                    nombre_usuario: nombre_usuario.toLowerCase(),
+                    contrasenia,
+                    tipo_usuario: parseInt(tipo_usuario),
+                    celular,
+                    foto
+                }, connection);
+                
+                await AuditoriaService.registrar(req.user, 'usuarios', nuevoUsuario.usuario_id, 'create', null, nuevoUsuario, {}, connection);
+                return nuevoUsuario;
             });
             
             res.status(201).json({
@@ -263,59 +335,262 @@ class UsuariosController {
         }
     }
 
+    /**
+     * @swagger
+     * /api/usuarios/register:
+     *   post:
+     *     summary: Registro público de clientes
+     *     description: Crea siempre un usuario de tipo Cliente (3) y devuelve un token igual al del login
+     *     tags: [Usuarios]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [nombre, apellido, nombre_usuario, contrasenia]
+     *             properties:
+     *               nombre:
+     *                 type: string
+     *                 example: "Juan"
+     *               apellido:
+     *                 type: string
+     *                 example: "Pérez"
+     *               nombre_usuario:
+     *                 type: string
+     *                 format: email
+     *                 example: "juan.perez@correo.com"
+     *               contrasenia:
+     *                 type: string
+     *                 minLength: 8
+     *                 maxLength: 50
+     *                 description: Debe contener al menos una letra y un número
+     *                 example: "secreto2025"
+     *               celular:
+     *                 type: string
+     *                 maxLength: 20
+     *     responses:
+     *       201:
+     *         description: Registro exitoso
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/LoginResponse'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       409:
+     *         description: Ya existe un usuario con este email
+     */
+    static async register(req, res, next) {
+        try {
+            const { nombre, apellido, nombre_usuario, contrasenia, celular = null } = req.body;
+            
+            const exists = await Usuario.existsByEmail(nombre_usuario);
+            if (exists) {
+                throw createError('Ya existe un usuario con este email', 409);
+            }
+            
+            // El tipo de usuario no se toma del body: el registro público solo crea clientes
+            const usuario = await transaction(async (connection) => {
+                const usuario = await Usuario.create({
+                    nombre: nombre.trim(),
+                    apellido: apellido.trim(),
+                    nombre_usuario: nombre_usuario.toLowerCase(),
+                    contrasenia,
+                    tipo_usuario: ROLES.CLIENTE,
+                    celular,
+                    foto: null
+                }, connection);
+                
+                // En el registro público el actor es el propio usuario
+                await AuditoriaService.registrar({ id: usuario.usuario_id }, 'usuarios', usuario.usuario_id, 'create', null, usuario, {}, connection);
+                return usuario;
+            });
+            
+            const { token, refreshToken } = await createSession(usuario);
+            
+            res.status(201).json({
+                status: 'success',
+                message: 'Registro exitoso',
+                data: {
+                    token,
+                    refreshToken,
+                    user: {
+                        id: usuario.usuario_id,
+                        nombre: usuario.nombre,
+                        apellido: usuario.apellido,
+                        nombre_usuario: usuario.nombre_usuario,
+                        tipo_usuario: usuario.tipo_usuario,
+                        tipo_usuario_texto: Usuario.getTipoUsuarioTexto(usuario.tipo_usuario),
+                        celular: usuario.celular,
+                        foto: usuario.foto
+                    }
+                }
+            });
+        } catch (error) {
+            if (error.message.includes('Ya existe un usuario')) {
+                next(createError(error.message, 409));
+            } else {
+                next(error);
+            }
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/usuarios/forgot-password:
+     *   post:
+     *     summary: Solicitar enlace de recuperación de contraseña
+     *     description: Responde siempre lo mismo, exista o no el email, para no revelar qué cuentas están registradas
+     *     tags: [Usuarios]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [nombre_usuario]
+     *             properties:
+     *               nombre_usuario:
+     *                 type: string
+     *                 format: email
+     *     responses:
+     *       200:
+     *         description: Solicitud recibida
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     */
+    static async forgotPassword(req, res, next) {
+        try {
+            const { nombre_usuario } = req.body;
+            
+            const usuario = await Usuario.findByEmail(nombre_usuario);
+            if (usuario) {
+                const token = await TokenRecuperacion.create(usuario.usuario_id);
+                
+                // El envío no se espera para que la respuesta no delate si la cuenta existe
+                NotificacionesService.notificarRecuperacionContrasenia(usuario, token, TokenRecuperacion.ttlMinutos);
+            }
+            
+            res.status(200).json({
+                status: 'success',
+                message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/usuarios/reset-password:
+     *   post:
+     *     summary: Restablecer contraseña con el token recibido por email
+     *     tags: [Usuarios]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [token, nueva_contrasenia]
+     *             properties:
+     *               token:
+     *                 type: string
+     *                 description: Token de un solo uso recibido por email
+     *               nueva_contrasenia:
+     *                 type: string
+     *                 minLength: 8
+     *                 maxLength: 50
+     *     responses:
+     *       200:
+     *         description: Contraseña restablecida
+     *       400:
+     *         description: Token inválido, usado o expirado
+     */
+    static async resetPassword(req, res, next) {
+        try {
+            const { token, nueva_contrasenia } = req.body;
+            
+            // Consumo del token, cambio de contraseña, cierre de sesiones y auditoría van juntos o no van
+            await transaction(async (connection) => {
+                const usuarioId = await TokenRecuperacion.consume(token, connection);
+                const usuario = usuarioId ? await Usuario.findActiveById(usuarioId, connection) : null;
+                
+                if (!usuario) {
+                    throw createError('El token es inválido o ya expiró', 400);
+                }
+                
+                await usuario.changePassword(nueva_contrasenia, connection);
+                
+                // Un restablecimiento cierra todas las sesiones abiertas con la contraseña anterior
+                await usuario.revokeSessions(connection);
+                
+                await AuditoriaService.registrar({ id: usuarioId }, 'usuarios', usuarioId, 'change_password', null, null, { ocultos: ['contrasenia'] }, connection);
+            });
+            
+            res.status(200).json({
+                status: 'success',
+                message: 'Contraseña restablecida exitosamente'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * @swagger
      * /api/usuarios/{id}:
-     * put:
-     * summary: Actualizar usuario completo (Edit)
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * parameters:
-     * - in: path
-     * name: id
-     * required: true
-     * schema:
-     * type: integer
-     * minimum: 1
-     * requestBody:
-     * required: true
-     * content:
-     * application/json:
-     * schema:
-     * type: object
-     * required:
-     * - nombre
-     * - apellido
-     * - nombre_usuario
-     * - tipo_usuario
-     * properties:
-     * nombre:
-     * type: string
-     * minLength: 2
-     * maxLength: 50
-     * apellido:
-     * type: string
-     * minLength: 2
-     * maxLength: 50
-     * nombre_usuario:
-     * type: string
-     * format: email
-     * maxLength: 50
-     * contrasenia:
-     * type: string
-     * minLength: 3
-     * maxLength: 50
-     * description: "Opcional - solo si se quiere cambiar"
-     * tipo_usuario:
-     * type: integer
-     * enum: [1, 2, 3]
-     * celular:
-     * type: string
-     * maxLength: 20
-     * foto:
-     * type: string
-     * maxLength: 255
+     *   put:
+     *     summary: Actualizar usuario completo (Edit)
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - nombre
+     *               - apellido
+     *               - nombre_usuario
+     *               - tipo_usuario
+     *             properties:
+     *               nombre:
+     *                 type: string
+     *                 minLength: 2
+     *                 maxLength: 50
+     *               apellido:
+     *                 type: string
+     *                 minLength: 2
+     *                 maxLength: 50
+     *               nombre_usuario:
+     *                 type: string
+     *                 format: email
+     *                 maxLength: 50
+     *               contrasenia:
+     *                 type: string
+     *                 minLength: 3
+     *                 maxLength: 50
+     *                 description: "Opcional - solo si se quiere cambiar"
+     *               tipo_usuario:
+     *                 type: integer
+     *                 enum: [1, 2, 3]
+     *               celular:
+     *                 type: string
+     *                 maxLength: 20
+     *               foto:
+     *                 type: string
+     *                 maxLength: 255
      */
     static async update(req, res, next) {
         try {
@@ -331,15 +606,18 @@ class UsuariosController {
             if (nombre !== undefined) updateData.nombre = nombre.trim();
             if (apellido !== undefined) updateData.apellido = apellido.trim();
             if (nombre_usuario !== undefined) updateData.nombre_usuario = nombre_usuario.toLowerCase();
-            if (contrasenia !== undefined && contrasenia.trim() !== '') {
-                // CORRECCIÓN: Hashear la contraseña si se proporciona
-                updateData.contrasenia = await bcrypt.hash(contrasenia, 10);
-            }
+            if (contrasenia !== undefined && contrasenia.trim() !== '') updateData.contrasenia = contrasenia;
             if (tipo_usuario !== undefined) updateData.tipo_usuario = parseInt(tipo_usuario);
             if (celular !== undefined) updateData.celular = celular;
             if (foto !== undefined) updateData.foto = foto;
             
-            const usuarioActualizado = await usuario.update(updateData);
+            const usuarioActualizado = await transaction(async (connection) => {
+                const usuarioActualizado = await usuario.update(updateData, connection);
+                await AuditoriaService.registrar(req.user, 'usuarios', usuario.usuario_id, 'update', usuario, usuarioActualizado, {
+                    ocultos: updateData.contrasenia ? ['contrasenia'] : []
+                }, connection);
+                return usuarioActualizado;
+            });
             
             res.status(200).json({
                 status: 'success',
@@ -358,52 +636,52 @@ class UsuariosController {
     /**
      * @swagger
      * /api/usuarios/{id}:
-     * patch:
-     * summary: Actualización parcial de usuario
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * parameters:
-     * - in: path
-     * name: id
-     * required: true
-     * schema:
-     * type: integer
-     * minimum: 1
-     * requestBody:
-     * required: true
-     * content:
-     * application/json:
-     * schema:
-     * type: object
-     * properties:
-     * nombre:
-     * type: string
-     * minLength: 2
-     * maxLength: 50
-     * apellido:
-     * type: string
-     * minLength: 2
-     * maxLength: 50
-     * nombre_usuario:
-     * type: string
-     * format: email
-     * maxLength: 50
-     * contrasenia:
-     * type: string
-     * minLength: 3
-     * maxLength: 50
-     * tipo_usuario:
-     * type: integer
-     * enum: [1, 2, 3]
-     * celular:
-     * type: string
-     * maxLength: 20
-     * foto:
-     * type: string
-     * maxLength: 255
-     * activo:
-     * type: boolean
+     *   patch:
+     *     summary: Actualización parcial de usuario
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               nombre:
+     *                 type: string
+     *                 minLength: 2
+     *                 maxLength: 50
+     *               apellido:
+     *                 type: string
+     *                 minLength: 2
+     *                 maxLength: 50
+     *               nombre_usuario:
+     *                 type: string
+     *                 format: email
+     *                 maxLength: 50
+     *               contrasenia:
+     *                 type: string
+     *                 minLength: 3
+     *                 maxLength: 50
+     *               tipo_usuario:
+     *                 type: integer
+     *                 enum: [1, 2, 3]
+     *               celular:
+     *                 type: string
+     *                 maxLength: 20
+     *               foto:
+     *                 type: string
+     *                 maxLength: 255
+     *               activo:
+     *                 type: boolean
      */
     static async partialUpdate(req, res, next) {
         try {
@@ -430,8 +708,7 @@ class UsuariosController {
             }
             
             if (contrasenia !== undefined && contrasenia.trim() !== '') {
-                // CORRECCIÓN: Hashear la contraseña si se proporciona
-                updateData.contrasenia = await bcrypt.hash(contrasenia, 10);
+                updateData.contrasenia = contrasenia;
             }
             
             if (tipo_usuario !== undefined) {
@@ -450,7 +727,13 @@ class UsuariosController {
                 updateData.activo = activo;
             }
 
-            const usuarioActualizado = await usuario.update(updateData);
+            const usuarioActualizado = await transaction(async (connection) => {
+                const usuarioActualizado = await usuario.update(updateData, connection);
+                await AuditoriaService.registrar(req.user, 'usuarios', usuario.usuario_id, 'partial_update', usuario, usuarioActualizado, {
+                    ocultos: updateData.contrasenia ? ['contrasenia'] : []
+                }, connection);
+                return usuarioActualizado;
+            });
 
             res.status(200).json({
                 status: 'success',
@@ -469,31 +752,31 @@ class UsuariosController {
     /**
      * @swagger
      * /api/usuarios/{id}/change-tipo:
-     * patch:
-     * summary: Cambiar tipo de usuario
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * parameters:
-     * - in: path
-     * name: id
-     * required: true
-     * schema:
-     * type: integer
-     * minimum: 1
-     * requestBody:
-     * required: true
-     * content:
-     * application/json:
-     * schema:
-     * type: object
-     * required:
-     * - tipo_usuario
-     * properties:
-     * tipo_usuario:
-     * type: integer
-     * enum: [1, 2, 3]
-     * description: "1=Administrador, 2=Empleado, 3=Cliente"
+     *   patch:
+     *     summary: Cambiar tipo de usuario
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - tipo_usuario
+     *             properties:
+     *               tipo_usuario:
+     *                 type: integer
+     *                 enum: [1, 2, 3]
+     *                 description: "1=Administrador, 2=Empleado, 3=Cliente"
      */
     static async changeTipo(req, res, next) {
         try {
@@ -505,7 +788,11 @@ class UsuariosController {
                 throw createError('Usuario no encontrado', 404);
             }
             
-            const usuarioActualizado = await usuario.changeTipo(tipo_usuario);
+            const usuarioActualizado = await transaction(async (connection) => {
+                const usuarioActualizado = await usuario.changeTipo(tipo_usuario, connection);
+                await AuditoriaService.registrar(req.user, 'usuarios', usuario.usuario_id, 'change_role', usuario, usuarioActualizado, {}, connection);
+                return usuarioActualizado;
+            });
             
             res.status(200).json({
                 status: 'success',
@@ -524,51 +811,53 @@ class UsuariosController {
     /**
      * @swagger
      * /api/usuarios/{id}/change-password:
-     * patch:
-     * summary: Cambiar contraseña de usuario
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * parameters:
-     * - in: path
-     * name: id
-     * required: true
-     * schema:
-     * type: integer
-     * minimum: 1
-     * requestBody:
-     * required: true
-     * content:
-     * application/json:
-     * schema:
-     * type: object
-     * required:
-     * - nueva_contrasenia
-     * properties:
-     * nueva_contrasenia:
-     * type: string
-     * minLength: 3
-     * maxLength: 50
+     *   patch:
+     *     summary: Cambiar contraseña de usuario
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - nueva_contrasenia
+     *             properties:
+     *               nueva_contrasenia:
+     *                 type: string
+     *                 minLength: 8
+     *                 maxLength: 50
+     *                 description: Debe contener al menos una letra y un número
      */
     static async changePassword(req, res, next) {
         try {
             const { id } = req.params;
             const { nueva_contrasenia } = req.body;
             
-            if (!nueva_contrasenia || nueva_contrasenia.length < 3) {
-                throw createError('La nueva contraseña debe tener al menos 3 caracteres', 400);
-            }
-            
             const usuario = await Usuario.findById(id);
             if (!usuario) {
                 throw createError('Usuario no encontrado', 404);
             }
             
-            // CORRECCIÓN CRÍTICA: Hashear la nueva contraseña con bcrypt antes de llamar al modelo
-            const hashedPassword = await bcrypt.hash(nueva_contrasenia, 10);
-
-            // Se asume que el método `changePassword` del modelo recibe el hash, no el texto plano
-            await usuario.changePassword(hashedPassword);
+            // Solo los administradores pueden cambiar la contraseña de otro usuario
+            if (!can(req.user, 'usuarios:change_password', usuario)) {
+                throw createError('No tienes permisos para cambiar la contraseña de este usuario', 403);
+            }
+            
+            // El modelo hashea la nueva contraseña
+            await transaction(async (connection) => {
+                await usuario.changePassword(nueva_contrasenia, connection);
+                await AuditoriaService.registrar(req.user, 'usuarios', usuario.usuario_id, 'change_password', null, null, { ocultos: ['contrasenia'] }, connection);
+            });
             
             res.status(200).json({
                 status: 'success',
@@ -582,18 +871,18 @@ class UsuariosController {
     /**
      * @swagger
      * /api/usuarios/{id}:
-     * delete:
-     * summary: Eliminar usuario (Delete)
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * parameters:
-     * - in: path
-     * name: id
-     * required: true
-     * schema:
-     * type: integer
-     * minimum: 1
+     *   delete:
+     *     summary: Eliminar usuario (Delete)
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
      */
     static async delete(req, res, next) {
         try {
@@ -613,7 +902,11 @@ class UsuariosController {
                 throw createError('El usuario ya está eliminado', 400);
             }
             
-            await usuario.softDelete();
+            const antes = AuditoriaService.snapshot(usuario);
+            await transaction(async (connection) => {
+                await usuario.softDelete(connection);
+                await AuditoriaService.registrar(req.user, 'usuarios', usuario.usuario_id, 'delete', antes, usuario, {}, connection);
+            });
             
             res.status(200).json({
                 status: 'success',
@@ -632,18 +925,18 @@ class UsuariosController {
     /**
      * @swagger
      * /api/usuarios/{id}/restore:
-     * patch:
-     * summary: Restaurar usuario eliminado
-     * tags: [Usuarios]
-     * security:
-     * - bearerAuth: []
-     * parameters:
-     * - in: path
-     * name: id
-     * required: true
-     * schema:
-     * type: integer
-     * minimum: 1
+     *   patch:
+     *     summary: Restaurar usuario eliminado
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
      */
     static async restore(req, res, next) {
         try {
@@ -658,7 +951,11 @@ class UsuariosController {
                 throw createError('El usuario ya está activo', 400);
             }
             
-            const usuarioRestaurado = await usuario.restore();
+            const usuarioRestaurado = await transaction(async (connection) => {
+                const usuarioRestaurado = await usuario.restore(connection);
+                await AuditoriaService.registrar(req.user, 'usuarios', usuario.usuario_id, 'restore', usuario, usuarioRestaurado, {}, connection);
+                return usuarioRestaurado;
+            });
             
             res.status(200).json({
                 status: 'success',
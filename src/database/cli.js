@@ -0,0 +1,57 @@
+import 'dotenv/config';
+import { pool } from '../config/database.js';
+import Migrator from './migrator.js';
+
+/**
+ * Uso: node src/database/cli.js <comando>
+ *   up          aplica las migraciones pendientes
+ *   down [n]    revierte los últimos n lotes (1 por defecto)
+ *   status      lista las migraciones y su estado
+ *   reset       revierte todo y vuelve a aplicar
+ *   seed        carga los datos de ejemplo
+ *   setup       up + seed: deja una base vacía lista para usar
+ */
+const comandos = {
+  up: async () => {
+    const aplicadas = await Migrator.up();
+    console.log(aplicadas.length > 0 ? `✅ ${aplicadas.length} migración(es) aplicada(s)` : '✅ No hay migraciones pendientes');
+  },
+  down: async (lotes = '1') => {
+    const revertidas = await Migrator.down(parseInt(lotes));
+    console.log(revertidas.length > 0 ? `✅ ${revertidas.length} migración(es) revertida(s)` : '✅ No hay migraciones para revertir');
+  },
+  status: async () => {
+    const migraciones = await Migrator.status();
+    migraciones.forEach(migracion => {
+      console.log(`${migracion.aplicada ? `✔ lote ${migracion.lote}` : '… pendiente'}  ${migracion.nombre}`);
+    });
+  },
+  reset: async () => {
+    await Migrator.reset();
+    console.log('✅ Esquema recreado');
+  },
+  seed: async () => {
+    await Migrator.seed();
+    console.log('✅ Datos de ejemplo cargados');
+  },
+  setup: async () => {
+    await comandos.up();
+    await comandos.seed();
+  }
+};
+
+const [comando = 'up', ...args] = process.argv.slice(2);
+
+if (!comandos[comando]) {
+  console.error(`❌ Comando desconocido: ${comando}. Opciones: ${Object.keys(comandos).join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  await comandos[comando](...args);
+} catch (error) {
+  console.error('❌ Error en la base de datos:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
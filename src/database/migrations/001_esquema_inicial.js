@@ -0,0 +1,156 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Esquema base: todas las tablas y columnas que consultan los modelos.
+ * Las tablas se crean en orden de dependencia y se eliminan en el orden inverso.
+ */
+
+const TABLAS = [
+  `CREATE TABLE usuarios (
+    usuario_id INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(50) NOT NULL,
+    apellido VARCHAR(50) NOT NULL,
+    nombre_usuario VARCHAR(50) NOT NULL,
+    contrasenia VARCHAR(255) NOT NULL,
+    tipo_usuario TINYINT NOT NULL DEFAULT 3,
+    celular VARCHAR(20) NULL,
+    foto VARCHAR(255) NULL,
+    token_version INT NOT NULL DEFAULT 0,
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_usuarios_nombre_usuario (nombre_usuario)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+  `CREATE TABLE salones (
+    salon_id INT AUTO_INCREMENT PRIMARY KEY,
+    titulo VARCHAR(255) NOT NULL,
+    direccion VARCHAR(255) NOT NULL,
+    latitud DECIMAL(10, 8) NULL,
+    longitud DECIMAL(11, 8) NULL,
+    capacidad INT NOT NULL DEFAULT 0,
+    importe DECIMAL(10, 2) NOT NULL,
+    horas_cancelacion INT NOT NULL DEFAULT 48,
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+  `CREATE TABLE turnos (
+    turno_id INT AUTO_INCREMENT PRIMARY KEY,
+    orden INT NOT NULL,
+    hora_desde TIME NOT NULL,
+    hora_hasta TIME NOT NULL,
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+  `CREATE TABLE servicios (
+    servicio_id INT AUTO_INCREMENT PRIMARY KEY,
+    descripcion VARCHAR(255) NOT NULL,
+    importe DECIMAL(10, 2) NOT NULL,
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+  `CREATE TABLE reservas (
+    reserva_id INT AUTO_INCREMENT PRIMARY KEY,
+    fecha_reserva DATE NOT NULL,
+    salon_id INT NOT NULL,
+    usuario_id INT NOT NULL,
+    turno_id INT NOT NULL,
+    foto_cumpleaniero VARCHAR(255) NULL,
+    tematica VARCHAR(255) NULL,
+    importe_salon DECIMAL(10, 2) NOT NULL,
+    importe_total DECIMAL(10, 2) NOT NULL,
+    estado ENUM('pendiente', 'confirmada', 'pagada', 'realizada', 'cancelada') NOT NULL DEFAULT 'pendiente',
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    slot_ocupado TINYINT AS (IF(activo = 1 AND estado <> 'cancelada', 1, NULL)),
+    UNIQUE KEY uq_reservas_slot (salon_id, fecha_reserva, turno_id, slot_ocupado),
+    KEY idx_reservas_usuario (usuario_id),
+    KEY idx_reservas_turno (turno_id),
+    KEY idx_reservas_fecha (fecha_reserva),
+    CONSTRAINT fk_reservas_salon FOREIGN KEY (salon_id) REFERENCES salones (salon_id),
+    CONSTRAINT fk_reservas_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id),
+    CONSTRAINT fk_reservas_turno FOREIGN KEY (turno_id) REFERENCES turnos (turno_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+  `CREATE TABLE reservas_servicios (
+    reserva_servicio_id INT AUTO_INCREMENT PRIMARY KEY,
+    reserva_id INT NOT NULL,
+    servicio_id INT NOT NULL,
+    importe DECIMAL(10, 2) NOT NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_reservas_servicios_reserva (reserva_id),
+    KEY idx_reservas_servicios_servicio (servicio_id),
+    CONSTRAINT fk_reservas_servicios_reserva FOREIGN KEY (reserva_id) REFERENCES reservas (reserva_id) ON DELETE CASCADE,
+    CONSTRAINT fk_reservas_servicios_servicio FOREIGN KEY (servicio_id) REFERENCES servicios (servicio_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+  `CREATE TABLE reservas_historial (
+    historial_id INT AUTO_INCREMENT PRIMARY KEY,
+    reserva_id INT NOT NULL,
+    estado_anterior VARCHAR(20) NULL,
+    estado_nuevo VARCHAR(20) NOT NULL,
+    usuario_id INT NULL,
+    motivo VARCHAR(255) NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_reservas_historial_reserva (reserva_id),
+    CONSTRAINT fk_reservas_historial_reserva FOREIGN KEY (reserva_id) REFERENCES reservas (reserva_id) ON DELETE CASCADE,
+    CONSTRAINT fk_reservas_historial_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+  `CREATE TABLE tokens_recuperacion (
+    token_id INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expira DATETIME NOT NULL,
+    usado DATETIME NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_tokens_recuperacion_hash (token_hash),
+    CONSTRAINT fk_tokens_recuperacion_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+  `CREATE TABLE refresh_tokens (
+    token_id INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    familia CHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expira DATETIME NOT NULL,
+    revocado DATETIME NULL,
+    reemplazado_por INT NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+    KEY idx_refresh_tokens_familia (familia),
+    CONSTRAINT fk_refresh_tokens_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+];
+
+const ELIMINAR = [
+  'refresh_tokens',
+  'tokens_recuperacion',
+  'reservas_historial',
+  'reservas_servicios',
+  'reservas',
+  'servicios',
+  'turnos',
+  'salones',
+  'usuarios'
+];
+
+export const up = async (executor) => {
+  for (const sql of TABLAS) {
+    await query(sql, [], executor);
+  }
+};
+
+export const down = async (executor) => {
+  for (const tabla of ELIMINAR) {
+    await query(`DROP TABLE IF EXISTS ${tabla}`, [], executor);
+  }
+};
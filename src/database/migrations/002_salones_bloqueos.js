@@ -0,0 +1,36 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Bloqueos de salones (feriados, reparaciones, eventos privados): un rango de fechas con
+ * un motivo. Si el bloqueo no tiene turnos en salones_bloqueos_turnos, cubre el día entero.
+ */
+
+export const up = async (executor) => {
+  await query(`CREATE TABLE salones_bloqueos (
+    bloqueo_id INT AUTO_INCREMENT PRIMARY KEY,
+    salon_id INT NOT NULL,
+    fecha_desde DATE NOT NULL,
+    fecha_hasta DATE NOT NULL,
+    motivo VARCHAR(255) NOT NULL,
+    usuario_id INT NULL,
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_salones_bloqueos_rango (salon_id, activo, fecha_desde, fecha_hasta),
+    CONSTRAINT fk_salones_bloqueos_salon FOREIGN KEY (salon_id) REFERENCES salones (salon_id),
+    CONSTRAINT fk_salones_bloqueos_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+
+  await query(`CREATE TABLE salones_bloqueos_turnos (
+    bloqueo_id INT NOT NULL,
+    turno_id INT NOT NULL,
+    PRIMARY KEY (bloqueo_id, turno_id),
+    CONSTRAINT fk_bloqueos_turnos_bloqueo FOREIGN KEY (bloqueo_id) REFERENCES salones_bloqueos (bloqueo_id) ON DELETE CASCADE,
+    CONSTRAINT fk_bloqueos_turnos_turno FOREIGN KEY (turno_id) REFERENCES turnos (turno_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query('DROP TABLE IF EXISTS salones_bloqueos_turnos', [], executor);
+  await query('DROP TABLE IF EXISTS salones_bloqueos', [], executor);
+};
@@ -0,0 +1,56 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Reglas de precio: ajustes porcentuales o fijos sobre el importe del salón o de los
+ * servicios, evaluados al reservar. Cada condición (salón, servicio, turno, días de la
+ * semana, rango de fechas, anticipación) es opcional; NULL significa "cualquiera".
+ *
+ * reservas_precios guarda el desglose con que se cotizó cada reserva: una línea base por
+ * concepto (salón o servicio) seguida de una línea por cada regla aplicada.
+ */
+
+export const up = async (executor) => {
+  await query(`CREATE TABLE reglas_precio (
+    regla_id INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    aplica_a ENUM('salon', 'servicio') NOT NULL DEFAULT 'salon',
+    tipo ENUM('porcentaje', 'fijo') NOT NULL,
+    valor DECIMAL(10, 2) NOT NULL,
+    prioridad INT NOT NULL DEFAULT 0,
+    exclusiva TINYINT(1) NOT NULL DEFAULT 0,
+    salon_id INT NULL,
+    servicio_id INT NULL,
+    turno_id INT NULL,
+    dias_semana VARCHAR(13) NULL,
+    fecha_desde DATE NULL,
+    fecha_hasta DATE NULL,
+    anticipacion_min INT NULL,
+    anticipacion_max INT NULL,
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_reglas_precio_activo (activo, prioridad),
+    CONSTRAINT fk_reglas_precio_salon FOREIGN KEY (salon_id) REFERENCES salones (salon_id),
+    CONSTRAINT fk_reglas_precio_servicio FOREIGN KEY (servicio_id) REFERENCES servicios (servicio_id),
+    CONSTRAINT fk_reglas_precio_turno FOREIGN KEY (turno_id) REFERENCES turnos (turno_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+
+  await query(`CREATE TABLE reservas_precios (
+    detalle_id INT AUTO_INCREMENT PRIMARY KEY,
+    reserva_id INT NOT NULL,
+    concepto ENUM('salon', 'servicio') NOT NULL,
+    servicio_id INT NULL,
+    regla_id INT NULL,
+    descripcion VARCHAR(255) NOT NULL,
+    importe DECIMAL(10, 2) NOT NULL,
+    KEY idx_reservas_precios_reserva (reserva_id),
+    CONSTRAINT fk_reservas_precios_reserva FOREIGN KEY (reserva_id) REFERENCES reservas (reserva_id) ON DELETE CASCADE,
+    CONSTRAINT fk_reservas_precios_servicio FOREIGN KEY (servicio_id) REFERENCES servicios (servicio_id),
+    CONSTRAINT fk_reservas_precios_regla FOREIGN KEY (regla_id) REFERENCES reglas_precio (regla_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query('DROP TABLE IF EXISTS reservas_precios', [], executor);
+  await query('DROP TABLE IF EXISTS reglas_precio', [], executor);
+};
@@ -0,0 +1,45 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Cupones de descuento. Un cupón descuenta un porcentaje o un monto fijo del total de la
+ * reserva (o solo del servicio al que se limita), dentro de su período de vigencia y hasta
+ * agotar los usos. Cada reserva guarda el cupón aplicado y el importe descontado;
+ * importe_total ya es el importe con el descuento.
+ */
+
+export const up = async (executor) => {
+  await query(`CREATE TABLE cupones (
+    cupon_id INT AUTO_INCREMENT PRIMARY KEY,
+    codigo VARCHAR(50) NOT NULL,
+    descripcion VARCHAR(255) NULL,
+    tipo ENUM('porcentaje', 'fijo') NOT NULL,
+    valor DECIMAL(10, 2) NOT NULL,
+    fecha_desde DATE NULL,
+    fecha_hasta DATE NULL,
+    usos_maximos INT NULL,
+    usos_por_usuario INT NULL,
+    salon_id INT NULL,
+    servicio_id INT NULL,
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_cupones_codigo (codigo),
+    CONSTRAINT fk_cupones_salon FOREIGN KEY (salon_id) REFERENCES salones (salon_id),
+    CONSTRAINT fk_cupones_servicio FOREIGN KEY (servicio_id) REFERENCES servicios (servicio_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+
+  await query(`ALTER TABLE reservas
+    ADD COLUMN cupon_id INT NULL AFTER importe_total,
+    ADD COLUMN importe_descuento DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER cupon_id,
+    ADD KEY idx_reservas_cupon (cupon_id, usuario_id),
+    ADD CONSTRAINT fk_reservas_cupon FOREIGN KEY (cupon_id) REFERENCES cupones (cupon_id)`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query(`ALTER TABLE reservas
+    DROP FOREIGN KEY fk_reservas_cupon,
+    DROP KEY idx_reservas_cupon,
+    DROP COLUMN importe_descuento,
+    DROP COLUMN cupon_id`, [], executor);
+  await query('DROP TABLE IF EXISTS cupones', [], executor);
+};
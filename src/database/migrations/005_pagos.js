@@ -0,0 +1,38 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Pagos de las reservas: señas, pagos parciales y reembolsos, con el medio de pago.
+ * Los cobros online quedan "pendiente" hasta que el proveedor confirma o rechaza la
+ * operación por webhook; proveedor + referencia_externa identifican la operación en él.
+ * Un reembolso apunta al pago que devuelve (pago_origen_id).
+ *
+ * El saldo no se guarda: es importe_total menos los pagos aprobados más los reembolsos
+ * aprobados, calculado al leer la reserva.
+ */
+
+export const up = async (executor) => {
+  await query(`CREATE TABLE pagos (
+    pago_id INT AUTO_INCREMENT PRIMARY KEY,
+    reserva_id INT NOT NULL,
+    tipo ENUM('sena', 'pago', 'reembolso') NOT NULL,
+    metodo ENUM('efectivo', 'transferencia', 'tarjeta', 'online') NOT NULL,
+    importe DECIMAL(10, 2) NOT NULL,
+    estado ENUM('pendiente', 'aprobado', 'rechazado') NOT NULL DEFAULT 'aprobado',
+    proveedor VARCHAR(30) NULL,
+    referencia_externa VARCHAR(100) NULL,
+    pago_origen_id INT NULL,
+    nota VARCHAR(255) NULL,
+    usuario_id INT NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_pagos_reserva (reserva_id, estado),
+    UNIQUE KEY uq_pagos_referencia (proveedor, referencia_externa),
+    CONSTRAINT fk_pagos_reserva FOREIGN KEY (reserva_id) REFERENCES reservas (reserva_id) ON DELETE CASCADE,
+    CONSTRAINT fk_pagos_origen FOREIGN KEY (pago_origen_id) REFERENCES pagos (pago_id),
+    CONSTRAINT fk_pagos_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query('DROP TABLE IF EXISTS pagos', [], executor);
+};
@@ -0,0 +1,39 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Tareas programadas que corren dentro del proceso (ver SchedulerService): se guarda si
+ * están pausadas y el resultado de la última ejecución, así sobreviven a los reinicios.
+ *
+ * recordatorios_enviados registra cada recordatorio enviado por reserva, anticipación
+ * ("7d", "24h") y fecha de la reserva: el índice único impide enviarlo dos veces, aun con
+ * reinicios o varias instancias, y una reserva que cambia de fecha vuelve a recibirlos.
+ */
+
+export const up = async (executor) => {
+  await query(`CREATE TABLE tareas_programadas (
+    nombre VARCHAR(50) NOT NULL PRIMARY KEY,
+    descripcion VARCHAR(255) NULL,
+    pausada TINYINT(1) NOT NULL DEFAULT 0,
+    ultima_ejecucion DATETIME NULL,
+    ultimo_resultado JSON NULL,
+    ultimo_error VARCHAR(500) NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+
+  await query(`CREATE TABLE recordatorios_enviados (
+    recordatorio_id INT AUTO_INCREMENT PRIMARY KEY,
+    reserva_id INT NOT NULL,
+    fecha_reserva DATE NOT NULL,
+    anticipacion VARCHAR(10) NOT NULL,
+    destinatario VARCHAR(100) NULL,
+    enviado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_recordatorios_reserva (reserva_id, fecha_reserva, anticipacion),
+    CONSTRAINT fk_recordatorios_reserva FOREIGN KEY (reserva_id) REFERENCES reservas (reserva_id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query('DROP TABLE IF EXISTS recordatorios_enviados', [], executor);
+  await query('DROP TABLE IF EXISTS tareas_programadas', [], executor);
+};
@@ -0,0 +1,28 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Registro de auditoría: cada alta, modificación, baja y restauración de salones, turnos,
+ * servicios, usuarios y reservas, con quién la hizo y los campos que cambiaron
+ * (cambios = { campo: { antes, despues } }). Si el usuario que hizo el cambio se elimina
+ * físicamente, el registro se conserva sin actor.
+ */
+
+export const up = async (executor) => {
+  await query(`CREATE TABLE auditoria (
+    auditoria_id INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NULL,
+    entidad VARCHAR(30) NOT NULL,
+    entidad_id INT NOT NULL,
+    accion VARCHAR(30) NOT NULL,
+    cambios JSON NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_auditoria_entidad (entidad, entidad_id),
+    INDEX idx_auditoria_usuario (usuario_id),
+    INDEX idx_auditoria_creado (creado),
+    CONSTRAINT fk_auditoria_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query('DROP TABLE IF EXISTS auditoria', [], executor);
+};
@@ -0,0 +1,39 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Lista de espera por salón, fecha y turno ocupados. Cuando el turno se libera, la primera
+ * inscripción "esperando" pasa a "ofrecida" hasta oferta_vence: mientras tanto el turno queda
+ * retenido para ese cliente. Si reserva, la inscripción queda "confirmada" con su reserva_id;
+ * si la oferta vence, queda "vencida" y el turno se ofrece al siguiente.
+ *
+ * inscripcion_activa permite una sola inscripción vigente por cliente y turno (las
+ * confirmadas, vencidas y canceladas quedan como historial).
+ */
+
+export const up = async (executor) => {
+  await query(`CREATE TABLE lista_espera (
+    espera_id INT AUTO_INCREMENT PRIMARY KEY,
+    salon_id INT NOT NULL,
+    fecha_reserva DATE NOT NULL,
+    turno_id INT NOT NULL,
+    usuario_id INT NOT NULL,
+    estado ENUM('esperando', 'ofrecida', 'confirmada', 'vencida', 'cancelada') NOT NULL DEFAULT 'esperando',
+    oferta_vence DATETIME NULL,
+    reserva_id INT NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    inscripcion_activa TINYINT AS (IF(estado IN ('esperando', 'ofrecida'), 1, NULL)),
+    UNIQUE KEY uq_lista_espera_usuario (salon_id, fecha_reserva, turno_id, usuario_id, inscripcion_activa),
+    KEY idx_lista_espera_turno (salon_id, fecha_reserva, turno_id, estado),
+    KEY idx_lista_espera_usuario (usuario_id),
+    KEY idx_lista_espera_vence (estado, oferta_vence),
+    CONSTRAINT fk_lista_espera_salon FOREIGN KEY (salon_id) REFERENCES salones (salon_id),
+    CONSTRAINT fk_lista_espera_turno FOREIGN KEY (turno_id) REFERENCES turnos (turno_id),
+    CONSTRAINT fk_lista_espera_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id),
+    CONSTRAINT fk_lista_espera_reserva FOREIGN KEY (reserva_id) REFERENCES reservas (reserva_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query('DROP TABLE IF EXISTS lista_espera', [], executor);
+};
@@ -0,0 +1,37 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Retenciones temporales de un salón, fecha y turno mientras el cliente completa la
+ * reserva (servicios, pago). Una retención "activa" y no vencida ocupa el turno igual
+ * que una reserva; al reservar queda "convertida" con su reserva_id. Las que no se
+ * convierten a tiempo pasan a "vencida", y el cliente puede liberarlas antes.
+ *
+ * retencion_activa permite una sola retención activa por turno.
+ */
+
+export const up = async (executor) => {
+  await query(`CREATE TABLE retenciones (
+    retencion_id INT AUTO_INCREMENT PRIMARY KEY,
+    salon_id INT NOT NULL,
+    fecha_reserva DATE NOT NULL,
+    turno_id INT NOT NULL,
+    usuario_id INT NOT NULL,
+    estado ENUM('activa', 'convertida', 'liberada', 'vencida') NOT NULL DEFAULT 'activa',
+    vence DATETIME NOT NULL,
+    reserva_id INT NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    retencion_activa TINYINT AS (IF(estado = 'activa', 1, NULL)),
+    UNIQUE KEY uq_retenciones_turno (salon_id, fecha_reserva, turno_id, retencion_activa),
+    KEY idx_retenciones_usuario (usuario_id, estado),
+    KEY idx_retenciones_vence (estado, vence),
+    CONSTRAINT fk_retenciones_salon FOREIGN KEY (salon_id) REFERENCES salones (salon_id),
+    CONSTRAINT fk_retenciones_turno FOREIGN KEY (turno_id) REFERENCES turnos (turno_id),
+    CONSTRAINT fk_retenciones_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id),
+    CONSTRAINT fk_retenciones_reserva FOREIGN KEY (reserva_id) REFERENCES reservas (reserva_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query('DROP TABLE IF EXISTS retenciones', [], executor);
+};
@@ -0,0 +1,39 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Series de reservas: la misma reserva repetida cada semana o cada mes (hasta una fecha o
+ * una cantidad de repeticiones) y/o en varios turnos del mismo día. Cada ocurrencia es una
+ * reserva normal con serie_id; la serie guarda la especificación con la que se generaron.
+ * frecuencia NULL es una serie de una sola fecha con varios turnos.
+ */
+
+export const up = async (executor) => {
+  await query(`CREATE TABLE series_reservas (
+    serie_id INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    salon_id INT NOT NULL,
+    frecuencia ENUM('semanal', 'mensual') NULL,
+    fecha_inicio DATE NOT NULL,
+    fecha_fin DATE NULL,
+    repeticiones INT NULL,
+    turnos JSON NOT NULL,
+    creado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    modificado DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_series_reservas_usuario (usuario_id),
+    CONSTRAINT fk_series_reservas_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios (usuario_id),
+    CONSTRAINT fk_series_reservas_salon FOREIGN KEY (salon_id) REFERENCES salones (salon_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`, [], executor);
+
+  await query(`ALTER TABLE reservas
+    ADD COLUMN serie_id INT NULL AFTER turno_id,
+    ADD KEY idx_reservas_serie (serie_id),
+    ADD CONSTRAINT fk_reservas_serie FOREIGN KEY (serie_id) REFERENCES series_reservas (serie_id)`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query(`ALTER TABLE reservas
+    DROP FOREIGN KEY fk_reservas_serie,
+    DROP KEY idx_reservas_serie,
+    DROP COLUMN serie_id`, [], executor);
+  await query('DROP TABLE IF EXISTS series_reservas', [], executor);
+};
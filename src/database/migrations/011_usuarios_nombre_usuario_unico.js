@@ -0,0 +1,18 @@
+import { query } from '../../config/database.js';
+
+/**
+ * El email (nombre_usuario) identifica al usuario: el índice único impide que dos altas
+ * simultáneas creen la misma cuenta aunque ambas pasen la verificación de Usuario.create.
+ */
+
+export const up = async (executor) => {
+  await query(`ALTER TABLE usuarios
+    DROP KEY idx_usuarios_nombre_usuario,
+    ADD UNIQUE KEY uq_usuarios_nombre_usuario (nombre_usuario)`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query(`ALTER TABLE usuarios
+    DROP KEY uq_usuarios_nombre_usuario,
+    ADD KEY idx_usuarios_nombre_usuario (nombre_usuario)`, [], executor);
+};
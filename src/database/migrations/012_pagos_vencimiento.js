@@ -0,0 +1,19 @@
+import { query } from '../../config/database.js';
+
+/**
+ * Vencimiento de los cobros online pendientes: si el proveedor no los confirma antes de
+ * "vence", dejan de comprometer el saldo y la tarea "pagos" del scheduler los rechaza.
+ * Los pagos registrados en el local y los reembolsos no vencen (vence NULL).
+ */
+
+export const up = async (executor) => {
+  await query(`ALTER TABLE pagos
+    ADD COLUMN vence DATETIME NULL AFTER estado,
+    ADD KEY idx_pagos_vence (estado, vence)`, [], executor);
+};
+
+export const down = async (executor) => {
+  await query(`ALTER TABLE pagos
+    DROP KEY idx_pagos_vence,
+    DROP COLUMN vence`, [], executor);
+};
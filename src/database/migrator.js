@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { query, transaction } from '../config/database.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEEDERS_DIR = path.join(__dirname, 'seeders');
+
+/**
+ * Migraciones versionadas del esquema.
+ * Cada archivo de migrations/ exporta up(executor) y down(executor) y se aplica en orden
+ * de nombre; las aplicadas quedan registradas en schema_migrations con su lote, de modo
+ * que un rollback revierte juntas las migraciones que se aplicaron en la misma corrida.
+ *
+ * MySQL confirma implícitamente cada sentencia DDL, así que una migración que falla a
+ * mitad de camino no se revierte sola: su down() debe tolerar un estado parcial.
+ */
+class Migrator {
+  /**
+   * Crea la tabla de control si no existe
+   */
+  static async ensureTable(executor = null) {
+    await query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        nombre VARCHAR(255) NOT NULL PRIMARY KEY,
+        lote INT NOT NULL,
+        aplicada DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `, [], executor);
+  }
+
+  /**
+   * Nombres de los archivos .js de un directorio, ordenados
+   */
+  static listFiles(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir)
+      .filter(archivo => archivo.endsWith('.js'))
+      .sort()
+      .map(archivo => path.basename(archivo, '.js'));
+  }
+
+  static async load(dir, nombre) {
+    return import(pathToFileURL(path.join(dir, `${nombre}.js`)).href);
+  }
+
+  /**
+   * Migraciones aplicadas, en el orden en que se aplicaron
+   */
+  static async getApplied(executor = null) {
+    await Migrator.ensureTable(executor);
+    return query('SELECT nombre, lote, aplicada FROM schema_migrations ORDER BY lote ASC, nombre ASC', [], executor);
+  }
+
+  /**
+   * Estado de cada migración: aplicada (con su lote) o pendiente
+   */
+  static async status(executor = null) {
+    const aplicadas = await Migrator.getApplied(executor);
+    const porNombre = new Map(aplicadas.map(migracion => [migracion.nombre, migracion]));
+
+    return Migrator.listFiles(MIGRATIONS_DIR).map(nombre => ({
+      nombre,
+      aplicada: porNombre.has(nombre),
+      lote: porNombre.get(nombre)?.lote ?? null,
+      fecha: porNombre.get(nombre)?.aplicada ?? null
+    }));
+  }
+
+  /**
+   * Aplica todas las migraciones pendientes en un nuevo lote.
+   * Devuelve los nombres aplicados.
+   */
+  static async up() {
+    const aplicadas = await Migrator.getApplied();
+    const nombresAplicados = new Set(aplicadas.map(migracion => migracion.nombre));
+    const pendientes = Migrator.listFiles(MIGRATIONS_DIR).filter(nombre => !nombresAplicados.has(nombre));
+
+    if (pendientes.length === 0) {
+      return [];
+    }
+
+    const lote = Math.max(0, ...aplicadas.map(migracion => migracion.lote)) + 1;
+
+    for (const nombre of pendientes) {
+      const migracion = await Migrator.load(MIGRATIONS_DIR, nombre);
+
+      await transaction(async (connection) => {
+        await migracion.up(connection);
+        await query('INSERT INTO schema_migrations (nombre, lote) VALUES (?, ?)', [nombre, lote], connection);
+      });
+
+      console.log(`⬆️  ${nombre}`);
+    }
+
+    return pendientes;
+  }
+
+  /**
+   * Revierte el último lote aplicado (o los últimos "lotes" lotes).
+   * Devuelve los nombres revertidos.
+   */
+  static async down(lotes = 1) {
+    const aplicadas = await Migrator.getApplied();
+    const ultimosLotes = [...new Set(aplicadas.map(migracion => migracion.lote))].slice(-lotes);
+    const revertir = aplicadas
+      .filter(migracion => ultimosLotes.includes(migracion.lote))
+      .map(migracion => migracion.nombre)
+      .reverse();
+
+    for (const nombre of revertir) {
+      const migracion = await Migrator.load(MIGRATIONS_DIR, nombre);
+
+      await transaction(async (connection) => {
+        await migracion.down(connection);
+        await query('DELETE FROM schema_migrations WHERE nombre = ?', [nombre], connection);
+      });
+
+      console.log(`⬇️  ${nombre}`);
+    }
+
+    return revertir;
+  }
+
+  /**
+   * Revierte todas las migraciones y las vuelve a aplicar
+   */
+  static async reset() {
+    const aplicadas = await Migrator.getApplied();
+    const lotes = new Set(aplicadas.map(migracion => migracion.lote)).size;
+
+    if (lotes > 0) {
+      await Migrator.down(lotes);
+    }
+
+    return Migrator.up();
+  }
+
+  /**
+   * Ejecuta los seeders en orden. Cada seeder exporta run(executor) y debe ser
+   * idempotente: solo inserta lo que falta, así que puede correrse más de una vez.
+   */
+  static async seed() {
+    const seeders = Migrator.listFiles(SEEDERS_DIR);
+
+    for (const nombre of seeders) {
+      const seeder = await Migrator.load(SEEDERS_DIR, nombre);
+      await transaction(async (connection) => seeder.run(connection));
+      console.log(`🌱 ${nombre}`);
+    }
+
+    return seeders;
+  }
+}
+
+export default Migrator;
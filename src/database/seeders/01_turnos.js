@@ -0,0 +1,18 @@
+import { query } from '../../config/database.js';
+
+const TURNOS = [
+  { orden: 1, hora_desde: '12:00:00', hora_hasta: '14:00:00' },
+  { orden: 2, hora_desde: '15:00:00', hora_hasta: '17:00:00' },
+  { orden: 3, hora_desde: '18:00:00', hora_hasta: '20:00:00' }
+];
+
+export const run = async (executor) => {
+  for (const turno of TURNOS) {
+    await query(
+      `INSERT INTO turnos (orden, hora_desde, hora_hasta, activo, creado, modificado)
+       SELECT ?, ?, ?, 1, NOW(), NOW() FROM DUAL
+       WHERE NOT EXISTS (SELECT 1 FROM turnos WHERE orden = ?)`,
+      [turno.orden, turno.hora_desde, turno.hora_hasta, turno.orden], executor
+    );
+  }
+};
@@ -0,0 +1,20 @@
+import { query } from '../../config/database.js';
+
+const SERVICIOS = [
+  { descripcion: 'Sonido', importe: 15000 },
+  { descripcion: 'Mesa dulce', importe: 25000 },
+  { descripcion: 'Tarjetas de invitación', importe: 5000 },
+  { descripcion: 'Mozos', importe: 20000 },
+  { descripcion: 'Animación infantil', importe: 30000 }
+];
+
+export const run = async (executor) => {
+  for (const servicio of SERVICIOS) {
+    await query(
+      `INSERT INTO servicios (descripcion, importe, activo, creado, modificado)
+       SELECT ?, ?, 1, NOW(), NOW() FROM DUAL
+       WHERE NOT EXISTS (SELECT 1 FROM servicios WHERE descripcion = ?)`,
+      [servicio.descripcion, servicio.importe, servicio.descripcion], executor
+    );
+  }
+};
@@ -0,0 +1,19 @@
+import { query } from '../../config/database.js';
+import PasswordService from '../../services/passwordService.js';
+import { ROLES } from '../../config/permisos.js';
+
+// Administrador de demostración; las credenciales se pueden cambiar por .env
+export const run = async (executor) => {
+  const email = process.env.SEED_ADMIN_EMAIL || 'admin@reservas.local';
+  const contrasenia = process.env.SEED_ADMIN_PASSWORD || 'Admin1234';
+
+  const existentes = await query('SELECT usuario_id FROM usuarios WHERE nombre_usuario = ?', [email], executor);
+  if (existentes.length > 0) {
+    return;
+  }
+
+  await query(
+    'INSERT INTO usuarios (nombre, apellido, nombre_usuario, contrasenia, tipo_usuario, celular, foto, activo, creado, modificado) VALUES (?, ?, ?, ?, ?, NULL, NULL, 1, NOW(), NOW())',
+    ['Admin', 'Demo', email, await PasswordService.hash(contrasenia), ROLES.ADMINISTRADOR], executor
+  );
+};
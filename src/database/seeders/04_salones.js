@@ -0,0 +1,19 @@
+import { query } from '../../config/database.js';
+
+const SALONES = [
+  { titulo: 'Principal', direccion: 'San Lorenzo 1000', latitud: -31.39581, longitud: -58.01784, capacidad: 200, importe: 95000 },
+  { titulo: 'Secundario', direccion: 'San Lorenzo 1000', latitud: -31.39581, longitud: -58.01784, capacidad: 70, importe: 70000 },
+  { titulo: 'Cancha Fútbol 5', direccion: 'Alberdi 300', latitud: -31.40252, longitud: -58.02315, capacidad: 50, importe: 150000 },
+  { titulo: 'Maquina de Jugar', direccion: 'Peru 50', latitud: -31.38775, longitud: -58.01421, capacidad: 100, importe: 95000 }
+];
+
+export const run = async (executor) => {
+  for (const salon of SALONES) {
+    await query(
+      `INSERT INTO salones (titulo, direccion, latitud, longitud, capacidad, importe, activo, creado, modificado)
+       SELECT ?, ?, ?, ?, ?, ?, 1, NOW(), NOW() FROM DUAL
+       WHERE NOT EXISTS (SELECT 1 FROM salones WHERE titulo = ?)`,
+      [salon.titulo, salon.direccion, salon.latitud, salon.longitud, salon.capacidad, salon.importe, salon.titulo], executor
+    );
+  }
+};
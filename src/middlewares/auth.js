@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
 import { query } from '../config/database.js';
 import { createError } from './errorHandler.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { ROLES, can, scopeFor } from '../config/permisos.js';
 
 // Middleware para verificar JWT token
 const verifyToken = async (req, res, next) => {
@@ -17,7 +19,7 @@ const verifyToken = async (req, res, next) => {
     
     // Verifica que el usuario aún existe y está activo
     const usuarios = await query(
-      'SELECT usuario_id, nombre, apellido, tipo_usuario FROM usuarios WHERE usuario_id = ? AND activo = 1',
+      'SELECT usuario_id, nombre, apellido, tipo_usuario, token_version FROM usuarios WHERE usuario_id = ? AND activo = 1',
       [decoded.userId]
     );
 
@@ -25,11 +27,70 @@ const verifyToken = async (req, res, next) => {
       throw createError('Usuario no encontrado o inactivo', 401);
     }
 
+    // "Cerrar todas las sesiones" incrementa token_version e invalida los tokens emitidos antes
+    if ((decoded.ver || 0) !== usuarios[0].token_version) {
+      throw createError('La sesión fue cerrada, inicie sesión nuevamente', 401);
+    }
+
+    // La sesión (familia de refresh tokens) debe seguir abierta
+    if (decoded.sid) {
+      const sesiones = await query(
+        'SELECT COUNT(*) as count FROM refresh_tokens WHERE familia = ? AND usuario_id = ? AND revocado IS NULL',
+        [decoded.sid, decoded.userId]
+      );
+
+      if (sesiones[0].count === 0) {
+        throw createError('La sesión fue cerrada, inicie sesión nuevamente', 401);
+      }
+    }
+
     req.user = {
       id: usuarios[0].usuario_id,
       nombre: usuarios[0].nombre,
       apellido: usuarios[0].apellido,
-      tipo: usuarios[0].tipo_usuario
+      tipo: usuarios[0].tipo_usuario,
+      sesion: decoded.sid || null
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Los tokens de calendario se firman con otra clave: así no sirven como token de acceso
+const feedSecret = () => process.env.FEED_TOKEN_SECRET || `${process.env.JWT_SECRET}:calendario`;
+
+// Middleware para los feeds .ics: las apps de calendario no envían encabezados, así que
+// se acepta un token de calendario en ?token=. Sin él, se exige el JWT de acceso habitual.
+const verifyFeedToken = async (req, res, next) => {
+  if (!req.query.token) {
+    return verifyToken(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.token, feedSecret());
+
+    const usuarios = await query(
+      'SELECT usuario_id, nombre, apellido, tipo_usuario, token_version FROM usuarios WHERE usuario_id = ? AND activo = 1',
+      [decoded.userId]
+    );
+
+    if (usuarios.length === 0) {
+      throw createError('Usuario no encontrado o inactivo', 401);
+    }
+
+    // "Cerrar todas las sesiones" también revoca los tokens de calendario
+    if ((decoded.ver || 0) !== usuarios[0].token_version) {
+      throw createError('El token de calendario fue revocado, genere uno nuevo', 401);
+    }
+
+    req.user = {
+      id: usuarios[0].usuario_id,
+      nombre: usuarios[0].nombre,
+      apellido: usuarios[0].apellido,
+      tipo: usuarios[0].tipo_usuario,
+      sesion: null
     };
 
     next();
@@ -53,15 +114,70 @@ const requireRole = (rolesPermitidos) => {
   };
 };
 
-// Roles del sistema
-const ROLES = {
-  ADMINISTRADOR: 1,
-  EMPLEADO: 2,
-  CLIENTE: 3
+// Middleware para verificar un permiso de la matriz central (ver config/permisos.js).
+// Sin alcance, alcanza con tener el permiso sobre registros propios; la propiedad del
+// registro se controla en el controlador con can(req.user, accion, registro).
+// Con alcance 'any' se exige el permiso sobre cualquier registro (listados generales).
+const requirePermission = (accion, alcance = null) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(createError('Usuario no autenticado', 401));
+    }
+
+    const permitido = alcance === 'any'
+      ? scopeFor(req.user, accion) === 'any'
+      : can(req.user, accion);
+
+    if (!permitido) {
+      return next(createError('No tienes permisos para acceder a este recurso', 403));
+    }
+
+    next();
+  };
+};
+
+// Genera el JWT de acceso para un usuario, ligado a su sesión y versión de token
+const generateToken = (usuario, sesion = null) => {
+  return jwt.sign(
+    {
+      userId: usuario.usuario_id,
+      tipo: usuario.tipo_usuario,
+      ver: usuario.token_version || 0,
+      ...(sesion && { sid: sesion })
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+  );
+};
+
+// Genera el token de calendario de un usuario: no vence, se revoca con token_version
+const generateFeedToken = (usuario) => {
+  return jwt.sign(
+    {
+      userId: usuario.usuario_id,
+      ver: usuario.token_version || 0
+    },
+    feedSecret()
+  );
+};
+
+// Abre una sesión nueva: token de acceso + refresh token de una familia nueva (login, registro)
+const createSession = async (usuario) => {
+  const { token: refreshToken, familia } = await RefreshToken.create(usuario.usuario_id);
+
+  return {
+    token: generateToken(usuario, familia),
+    refreshToken
+  };
 };
 
 export {
   verifyToken,
+  verifyFeedToken,
   requireRole,
+  requirePermission,
+  generateToken,
+  generateFeedToken,
+  createSession,
   ROLES
 };
\ No newline at end of file
@@ -164,6 +164,12 @@ const errorHandler = (error, req, res, next) => {
     if (error.details) response.details = error.details;
     if (error.errors) response.errors = error.errors;
 
+    // Límite de intentos: indicar cuándo se puede reintentar
+    if (error.status === 429 && error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+      response.retryAfter = error.retryAfter;
+    }
+
     return res.status(error.status).json(response);
   }
 
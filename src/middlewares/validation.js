@@ -1,4 +1,5 @@
 import { body, param, query } from 'express-validator';
+import { ESTADOS_RESERVA } from '../config/estadosReserva.js';
 
 // ========== VALIDACIONES COMUNES ==========
 
@@ -60,6 +61,36 @@ const validateLogin = [
         .withMessage('La contraseña es requerida'),
 ];
 
+const validateRefreshToken = [
+    body('refreshToken')
+        .notEmpty()
+        .withMessage('El refresh token es requerido')
+        .isHexadecimal()
+        .withMessage('El refresh token no tiene un formato válido')
+        .isLength({ min: 64, max: 64 })
+        .withMessage('El refresh token no tiene un formato válido')
+];
+
+const validateLogout = [
+    body('refreshToken')
+        .optional()
+        .isHexadecimal()
+        .withMessage('El refresh token no tiene un formato válido')
+        .isLength({ min: 64, max: 64 })
+        .withMessage('El refresh token no tiene un formato válido')
+];
+
+const validateBloqueoClear = [
+    param('tipo')
+        .isIn(['usuario', 'ip'])
+        .withMessage('El tipo debe ser "usuario" o "ip"'),
+    param('valor')
+        .notEmpty()
+        .withMessage('El valor es requerido')
+        .isLength({ max: 100 })
+        .withMessage('El valor no puede exceder 100 caracteres')
+];
+
 
 // ========== VALIDACIONES PARA SALONES ==========
 
@@ -129,21 +160,13 @@ const validateSalonCreate = [
                 throw new Error('El importe no puede superar $99,999,999.99');
             }
             return true;
-        })
-];
-
-const validateSalonUpdate = [
-    param('id')
-        .isInt({ min: 1 })
-        .withMessage('El ID debe ser un número entero positivo'),
+        }),
 
-    ...validateSalonCreate.map(validation => {
-        // Hacer que todas las validaciones sean opcionales para PUT
-        if (validation.builder && validation.builder.fields) {
-            return validation.optional();
-        }
-        return validation;
-    })
+    body('horas_cancelacion')
+        .optional()
+        .isInt({ min: 0, max: 720 })
+        .withMessage('Las horas de anticipación para cancelar deben ser un número entero entre 0 y 720')
+        .toInt()
 ];
 
 const validateSalonPartialUpdate = [
@@ -218,6 +241,12 @@ const validateSalonPartialUpdate = [
             return true;
         }),
 
+    body('horas_cancelacion')
+        .optional()
+        .isInt({ min: 0, max: 720 })
+        .withMessage('Las horas de anticipación para cancelar deben ser un número entero entre 0 y 720')
+        .toInt(),
+
     body('activo')
         .optional()
         .isBoolean()
@@ -225,6 +254,10 @@ const validateSalonPartialUpdate = [
         .toBoolean()
 ];
 
+// PUT admite los mismos campos opcionales que PATCH. No se derivan de validateSalonCreate:
+// llamar .optional() sobre esas cadenas las modifica y volvía opcionales también al crear.
+const validateSalonUpdate = [...validateSalonPartialUpdate];
+
 const validateSalonAvailability = [
     param('id')
         .isInt({ min: 1 })
@@ -243,6 +276,129 @@ const validateSalonAvailability = [
         .withMessage('El turno_id debe ser un número entero positivo')
 ];
 
+const validateBloqueoSalonId = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID del salón debe ser un número entero positivo'),
+
+    param('bloqueoId')
+        .isInt({ min: 1 })
+        .withMessage('El ID del bloqueo debe ser un número entero positivo')
+];
+
+const validateBloqueoSalonFilters = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID del salón debe ser un número entero positivo'),
+
+    query('desde')
+        .optional()
+        .isDate()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD)'),
+
+    query('hasta')
+        .optional()
+        .isDate()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD)')
+];
+
+// POST y PUT reciben el bloqueo completo; sin turnos, el bloqueo cubre el día entero
+const bloqueoSalonBody = [
+    body('fecha_desde')
+        .notEmpty()
+        .withMessage('La fecha desde es requerida')
+        .isDate()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD)'),
+
+    body('fecha_hasta')
+        .notEmpty()
+        .withMessage('La fecha hasta es requerida')
+        .isDate()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD)')
+        .custom((value, { req }) => {
+            if (req.body.fecha_desde && value < req.body.fecha_desde) {
+                throw new Error('La fecha hasta no puede ser anterior a la fecha desde');
+            }
+            return true;
+        }),
+
+    body('motivo')
+        .notEmpty()
+        .withMessage('El motivo es requerido')
+        .isLength({ max: 255 })
+        .withMessage('El motivo no puede exceder 255 caracteres')
+        .trim(),
+
+    body('turnos')
+        .optional()
+        .isArray()
+        .withMessage('Los turnos deben ser un array de IDs')
+        .custom((turnos) => {
+            if (!turnos.every(turnoId => Number.isInteger(turnoId) && turnoId > 0)) {
+                throw new Error('Cada turno debe ser un ID entero positivo');
+            }
+            return true;
+        })
+];
+
+const validateBloqueoSalonCreate = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID del salón debe ser un número entero positivo'),
+
+    ...bloqueoSalonBody
+];
+
+const validateBloqueoSalonUpdate = [
+    ...validateBloqueoSalonId,
+    ...bloqueoSalonBody
+];
+
+// Máximo de días por consulta del calendario de disponibilidad
+const MAX_DIAS_CALENDARIO = 92;
+
+const validateSalonCalendar = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID debe ser un número entero positivo'),
+
+    query('desde')
+        .notEmpty()
+        .withMessage('La fecha desde es requerida')
+        .isDate()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD)'),
+
+    query('hasta')
+        .notEmpty()
+        .withMessage('La fecha hasta es requerida')
+        .isDate()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD)')
+        .custom((value, { req }) => {
+            const dias = (new Date(value) - new Date(req.query.desde)) / (24 * 60 * 60 * 1000);
+            if (dias < 0) {
+                throw new Error('La fecha hasta no puede ser anterior a la fecha desde');
+            }
+            if (dias >= MAX_DIAS_CALENDARIO) {
+                throw new Error(`El rango no puede superar ${MAX_DIAS_CALENDARIO} días`);
+            }
+            return true;
+        })
+];
+
+const validateSalonesAvailability = [
+    query('fecha')
+        .notEmpty()
+        .withMessage('La fecha es requerida')
+        .isDate()
+        .withMessage('La fecha debe tener formato válido (YYYY-MM-DD)'),
+
+    query('turno_id')
+        .notEmpty()
+        .withMessage('El turno_id es requerido')
+        .isInt({ min: 1 })
+        .withMessage('El turno_id debe ser un número entero positivo')
+];
+
 // ========== VALIDACIONES PARA TURNOS ==========
 
 const validateTurnoCreate = [
@@ -526,27 +682,95 @@ const validateChangeTipo = [
         .withMessage('El tipo de usuario debe ser 1 (Administrador), 2 (Empleado) o 3 (Cliente)')
 ];
 
+// Política de contraseñas para toda contraseña que elige el propio usuario
+const passwordPolicy = (field) => body(field)
+    .notEmpty()
+    .withMessage('La contraseña es requerida')
+    .isLength({ min: 8, max: 50 })
+    .withMessage('La contraseña debe tener entre 8 y 50 caracteres')
+    .matches(/[A-Za-zÀ-ÿ]/)
+    .withMessage('La contraseña debe contener al menos una letra')
+    .matches(/[0-9]/)
+    .withMessage('La contraseña debe contener al menos un número');
+
 const validateChangePassword = [
     param('id')
         .isInt({ min: 1 })
         .withMessage('El ID debe ser un número entero positivo'),
 
-    body('nueva_contrasenia')
+    passwordPolicy('nueva_contrasenia')
+];
+
+const validateUserRegistration = [
+    body('nombre')
         .notEmpty()
-        .withMessage('La nueva contraseña es requerida')
-        .isLength({ min: 3, max: 50 })
-        .withMessage('La nueva contraseña debe tener entre 3 y 50 caracteres')
+        .withMessage('El nombre es requerido')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('El nombre debe tener entre 2 y 50 caracteres')
+        .trim()
+        .matches(/^[a-zA-ZÀ-ÿ\s]+$/)
+        .withMessage('El nombre solo puede contener letras y espacios'),
+
+    body('apellido')
+        .notEmpty()
+        .withMessage('El apellido es requerido')
+        .isLength({ min: 2, max: 50 })
+        .withMessage('El apellido debe tener entre 2 y 50 caracteres')
+        .trim()
+        .matches(/^[a-zA-ZÀ-ÿ\s]+$/)
+        .withMessage('El apellido solo puede contener letras y espacios'),
+
+    body('nombre_usuario')
+        .notEmpty()
+        .withMessage('El email es requerido')
+        .isEmail()
+        .withMessage('El email debe tener un formato válido')
+        .normalizeEmail()
+        .isLength({ max: 50 })
+        .withMessage('El email no puede exceder 50 caracteres'),
+
+    passwordPolicy('contrasenia'),
+
+    body('celular')
+        .optional()
+        .isLength({ max: 20 })
+        .withMessage('El celular no puede exceder 20 caracteres')
+        .matches(/^[0-9+\-\s()]+$/)
+        .withMessage('El celular solo puede contener números, espacios y caracteres +, -, (, )')
 ];
 
-// ========== VALIDACIONES PARA RESERVAS ==========
+const validateForgotPassword = [
+    body('nombre_usuario')
+        .notEmpty()
+        .withMessage('El email es requerido')
+        .isEmail()
+        .withMessage('El email debe tener un formato válido')
+        .normalizeEmail()
+];
 
-const validateReservaCreate = [
-    body('fecha_reserva')
+const validateResetPassword = [
+    body('token')
         .notEmpty()
-        .withMessage('La fecha de reserva es requerida')
-        .isDate()
-        .withMessage('La fecha de reserva debe tener formato válido (YYYY-MM-DD)')
-        .custom((value) => {
+        .withMessage('El token es requerido')
+        .isHexadecimal()
+        .withMessage('El token no tiene un formato válido')
+        .isLength({ min: 64, max: 64 })
+        .withMessage('El token no tiene un formato válido'),
+
+    passwordPolicy('nueva_contrasenia')
+];
+
+// ========== VALIDACIONES PARA RESERVAS ==========
+
+// Reglas por campo de la reserva. Las cadenas de express-validator son mutables, así que
+// cada validación arma las suyas; "requerido" distingue el alta de la edición.
+const fechaReservaRule = (requerido) => (requerido
+    ? body('fecha_reserva').notEmpty().withMessage('La fecha de reserva es requerida')
+    : body('fecha_reserva').optional())
+    .isDate()
+    .withMessage('La fecha de reserva debe tener formato válido (YYYY-MM-DD)')
+    .custom((value) => {
+        if (value) {
             const fecha = new Date(value);
             const hoy = new Date();
             hoy.setHours(0, 0, 0, 0);
@@ -554,51 +778,71 @@ const validateReservaCreate = [
             if (fecha < hoy) {
                 throw new Error('La fecha de reserva no puede ser anterior a hoy');
             }
-            return true;
-        }),
-
-    body('salon_id')
-        .notEmpty()
-        .withMessage('El salón es requerido')
-        .isInt({ min: 1 })
-        .withMessage('Debe especificar un salón válido'),
-
-    body('usuario_id')
-        .optional() // Para clientes se asigna automáticamente
-        .isInt({ min: 1 })
-        .withMessage('Debe especificar un usuario válido'),
-
-    body('turno_id')
-        .notEmpty()
-        .withMessage('El turno es requerido')
-        .isInt({ min: 1 })
-        .withMessage('Debe especificar un turno válido'),
-
-    body('foto_cumpleaniero')
-        .optional()
-        .isLength({ max: 255 })
-        .withMessage('La foto del cumpleañero no puede exceder 255 caracteres'),
+        }
+        return true;
+    });
+
+const salonIdRule = (requerido) => (requerido
+    ? body('salon_id').notEmpty().withMessage('El salón es requerido')
+    : body('salon_id').optional())
+    .isInt({ min: 1 })
+    .withMessage('Debe especificar un salón válido');
+
+const usuarioIdRule = () => body('usuario_id')
+    .optional() // Para clientes se asigna automáticamente
+    .isInt({ min: 1 })
+    .withMessage('Debe especificar un usuario válido');
+
+const turnoIdRule = (requerido) => (requerido
+    ? body('turno_id').notEmpty().withMessage('El turno es requerido')
+    : body('turno_id').optional())
+    .isInt({ min: 1 })
+    .withMessage('Debe especificar un turno válido');
+
+const fotoCumpleanieroRule = () => body('foto_cumpleaniero')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('La foto del cumpleañero no puede exceder 255 caracteres');
+
+const tematicaRule = () => body('tematica')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('La temática no puede exceder 255 caracteres')
+    .trim();
+
+const serviciosRule = () => body('servicios')
+    .optional()
+    .isArray()
+    .withMessage('Los servicios deben ser un array')
+    .custom((servicios) => {
+        if (Array.isArray(servicios)) {
+            servicios.forEach((servicio, index) => {
+                if (!servicio.servicio_id || !Number.isInteger(servicio.servicio_id) || servicio.servicio_id < 1) {
+                    throw new Error(`El servicio en posición ${index + 1} debe tener un servicio_id válido`);
+                }
+            });
+        }
+        return true;
+    });
 
-    body('tematica')
-        .optional()
-        .isLength({ max: 255 })
-        .withMessage('La temática no puede exceder 255 caracteres')
-        .trim(),
+// Al editar, null o '' quita el cupón aplicado
+const codigoCuponRule = (permiteQuitar = false) => body('codigo_cupon')
+    .optional(permiteQuitar ? { values: 'null' } : true)
+    .isString()
+    .withMessage('El código de cupón debe ser texto')
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('El código de cupón no puede exceder 50 caracteres');
 
-    body('servicios')
-        .optional()
-        .isArray()
-        .withMessage('Los servicios deben ser un array')
-        .custom((servicios) => {
-            if (Array.isArray(servicios)) {
-                servicios.forEach((servicio, index) => {
-                    if (!servicio.servicio_id || !Number.isInteger(servicio.servicio_id) || servicio.servicio_id < 1) {
-                        throw new Error(`El servicio en posición ${index + 1} debe tener un servicio_id válido`);
-                    }
-                });
-            }
-            return true;
-        })
+const validateReservaCreate = [
+    fechaReservaRule(true),
+    salonIdRule(true),
+    usuarioIdRule(),
+    turnoIdRule(true),
+    fotoCumpleanieroRule(),
+    tematicaRule(),
+    serviciosRule(),
+    codigoCuponRule()
 ];
 
 const validateReservaUpdate = [
@@ -606,73 +850,58 @@ const validateReservaUpdate = [
         .isInt({ min: 1 })
         .withMessage('El ID debe ser un número entero positivo'),
 
-    body('fecha_reserva')
-        .optional()
-        .isDate()
-        .withMessage('La fecha de reserva debe tener formato válido (YYYY-MM-DD)')
-        .custom((value) => {
-            if (value) {
-                const fecha = new Date(value);
-                const hoy = new Date();
-                hoy.setHours(0, 0, 0, 0);
-
-                if (fecha < hoy) {
-                    throw new Error('La fecha de reserva no puede ser anterior a hoy');
-                }
-            }
-            return true;
-        }),
+    fechaReservaRule(false),
+    salonIdRule(false),
+    turnoIdRule(false),
+    fotoCumpleanieroRule(),
+    tematicaRule(),
+    serviciosRule(),
+    codigoCuponRule(true)
+];
 
-    body('salon_id')
-        .optional()
+const validateReservaPartialUpdate = [
+    param('id')
         .isInt({ min: 1 })
-        .withMessage('Debe especificar un salón válido'),
+        .withMessage('El ID debe ser un número entero positivo')
+        .toInt(),
 
-    body('turno_id')
+    ...validateReservaUpdate.slice(1), // Usar las mismas validaciones pero opcionales
+
+    body('activo')
         .optional()
-        .isInt({ min: 1 })
-        .withMessage('Debe especificar un turno válido'),
+        .isBoolean()
+        .withMessage('El campo activo debe ser true o false')
+        .toBoolean()
+];
 
-    body('foto_cumpleaniero')
+const validateReservaFilters = [
+    query('serieId')
         .optional()
-        .isLength({ max: 255 })
-        .withMessage('La foto del cumpleañero no puede exceder 255 caracteres'),
+        .isInt({ min: 1 })
+        .withMessage('El serieId debe ser un entero positivo'),
 
-    body('tematica')
+    query('estado')
         .optional()
-        .isLength({ max: 255 })
-        .withMessage('La temática no puede exceder 255 caracteres')
-        .trim(),
+        .isIn(Object.values(ESTADOS_RESERVA))
+        .withMessage(`El estado debe ser uno de: ${Object.values(ESTADOS_RESERVA).join(', ')}`),
 
-    body('servicios')
+    query('pagoVencido')
         .optional()
-        .isArray()
-        .withMessage('Los servicios deben ser un array')
-        .custom((servicios) => {
-            if (Array.isArray(servicios)) {
-                servicios.forEach((servicio, index) => {
-                    if (!servicio.servicio_id || !Number.isInteger(servicio.servicio_id) || servicio.servicio_id < 1) {
-                        throw new Error(`El servicio en posición ${index + 1} debe tener un servicio_id válido`);
-                    }
-                });
-            }
-            return true;
-        })
+        .isBoolean()
+        .withMessage('pagoVencido debe ser true o false')
 ];
 
-const validateReservaPartialUpdate = [
+const validateReservaTransition = [
     param('id')
         .isInt({ min: 1 })
         .withMessage('El ID debe ser un número entero positivo')
         .toInt(),
 
-    ...validateReservaUpdate.slice(1), // Usar las mismas validaciones pero opcionales
-
-    body('activo')
+    body('motivo')
         .optional()
-        .isBoolean()
-        .withMessage('El campo activo debe ser true o false')
-        .toBoolean()
+        .isLength({ max: 255 })
+        .withMessage('El motivo no puede exceder 255 caracteres')
+        .trim()
 ];
 
 const validateAvailabilityCheck = [
@@ -695,6 +924,159 @@ const validateAvailabilityCheck = [
         .withMessage('Debe especificar un turno válido')
 ];
 
+// La cotización recibe los mismos datos que la creación de la reserva
+const validateReservaQuote = [...validateReservaCreate];
+
+// ========== VALIDACIONES PARA SERIES DE RESERVAS ==========
+
+const validateSerieCreate = [
+    // fecha_reserva es la primera fecha de la serie
+    fechaReservaRule(true),
+    salonIdRule(true),
+    usuarioIdRule(),
+
+    body('turnos')
+        .isArray({ min: 1, max: 10 })
+        .withMessage('Los turnos deben ser un array de entre 1 y 10 IDs')
+        .custom((turnos) => {
+            if (!turnos.every(turnoId => Number.isInteger(turnoId) && turnoId > 0)) {
+                throw new Error('Cada turno debe ser un ID entero positivo');
+            }
+            if (new Set(turnos).size !== turnos.length) {
+                throw new Error('Los turnos no pueden repetirse');
+            }
+            return true;
+        }),
+
+    body('recurrencia')
+        .optional()
+        .isObject()
+        .withMessage('La recurrencia debe ser un objeto')
+        .custom((recurrencia) => {
+            const conHasta = recurrencia.hasta !== undefined;
+            const conRepeticiones = recurrencia.repeticiones !== undefined;
+            if (conHasta === conRepeticiones) {
+                throw new Error('La recurrencia debe indicar hasta o repeticiones (solo uno de los dos)');
+            }
+            return true;
+        }),
+
+    body('recurrencia.frecuencia')
+        .if(body('recurrencia').exists())
+        .isIn(['semanal', 'mensual'])
+        .withMessage('La frecuencia debe ser semanal o mensual'),
+
+    body('recurrencia.hasta')
+        .optional()
+        .isDate()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD)')
+        .custom((value, { req }) => {
+            if (req.body.fecha_reserva && value < req.body.fecha_reserva) {
+                throw new Error('La fecha hasta no puede ser anterior a la fecha de reserva');
+            }
+            return true;
+        }),
+
+    body('recurrencia.repeticiones')
+        .optional()
+        .isInt({ min: 1, max: 52 })
+        .withMessage('Las repeticiones deben ser un número entero entre 1 y 52')
+        .toInt(),
+
+    // Comunes a todas las reservas de la serie
+    fotoCumpleanieroRule(),
+    tematicaRule(),
+    serviciosRule(),
+    codigoCuponRule()
+];
+
+// Solo se editan en bloque los datos que no dependen de la fecha ni del turno
+const validateSerieUpdate = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID debe ser un número entero positivo'),
+
+    salonIdRule(false),
+    fotoCumpleanieroRule(),
+    tematicaRule(),
+    serviciosRule(),
+    codigoCuponRule(true)
+];
+
+// ========== VALIDACIONES PARA LISTA DE ESPERA ==========
+
+// La inscripción recibe el turno de la reserva (fecha, salón, turno y cliente)
+const validateListaEsperaCreate = [
+    fechaReservaRule(true),
+    salonIdRule(true),
+    usuarioIdRule(),
+    turnoIdRule(true)
+];
+
+const validateListaEsperaFilters = [
+    query('salonId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El salonId debe ser un entero positivo'),
+
+    query('fecha')
+        .optional()
+        .isDate()
+        .withMessage('La fecha debe tener formato válido (YYYY-MM-DD)'),
+
+    query('estado')
+        .optional()
+        .isIn(['esperando', 'ofrecida', 'confirmada', 'vencida', 'cancelada'])
+        .withMessage('El estado debe ser uno de: esperando, ofrecida, confirmada, vencida, cancelada'),
+
+    query('usuarioId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El usuarioId debe ser un entero positivo')
+];
+
+// Al confirmar la oferta se completan los datos opcionales de la reserva
+const validateListaEsperaConfirm = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID debe ser un número entero positivo'),
+
+    fotoCumpleanieroRule(),
+    tematicaRule(),
+    serviciosRule(),
+    codigoCuponRule()
+];
+
+// ========== VALIDACIONES PARA RETENCIONES ==========
+
+// La retención recibe el turno de la reserva (fecha, salón, turno y cliente)
+const validateRetencionCreate = [
+    fechaReservaRule(true),
+    salonIdRule(true),
+    usuarioIdRule(),
+    turnoIdRule(true)
+];
+
+const validateRetencionFilters = [
+    query('salonId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El salonId debe ser un entero positivo'),
+
+    query('estado')
+        .optional()
+        .isIn(['activa', 'convertida', 'liberada', 'vencida'])
+        .withMessage('El estado debe ser uno de: activa, convertida, liberada, vencida'),
+
+    query('usuarioId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El usuarioId debe ser un entero positivo')
+];
+
+// Al convertir la retención se completan los datos opcionales de la reserva
+const validateRetencionConfirm = [...validateListaEsperaConfirm];
+
 const validateStatsMonthly = [
     query('year')
         .optional()
@@ -753,18 +1135,400 @@ const validateServicioId = [
 ];
 
 
+// ========== VALIDACIONES PARA CUPONES ==========
+
+const validateCuponId = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID del cupón debe ser un número entero positivo')
+        .toInt()
+];
+
+// POST y PUT reciben el cupón completo
+const validateCuponCreate = [
+    body('codigo')
+        .notEmpty()
+        .withMessage('El código es requerido')
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{3,50}$/)
+        .withMessage('El código debe tener entre 3 y 50 letras, números, guiones o guiones bajos'),
+
+    body('descripcion')
+        .optional({ values: 'null' })
+        .isLength({ max: 255 })
+        .withMessage('La descripción no puede exceder 255 caracteres')
+        .trim(),
+
+    body('tipo')
+        .notEmpty()
+        .withMessage('El tipo es requerido')
+        .isIn(['porcentaje', 'fijo'])
+        .withMessage('El tipo debe ser "porcentaje" o "fijo"'),
+
+    body('valor')
+        .notEmpty()
+        .withMessage('El valor es requerido')
+        .isFloat({ gt: 0, max: 9999999.99 })
+        .withMessage('El valor debe ser un número positivo')
+        .custom((value, { req }) => {
+            if (req.body.tipo === 'porcentaje' && parseFloat(value) > 100) {
+                throw new Error('Un descuento porcentual no puede superar el 100%');
+            }
+            return true;
+        })
+        .toFloat(),
+
+    body('fecha_desde')
+        .optional({ values: 'null' })
+        .isDate()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD)'),
+
+    body('fecha_hasta')
+        .optional({ values: 'null' })
+        .isDate()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD)')
+        .custom((value, { req }) => {
+            if (req.body.fecha_desde && value < req.body.fecha_desde) {
+                throw new Error('La fecha hasta no puede ser anterior a la fecha desde');
+            }
+            return true;
+        }),
+
+    body('usos_maximos')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Los usos máximos deben ser un entero positivo')
+        .toInt(),
+
+    body('usos_por_usuario')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Los usos por usuario deben ser un entero positivo')
+        .toInt(),
+
+    body('salon_id')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('El salón debe ser un ID entero positivo')
+        .toInt(),
+
+    body('servicio_id')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('El servicio debe ser un ID entero positivo')
+        .toInt()
+];
+
+const validateCuponUpdate = [
+    ...validateCuponId,
+    ...validateCuponCreate
+];
+
+
+// ========== VALIDACIONES PARA PAGOS ==========
+
+// Las cadenas de express-validator son mutables: cada validación arma las suyas
+const pagoImporte = (requerido) => (requerido
+    ? body('importe').notEmpty().withMessage('El importe es requerido')
+    : body('importe').optional())
+    .isFloat({ gt: 0, max: 99999999.99 })
+    .withMessage('El importe debe ser un número positivo')
+    .toFloat();
+
+const pagoId = () => param('pagoId')
+    .isInt({ min: 1 })
+    .withMessage('El ID del pago debe ser un número entero positivo')
+    .toInt();
+
+const pagoNota = () => body('nota')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 })
+    .withMessage('La nota no puede exceder 255 caracteres')
+    .trim();
+
+// Pago registrado en el local (efectivo, transferencia o tarjeta)
+const validatePagoCreate = [
+    ...validateId,
+
+    body('tipo')
+        .optional()
+        .isIn(['sena', 'pago'])
+        .withMessage('El tipo debe ser "sena" o "pago"'),
+
+    body('metodo')
+        .notEmpty()
+        .withMessage('El método de pago es requerido')
+        .isIn(['efectivo', 'transferencia', 'tarjeta'])
+        .withMessage('El método debe ser "efectivo", "transferencia" o "tarjeta"'),
+
+    pagoImporte(true),
+    pagoNota()
+];
+
+// Cobro online: sin importe se cobra el saldo completo
+const validatePagoOnline = [
+    ...validateId,
+
+    body('tipo')
+        .optional()
+        .isIn(['sena', 'pago'])
+        .withMessage('El tipo debe ser "sena" o "pago"'),
+
+    pagoImporte(false)
+];
+
+// Sin importe se reembolsa lo que resta del pago
+const validatePagoRefund = [
+    ...validateId,
+    pagoId(),
+    pagoImporte(false),
+    pagoNota()
+];
+
+const validatePagoCancel = [
+    ...validateId,
+    pagoId()
+];
+
+const validatePagoSimulacion = [
+    param('referencia')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('La referencia no es válida'),
+
+    body('estado')
+        .optional()
+        .isIn(['aprobado', 'rechazado'])
+        .withMessage('El estado debe ser "aprobado" o "rechazado"')
+];
+
+
+// ========== VALIDACIONES PARA TAREAS PROGRAMADAS ==========
+
+const validateTareaNombre = [
+    param('nombre')
+        .matches(/^[a-z0-9_-]{1,50}$/)
+        .withMessage('El nombre de la tarea no es válido')
+];
+
+
+// ========== VALIDACIONES PARA AUDITORÍA ==========
+
+const validateAuditoriaFilters = [
+    query('entidad')
+        .optional()
+        .isIn(['salones', 'turnos', 'servicios', 'usuarios', 'reservas', 'pagos', 'lista_espera', 'retenciones'])
+        .withMessage('La entidad debe ser una de: salones, turnos, servicios, usuarios, reservas, pagos, lista_espera, retenciones'),
+
+    query('entidadId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El entidadId debe ser un entero positivo')
+        .custom((value, { req }) => {
+            if (!req.query.entidad) {
+                throw new Error('Para filtrar por entidadId indique también la entidad');
+            }
+            return true;
+        })
+        .toInt(),
+
+    query('usuarioId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El usuarioId debe ser un entero positivo')
+        .toInt(),
+
+    query('accion')
+        .optional()
+        .isIn(['create', 'update', 'partial_update', 'delete', 'restore', 'transition', 'change_role', 'change_password'])
+        .withMessage('La acción no es válida'),
+
+    query('fechaDesde')
+        .optional()
+        .isDate()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD)'),
+
+    query('fechaHasta')
+        .optional()
+        .isDate()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD)')
+        .custom((value, { req }) => {
+            if (req.query.fechaDesde && value < req.query.fechaDesde) {
+                throw new Error('La fecha hasta no puede ser anterior a la fecha desde');
+            }
+            return true;
+        })
+];
+
+
+// ========== VALIDACIONES PARA REGLAS DE PRECIO ==========
+
+const validateReglaPrecioId = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID de la regla debe ser un número entero positivo')
+        .toInt()
+];
+
+// Condiciones opcionales: null (o ausente) significa "cualquiera"
+const reglaPrecioReferencia = (campo, nombre) => body(campo)
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage(`El ${nombre} debe ser un ID entero positivo`)
+    .toInt();
+
+// POST y PUT reciben la regla completa
+const validateReglaPrecioCreate = [
+    body('nombre')
+        .notEmpty()
+        .withMessage('El nombre es requerido')
+        .isLength({ max: 100 })
+        .withMessage('El nombre no puede exceder 100 caracteres')
+        .trim(),
+
+    body('aplica_a')
+        .optional()
+        .isIn(['salon', 'servicio'])
+        .withMessage('aplica_a debe ser "salon" o "servicio"'),
+
+    body('tipo')
+        .notEmpty()
+        .withMessage('El tipo es requerido')
+        .isIn(['porcentaje', 'fijo'])
+        .withMessage('El tipo debe ser "porcentaje" o "fijo"'),
+
+    body('valor')
+        .notEmpty()
+        .withMessage('El valor es requerido')
+        .isFloat({ min: -9999999.99, max: 9999999.99 })
+        .withMessage('El valor debe ser un número (negativo para descuentos)')
+        .custom((value, { req }) => {
+            if (req.body.tipo === 'porcentaje' && parseFloat(value) < -100) {
+                throw new Error('Un descuento porcentual no puede superar el 100%');
+            }
+            return true;
+        })
+        .toFloat(),
+
+    body('prioridad')
+        .optional()
+        .isInt({ min: -1000, max: 1000 })
+        .withMessage('La prioridad debe ser un entero entre -1000 y 1000')
+        .toInt(),
+
+    body('exclusiva')
+        .optional()
+        .isBoolean()
+        .withMessage('exclusiva debe ser un booleano')
+        .toBoolean(),
+
+    reglaPrecioReferencia('salon_id', 'salón'),
+    reglaPrecioReferencia('turno_id', 'turno'),
+    reglaPrecioReferencia('servicio_id', 'servicio')
+        .custom((value, { req }) => {
+            if (req.body.aplica_a !== 'servicio') {
+                throw new Error('Solo las reglas que aplican a servicios pueden limitarse a un servicio');
+            }
+            return true;
+        }),
+
+    body('dias_semana')
+        .optional({ values: 'null' })
+        .isArray({ max: 7 })
+        .withMessage('Los días de la semana deben ser un array (0 = domingo ... 6 = sábado)')
+        .custom((dias) => {
+            if (!dias.every(dia => Number.isInteger(dia) && dia >= 0 && dia <= 6)) {
+                throw new Error('Cada día de la semana debe ser un entero entre 0 (domingo) y 6 (sábado)');
+            }
+            return true;
+        }),
+
+    body('fecha_desde')
+        .optional({ values: 'null' })
+        .isDate()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD)'),
+
+    body('fecha_hasta')
+        .optional({ values: 'null' })
+        .isDate()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD)')
+        .custom((value, { req }) => {
+            if (req.body.fecha_desde && value < req.body.fecha_desde) {
+                throw new Error('La fecha hasta no puede ser anterior a la fecha desde');
+            }
+            return true;
+        }),
+
+    body('anticipacion_min')
+        .optional({ values: 'null' })
+        .isInt({ min: 0, max: 3650 })
+        .withMessage('La anticipación mínima debe ser un número de días entre 0 y 3650')
+        .toInt(),
+
+    body('anticipacion_max')
+        .optional({ values: 'null' })
+        .isInt({ min: 0, max: 3650 })
+        .withMessage('La anticipación máxima debe ser un número de días entre 0 y 3650')
+        .custom((value, { req }) => {
+            if (req.body.anticipacion_min !== undefined && req.body.anticipacion_min !== null &&
+                parseInt(value) < parseInt(req.body.anticipacion_min)) {
+                throw new Error('La anticipación máxima no puede ser menor que la mínima');
+            }
+            return true;
+        })
+        .toInt()
+];
+
+const validateReglaPrecioUpdate = [
+    ...validateReglaPrecioId,
+    ...validateReglaPrecioCreate
+];
+
+const validateReglaPrecioFilters = [
+    query('salonId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El salonId debe ser un entero positivo')
+        .toInt(),
+
+    query('aplicaA')
+        .optional()
+        .isIn(['salon', 'servicio'])
+        .withMessage('aplicaA debe ser "salon" o "servicio"')
+];
+
+
 // Exportación por defecto
+export {
+    fechaReservaRule,
+    salonIdRule,
+    usuarioIdRule,
+    turnoIdRule,
+    fotoCumpleanieroRule,
+    tematicaRule,
+    serviciosRule,
+    codigoCuponRule
+};
+
 export default {
     validateId,
     validatePagination,
     validateStatsQuery,
     validateLogin,
+    validateRefreshToken,
+    validateLogout,
+    validateBloqueoClear,
     validateOptionalBoolean,
     validatePartialUpdate,
     validateSalonCreate,
     validateSalonUpdate,
     validateSalonPartialUpdate,
     validateSalonAvailability,
+    validateSalonCalendar,
+    validateSalonesAvailability,
+    validateBloqueoSalonId,
+    validateBloqueoSalonFilters,
+    validateBloqueoSalonCreate,
+    validateBloqueoSalonUpdate,
     validateTurnoCreate,
     validateTurnoUpdate,
     validateTurnoPartialUpdate,
@@ -774,13 +1538,41 @@ export default {
     validateUsuarioPartialUpdate,
     validateChangeTipo,
     validateChangePassword,
+    validateUserRegistration,
+    validateForgotPassword,
+    validateResetPassword,
     validateReservaCreate,
     validateReservaUpdate,
     validateReservaPartialUpdate,
+    validateReservaFilters,
+    validateReservaTransition,
     validateAvailabilityCheck,
+    validateReservaQuote,
+    validateSerieCreate,
+    validateSerieUpdate,
+    validateListaEsperaCreate,
+    validateListaEsperaFilters,
+    validateListaEsperaConfirm,
+    validateRetencionCreate,
+    validateRetencionFilters,
+    validateRetencionConfirm,
     validateStatsMonthly,
     validateUpcoming,
     validateServicioCreate,
     validateServicioUpdate,
-    validateServicioId
+    validateServicioId,
+    validateCuponId,
+    validateCuponCreate,
+    validateCuponUpdate,
+    validatePagoCreate,
+    validatePagoOnline,
+    validatePagoRefund,
+    validatePagoCancel,
+    validatePagoSimulacion,
+    validateTareaNombre,
+    validateAuditoriaFilters,
+    validateReglaPrecioId,
+    validateReglaPrecioCreate,
+    validateReglaPrecioUpdate,
+    validateReglaPrecioFilters
 };
\ No newline at end of file
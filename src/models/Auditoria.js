@@ -0,0 +1,135 @@
+import { query } from '../config/database.js';
+
+/**
+ * Registro de auditoría (tabla en src/database/migrations/007_auditoria.js). Los registros
+ * solo se agregan: no hay modificación ni baja. Ver AuditoriaService para cómo se arma el
+ * detalle de cambios.
+ */
+
+const CAMPOS = `
+  a.auditoria_id, a.usuario_id, a.entidad, a.entidad_id, a.accion, a.cambios, a.creado,
+  u.nombre AS usuario_nombre, u.apellido AS usuario_apellido, u.nombre_usuario AS usuario_email
+`;
+
+class Auditoria {
+  constructor(data = {}) {
+    this.auditoria_id = data.auditoria_id || null;
+    this.usuario_id = data.usuario_id || null;
+    this.entidad = data.entidad || null;
+    this.entidad_id = data.entidad_id || null;
+    this.accion = data.accion || null;
+    this.cambios = typeof data.cambios === 'string' ? JSON.parse(data.cambios) : data.cambios ?? null;
+    this.creado = data.creado || null;
+
+    this.usuario = data.usuario_email ? {
+      usuario_id: data.usuario_id,
+      nombre: data.usuario_nombre,
+      apellido: data.usuario_apellido,
+      nombre_usuario: data.usuario_email
+    } : null;
+  }
+
+  /**
+   * Registros de auditoría con filtros y paginación, del más reciente al más antiguo
+   */
+  static async findAll(options = {}, executor = null) {
+    const {
+      page = 1,
+      limit = 20,
+      entidad = null,
+      entidadId = null,
+      usuarioId = null,
+      accion = null,
+      fechaDesde = null,
+      fechaHasta = null
+    } = options;
+    const offset = (page - 1) * limit;
+
+    let whereClause = '1=1';
+    const params = [];
+
+    if (entidad) {
+      whereClause += ' AND a.entidad = ?';
+      params.push(entidad);
+    }
+
+    if (entidadId) {
+      whereClause += ' AND a.entidad_id = ?';
+      params.push(entidadId);
+    }
+
+    if (usuarioId) {
+      whereClause += ' AND a.usuario_id = ?';
+      params.push(usuarioId);
+    }
+
+    if (accion) {
+      whereClause += ' AND a.accion = ?';
+      params.push(accion);
+    }
+
+    if (fechaDesde) {
+      whereClause += ' AND a.creado >= ?';
+      params.push(fechaDesde);
+    }
+
+    // Fecha hasta inclusive: todo el día
+    if (fechaHasta) {
+      whereClause += ' AND a.creado < DATE_ADD(?, INTERVAL 1 DAY)';
+      params.push(fechaHasta);
+    }
+
+    try {
+      const [registros, totalResult] = await Promise.all([
+        query(
+          `SELECT ${CAMPOS} FROM auditoria a LEFT JOIN usuarios u ON a.usuario_id = u.usuario_id
+           WHERE ${whereClause} ORDER BY a.creado DESC, a.auditoria_id DESC LIMIT ? OFFSET ?`,
+          [...params, limit, offset], executor
+        ),
+        query(`SELECT COUNT(*) as total FROM auditoria a WHERE ${whereClause}`, params, executor)
+      ]);
+
+      const total = totalResult[0].total;
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        registros: registros.map(registro => new Auditoria(registro)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      console.error('Error en findAll:', error);
+      throw new Error('Error al obtener registros de auditoría');
+    }
+  }
+
+  static async create({ usuarioId = null, entidad, entidadId, accion, cambios = null }, executor = null) {
+    const result = await query(
+      `INSERT INTO auditoria (usuario_id, entidad, entidad_id, accion, cambios, creado)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [usuarioId, entidad, entidadId, accion, cambios === null ? null : JSON.stringify(cambios)], executor
+    );
+    return result.insertId;
+  }
+
+  toJSON() {
+    return {
+      auditoria_id: this.auditoria_id,
+      entidad: this.entidad,
+      entidad_id: this.entidad_id,
+      accion: this.accion,
+      usuario_id: this.usuario_id,
+      usuario: this.usuario,
+      cambios: this.cambios,
+      creado: this.creado
+    };
+  }
+}
+
+export default Auditoria;
@@ -0,0 +1,291 @@
+import { query, transaction } from '../config/database.js';
+import { ESTADOS_BLOQUEANTES_SQL } from '../config/estadosReserva.js';
+import Disponibilidad, { turnoBloqueadoSql } from './Disponibilidad.js';
+
+/**
+ * Bloqueos de salones: el salón no admite reservas entre fecha_desde y fecha_hasta
+ * (inclusive). Si el bloqueo tiene turnos asociados solo cubre esos turnos; si no,
+ * cubre el día entero. Tablas en src/database/migrations/002_salones_bloqueos.js.
+ * La condición de bloqueo vigente la define Disponibilidad junto con el resto de las reglas
+ * de disponibilidad de turnos.
+ */
+
+const CAMPOS = `
+  bloqueo_id, salon_id,
+  DATE_FORMAT(fecha_desde, '%Y-%m-%d') AS fecha_desde,
+  DATE_FORMAT(fecha_hasta, '%Y-%m-%d') AS fecha_hasta,
+  motivo, usuario_id, activo, creado, modificado
+`;
+
+class BloqueoSalon {
+  constructor(data = {}) {
+    this.bloqueo_id = data.bloqueo_id || null;
+    this.salon_id = data.salon_id || null;
+    this.fecha_desde = data.fecha_desde || null;
+    this.fecha_hasta = data.fecha_hasta || null;
+    this.motivo = data.motivo || '';
+    this.usuario_id = data.usuario_id || null;
+    this.activo = data.activo !== undefined ? data.activo : 1;
+    this.creado = data.creado || null;
+    this.modificado = data.modificado || null;
+    this.turnos = data.turnos || [];
+  }
+
+  /**
+   * Carga los turnos de cada bloqueo (lista vacía = día entero)
+   */
+  static async withTurnos(filas, executor = null) {
+    if (filas.length === 0) {
+      return [];
+    }
+
+    const ids = filas.map(fila => fila.bloqueo_id);
+    const turnos = await query(
+      `SELECT bloqueo_id, turno_id FROM salones_bloqueos_turnos WHERE bloqueo_id IN (${ids.map(() => '?').join(', ')}) ORDER BY turno_id`,
+      ids, executor
+    );
+
+    return filas.map(fila => new BloqueoSalon({
+      ...fila,
+      turnos: turnos.filter(turno => turno.bloqueo_id === fila.bloqueo_id).map(turno => turno.turno_id)
+    }));
+  }
+
+  /**
+   * Bloqueos de un salón, opcionalmente los que se superponen con un rango de fechas
+   */
+  static async findAll(salonId, options = {}, executor = null) {
+    const { desde = null, hasta = null, includeInactive = false } = options;
+
+    let whereClause = 'salon_id = ?';
+    const params = [salonId];
+
+    if (!includeInactive) {
+      whereClause += ' AND activo = 1';
+    }
+
+    if (desde) {
+      whereClause += ' AND fecha_hasta >= ?';
+      params.push(desde);
+    }
+
+    if (hasta) {
+      whereClause += ' AND fecha_desde <= ?';
+      params.push(hasta);
+    }
+
+    try {
+      const filas = await query(
+        `SELECT ${CAMPOS} FROM salones_bloqueos WHERE ${whereClause} ORDER BY fecha_desde ASC, bloqueo_id ASC`,
+        params, executor
+      );
+
+      return await BloqueoSalon.withTurnos(filas, executor);
+    } catch (error) {
+      console.error('Error en findAll:', error);
+      throw new Error('Error al obtener bloqueos del salon');
+    }
+  }
+
+  /**
+   * Buscar bloqueo activo por ID dentro de un salón
+   */
+  static async findActiveById(salonId, bloqueoId, executor = null) {
+    try {
+      const filas = await query(
+        `SELECT ${CAMPOS} FROM salones_bloqueos WHERE bloqueo_id = ? AND salon_id = ? AND activo = 1`,
+        [bloqueoId, salonId], executor
+      );
+
+      const [bloqueo] = await BloqueoSalon.withTurnos(filas, executor);
+      return bloqueo || null;
+    } catch (error) {
+      console.error('Error en findActiveById:', error);
+      throw new Error('Error al buscar bloqueo');
+    }
+  }
+
+  /**
+   * Indica si el salón está bloqueado en la fecha y turno
+   */
+  static async isBlocked(salonId, fecha, turnoId, executor = null) {
+    try {
+      const result = await query(
+        `SELECT ${turnoBloqueadoSql('?', '?', '?')} AS bloqueado`,
+        [salonId, fecha, turnoId], executor
+      );
+
+      return Boolean(result[0].bloqueado);
+    } catch (error) {
+      console.error('Error en isBlocked:', error);
+      throw new Error('Error al verificar bloqueos del salon');
+    }
+  }
+
+  /**
+   * Reservas activas que quedarían dentro de un bloqueo (para rechazarlo)
+   */
+  static async findReservasAfectadas({ salon_id, fecha_desde, fecha_hasta, turnos = [] }, executor = null) {
+    let sql = `
+      SELECT reserva_id, DATE_FORMAT(fecha_reserva, '%Y-%m-%d') AS fecha_reserva, turno_id, estado
+      FROM reservas
+      WHERE salon_id = ? AND fecha_reserva BETWEEN ? AND ? AND activo = 1 AND estado IN (${ESTADOS_BLOQUEANTES_SQL})
+    `;
+    const params = [salon_id, fecha_desde, fecha_hasta];
+
+    if (turnos.length > 0) {
+      sql += ` AND turno_id IN (${turnos.map(() => '?').join(', ')})`;
+      params.push(...turnos);
+    }
+
+    return query(`${sql} ORDER BY fecha_reserva ASC`, params, executor);
+  }
+
+  /**
+   * Valida que los turnos existan y estén activos
+   */
+  static async checkTurnos(turnos, executor = null) {
+    if (turnos.length === 0) {
+      return;
+    }
+
+    const activos = await query(
+      `SELECT turno_id FROM turnos WHERE activo = 1 AND turno_id IN (${turnos.map(() => '?').join(', ')})`,
+      turnos, executor
+    );
+
+    if (activos.length !== new Set(turnos).size) {
+      throw new Error('Alguno de los turnos especificados no existe o no está activo');
+    }
+  }
+
+  /**
+   * Guarda los turnos del bloqueo reemplazando los anteriores
+   */
+  static async saveTurnos(bloqueoId, turnos, executor) {
+    await query('DELETE FROM salones_bloqueos_turnos WHERE bloqueo_id = ?', [bloqueoId], executor);
+
+    for (const turnoId of new Set(turnos)) {
+      await query(
+        'INSERT INTO salones_bloqueos_turnos (bloqueo_id, turno_id) VALUES (?, ?)',
+        [bloqueoId, turnoId], executor
+      );
+    }
+  }
+
+  /**
+   * Crea un bloqueo. Falla si hay reservas activas en el período: hay que cancelarlas
+   * o moverlas antes de bloquear el salón.
+   */
+  static async create(data, autorId = null, executor = null) {
+    const { salon_id, fecha_desde, fecha_hasta, motivo, turnos = [] } = data;
+
+    try {
+      return await transaction(async (connection) => {
+        // El mismo bloqueo del salón que toma Reserva.create: ninguna reserva entra al
+        // período entre la verificación y el alta del bloqueo
+        await Disponibilidad.lockSalon(salon_id, connection);
+        await BloqueoSalon.checkTurnos(turnos, connection);
+
+        const afectadas = await BloqueoSalon.findReservasAfectadas(data, connection);
+        if (afectadas.length > 0) {
+          const error = new Error('Hay reservas activas en el período a bloquear');
+          error.reservas = afectadas;
+          throw error;
+        }
+
+        const result = await query(
+          'INSERT INTO salones_bloqueos (salon_id, fecha_desde, fecha_hasta, motivo, usuario_id, activo, creado, modificado) VALUES (?, ?, ?, ?, ?, 1, NOW(), NOW())',
+          [salon_id, fecha_desde, fecha_hasta, motivo.trim(), autorId], connection
+        );
+
+        await BloqueoSalon.saveTurnos(result.insertId, turnos, connection);
+
+        return await BloqueoSalon.findActiveById(salon_id, result.insertId, connection);
+      }, executor);
+    } catch (error) {
+      console.error('Error en create:', error);
+      if (error.message.includes('reservas activas') || error.message.includes('no existe')) {
+        throw error;
+      }
+      throw new Error('Error al crear bloqueo');
+    }
+  }
+
+  /**
+   * Reemplaza el período, motivo y turnos del bloqueo
+   */
+  async update(data, executor = null) {
+    const { fecha_desde, fecha_hasta, motivo, turnos = [] } = data;
+
+    try {
+      return await transaction(async (connection) => {
+        await Disponibilidad.lockSalon(this.salon_id, connection);
+        await BloqueoSalon.checkTurnos(turnos, connection);
+
+        const afectadas = await BloqueoSalon.findReservasAfectadas(
+          { salon_id: this.salon_id, fecha_desde, fecha_hasta, turnos }, connection
+        );
+        if (afectadas.length > 0) {
+          const error = new Error('Hay reservas activas en el período a bloquear');
+          error.reservas = afectadas;
+          throw error;
+        }
+
+        await query(
+          'UPDATE salones_bloqueos SET fecha_desde = ?, fecha_hasta = ?, motivo = ?, modificado = NOW() WHERE bloqueo_id = ?',
+          [fecha_desde, fecha_hasta, motivo.trim(), this.bloqueo_id], connection
+        );
+
+        await BloqueoSalon.saveTurnos(this.bloqueo_id, turnos, connection);
+
+        return await BloqueoSalon.findActiveById(this.salon_id, this.bloqueo_id, connection);
+      }, executor);
+    } catch (error) {
+      console.error('Error en update:', error);
+      if (error.message.includes('reservas activas') || error.message.includes('no existe')) {
+        throw error;
+      }
+      throw new Error('Error al actualizar bloqueo');
+    }
+  }
+
+  /**
+   * Eliminar bloqueo (soft delete): el salón vuelve a admitir reservas en ese período
+   */
+  async softDelete(executor = null) {
+    try {
+      await query(
+        'UPDATE salones_bloqueos SET activo = 0, modificado = NOW() WHERE bloqueo_id = ?',
+        [this.bloqueo_id], executor
+      );
+
+      this.activo = 0;
+      return true;
+    } catch (error) {
+      console.error('Error en softDelete:', error);
+      throw new Error('Error al eliminar bloqueo');
+    }
+  }
+
+  /**
+   * Convertir a JSON limpio para respuestas de API
+   */
+  toJSON() {
+    return {
+      bloqueo_id: this.bloqueo_id,
+      salon_id: this.salon_id,
+      fecha_desde: this.fecha_desde,
+      fecha_hasta: this.fecha_hasta,
+      motivo: this.motivo,
+      turnos: this.turnos,
+      dia_completo: this.turnos.length === 0,
+      usuario_id: this.usuario_id,
+      activo: Boolean(this.activo),
+      creado: this.creado,
+      modificado: this.modificado
+    };
+  }
+}
+
+export default BloqueoSalon;
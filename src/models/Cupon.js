@@ -0,0 +1,356 @@
+import { query } from '../config/database.js';
+import { ESTADOS_BLOQUEANTES_SQL } from '../config/estadosReserva.js';
+import ReglaPrecio from './ReglaPrecio.js';
+
+/**
+ * Cupones de descuento (tabla en src/database/migrations/004_cupones.js).
+ *
+ * Un cupón se usa una vez por reserva; cuentan como usos las reservas activas que no están
+ * canceladas, así que cancelar una reserva devuelve el uso. Los errores de validación del
+ * cupón empiezan con MENSAJE_CUPON_INVALIDO para que los controladores respondan 400.
+ */
+
+const MENSAJE_CUPON_INVALIDO = 'Cupón inválido';
+
+const CAMPOS = `
+  c.cupon_id, c.codigo, c.descripcion, c.tipo, c.valor,
+  DATE_FORMAT(c.fecha_desde, '%Y-%m-%d') AS fecha_desde,
+  DATE_FORMAT(c.fecha_hasta, '%Y-%m-%d') AS fecha_hasta,
+  c.usos_maximos, c.usos_por_usuario, c.salon_id, c.servicio_id, c.activo, c.creado, c.modificado,
+  (SELECT COUNT(*) FROM reservas r
+   WHERE r.cupon_id = c.cupon_id AND r.activo = 1 AND r.estado IN (${ESTADOS_BLOQUEANTES_SQL})) AS usos
+`;
+
+const invalido = (detalle) => new Error(`${MENSAJE_CUPON_INVALIDO}: ${detalle}`);
+
+class Cupon {
+  constructor(data = {}) {
+    this.cupon_id = data.cupon_id || null;
+    this.codigo = data.codigo || '';
+    this.descripcion = data.descripcion || null;
+    this.tipo = data.tipo || 'porcentaje';
+    this.valor = data.valor !== undefined ? parseFloat(data.valor) : 0;
+    this.fecha_desde = data.fecha_desde || null;
+    this.fecha_hasta = data.fecha_hasta || null;
+    this.usos_maximos = data.usos_maximos ?? null;
+    this.usos_por_usuario = data.usos_por_usuario ?? null;
+    this.salon_id = data.salon_id || null;
+    this.servicio_id = data.servicio_id || null;
+    this.usos = data.usos !== undefined ? Number(data.usos) : 0;
+    this.activo = data.activo !== undefined ? Boolean(data.activo) : true;
+    this.creado = data.creado || null;
+    this.modificado = data.modificado || null;
+  }
+
+  /**
+   * Los códigos se guardan en mayúsculas y sin espacios alrededor
+   */
+  static normalizarCodigo(codigo) {
+    return String(codigo).trim().toUpperCase();
+  }
+
+  /**
+   * Obtener cupones con paginación y búsqueda por código
+   */
+  static async findAll(options = {}, executor = null) {
+    const { page = 1, limit = 10, search = '', includeInactive = false } = options;
+    const offset = (page - 1) * limit;
+
+    let whereClause = includeInactive ? '1=1' : 'c.activo = 1';
+    const params = [];
+
+    if (search && search.trim()) {
+      whereClause += ' AND (c.codigo LIKE ? OR c.descripcion LIKE ?)';
+      params.push(`%${search.trim()}%`, `%${search.trim()}%`);
+    }
+
+    try {
+      const [cupones, totalResult] = await Promise.all([
+        query(
+          `SELECT ${CAMPOS} FROM cupones c WHERE ${whereClause} ORDER BY c.activo DESC, c.creado DESC LIMIT ? OFFSET ?`,
+          [...params, limit, offset], executor
+        ),
+        query(`SELECT COUNT(*) as total FROM cupones c WHERE ${whereClause}`, params, executor)
+      ]);
+
+      const total = totalResult[0].total;
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        cupones: cupones.map(cupon => new Cupon(cupon)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      console.error('Error en findAll:', error);
+      throw new Error('Error al obtener cupones');
+    }
+  }
+
+  /**
+   * Buscar cupón por ID (incluye inactivos)
+   */
+  static async findById(id, executor = null) {
+    try {
+      const cupones = await query(`SELECT ${CAMPOS} FROM cupones c WHERE c.cupon_id = ?`, [id], executor);
+      return cupones.length > 0 ? new Cupon(cupones[0]) : null;
+    } catch (error) {
+      console.error('Error en findById:', error);
+      throw new Error('Error al buscar cupón');
+    }
+  }
+
+  /**
+   * Buscar cupón por código (incluye inactivos)
+   */
+  static async findByCodigo(codigo, executor = null) {
+    try {
+      const cupones = await query(
+        `SELECT ${CAMPOS} FROM cupones c WHERE c.codigo = ?`,
+        [Cupon.normalizarCodigo(codigo)], executor
+      );
+      return cupones.length > 0 ? new Cupon(cupones[0]) : null;
+    } catch (error) {
+      console.error('Error en findByCodigo:', error);
+      throw new Error('Error al buscar cupón');
+    }
+  }
+
+  /**
+   * Bloquea la fila del cupón hasta el fin de la transacción, para que dos reservas
+   * simultáneas no superen el límite de usos
+   */
+  static async lock(codigo, executor) {
+    await query('SELECT cupon_id FROM cupones WHERE codigo = ? FOR UPDATE', [Cupon.normalizarCodigo(codigo)], executor);
+  }
+
+  /**
+   * Verifica si existe otro cupón con el mismo código
+   */
+  static async existsByCodigo(codigo, excludeId = null, executor = null) {
+    let sql = 'SELECT COUNT(*) as count FROM cupones WHERE codigo = ?';
+    const params = [Cupon.normalizarCodigo(codigo)];
+
+    if (excludeId) {
+      sql += ' AND cupon_id != ?';
+      params.push(excludeId);
+    }
+
+    const result = await query(sql, params, executor);
+    return result[0].count > 0;
+  }
+
+  /**
+   * Usos del cupón en total y por un usuario, sin contar una reserva (la que se está editando)
+   */
+  async contarUsos(usuarioId = null, excludeReservaId = null, executor = null) {
+    const result = await query(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(usuario_id = ?), 0) AS del_usuario
+       FROM reservas
+       WHERE cupon_id = ? AND activo = 1 AND estado IN (${ESTADOS_BLOQUEANTES_SQL}) AND reserva_id <> ?`,
+      [usuarioId || 0, this.cupon_id, excludeReservaId || 0], executor
+    );
+
+    return { total: Number(result[0].total), del_usuario: Number(result[0].del_usuario) };
+  }
+
+  /**
+   * Valida el cupón para una reserva cotizada y calcula el descuento.
+   * Si la reserva ya tenía este cupón (cuponActualId) no se vuelven a exigir vigencia ni
+   * límites de uso, solo las restricciones de salón y servicio. Devuelve { cupon, importe }.
+   */
+  static async aplicar(codigo, reserva, executor = null) {
+    const { usuario_id = null, salon_id, servicios = [], subtotal, excludeReservaId = null, cuponActualId = null } = reserva;
+
+    await Cupon.lock(codigo, executor);
+
+    const cupon = await Cupon.findByCodigo(codigo, executor);
+    if (!cupon) {
+      throw invalido('el código no existe');
+    }
+
+    if (!cuponActualId || cupon.cupon_id !== cuponActualId) {
+      if (!cupon.activo) {
+        throw invalido('el código no está activo');
+      }
+
+      const hoy = ReglaPrecio.fechaISO(new Date());
+      if (cupon.fecha_desde && hoy < cupon.fecha_desde) {
+        throw invalido(`el código es válido desde el ${cupon.fecha_desde}`);
+      }
+      if (cupon.fecha_hasta && hoy > cupon.fecha_hasta) {
+        throw invalido('el código está vencido');
+      }
+
+      const usos = await cupon.contarUsos(usuario_id, excludeReservaId, executor);
+      if (cupon.usos_maximos !== null && usos.total >= cupon.usos_maximos) {
+        throw invalido('el código alcanzó su límite de usos');
+      }
+      if (usuario_id && cupon.usos_por_usuario !== null && usos.del_usuario >= cupon.usos_por_usuario) {
+        throw invalido('el usuario ya usó este código la cantidad de veces permitida');
+      }
+    }
+
+    if (cupon.salon_id && Number(cupon.salon_id) !== Number(salon_id)) {
+      throw invalido('el código no es válido para este salón');
+    }
+
+    // Limitado a un servicio: el descuento se calcula solo sobre ese servicio
+    let base = subtotal;
+    if (cupon.servicio_id) {
+      const linea = servicios.find(servicio => Number(servicio.servicio_id) === Number(cupon.servicio_id));
+      if (!linea) {
+        throw invalido('el código requiere contratar un servicio que la reserva no incluye');
+      }
+      base = linea.importe;
+    }
+
+    const importe = cupon.tipo === 'porcentaje'
+      ? Math.round(base * cupon.valor) / 100
+      : Math.min(cupon.valor, base);
+
+    return { cupon, importe: Math.round(importe * 100) / 100 };
+  }
+
+  /**
+   * Valida que el salón y el servicio a los que se limita el cupón existan
+   */
+  static async checkReferencias({ salon_id = null, servicio_id = null }, executor = null) {
+    if (salon_id && (await query('SELECT salon_id FROM salones WHERE salon_id = ?', [salon_id], executor)).length === 0) {
+      throw new Error('El salón especificado no existe');
+    }
+    if (servicio_id && (await query('SELECT servicio_id FROM servicios WHERE servicio_id = ?', [servicio_id], executor)).length === 0) {
+      throw new Error('El servicio especificado no existe');
+    }
+  }
+
+  /**
+   * Valores a guardar (POST y PUT reciben el cupón completo)
+   */
+  static toRow(data) {
+    return [
+      Cupon.normalizarCodigo(data.codigo),
+      data.descripcion ? data.descripcion.trim() : null,
+      data.tipo,
+      data.valor,
+      data.fecha_desde || null,
+      data.fecha_hasta || null,
+      data.usos_maximos ?? null,
+      data.usos_por_usuario ?? null,
+      data.salon_id || null,
+      data.servicio_id || null
+    ];
+  }
+
+  /**
+   * Crear nuevo cupón
+   */
+  static async create(data, executor = null) {
+    try {
+      if (await Cupon.existsByCodigo(data.codigo, null, executor)) {
+        throw new Error('Ya existe un cupón con ese código');
+      }
+
+      await Cupon.checkReferencias(data, executor);
+
+      const result = await query(
+        `INSERT INTO cupones (codigo, descripcion, tipo, valor, fecha_desde, fecha_hasta, usos_maximos, usos_por_usuario,
+           salon_id, servicio_id, activo, creado, modificado)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())`,
+        Cupon.toRow(data), executor
+      );
+
+      return await Cupon.findById(result.insertId, executor);
+    } catch (error) {
+      console.error('Error en create:', error);
+      if (error.message.includes('Ya existe') || error.message.includes('no existe')) {
+        throw error;
+      }
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Ya existe un cupón con ese código');
+      }
+      throw new Error('Error al crear cupón');
+    }
+  }
+
+  /**
+   * Reemplaza el cupón. Las reservas que ya lo usaron conservan su descuento.
+   */
+  async update(data, executor = null) {
+    try {
+      if (await Cupon.existsByCodigo(data.codigo, this.cupon_id, executor)) {
+        throw new Error('Ya existe un cupón con ese código');
+      }
+
+      await Cupon.checkReferencias(data, executor);
+
+      await query(
+        `UPDATE cupones SET codigo = ?, descripcion = ?, tipo = ?, valor = ?, fecha_desde = ?, fecha_hasta = ?,
+           usos_maximos = ?, usos_por_usuario = ?, salon_id = ?, servicio_id = ?, modificado = NOW()
+         WHERE cupon_id = ?`,
+        [...Cupon.toRow(data), this.cupon_id], executor
+      );
+
+      return await Cupon.findById(this.cupon_id, executor);
+    } catch (error) {
+      console.error('Error en update:', error);
+      if (error.message.includes('Ya existe') || error.message.includes('no existe')) {
+        throw error;
+      }
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Ya existe un cupón con ese código');
+      }
+      throw new Error('Error al actualizar cupón');
+    }
+  }
+
+  /**
+   * Soft delete: el código deja de aceptarse en reservas nuevas
+   */
+  async softDelete(executor = null) {
+    try {
+      await query(
+        'UPDATE cupones SET activo = 0, modificado = NOW() WHERE cupon_id = ?',
+        [this.cupon_id], executor
+      );
+
+      this.activo = false;
+      return true;
+    } catch (error) {
+      console.error('Error en softDelete:', error);
+      throw new Error('Error al eliminar cupón');
+    }
+  }
+
+  /**
+   * Convertir a JSON limpio para respuestas de API
+   */
+  toJSON() {
+    return {
+      cupon_id: this.cupon_id,
+      codigo: this.codigo,
+      descripcion: this.descripcion,
+      tipo: this.tipo,
+      valor: this.valor,
+      fecha_desde: this.fecha_desde,
+      fecha_hasta: this.fecha_hasta,
+      usos_maximos: this.usos_maximos,
+      usos_por_usuario: this.usos_por_usuario,
+      salon_id: this.salon_id,
+      servicio_id: this.servicio_id,
+      usos: this.usos,
+      activo: this.activo,
+      creado: this.creado,
+      modificado: this.modificado
+    };
+  }
+}
+
+export { MENSAJE_CUPON_INVALIDO };
+export default Cupon;
@@ -0,0 +1,93 @@
+import { query } from '../config/database.js';
+import { ESTADOS_BLOQUEANTES_SQL } from '../config/estadosReserva.js';
+import { ofertaVigenteSql } from './ListaEspera.js';
+import { retencionVigenteSql } from './Retencion.js';
+
+/**
+ * Única definición de cuándo un turno (salón, fecha y turno) admite una reserva.
+ * Reserva, Salon y Turno verifican la disponibilidad con Disponibilidad.isLibre y el
+ * calendario de salones arma el estado de cada turno con los mismos fragmentos: una regla
+ * nueva que ocupe o bloquee turnos se agrega solo acá.
+ *
+ * Los fragmentos reciben expresiones SQL (columnas de la consulta que los usa).
+ */
+
+/**
+ * Condición SQL "la reserva del alias ocupa el turno": activa y en un estado bloqueante
+ */
+const reservaOcupaSql = (alias, salon, fecha, turno) => `(
+  ${alias}.salon_id = ${salon} AND ${alias}.fecha_reserva = ${fecha} AND ${alias}.turno_id = ${turno}
+    AND ${alias}.activo = 1 AND ${alias}.estado IN (${ESTADOS_BLOQUEANTES_SQL})
+)`;
+
+/**
+ * Condición SQL "el turno está reservado": por una reserva (salvo excluirReserva, la que se
+ * está editando), una oferta vigente de la lista de espera o una retención de checkout
+ */
+const turnoReservadoSql = (salon, fecha, turno, excluirReserva = null) => `(
+  EXISTS (
+    SELECT 1 FROM reservas r_ocupa
+    WHERE ${reservaOcupaSql('r_ocupa', salon, fecha, turno)}${excluirReserva ? ` AND r_ocupa.reserva_id <> ${excluirReserva}` : ''}
+  )
+  OR ${ofertaVigenteSql(salon, fecha, turno)}
+  OR ${retencionVigenteSql(salon, fecha, turno)}
+)`;
+
+/**
+ * Condición SQL "el turno está bloqueado": hay un bloqueo vigente del salón (ver
+ * BloqueoSalon) que cubre la fecha y, si indica turnos, ese turno. Recibe expresiones SQL
+ * (columnas de la consulta que la usa, o '?' para parámetros en ese orden).
+ */
+const turnoBloqueadoSql = (salon, fecha, turno) => `EXISTS (
+  SELECT 1 FROM salones_bloqueos b
+  WHERE b.salon_id = ${salon} AND b.activo = 1 AND ${fecha} BETWEEN b.fecha_desde AND b.fecha_hasta
+    AND (
+      NOT EXISTS (SELECT 1 FROM salones_bloqueos_turnos bt WHERE bt.bloqueo_id = b.bloqueo_id)
+      OR EXISTS (SELECT 1 FROM salones_bloqueos_turnos bt WHERE bt.bloqueo_id = b.bloqueo_id AND bt.turno_id = ${turno})
+    )
+)`;
+
+/**
+ * Condición SQL "el turno admite una reserva"
+ */
+const turnoLibreSql = (salon, fecha, turno, excluirReserva = null) => `(
+  NOT ${turnoReservadoSql(salon, fecha, turno, excluirReserva)}
+  AND NOT ${turnoBloqueadoSql(salon, fecha, turno)}
+)`;
+
+class Disponibilidad {
+  /**
+   * Indica si el salón admite una reserva en la fecha y turno. excludeReservaId es la
+   * reserva que se está editando, que no ocupa su propio turno.
+   */
+  static async isLibre(salonId, fecha, turnoId, excludeReservaId = null, executor = null) {
+    const result = await query(
+      `SELECT ${turnoLibreSql('p.salon_id', 'p.fecha', 'p.turno_id', excludeReservaId ? 'p.reserva_id' : null)} AS libre
+       FROM (SELECT ? AS salon_id, CAST(? AS DATE) AS fecha, ? AS turno_id, ? AS reserva_id) p`,
+      [salonId, fecha, turnoId, excludeReservaId], executor
+    );
+
+    return Boolean(result[0].libre);
+  }
+
+  /**
+   * Bloquea la fila del salón hasta el fin de la transacción. Serializa todo lo que ocupa o
+   * bloquea turnos del salón (reservas, bloqueos, ofertas, retenciones) para que la
+   * verificación y el alta sean atómicas (un SELECT ... FOR UPDATE sobre reservas no
+   * bloquea turnos aún vacíos). Con soloActivo false bloquea también un salón dado de baja,
+   * para las operaciones que liberan turnos.
+   */
+  static async lockSalon(salonId, executor, { soloActivo = true } = {}) {
+    const salones = await query(
+      `SELECT salon_id FROM salones WHERE salon_id = ?${soloActivo ? ' AND activo = 1' : ''} FOR UPDATE`,
+      [salonId], executor
+    );
+
+    if (salones.length === 0) {
+      throw new Error('El salón especificado no existe o no está activo');
+    }
+  }
+}
+
+export { reservaOcupaSql, turnoReservadoSql, turnoBloqueadoSql, turnoLibreSql };
+export default Disponibilidad;
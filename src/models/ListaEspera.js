@@ -0,0 +1,302 @@
+import { query } from '../config/database.js';
+
+/**
+ * Lista de espera de turnos ocupados (tabla en src/database/migrations/008_lista_espera.js).
+ * El orden es el de inscripción; la posición cuenta solo las inscripciones vigentes
+ * (esperando u ofrecida) del mismo salón, fecha y turno. Ver ListaEsperaService para
+ * cuándo se ofrece el turno y cuándo vence la oferta.
+ */
+
+const ESTADOS_ESPERA = {
+  ESPERANDO: 'esperando',
+  OFRECIDA: 'ofrecida',
+  CONFIRMADA: 'confirmada',
+  VENCIDA: 'vencida',
+  CANCELADA: 'cancelada'
+};
+
+const ESTADOS_VIGENTES_SQL = `'${ESTADOS_ESPERA.ESPERANDO}', '${ESTADOS_ESPERA.OFRECIDA}'`;
+
+/**
+ * Condición SQL "el turno está retenido por una oferta de la lista de espera". Recibe
+ * expresiones SQL (columnas de la consulta que la usa, o '?' para parámetros en ese orden).
+ * Es una de las reglas que combina Disponibilidad.
+ */
+const ofertaVigenteSql = (salon, fecha, turno) => `EXISTS (
+  SELECT 1 FROM lista_espera le_oferta
+  WHERE le_oferta.salon_id = ${salon} AND le_oferta.fecha_reserva = ${fecha} AND le_oferta.turno_id = ${turno}
+    AND le_oferta.estado = '${ESTADOS_ESPERA.OFRECIDA}' AND le_oferta.oferta_vence > NOW()
+)`;
+
+const CAMPOS = `
+  le.espera_id, le.salon_id, DATE_FORMAT(le.fecha_reserva, '%Y-%m-%d') AS fecha_reserva, le.turno_id,
+  le.usuario_id, le.estado, le.oferta_vence, le.reserva_id, le.creado, le.modificado,
+  CASE WHEN le.estado IN (${ESTADOS_VIGENTES_SQL}) THEN (
+    SELECT COUNT(*) FROM lista_espera o
+    WHERE o.salon_id = le.salon_id AND o.fecha_reserva = le.fecha_reserva AND o.turno_id = le.turno_id
+      AND o.estado IN (${ESTADOS_VIGENTES_SQL}) AND o.espera_id <= le.espera_id
+  ) END AS posicion,
+  s.titulo AS salon_titulo, t.hora_desde, t.hora_hasta,
+  u.nombre AS usuario_nombre, u.apellido AS usuario_apellido, u.nombre_usuario AS usuario_email
+`;
+
+const JOINS = `
+  FROM lista_espera le
+  INNER JOIN salones s ON le.salon_id = s.salon_id
+  INNER JOIN turnos t ON le.turno_id = t.turno_id
+  INNER JOIN usuarios u ON le.usuario_id = u.usuario_id
+`;
+
+class ListaEspera {
+  constructor(data = {}) {
+    this.espera_id = data.espera_id || null;
+    this.salon_id = data.salon_id || null;
+    this.fecha_reserva = data.fecha_reserva || null;
+    this.turno_id = data.turno_id || null;
+    this.usuario_id = data.usuario_id || null;
+    this.estado = data.estado || ESTADOS_ESPERA.ESPERANDO;
+    this.oferta_vence = data.oferta_vence || null;
+    this.reserva_id = data.reserva_id || null;
+    this.posicion = data.posicion !== undefined && data.posicion !== null ? Number(data.posicion) : null;
+    this.creado = data.creado || null;
+    this.modificado = data.modificado || null;
+
+    this.salon = data.salon_titulo ? { salon_id: data.salon_id, titulo: data.salon_titulo } : null;
+    this.turno = data.hora_desde ? { turno_id: data.turno_id, hora_desde: data.hora_desde, hora_hasta: data.hora_hasta } : null;
+    this.usuario = data.usuario_email ? {
+      usuario_id: data.usuario_id,
+      nombre: data.usuario_nombre,
+      apellido: data.usuario_apellido,
+      nombre_usuario: data.usuario_email
+    } : null;
+  }
+
+  /**
+   * Inscripciones con paginación y filtros, ordenadas por turno y posición
+   */
+  static async findAll(options = {}, executor = null) {
+    const { page = 1, limit = 10, usuarioId = null, salonId = null, fecha = null, estado = null } = options;
+    const offset = (page - 1) * limit;
+
+    let whereClause = '1=1';
+    const params = [];
+
+    if (usuarioId) {
+      whereClause += ' AND le.usuario_id = ?';
+      params.push(usuarioId);
+    }
+
+    if (salonId) {
+      whereClause += ' AND le.salon_id = ?';
+      params.push(salonId);
+    }
+
+    if (fecha) {
+      whereClause += ' AND le.fecha_reserva = ?';
+      params.push(fecha);
+    }
+
+    if (estado) {
+      whereClause += ' AND le.estado = ?';
+      params.push(estado);
+    }
+
+    try {
+      const [inscripciones, totalResult] = await Promise.all([
+        query(
+          `SELECT ${CAMPOS} ${JOINS} WHERE ${whereClause}
+           ORDER BY le.fecha_reserva ASC, t.orden ASC, le.salon_id ASC, le.espera_id ASC LIMIT ? OFFSET ?`,
+          [...params, limit, offset], executor
+        ),
+        query(`SELECT COUNT(*) as total FROM lista_espera le WHERE ${whereClause}`, params, executor)
+      ]);
+
+      const total = totalResult[0].total;
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        inscripciones: inscripciones.map(inscripcion => new ListaEspera(inscripcion)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      console.error('Error en findAll:', error);
+      throw new Error('Error al obtener la lista de espera');
+    }
+  }
+
+  /**
+   * Buscar inscripción por ID; con usuarioId, solo si pertenece a ese usuario
+   */
+  static async findById(id, usuarioId = null, executor = null) {
+    try {
+      const inscripciones = await query(
+        `SELECT ${CAMPOS} ${JOINS} WHERE le.espera_id = ? ${usuarioId ? 'AND le.usuario_id = ?' : ''}`,
+        usuarioId ? [id, usuarioId] : [id], executor
+      );
+      return inscripciones.length > 0 ? new ListaEspera(inscripciones[0]) : null;
+    } catch (error) {
+      console.error('Error en findById:', error);
+      throw new Error('Error al buscar inscripción en la lista de espera');
+    }
+  }
+
+  /**
+   * Inscribe al usuario al final de la lista del turno
+   */
+  static async create({ salon_id, fecha_reserva, turno_id, usuario_id }, executor = null) {
+    try {
+      const result = await query(
+        `INSERT INTO lista_espera (salon_id, fecha_reserva, turno_id, usuario_id, estado, creado, modificado)
+         VALUES (?, ?, ?, ?, '${ESTADOS_ESPERA.ESPERANDO}', NOW(), NOW())`,
+        [salon_id, fecha_reserva, turno_id, usuario_id], executor
+      );
+      return await ListaEspera.findById(result.insertId, null, executor);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('El usuario ya está en la lista de espera de ese turno');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Primera inscripción que espera el turno, bloqueada hasta el fin de la transacción
+   */
+  static async lockSiguiente(salonId, fecha, turnoId, executor) {
+    const inscripciones = await query(
+      `SELECT espera_id FROM lista_espera
+       WHERE salon_id = ? AND fecha_reserva = ? AND turno_id = ? AND estado = '${ESTADOS_ESPERA.ESPERANDO}'
+       ORDER BY espera_id ASC LIMIT 1 FOR UPDATE`,
+      [salonId, fecha, turnoId], executor
+    );
+    return inscripciones.length > 0 ? inscripciones[0].espera_id : null;
+  }
+
+  /**
+   * Ofrece el turno a la inscripción: queda retenido para ella durante los minutos indicados
+   */
+  static async ofrecer(esperaId, minutos, executor = null) {
+    await query(
+      `UPDATE lista_espera SET estado = '${ESTADOS_ESPERA.OFRECIDA}', oferta_vence = NOW() + INTERVAL ? MINUTE, modificado = NOW()
+       WHERE espera_id = ?`,
+      [minutos, esperaId], executor
+    );
+  }
+
+  /**
+   * Da por confirmada la inscripción vigente del usuario para el turno, si la hay (el
+   * usuario está reservándolo). Devuelve la inscripción como estaba, para auditar el
+   * cambio, o null.
+   */
+  static async tomar(salonId, fecha, turnoId, usuarioId, executor) {
+    const inscripciones = await query(
+      `SELECT espera_id FROM lista_espera
+       WHERE salon_id = ? AND fecha_reserva = ? AND turno_id = ? AND usuario_id = ? AND estado IN (${ESTADOS_VIGENTES_SQL})
+       FOR UPDATE`,
+      [salonId, fecha, turnoId, usuarioId], executor
+    );
+    if (inscripciones.length === 0) {
+      return null;
+    }
+
+    const inscripcion = await ListaEspera.findById(inscripciones[0].espera_id, null, executor);
+    await query(
+      `UPDATE lista_espera SET estado = '${ESTADOS_ESPERA.CONFIRMADA}', oferta_vence = NULL, modificado = NOW() WHERE espera_id = ?`,
+      [inscripcion.espera_id], executor
+    );
+    return inscripcion;
+  }
+
+  static async asignarReserva(esperaId, reservaId, executor = null) {
+    await query(
+      'UPDATE lista_espera SET reserva_id = ?, modificado = NOW() WHERE espera_id = ?',
+      [reservaId, esperaId], executor
+    );
+  }
+
+  /**
+   * Inscripciones a dar por vencidas, bloqueadas hasta el fin de la transacción: las ofertas
+   * no confirmadas a tiempo (oferta_vencida = 1) y las inscripciones vigentes de turnos que
+   * ya pasaron
+   */
+  static async lockVencidas(executor) {
+    return query(
+      `SELECT espera_id, (estado = '${ESTADOS_ESPERA.OFRECIDA}' AND oferta_vence <= NOW()) AS oferta_vencida
+       FROM lista_espera
+       WHERE (estado = '${ESTADOS_ESPERA.OFRECIDA}' AND oferta_vence <= NOW())
+          OR (estado IN (${ESTADOS_VIGENTES_SQL}) AND fecha_reserva < CURDATE())
+       ORDER BY espera_id ASC FOR UPDATE`,
+      [], executor
+    );
+  }
+
+  /**
+   * Marca la inscripción como vencida. Una oferta vencida conserva cuándo venció.
+   */
+  static async vencer(esperaId, executor = null) {
+    await query(
+      `UPDATE lista_espera SET estado = '${ESTADOS_ESPERA.VENCIDA}',
+         oferta_vence = IF(oferta_vence <= NOW(), oferta_vence, NULL), modificado = NOW()
+       WHERE espera_id = ?`,
+      [esperaId], executor
+    );
+  }
+
+  /**
+   * Turnos futuros con inscripciones esperando y sin oferta vigente
+   */
+  static async findTurnosEnEspera(executor = null) {
+    return query(
+      `SELECT DISTINCT le.salon_id, DATE_FORMAT(le.fecha_reserva, '%Y-%m-%d') AS fecha_reserva, le.turno_id
+       FROM lista_espera le
+       WHERE le.estado = '${ESTADOS_ESPERA.ESPERANDO}' AND le.fecha_reserva >= CURDATE()
+         AND NOT ${ofertaVigenteSql('le.salon_id', 'le.fecha_reserva', 'le.turno_id')}`,
+      [], executor
+    );
+  }
+
+  /**
+   * Baja de la inscripción. Devuelve false si ya no estaba vigente.
+   */
+  async cancelar(executor = null) {
+    const result = await query(
+      `UPDATE lista_espera SET estado = '${ESTADOS_ESPERA.CANCELADA}', oferta_vence = NULL, modificado = NOW()
+       WHERE espera_id = ? AND estado IN (${ESTADOS_VIGENTES_SQL})`,
+      [this.espera_id], executor
+    );
+    return result.affectedRows > 0;
+  }
+
+  isVigente() {
+    return this.estado === ESTADOS_ESPERA.ESPERANDO || this.estado === ESTADOS_ESPERA.OFRECIDA;
+  }
+
+  toJSON() {
+    return {
+      espera_id: this.espera_id,
+      salon_id: this.salon_id,
+      fecha_reserva: this.fecha_reserva,
+      turno_id: this.turno_id,
+      usuario_id: this.usuario_id,
+      estado: this.estado,
+      posicion: this.posicion,
+      oferta_vence: this.oferta_vence,
+      reserva_id: this.reserva_id,
+      salon: this.salon,
+      turno: this.turno,
+      usuario: this.usuario,
+      creado: this.creado,
+      modificado: this.modificado
+    };
+  }
+}
+
+export { ESTADOS_ESPERA, ofertaVigenteSql };
+export default ListaEspera;
@@ -0,0 +1,302 @@
+import { query, transaction } from '../config/database.js';
+import { ESTADOS_RESERVA } from '../config/estadosReserva.js';
+import { TIPOS_PAGO, ESTADOS_PAGO, importePagadoSql, pagosConfig } from '../config/pagos.js';
+import Reserva from './Reserva.js';
+import AuditoriaService from '../services/auditoriaService.js';
+
+/**
+ * Pagos de reservas (tabla en src/database/migrations/005_pagos.js).
+ *
+ * Solo los pagos aprobados cuentan para el saldo de la reserva; los cobros online quedan
+ * pendientes hasta que el proveedor los confirma, o hasta que vencen (vence, ver
+ * pagosConfig.minutosCobroPendiente) o se cancelan. Mientras tanto su importe queda
+ * comprometido para otros cobros online, que no pueden superar el saldo descontándolo; los
+ * pagos registrados en el local no se frenan por un cobro online sin resolver. Un reembolso
+ * pendiente cuenta como ya devuelto del pago de origen. Cuando una reserva confirmada queda
+ * sin saldo pasa sola a "pagada". Los errores de validación empiezan con
+ * MENSAJE_PAGO_INVALIDO para que los controladores respondan 400.
+ */
+
+const MENSAJE_PAGO_INVALIDO = 'Pago inválido';
+
+const CAMPOS = `
+  p.pago_id, p.reserva_id, p.tipo, p.metodo, p.importe, p.estado, p.vence, p.proveedor, p.referencia_externa,
+  p.pago_origen_id, p.nota, p.usuario_id, p.creado, p.modificado,
+  (SELECT COALESCE(SUM(rf.importe), 0) FROM pagos rf
+   WHERE rf.pago_origen_id = p.pago_id AND rf.estado = '${ESTADOS_PAGO.APROBADO}') AS reembolsado
+`;
+
+const invalido = (detalle) => new Error(`${MENSAJE_PAGO_INVALIDO}: ${detalle}`);
+
+const redondear = (importe) => Math.round(importe * 100) / 100;
+
+class Pago {
+  constructor(data = {}) {
+    this.pago_id = data.pago_id || null;
+    this.reserva_id = data.reserva_id || null;
+    this.tipo = data.tipo || TIPOS_PAGO.PAGO;
+    this.metodo = data.metodo || null;
+    this.importe = data.importe !== undefined ? parseFloat(data.importe) : 0;
+    this.estado = data.estado || ESTADOS_PAGO.APROBADO;
+    this.vence = data.vence || null;
+    this.proveedor = data.proveedor || null;
+    this.referencia_externa = data.referencia_externa || null;
+    this.pago_origen_id = data.pago_origen_id || null;
+    this.nota = data.nota || null;
+    this.usuario_id = data.usuario_id || null;
+    this.reembolsado = data.reembolsado !== undefined ? parseFloat(data.reembolsado) : 0;
+    this.creado = data.creado || null;
+    this.modificado = data.modificado || null;
+  }
+
+  /**
+   * Pagos y reembolsos de una reserva, del más antiguo al más reciente
+   */
+  static async findByReserva(reservaId, executor = null) {
+    try {
+      const pagos = await query(
+        `SELECT ${CAMPOS} FROM pagos p WHERE p.reserva_id = ? ORDER BY p.creado ASC, p.pago_id ASC`,
+        [reservaId], executor
+      );
+      return pagos.map(pago => new Pago(pago));
+    } catch (error) {
+      console.error('Error en findByReserva:', error);
+      throw new Error('Error al obtener pagos');
+    }
+  }
+
+  static async findById(id, executor = null) {
+    try {
+      const pagos = await query(`SELECT ${CAMPOS} FROM pagos p WHERE p.pago_id = ?`, [id], executor);
+      return pagos.length > 0 ? new Pago(pagos[0]) : null;
+    } catch (error) {
+      console.error('Error en findById:', error);
+      throw new Error('Error al buscar pago');
+    }
+  }
+
+  /**
+   * Pago a partir de la referencia con que lo identifica el proveedor
+   */
+  static async findByReferencia(proveedor, referencia, executor = null) {
+    try {
+      const pagos = await query(
+        `SELECT ${CAMPOS} FROM pagos p WHERE p.proveedor = ? AND p.referencia_externa = ?`,
+        [proveedor, referencia], executor
+      );
+      return pagos.length > 0 ? new Pago(pagos[0]) : null;
+    } catch (error) {
+      console.error('Error en findByReferencia:', error);
+      throw new Error('Error al buscar pago');
+    }
+  }
+
+  /**
+   * Bloquea la reserva hasta el fin de la transacción, para que dos pagos
+   * simultáneos no superen el saldo, y la devuelve con lo cobrado hasta ahora
+   * y lo que está pendiente de cobro (cobros online sin resolver y sin vencer)
+   */
+  static async lockReserva(reservaId, executor) {
+    const reservas = await query(
+      'SELECT reserva_id, importe_total, estado, activo FROM reservas WHERE reserva_id = ? FOR UPDATE',
+      [reservaId], executor
+    );
+    if (reservas.length === 0) {
+      return null;
+    }
+
+    const [importes] = await query(
+      `SELECT ${importePagadoSql('?')} AS importe_pagado,
+         (SELECT COALESCE(SUM(importe), 0) FROM pagos
+          WHERE reserva_id = ? AND tipo <> '${TIPOS_PAGO.REEMBOLSO}' AND estado = '${ESTADOS_PAGO.PENDIENTE}'
+            AND vence > NOW()) AS importe_pendiente`,
+      [reservaId, reservaId], executor
+    );
+    return {
+      ...reservas[0],
+      importe_pagado: parseFloat(importes.importe_pagado),
+      importe_pendiente: parseFloat(importes.importe_pendiente)
+    };
+  }
+
+  /**
+   * Lo que resta reembolsar del pago: su importe menos los reembolsos aprobados o pendientes
+   */
+  static async getReembolsable(pago, executor) {
+    const [{ comprometido }] = await query(
+      `SELECT COALESCE(SUM(importe), 0) AS comprometido FROM pagos
+       WHERE pago_origen_id = ? AND estado IN ('${ESTADOS_PAGO.APROBADO}', '${ESTADOS_PAGO.PENDIENTE}')`,
+      [pago.pago_id], executor
+    );
+    return redondear(pago.importe - parseFloat(comprometido));
+  }
+
+  /**
+   * Registra un pago, seña o reembolso de la reserva.
+   * Los pagos no pueden superar el saldo ni registrarse en reservas canceladas; un cobro
+   * pendiente además descuenta los otros cobros pendientes y vence a los
+   * pagosConfig.minutosCobroPendiente minutos. Los reembolsos no pueden superar lo que resta
+   * devolver del pago de origen (descontados los reembolsos pendientes).
+   */
+  static async registrar(reservaId, data, autorId = null, executor = null) {
+    try {
+      return await transaction(async (connection) => {
+        const reserva = await Pago.lockReserva(reservaId, connection);
+        if (!reserva || !reserva.activo) {
+          throw new Error('Reserva no encontrada');
+        }
+
+        const importe = redondear(parseFloat(data.importe));
+        const estado = data.estado || ESTADOS_PAGO.APROBADO;
+
+        if (!(importe > 0)) {
+          throw invalido('el importe debe ser mayor a cero');
+        }
+
+        if (data.tipo === TIPOS_PAGO.REEMBOLSO) {
+          const origen = await Pago.findById(data.pago_origen_id, connection);
+          if (!origen || Number(origen.reserva_id) !== Number(reservaId) ||
+              origen.tipo === TIPOS_PAGO.REEMBOLSO || origen.estado !== ESTADOS_PAGO.APROBADO) {
+            throw invalido('solo se reembolsan pagos aprobados de la reserva');
+          }
+          const reembolsable = await Pago.getReembolsable(origen, connection);
+          if (importe > reembolsable) {
+            throw invalido(`el importe supera lo que resta reembolsar del pago (${reembolsable})`);
+          }
+        } else {
+          if (reserva.estado === ESTADOS_RESERVA.CANCELADA) {
+            throw invalido('la reserva está cancelada');
+          }
+          // Un cobro online sin resolver no frena los pagos en el local
+          const pendiente = estado === ESTADOS_PAGO.PENDIENTE ? reserva.importe_pendiente : 0;
+          const saldo = redondear(parseFloat(reserva.importe_total) - reserva.importe_pagado - pendiente);
+          if (importe > saldo) {
+            throw invalido(pendiente > 0
+              ? `el importe supera el saldo de la reserva descontados los cobros pendientes (${saldo})`
+              : `el importe supera el saldo de la reserva (${saldo})`);
+          }
+        }
+
+        // Solo los cobros pendientes vencen; los reembolsos pendientes se resuelven al pedirlos
+        const vence = estado === ESTADOS_PAGO.PENDIENTE && data.tipo !== TIPOS_PAGO.REEMBOLSO
+          ? pagosConfig.minutosCobroPendiente
+          : null;
+
+        const result = await query(
+          `INSERT INTO pagos (reserva_id, tipo, metodo, importe, estado, vence, proveedor, referencia_externa,
+             pago_origen_id, nota, usuario_id, creado, modificado)
+           VALUES (?, ?, ?, ?, ?, IF(? IS NULL, NULL, NOW() + INTERVAL ? MINUTE), ?, ?, ?, ?, ?, NOW(), NOW())`,
+          [
+            reservaId, data.tipo, data.metodo, importe, estado, vence, vence, data.proveedor || null,
+            data.referencia_externa || null, data.pago_origen_id || null, data.nota || null, autorId
+          ], connection
+        );
+
+        if (estado === ESTADOS_PAGO.APROBADO) {
+          await Pago.completarReserva(reservaId, autorId, connection);
+        }
+
+        return await Pago.findById(result.insertId, connection);
+      }, executor);
+    } catch (error) {
+      console.error('Error en registrar:', error);
+      if (error.message.startsWith(MENSAJE_PAGO_INVALIDO) || error.message.includes('Reserva no encontrada')) {
+        throw error;
+      }
+      throw new Error('Error al registrar pago');
+    }
+  }
+
+  /**
+   * Cobros online pendientes cuyo plazo venció sin respuesta del proveedor
+   */
+  static async findCobrosVencidos(executor = null) {
+    try {
+      const pagos = await query(
+        `SELECT ${CAMPOS} FROM pagos p
+         WHERE p.estado = '${ESTADOS_PAGO.PENDIENTE}' AND p.vence <= NOW()
+         ORDER BY p.vence ASC`,
+        [], executor
+      );
+      return pagos.map(pago => new Pago(pago));
+    } catch (error) {
+      console.error('Error en findCobrosVencidos:', error);
+      throw new Error('Error al obtener pagos');
+    }
+  }
+
+  /**
+   * Una reserva confirmada que queda sin saldo pasa a "pagada", auditado como cualquier
+   * otra transición (sin actor si la aprobó el proveedor)
+   */
+  static async completarReserva(reservaId, autorId, executor) {
+    const reserva = await Reserva.findById(reservaId, true, null, executor);
+
+    if (reserva && reserva.estado === ESTADOS_RESERVA.CONFIRMADA && reserva.getSaldo() <= 0) {
+      const pagada = await reserva.cambiarEstado(ESTADOS_RESERVA.PAGADA, { autorId, motivo: 'Pago completo registrado' }, executor);
+      await AuditoriaService.registrar({ id: autorId }, 'reservas', reservaId, 'transition', reserva, pagada, {}, executor);
+    }
+  }
+
+  /**
+   * Guarda la referencia que asignó el proveedor al cobro
+   */
+  async asignarReferencia(proveedor, referencia, executor = null) {
+    await query(
+      'UPDATE pagos SET proveedor = ?, referencia_externa = ?, modificado = NOW() WHERE pago_id = ?',
+      [proveedor, referencia, this.pago_id], executor
+    );
+    this.proveedor = proveedor;
+    this.referencia_externa = referencia;
+    return this;
+  }
+
+  /**
+   * Resuelve un pago pendiente (aprobado o rechazado). Si ya estaba resuelto no hace
+   * nada, así los webhooks repetidos del proveedor son inocuos.
+   */
+  async resolver(estado, executor = null) {
+    try {
+      return await transaction(async (connection) => {
+        await Pago.lockReserva(this.reserva_id, connection);
+
+        const result = await query(
+          'UPDATE pagos SET estado = ?, modificado = NOW() WHERE pago_id = ? AND estado = ?',
+          [estado, this.pago_id, ESTADOS_PAGO.PENDIENTE], connection
+        );
+
+        if (result.affectedRows > 0 && estado === ESTADOS_PAGO.APROBADO) {
+          await Pago.completarReserva(this.reserva_id, null, connection);
+        }
+
+        return await Pago.findById(this.pago_id, connection);
+      }, executor);
+    } catch (error) {
+      console.error('Error en resolver:', error);
+      throw new Error('Error al actualizar pago');
+    }
+  }
+
+  toJSON() {
+    return {
+      pago_id: this.pago_id,
+      reserva_id: this.reserva_id,
+      tipo: this.tipo,
+      metodo: this.metodo,
+      importe: this.importe,
+      estado: this.estado,
+      vence: this.vence,
+      proveedor: this.proveedor,
+      referencia_externa: this.referencia_externa,
+      pago_origen_id: this.pago_origen_id,
+      reembolsado: this.reembolsado,
+      nota: this.nota,
+      usuario_id: this.usuario_id,
+      creado: this.creado,
+      modificado: this.modificado
+    };
+  }
+}
+
+export { MENSAJE_PAGO_INVALIDO };
+export default Pago;
@@ -0,0 +1,46 @@
+import { query } from '../config/database.js';
+
+/**
+ * Registro de recordatorios enviados (tabla en src/database/migrations/006_tareas_recordatorios.js).
+ * El recordatorio se registra antes de enviarlo: solo quien logra insertar la fila lo envía,
+ * y si el envío falla se libera para reintentarlo en la próxima ejecución.
+ */
+class Recordatorio {
+
+  /**
+   * Reserva el envío; devuelve el ID del registro, o null si ya estaba enviado
+   */
+  static async registrar(reservaId, fechaReserva, anticipacion, destinatario = null, executor = null) {
+    try {
+      const result = await query(
+        `INSERT INTO recordatorios_enviados (reserva_id, fecha_reserva, anticipacion, destinatario, enviado)
+         VALUES (?, ?, ?, ?, NOW())`,
+        [reservaId, fechaReserva, anticipacion, destinatario], executor
+      );
+      return result.insertId;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  static async liberar(recordatorioId, executor = null) {
+    await query('DELETE FROM recordatorios_enviados WHERE recordatorio_id = ?', [recordatorioId], executor);
+  }
+
+  /**
+   * Recordatorios enviados de una reserva, del más antiguo al más reciente
+   */
+  static async findByReserva(reservaId, executor = null) {
+    return query(
+      `SELECT recordatorio_id, reserva_id, DATE_FORMAT(fecha_reserva, '%Y-%m-%d') AS fecha_reserva,
+              anticipacion, destinatario, enviado
+       FROM recordatorios_enviados WHERE reserva_id = ? ORDER BY enviado ASC, recordatorio_id ASC`,
+      [reservaId], executor
+    );
+  }
+}
+
+export default Recordatorio;
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { query, transaction } from '../config/database.js';
+
+/**
+ * Tokens de refresco de larga duración, rotados en cada uso.
+ * Todos los tokens que nacen de un mismo login comparten una "familia" (la sesión):
+ * si un token ya rotado vuelve a presentarse se revoca la familia completa.
+ *
+ * Tabla refresh_tokens:
+ *   token_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   usuario_id INT NOT NULL (FK usuarios),
+ *   familia CHAR(36) NOT NULL,
+ *   token_hash CHAR(64) NOT NULL UNIQUE,
+ *   expira DATETIME NOT NULL,
+ *   revocado DATETIME NULL,
+ *   reemplazado_por INT NULL,
+ *   creado DATETIME NOT NULL
+ */
+class RefreshToken {
+  /**
+   * Días de validez de un token de refresco
+   */
+  static get ttlDias() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+  }
+
+  /**
+   * Hash del token en claro
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Inserta un nuevo token en la familia indicada (o en una nueva).
+   * Devuelve el token en claro, su id y la familia.
+   */
+  static async create(usuarioId, familia = null, executor = null) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const sesion = familia || crypto.randomUUID();
+
+    try {
+      const result = await query(
+        'INSERT INTO refresh_tokens (usuario_id, familia, token_hash, expira, revocado, reemplazado_por, creado) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NULL, NULL, NOW())',
+        [usuarioId, sesion, RefreshToken.hashToken(token), RefreshToken.ttlDias], executor
+      );
+
+      return { token, tokenId: result.insertId, familia: sesion };
+    } catch (error) {
+      console.error('Error en create:', error);
+      throw new Error('Error al generar token de refresco');
+    }
+  }
+
+  /**
+   * Rota un token: lo revoca y emite uno nuevo en la misma familia.
+   * Si el token ya había sido usado o revocado se revoca toda la familia.
+   * Devuelve { usuarioId, token, familia } o { reutilizado: true } / null.
+   */
+  static async rotate(token, executor = null) {
+    try {
+      return await transaction(async (connection) => {
+        const tokens = await query(
+          'SELECT token_id, usuario_id, familia, revocado, expira > NOW() AS vigente FROM refresh_tokens WHERE token_hash = ? FOR UPDATE',
+          [RefreshToken.hashToken(token)], connection
+        );
+
+        if (tokens.length === 0) {
+          return null;
+        }
+
+        const actual = tokens[0];
+
+        if (actual.revocado) {
+          await query(
+            'UPDATE refresh_tokens SET revocado = NOW() WHERE familia = ? AND revocado IS NULL',
+            [actual.familia], connection
+          );
+          return { reutilizado: true, usuarioId: actual.usuario_id };
+        }
+
+        if (!actual.vigente) {
+          return null;
+        }
+
+        const nuevo = await RefreshToken.create(actual.usuario_id, actual.familia, connection);
+
+        await query(
+          'UPDATE refresh_tokens SET revocado = NOW(), reemplazado_por = ? WHERE token_id = ?',
+          [nuevo.tokenId, actual.token_id], connection
+        );
+
+        return { usuarioId: actual.usuario_id, token: nuevo.token, familia: nuevo.familia };
+      }, executor);
+    } catch (error) {
+      console.error('Error en rotate:', error);
+      throw new Error('Error al renovar token de refresco');
+    }
+  }
+
+  /**
+   * Revoca la familia (sesión) a la que pertenece un token del usuario
+   */
+  static async revokeFamilyOf(token, usuarioId, executor = null) {
+    try {
+      const result = await query(
+        `UPDATE refresh_tokens SET revocado = NOW()
+         WHERE revocado IS NULL AND usuario_id = ? AND familia = (
+           SELECT familia FROM (SELECT familia FROM refresh_tokens WHERE token_hash = ?) AS t
+         )`,
+        [usuarioId, RefreshToken.hashToken(token)], executor
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error en revokeFamilyOf:', error);
+      throw new Error('Error al revocar sesión');
+    }
+  }
+
+  /**
+   * Revoca una familia (sesión) por su identificador
+   */
+  static async revokeFamily(familia, executor = null) {
+    try {
+      await query(
+        'UPDATE refresh_tokens SET revocado = NOW() WHERE familia = ? AND revocado IS NULL',
+        [familia], executor
+      );
+      return true;
+    } catch (error) {
+      console.error('Error en revokeFamily:', error);
+      throw new Error('Error al revocar sesión');
+    }
+  }
+
+  /**
+   * Revoca todos los tokens de refresco de un usuario
+   */
+  static async revokeAllForUser(usuarioId, executor = null) {
+    try {
+      await query(
+        'UPDATE refresh_tokens SET revocado = NOW() WHERE usuario_id = ? AND revocado IS NULL',
+        [usuarioId], executor
+      );
+      return true;
+    } catch (error) {
+      console.error('Error en revokeAllForUser:', error);
+      throw new Error('Error al revocar sesiones');
+    }
+  }
+}
+
+export default RefreshToken;
@@ -0,0 +1,363 @@
+import { query } from '../config/database.js';
+
+/**
+ * Reglas de precio evaluadas al reservar (tablas en
+ * src/database/migrations/003_reglas_precio.js).
+ *
+ * Cada regla ajusta el importe del salón o el de cada servicio: "porcentaje" suma valor% del
+ * importe acumulado y "fijo" suma valor; un valor negativo es un descuento. Las reglas que
+ * coinciden se aplican en orden de prioridad (mayor primero, a igual prioridad la más
+ * antigua) y una regla exclusiva corta la evaluación del concepto. El importe nunca baja de 0.
+ */
+
+const CAMPOS = `
+  regla_id, nombre, aplica_a, tipo, valor, prioridad, exclusiva,
+  salon_id, servicio_id, turno_id, dias_semana,
+  DATE_FORMAT(fecha_desde, '%Y-%m-%d') AS fecha_desde,
+  DATE_FORMAT(fecha_hasta, '%Y-%m-%d') AS fecha_hasta,
+  anticipacion_min, anticipacion_max, activo, creado, modificado
+`;
+
+const UN_DIA_MS = 24 * 60 * 60 * 1000;
+
+const redondear = (importe) => Math.round(importe * 100) / 100;
+
+class ReglaPrecio {
+  constructor(data = {}) {
+    this.regla_id = data.regla_id || null;
+    this.nombre = data.nombre || '';
+    this.aplica_a = data.aplica_a || 'salon';
+    this.tipo = data.tipo || 'porcentaje';
+    this.valor = data.valor !== undefined ? parseFloat(data.valor) : 0;
+    this.prioridad = data.prioridad || 0;
+    this.exclusiva = Boolean(data.exclusiva);
+    this.salon_id = data.salon_id || null;
+    this.servicio_id = data.servicio_id || null;
+    this.turno_id = data.turno_id || null;
+    // En la base se guardan como lista separada por comas (0 = domingo ... 6 = sábado)
+    this.dias_semana = Array.isArray(data.dias_semana)
+      ? data.dias_semana
+      : (data.dias_semana ? String(data.dias_semana).split(',').map(Number) : null);
+    this.fecha_desde = data.fecha_desde || null;
+    this.fecha_hasta = data.fecha_hasta || null;
+    this.anticipacion_min = data.anticipacion_min ?? null;
+    this.anticipacion_max = data.anticipacion_max ?? null;
+    this.activo = data.activo !== undefined ? Boolean(data.activo) : true;
+    this.creado = data.creado || null;
+    this.modificado = data.modificado || null;
+  }
+
+  /**
+   * Obtener reglas con paginación y filtros
+   */
+  static async findAll(options = {}, executor = null) {
+    const {
+      page = 1,
+      limit = 10,
+      includeInactive = false,
+      salonId = null,
+      aplicaA = null
+    } = options;
+
+    const offset = (page - 1) * limit;
+
+    let whereClause = includeInactive ? '1=1' : 'activo = 1';
+    const params = [];
+
+    if (salonId) {
+      whereClause += ' AND (salon_id = ? OR salon_id IS NULL)';
+      params.push(salonId);
+    }
+
+    if (aplicaA) {
+      whereClause += ' AND aplica_a = ?';
+      params.push(aplicaA);
+    }
+
+    try {
+      const [reglas, totalResult] = await Promise.all([
+        query(
+          `SELECT ${CAMPOS} FROM reglas_precio WHERE ${whereClause} ORDER BY activo DESC, prioridad DESC, regla_id ASC LIMIT ? OFFSET ?`,
+          [...params, limit, offset], executor
+        ),
+        query(`SELECT COUNT(*) as total FROM reglas_precio WHERE ${whereClause}`, params, executor)
+      ]);
+
+      const total = totalResult[0].total;
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        reglas: reglas.map(regla => new ReglaPrecio(regla)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      console.error('Error en findAll:', error);
+      throw new Error('Error al obtener reglas de precio');
+    }
+  }
+
+  /**
+   * Buscar regla por ID (incluye inactivas)
+   */
+  static async findById(id, executor = null) {
+    try {
+      const reglas = await query(`SELECT ${CAMPOS} FROM reglas_precio WHERE regla_id = ?`, [id], executor);
+      return reglas.length > 0 ? new ReglaPrecio(reglas[0]) : null;
+    } catch (error) {
+      console.error('Error en findById:', error);
+      throw new Error('Error al buscar regla de precio');
+    }
+  }
+
+  /**
+   * Buscar regla activa por ID
+   */
+  static async findActiveById(id, executor = null) {
+    const regla = await ReglaPrecio.findById(id, executor);
+    return (regla && regla.activo) ? regla : null;
+  }
+
+  /**
+   * Reglas activas cuyo rango de fechas incluye la fecha, en orden de aplicación.
+   * El resto de las condiciones se evalúa en memoria con coincide().
+   */
+  static async findVigentes(fecha, executor = null) {
+    try {
+      const reglas = await query(
+        `SELECT ${CAMPOS} FROM reglas_precio
+         WHERE activo = 1
+           AND (fecha_desde IS NULL OR fecha_desde <= ?)
+           AND (fecha_hasta IS NULL OR fecha_hasta >= ?)
+         ORDER BY prioridad DESC, regla_id ASC`,
+        [fecha, fecha], executor
+      );
+
+      return reglas.map(regla => new ReglaPrecio(regla));
+    } catch (error) {
+      console.error('Error en findVigentes:', error);
+      throw new Error('Error al obtener reglas de precio');
+    }
+  }
+
+  /**
+   * Fecha como AAAA-MM-DD (DATE de MySQL llega como Date en hora local)
+   */
+  static fechaISO(valor) {
+    if (valor instanceof Date) {
+      return `${valor.getFullYear()}-${String(valor.getMonth() + 1).padStart(2, '0')}-${String(valor.getDate()).padStart(2, '0')}`;
+    }
+    return String(valor).split('T')[0];
+  }
+
+  /**
+   * Días calendario entre dos fechas (negativo si hasta es anterior a desde)
+   */
+  static diasEntre(desde, hasta) {
+    const aUtc = (fecha) => {
+      const [anio, mes, dia] = ReglaPrecio.fechaISO(fecha).split('-').map(Number);
+      return Date.UTC(anio, mes - 1, dia);
+    };
+    return Math.round((aUtc(hasta) - aUtc(desde)) / UN_DIA_MS);
+  }
+
+  /**
+   * Contexto de evaluación de una reserva: fecha y turno reservados y
+   * fecha en que se reserva (para la anticipación)
+   */
+  static contexto({ salon_id, turno_id, fecha_reserva, fecha_operacion = new Date() }) {
+    const fecha = ReglaPrecio.fechaISO(fecha_reserva);
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+
+    return {
+      salon_id: Number(salon_id),
+      turno_id: Number(turno_id),
+      fecha,
+      dia_semana: new Date(Date.UTC(anio, mes - 1, dia)).getUTCDay(),
+      anticipacion: ReglaPrecio.diasEntre(fecha_operacion, fecha)
+    };
+  }
+
+  /**
+   * Indica si la regla aplica a un concepto ('salon' o 'servicio', con su servicioId) en el contexto
+   */
+  coincide(concepto, contexto, servicioId = null) {
+    if (this.aplica_a !== concepto) return false;
+    if (this.salon_id && Number(this.salon_id) !== contexto.salon_id) return false;
+    if (this.servicio_id && Number(this.servicio_id) !== Number(servicioId)) return false;
+    if (this.turno_id && Number(this.turno_id) !== contexto.turno_id) return false;
+    if (this.dias_semana && !this.dias_semana.includes(contexto.dia_semana)) return false;
+    if (this.fecha_desde && contexto.fecha < this.fecha_desde) return false;
+    if (this.fecha_hasta && contexto.fecha > this.fecha_hasta) return false;
+    if (this.anticipacion_min !== null && contexto.anticipacion < this.anticipacion_min) return false;
+    if (this.anticipacion_max !== null && contexto.anticipacion > this.anticipacion_max) return false;
+    return true;
+  }
+
+  /**
+   * Aplica las reglas (ya ordenadas por prioridad) sobre un importe base.
+   * Devuelve el importe final y un ajuste por cada regla aplicada.
+   */
+  static aplicar(importeBase, reglas, concepto, contexto, servicioId = null) {
+    let importe = redondear(parseFloat(importeBase));
+    const ajustes = [];
+
+    for (const regla of reglas) {
+      if (!regla.coincide(concepto, contexto, servicioId)) continue;
+
+      const ajuste = regla.tipo === 'porcentaje' ? importe * regla.valor / 100 : regla.valor;
+      const nuevoImporte = Math.max(0, redondear(importe + ajuste));
+
+      ajustes.push({
+        regla_id: regla.regla_id,
+        descripcion: regla.nombre,
+        importe: redondear(nuevoImporte - importe)
+      });
+      importe = nuevoImporte;
+
+      if (regla.exclusiva) break;
+    }
+
+    return { importe, ajustes };
+  }
+
+  /**
+   * Valida que el salón, servicio y turno a los que se limita la regla existan
+   */
+  static async checkReferencias({ salon_id = null, servicio_id = null, turno_id = null }, executor = null) {
+    const referencias = [
+      [salon_id, 'SELECT salon_id FROM salones WHERE salon_id = ?', 'El salón especificado no existe'],
+      [servicio_id, 'SELECT servicio_id FROM servicios WHERE servicio_id = ?', 'El servicio especificado no existe'],
+      [turno_id, 'SELECT turno_id FROM turnos WHERE turno_id = ?', 'El turno especificado no existe']
+    ];
+
+    for (const [id, sql, mensaje] of referencias) {
+      if (id && (await query(sql, [id], executor)).length === 0) {
+        throw new Error(mensaje);
+      }
+    }
+  }
+
+  /**
+   * Columnas y valores a guardar (POST y PUT reciben la regla completa)
+   */
+  static toRow(data) {
+    return [
+      data.nombre.trim(),
+      data.aplica_a || 'salon',
+      data.tipo,
+      data.valor,
+      data.prioridad || 0,
+      data.exclusiva ? 1 : 0,
+      data.salon_id || null,
+      data.aplica_a === 'servicio' ? (data.servicio_id || null) : null,
+      data.turno_id || null,
+      Array.isArray(data.dias_semana) && data.dias_semana.length > 0 ? [...new Set(data.dias_semana)].sort().join(',') : null,
+      data.fecha_desde || null,
+      data.fecha_hasta || null,
+      data.anticipacion_min ?? null,
+      data.anticipacion_max ?? null
+    ];
+  }
+
+  /**
+   * Crear nueva regla
+   */
+  static async create(data, executor = null) {
+    try {
+      await ReglaPrecio.checkReferencias(data, executor);
+
+      const result = await query(
+        `INSERT INTO reglas_precio (nombre, aplica_a, tipo, valor, prioridad, exclusiva, salon_id, servicio_id, turno_id,
+           dias_semana, fecha_desde, fecha_hasta, anticipacion_min, anticipacion_max, activo, creado, modificado)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())`,
+        ReglaPrecio.toRow(data), executor
+      );
+
+      return await ReglaPrecio.findById(result.insertId, executor);
+    } catch (error) {
+      console.error('Error en create:', error);
+      if (error.message.includes('no existe')) {
+        throw error;
+      }
+      throw new Error('Error al crear regla de precio');
+    }
+  }
+
+  /**
+   * Reemplaza la regla. Las reservas ya creadas conservan su desglose.
+   */
+  async update(data, executor = null) {
+    try {
+      await ReglaPrecio.checkReferencias(data, executor);
+
+      await query(
+        `UPDATE reglas_precio SET nombre = ?, aplica_a = ?, tipo = ?, valor = ?, prioridad = ?, exclusiva = ?,
+           salon_id = ?, servicio_id = ?, turno_id = ?, dias_semana = ?, fecha_desde = ?, fecha_hasta = ?,
+           anticipacion_min = ?, anticipacion_max = ?, modificado = NOW()
+         WHERE regla_id = ?`,
+        [...ReglaPrecio.toRow(data), this.regla_id], executor
+      );
+
+      return await ReglaPrecio.findById(this.regla_id, executor);
+    } catch (error) {
+      console.error('Error en update:', error);
+      if (error.message.includes('no existe')) {
+        throw error;
+      }
+      throw new Error('Error al actualizar regla de precio');
+    }
+  }
+
+  /**
+   * Soft delete
+   */
+  async softDelete(executor = null) {
+    try {
+      await query(
+        'UPDATE reglas_precio SET activo = 0, modificado = NOW() WHERE regla_id = ?',
+        [this.regla_id], executor
+      );
+
+      this.activo = false;
+      return true;
+    } catch (error) {
+      console.error('Error en softDelete:', error);
+      throw new Error('Error al eliminar regla de precio');
+    }
+  }
+
+  /**
+   * Convertir a JSON limpio para respuestas de API
+   */
+  toJSON() {
+    return {
+      regla_id: this.regla_id,
+      nombre: this.nombre,
+      aplica_a: this.aplica_a,
+      tipo: this.tipo,
+      valor: this.valor,
+      prioridad: this.prioridad,
+      exclusiva: this.exclusiva,
+      salon_id: this.salon_id,
+      servicio_id: this.servicio_id,
+      turno_id: this.turno_id,
+      dias_semana: this.dias_semana,
+      fecha_desde: this.fecha_desde,
+      fecha_hasta: this.fecha_hasta,
+      anticipacion_min: this.anticipacion_min,
+      anticipacion_max: this.anticipacion_max,
+      activo: this.activo,
+      creado: this.creado,
+      modificado: this.modificado
+    };
+  }
+}
+
+export default ReglaPrecio;
@@ -1,8 +1,50 @@
 import { query, transaction } from '../config/database.js';
+import { ESTADOS_RESERVA, puedeTransicionar } from '../config/estadosReserva.js';
 import Salon from './Salon.js';
 import Usuario from './Usuario.js';
 import Turno from './Turno.js';
 import Servicio from './Servicio.js';
+import Disponibilidad from './Disponibilidad.js';
+import ListaEspera from './ListaEspera.js';
+import Retencion from './Retencion.js';
+import ReglaPrecio from './ReglaPrecio.js';
+import Cupon from './Cupon.js';
+import AuditoriaService from '../services/auditoriaService.js';
+import { importePagadoSql, pagosConfig } from '../config/pagos.js';
+
+/**
+ * Reservas de salones.
+ * El ciclo de vida se guarda en reservas.estado
+ * (ENUM('pendiente','confirmada','pagada','realizada','cancelada') NOT NULL DEFAULT 'pendiente');
+ * activo queda solo para el borrado lógico. Cada cambio de estado se registra en la tabla
+ * reservas_historial:
+ *   historial_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   reserva_id INT NOT NULL (FK reservas),
+ *   estado_anterior VARCHAR(20) NULL (NULL al crear la reserva),
+ *   estado_nuevo VARCHAR(20) NOT NULL,
+ *   usuario_id INT NULL (FK usuarios, quién hizo el cambio),
+ *   motivo VARCHAR(255) NULL,
+ *   creado DATETIME NOT NULL
+ *
+ * Además de bloquear la fila del salón al reservar, la base garantiza que un turno no se
+ * ocupe dos veces con una columna generada y un índice único que ignora las filas liberadas:
+ *   slot_ocupado TINYINT AS (IF(activo = 1 AND estado <> 'cancelada', 1, NULL)),
+ *   UNIQUE KEY uq_reservas_slot (salon_id, fecha_reserva, turno_id, slot_ocupado)
+ *
+ * Los importes se cotizan con las reglas de precio vigentes (ver ReglaPrecio) y el desglose
+ * queda guardado en reservas_precios: cambiar una regla no altera reservas ya hechas.
+ * Si se aplica un cupón, la reserva guarda cupon_id e importe_descuento, e importe_total
+ * es el importe ya descontado.
+ *
+ * Lo cobrado se registra en la tabla pagos (ver Pago): cada reserva se lee con
+ * importe_pagado (neto de reembolsos), y de ahí salen el saldo y el aviso de pago vencido
+ * si no se completó el pago antes de la fecha límite (PAYMENT_DUE_DAYS_BEFORE días antes del evento).
+ *
+ * Las reservas recurrentes o de varios turnos comparten serie_id (ver SerieReserva); cada
+ * una sigue siendo una reserva independiente que puede editarse o cancelarse sola.
+ */
+
+const MENSAJE_NO_DISPONIBLE = 'El salón no está disponible en la fecha y turno seleccionados';
 
 class Reserva {
   constructor(data = {}) {
@@ -11,10 +53,15 @@ class Reserva {
     this.salon_id = data.salon_id || null;
     this.usuario_id = data.usuario_id || null;
     this.turno_id = data.turno_id || null;
+    this.serie_id = data.serie_id || null;
     this.foto_cumpleaniero = data.foto_cumpleaniero || null;
     this.tematica = data.tematica || null;
     this.importe_salon = data.importe_salon || 0;
     this.importe_total = data.importe_total || 0;
+    this.cupon_id = data.cupon_id || null;
+    this.importe_descuento = data.importe_descuento || 0;
+    this.importe_pagado = data.importe_pagado || 0;
+    this.estado = data.estado || ESTADOS_RESERVA.PENDIENTE;
     this.activo = data.activo !== undefined ? Boolean(data.activo) : true;
     this.creado = data.creado || null;
     this.modificado = data.modificado || null;
@@ -24,12 +71,13 @@ class Reserva {
     this.usuario = data.usuario || null;
     this.turno = data.turno || null;
     this.servicios = data.servicios || [];
+    this.desglose = data.desglose || null;
   }
 
   /**
    * Obtener todas las reservas con paginación y filtros
    */
-  static async findAll(options = {}) {
+  static async findAll(options = {}, executor = null) {
     const { 
       page = 1, 
       limit = 10, 
@@ -40,6 +88,9 @@ class Reserva {
       usuarioId = null,
       salonId = null,
       turnoId = null,
+      serieId = null,
+      estado = null,
+      pagoVencido = false,
       includeRelations = true
     } = options;
     
@@ -79,19 +130,36 @@ class Reserva {
       params.push(turnoId);
     }
     
+    if (serieId) {
+      whereClause += ' AND r.serie_id = ?';
+      params.push(serieId);
+    }
+    
+    if (estado) {
+      whereClause += ' AND r.estado = ?';
+      params.push(estado);
+    }
+    
+    if (pagoVencido) {
+      whereClause += ` AND r.activo = 1 AND r.estado <> ? AND DATE_SUB(r.fecha_reserva, INTERVAL ? DAY) < CURDATE() AND r.importe_total > ${importePagadoSql('r.reserva_id')}`;
+      params.push(ESTADOS_RESERVA.CANCELADA, pagosConfig.diasLimitePago);
+    }
+    
     try {
       const baseSelect = includeRelations ? `
         SELECT 
-          r.reserva_id, r.fecha_reserva, r.salon_id, r.usuario_id, r.turno_id,
+          r.reserva_id, r.fecha_reserva, r.salon_id, r.usuario_id, r.turno_id, r.serie_id,
           r.foto_cumpleaniero, r.tematica, r.importe_salon, r.importe_total,
-          r.activo, r.creado, r.modificado,
+          r.cupon_id, r.importe_descuento, r.estado, r.activo, r.creado, r.modificado,
+          ${importePagadoSql('r.reserva_id')} as importe_pagado,
           s.titulo as salon_titulo, s.direccion as salon_direccion, s.capacidad as salon_capacidad,
           u.nombre as usuario_nombre, u.apellido as usuario_apellido, u.nombre_usuario as usuario_email,
           t.orden as turno_orden, t.hora_desde, t.hora_hasta
       ` : `
-        SELECT r.reserva_id, r.fecha_reserva, r.salon_id, r.usuario_id, r.turno_id,
+        SELECT r.reserva_id, r.fecha_reserva, r.salon_id, r.usuario_id, r.turno_id, r.serie_id,
                r.foto_cumpleaniero, r.tematica, r.importe_salon, r.importe_total,
-               r.activo, r.creado, r.modificado
+               r.cupon_id, r.importe_descuento, r.estado, r.activo, r.creado, r.modificado,
+               ${importePagadoSql('r.reserva_id')} as importe_pagado
       `;
       
       const fromClause = includeRelations ? `
@@ -119,8 +187,8 @@ class Reserva {
       const countParams = [...params];
       
       const [reservas, totalResult] = await Promise.all([
-        query(reservasQuery, reservasParams),
-        query(countQuery, countParams)
+        query(reservasQuery, reservasParams, executor),
+        query(countQuery, countParams, executor)
       ]);
       
       const total = totalResult[0].total;
@@ -160,7 +228,7 @@ class Reserva {
           
           // Cargar servicios de la reserva
           if (includeRelations) {
-            reserva.servicios = await reserva.getServicios();
+            reserva.servicios = await reserva.getServicios(executor);
           }
           
           return reserva;
@@ -185,17 +253,20 @@ class Reserva {
   }
 
   /**
-   * Buscar reserva por ID con relaciones
+   * Buscar reserva por ID con relaciones.
+   * Con usuarioId solo se devuelve si la reserva pertenece a ese usuario (alcance "own").
    */
-  static async findById(id, includeRelations = true) {
+  static async findById(id, includeRelations = true, usuarioId = null, executor = null) {
     try {
       const reservasQuery = includeRelations ? `
         SELECT 
-          r.reserva_id, r.fecha_reserva, r.salon_id, r.usuario_id, r.turno_id,
+          r.reserva_id, r.fecha_reserva, r.salon_id, r.usuario_id, r.turno_id, r.serie_id,
           r.foto_cumpleaniero, r.tematica, r.importe_salon, r.importe_total,
-          r.activo, r.creado, r.modificado,
+          r.cupon_id, r.importe_descuento, r.estado, r.activo, r.creado, r.modificado,
+          ${importePagadoSql('r.reserva_id')} as importe_pagado,
           s.titulo as salon_titulo, s.direccion as salon_direccion, 
           s.capacidad as salon_capacidad, s.importe as salon_importe,
+          s.horas_cancelacion as salon_horas_cancelacion,
           u.nombre as usuario_nombre, u.apellido as usuario_apellido, 
           u.nombre_usuario as usuario_email, u.celular as usuario_celular,
           t.orden as turno_orden, t.hora_desde, t.hora_hasta
@@ -203,15 +274,17 @@ class Reserva {
         LEFT JOIN salones s ON r.salon_id = s.salon_id
         LEFT JOIN usuarios u ON r.usuario_id = u.usuario_id  
         LEFT JOIN turnos t ON r.turno_id = t.turno_id
-        WHERE r.reserva_id = ?
+        WHERE r.reserva_id = ? ${usuarioId ? 'AND r.usuario_id = ?' : ''}
       ` : `
-        SELECT reserva_id, fecha_reserva, salon_id, usuario_id, turno_id,
+        SELECT reserva_id, fecha_reserva, salon_id, usuario_id, turno_id, serie_id,
                foto_cumpleaniero, tematica, importe_salon, importe_total,
-               activo, creado, modificado
-        FROM reservas WHERE reserva_id = ?
+               cupon_id, importe_descuento, estado, activo, creado, modificado,
+               ${importePagadoSql('reservas.reserva_id')} as importe_pagado
+        FROM reservas WHERE reserva_id = ? ${usuarioId ? 'AND usuario_id = ?' : ''}
       `;
       
-      const reservas = await query(reservasQuery, [id]);
+      const params = usuarioId ? [id, usuarioId] : [id];
+      const reservas = await query(reservasQuery, params, executor);
       
       if (reservas.length === 0) return null;
       
@@ -226,7 +299,8 @@ class Reserva {
             titulo: reservaData.salon_titulo,
             direccion: reservaData.salon_direccion,
             capacidad: reservaData.salon_capacidad,
-            importe: reservaData.salon_importe
+            importe: reservaData.salon_importe,
+            horas_cancelacion: reservaData.salon_horas_cancelacion
           };
         }
         
@@ -251,8 +325,9 @@ class Reserva {
           };
         }
         
-        // Cargar servicios
-        reserva.servicios = await reserva.getServicios();
+        // Cargar servicios y desglose del precio
+        reserva.servicios = await reserva.getServicios(executor);
+        reserva.desglose = await reserva.getDesglose(executor);
       }
       
       return reserva;
@@ -265,26 +340,17 @@ class Reserva {
   /**
    * Buscar reserva activa por ID
    */
-  static async findActiveById(id) {
-    const reserva = await Reserva.findById(id);
+  static async findActiveById(id, executor = null) {
+    const reserva = await Reserva.findById(id, true, null, executor);
     return (reserva && reserva.activo) ? reserva : null;
   }
 
   /**
-   * Verifica disponibilidad de salon en fecha y turno específico
+   * Verifica disponibilidad de salon en fecha y turno específico (ver Disponibilidad)
    */
-  static async checkAvailability(salonId, fecha, turnoId, excludeReservaId = null) {
+  static async checkAvailability(salonId, fecha, turnoId, excludeReservaId = null, executor = null) {
     try {
-      let sql = 'SELECT COUNT(*) as count FROM reservas WHERE salon_id = ? AND fecha_reserva = ? AND turno_id = ? AND activo = 1';
-      let params = [salonId, fecha, turnoId];
-      
-      if (excludeReservaId) {
-        sql += ' AND reserva_id != ?';
-        params.push(excludeReservaId);
-      }
-      
-      const result = await query(sql, params);
-      return result[0].count === 0;
+      return await Disponibilidad.isLibre(salonId, fecha, turnoId, excludeReservaId, executor);
     } catch (error) {
       console.error('Error en checkAvailability:', error);
       throw new Error('Error al verificar disponibilidad');
@@ -292,9 +358,128 @@ class Reserva {
   }
 
   /**
-   * Crea nueva reserva con servicios
+   * Cotiza una reserva sin crearla: aplica las reglas de precio vigentes al importe del
+   * salón y de cada servicio. fecha_operacion es el día en que se reserva (para las reglas
+   * por anticipación). Con incluirInactivos se cotizan servicios ya dados de baja, para
+   * recalcular reservas que los tenían contratados.
+   *
+   * Con codigo_cupon se valida el cupón (para usuario_id, sin contar reserva_id, la reserva
+   * que se edita) y se descuenta del total; cupon_actual_id es el cupón que la reserva ya
+   * tenía, que no vuelve a exigir vigencia ni límites de uso.
    */
-  static async create(data) {
+  static async cotizar(data, executor = null) {
+    const {
+      fecha_reserva,
+      salon_id,
+      turno_id,
+      servicios = [],
+      fecha_operacion = new Date(),
+      incluirInactivos = false,
+      codigo_cupon = null,
+      usuario_id = null,
+      reserva_id = null,
+      cupon_actual_id = null
+    } = data;
+    
+    const salon = await Salon.findActiveById(salon_id, executor);
+    if (!salon) {
+      throw new Error('El salón especificado no existe o no está activo');
+    }
+    
+    const turno = await Turno.findActiveById(turno_id, executor);
+    if (!turno) {
+      throw new Error('El turno especificado no existe o no está activo');
+    }
+    
+    const contexto = ReglaPrecio.contexto({ salon_id, turno_id, fecha_reserva, fecha_operacion });
+    const reglas = await ReglaPrecio.findVigentes(contexto.fecha, executor);
+    
+    const precioSalon = ReglaPrecio.aplicar(salon.importe, reglas, 'salon', contexto);
+    const desglose = [
+      { concepto: 'salon', servicio_id: null, regla_id: null, descripcion: salon.titulo, importe: parseFloat(salon.importe) },
+      ...precioSalon.ajustes.map(ajuste => ({ concepto: 'salon', servicio_id: null, ...ajuste }))
+    ];
+    
+    const lineasServicios = [];
+    for (const servicioData of servicios) {
+      const servicio = incluirInactivos
+        ? await Servicio.findById(servicioData.servicio_id, executor)
+        : await Servicio.findActiveById(servicioData.servicio_id, executor);
+      if (!servicio) {
+        throw new Error(`El servicio con ID ${servicioData.servicio_id} no existe o no está activo`);
+      }
+      
+      const precio = ReglaPrecio.aplicar(servicio.importe, reglas, 'servicio', contexto, servicio.servicio_id);
+      lineasServicios.push({
+        servicio_id: servicio.servicio_id,
+        descripcion: servicio.descripcion,
+        importe_base: parseFloat(servicio.importe),
+        importe: precio.importe
+      });
+      desglose.push(
+        { concepto: 'servicio', servicio_id: servicio.servicio_id, regla_id: null, descripcion: servicio.descripcion, importe: parseFloat(servicio.importe) },
+        ...precio.ajustes.map(ajuste => ({ concepto: 'servicio', servicio_id: servicio.servicio_id, ...ajuste }))
+      );
+    }
+    
+    const importe_servicios = Math.round(lineasServicios.reduce((total, linea) => total + linea.importe * 100, 0)) / 100;
+    const subtotal = Math.round((precioSalon.importe + importe_servicios) * 100) / 100;
+    
+    let descuento = { cupon: null, importe: 0 };
+    if (codigo_cupon) {
+      descuento = await Cupon.aplicar(codigo_cupon, {
+        usuario_id,
+        salon_id: salon.salon_id,
+        servicios: lineasServicios,
+        subtotal,
+        excludeReservaId: reserva_id,
+        cuponActualId: cupon_actual_id
+      }, executor);
+    }
+    
+    return {
+      fecha_reserva: contexto.fecha,
+      salon_id: salon.salon_id,
+      turno_id: turno.turno_id,
+      importe_salon: precioSalon.importe,
+      importe_servicios,
+      subtotal,
+      cupon: descuento.cupon ? { cupon_id: descuento.cupon.cupon_id, codigo: descuento.cupon.codigo } : null,
+      importe_descuento: descuento.importe,
+      importe_total: Math.round((subtotal - descuento.importe) * 100) / 100,
+      servicios: lineasServicios,
+      desglose
+    };
+  }
+
+  /**
+   * Guarda los servicios y el desglose de una cotización, reemplazando los anteriores
+   */
+  static async guardarPrecios(reservaId, cotizacion, executor) {
+    await query('DELETE FROM reservas_servicios WHERE reserva_id = ?', [reservaId], executor);
+    await query('DELETE FROM reservas_precios WHERE reserva_id = ?', [reservaId], executor);
+    
+    for (const linea of cotizacion.servicios) {
+      await query(
+        'INSERT INTO reservas_servicios (reserva_id, servicio_id, importe, creado, modificado) VALUES (?, ?, ?, NOW(), NOW())',
+        [reservaId, linea.servicio_id, linea.importe], executor
+      );
+    }
+    
+    for (const linea of cotizacion.desglose) {
+      await query(
+        'INSERT INTO reservas_precios (reserva_id, concepto, servicio_id, regla_id, descripcion, importe) VALUES (?, ?, ?, ?, ?, ?)',
+        [reservaId, linea.concepto, linea.servicio_id, linea.regla_id, linea.descripcion, linea.importe], executor
+      );
+    }
+  }
+
+  /**
+   * Crea nueva reserva con servicios, en estado pendiente.
+   * autorId es el usuario que la registra (queda en el historial); serie_id la vincula
+   * a una serie (ver SeriesReservasService).
+   */
+  static async create(data, autorId = null, executor = null) {
     const { 
       fecha_reserva, 
       salon_id, 
@@ -302,75 +487,76 @@ class Reserva {
       turno_id, 
       foto_cumpleaniero = null,
       tematica = null,
-      servicios = []
+      servicios = [],
+      codigo_cupon = null,
+      serie_id = null
     } = data;
     
     try {
       return await transaction(async (connection) => {
-        // Verificar disponibilidad
-        const isAvailable = await Reserva.checkAvailability(salon_id, fecha_reserva, turno_id);
-        if (!isAvailable) {
-          throw new Error('El salón no está disponible en la fecha y turno seleccionados');
-        }
+        // Verificar disponibilidad con el salón bloqueado, sobre la conexión de la transacción
+        await Disponibilidad.lockSalon(salon_id, connection);
+        
+        // Si el usuario está en la lista de espera del turno (con la oferta vigente, por
+        // ejemplo) su inscripción queda confirmada y deja de retener el turno
+        const espera = await ListaEspera.tomar(salon_id, fecha_reserva, turno_id, usuario_id, connection);
         
-        // Verificar que existan las entidades relacionadas
-        const salon = await Salon.findActiveById(salon_id);
-        if (!salon) {
-          throw new Error('El salón especificado no existe o no está activo');
+        // Lo mismo con la retención del turno que el usuario tomó durante el checkout
+        const retencion = await Retencion.tomar(salon_id, fecha_reserva, turno_id, usuario_id, connection);
+        
+        const isAvailable = await Reserva.checkAvailability(salon_id, fecha_reserva, turno_id, null, connection);
+        if (!isAvailable) {
+          throw new Error(MENSAJE_NO_DISPONIBLE);
         }
         
-        const usuario = await Usuario.findActiveById(usuario_id);
+        // Verificar que exista el usuario; salón, turno y servicios se validan al cotizar
+        const usuario = await Usuario.findActiveById(usuario_id, connection);
         if (!usuario) {
           throw new Error('El usuario especificado no existe o no está activo');
         }
         
-        const turno = await Turno.findActiveById(turno_id);
-        if (!turno) {
-          throw new Error('El turno especificado no existe o no está activo');
-        }
-        
-        const importe_salon = parseFloat(salon.importe);
-        let importe_total = importe_salon;
+        // El cupón se valida con su fila bloqueada, dentro de la transacción
+        const cotizacion = await Reserva.cotizar({
+          fecha_reserva, salon_id, turno_id, servicios, codigo_cupon, usuario_id
+        }, connection);
         
         // Crear la reserva
-        const [result] = await connection.execute(
-          'INSERT INTO reservas (fecha_reserva, salon_id, usuario_id, turno_id, foto_cumpleaniero, tematica, importe_salon, importe_total, activo, creado, modificado) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())',
-          [fecha_reserva, salon_id, usuario_id, turno_id, foto_cumpleaniero, tematica, importe_salon, importe_total]
+        const result = await query(
+          'INSERT INTO reservas (fecha_reserva, salon_id, usuario_id, turno_id, serie_id, foto_cumpleaniero, tematica, importe_salon, importe_total, cupon_id, importe_descuento, activo, creado, modificado) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())',
+          [
+            fecha_reserva, salon_id, usuario_id, turno_id, serie_id, foto_cumpleaniero, tematica,
+            cotizacion.importe_salon, cotizacion.importe_total,
+            cotizacion.cupon ? cotizacion.cupon.cupon_id : null, cotizacion.importe_descuento
+          ], connection
         );
         
         const reserva_id = result.insertId;
         
-        // Agregar servicios si se especificaron
-        if (servicios && servicios.length > 0) {
-          let importe_servicios = 0;
-          
-          for (const servicioData of servicios) {
-            const servicio = await Servicio.findActiveById(servicioData.servicio_id);
-            if (!servicio) {
-              throw new Error(`El servicio con ID ${servicioData.servicio_id} no existe o no está activo`);
-            }
-            
-            const importe_servicio = parseFloat(servicio.importe);
-            importe_servicios += importe_servicio;
-            
-            await connection.execute(
-              'INSERT INTO reservas_servicios (reserva_id, servicio_id, importe, creado, modificado) VALUES (?, ?, ?, NOW(), NOW())',
-              [reserva_id, servicioData.servicio_id, importe_servicio]
-            );
-          }
-          
-          // Actualizar importe total
-          importe_total = importe_salon + importe_servicios;
-          await connection.execute(
-            'UPDATE reservas SET importe_total = ?, modificado = NOW() WHERE reserva_id = ?',
-            [importe_total, reserva_id]
-          );
+        await Reserva.registrarHistorial(reserva_id, null, ESTADOS_RESERVA.PENDIENTE, autorId, null, connection);
+        await Reserva.guardarPrecios(reserva_id, cotizacion, connection);
+        
+        // Las conversiones se auditan aquí: cualquier alta del turno las produce
+        if (espera) {
+          await ListaEspera.asignarReserva(espera.espera_id, reserva_id, connection);
+          await AuditoriaService.registrar({ id: autorId }, 'lista_espera', espera.espera_id, 'transition',
+            espera, await ListaEspera.findById(espera.espera_id, null, connection), {}, connection);
         }
         
-        return await Reserva.findById(reserva_id);
-      });
+        if (retencion) {
+          await Retencion.asignarReserva(retencion.retencion_id, reserva_id, connection);
+          await AuditoriaService.registrar({ id: autorId }, 'retenciones', retencion.retencion_id, 'transition',
+            retencion, await Retencion.findById(retencion.retencion_id, null, connection), {}, connection);
+        }
+        
+        // Se lee sobre la misma conexión, que ya ve la reserva aún sin confirmar
+        return await Reserva.findById(reserva_id, true, null, connection);
+      }, executor);
     } catch (error) {
       console.error('Error en create:', error);
+      // uq_reservas_slot (001_esquema_inicial) rechaza un turno ya ocupado si alguna carrera pasó la verificación
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error(MENSAJE_NO_DISPONIBLE);
+      }
       throw error;
     }
   }
@@ -378,7 +564,7 @@ class Reserva {
   /**
    * Actualiza reserva (solo administradores según requerimientos)
    */
-  async update(data) {
+  async update(data, executor = null) {
     const { 
       fecha_reserva, 
       salon_id, 
@@ -386,14 +572,18 @@ class Reserva {
       foto_cumpleaniero, 
       tematica,
       servicios,
+      codigo_cupon,
       activo 
     } = data;
     
     try {
+      if (!Reserva.isModifiable(this.estado)) {
+        throw new Error(`No se puede modificar una reserva ${this.estado}`);
+      }
+      
       return await transaction(async (connection) => {
         const updateFields = [];
         const params = [];
-        let shouldRecalculate = false;
         
         // Verificar disponibilidad si se cambia fecha, salón o turno
         if ((fecha_reserva && fecha_reserva !== this.fecha_reserva) ||
@@ -404,9 +594,11 @@ class Reserva {
           const newSalon = salon_id || this.salon_id;
           const newTurno = turno_id || this.turno_id;
           
-          const isAvailable = await Reserva.checkAvailability(newSalon, newFecha, newTurno, this.reserva_id);
+          await Disponibilidad.lockSalon(newSalon, connection);
+          
+          const isAvailable = await Reserva.checkAvailability(newSalon, newFecha, newTurno, this.reserva_id, connection);
           if (!isAvailable) {
-            throw new Error('El salón no está disponible en la fecha y turno seleccionados');
+            throw new Error(MENSAJE_NO_DISPONIBLE);
           }
         }
         
@@ -416,23 +608,11 @@ class Reserva {
         }
         
         if (salon_id !== undefined) {
-          const salon = await Salon.findActiveById(salon_id);
-          if (!salon) {
-            throw new Error('El salón especificado no existe o no está activo');
-          }
-          
           updateFields.push('salon_id = ?');
-          updateFields.push('importe_salon = ?');
-          params.push(salon_id, parseFloat(salon.importe));
-          shouldRecalculate = true;
+          params.push(salon_id);
         }
         
         if (turno_id !== undefined) {
-          const turno = await Turno.findActiveById(turno_id);
-          if (!turno) {
-            throw new Error('El turno especificado no existe o no está activo');
-          }
-          
           updateFields.push('turno_id = ?');
           params.push(turno_id);
         }
@@ -452,53 +632,44 @@ class Reserva {
           params.push(Boolean(activo));
         }
         
-        // Actualizar servicios si se especificaron
-        if (servicios !== undefined) {
-          // Eliminar servicios actuales
-          await connection.execute(
-            'DELETE FROM reservas_servicios WHERE reserva_id = ?',
-            [this.reserva_id]
-          );
+        // Recotizar si cambia algo que afecta el precio. La anticipación se mide desde el día
+        // en que se hizo la reserva, y los servicios ya contratados se mantienen aunque hoy
+        // estén dados de baja. Sin codigo_cupon se conserva el cupón aplicado; con null o ''
+        // se quita.
+        if (fecha_reserva !== undefined || salon_id !== undefined || turno_id !== undefined ||
+            servicios !== undefined || codigo_cupon !== undefined) {
+          const serviciosReserva = servicios !== undefined
+            ? servicios
+            : (await this.getServicios(connection)).map(servicio => ({ servicio_id: servicio.servicio_id }));
           
-          // Agregar nuevos servicios
-          let importe_servicios = 0;
-          
-          if (servicios.length > 0) {
-            for (const servicioData of servicios) {
-              const servicio = await Servicio.findActiveById(servicioData.servicio_id);
-              if (!servicio) {
-                throw new Error(`El servicio con ID ${servicioData.servicio_id} no existe o no está activo`);
-              }
-              
-              const importe_servicio = parseFloat(servicio.importe);
-              importe_servicios += importe_servicio;
-              
-              await connection.execute(
-                'INSERT INTO reservas_servicios (reserva_id, servicio_id, importe, creado, modificado) VALUES (?, ?, ?, NOW(), NOW())',
-                [this.reserva_id, servicioData.servicio_id, importe_servicio]
-              );
-            }
+          let codigo = codigo_cupon;
+          if (codigo === undefined && this.cupon_id) {
+            const cuponActual = await Cupon.findById(this.cupon_id, connection);
+            codigo = cuponActual ? cuponActual.codigo : null;
           }
           
-          shouldRecalculate = true;
-        }
-        
-        // Recalcular importe total si es necesario
-        if (shouldRecalculate) {
-          const [salonResult] = await connection.execute(
-            'SELECT importe FROM salones WHERE salon_id = ?',
-            [salon_id || this.salon_id]
-          );
+          const cotizacion = await Reserva.cotizar({
+            fecha_reserva: fecha_reserva || this.fecha_reserva,
+            salon_id: salon_id || this.salon_id,
+            turno_id: turno_id || this.turno_id,
+            servicios: serviciosReserva,
+            fecha_operacion: this.creado || new Date(),
+            incluirInactivos: servicios === undefined,
+            codigo_cupon: codigo || null,
+            usuario_id: this.usuario_id,
+            reserva_id: this.reserva_id,
+            cupon_actual_id: this.cupon_id
+          }, connection);
           
-          const [serviciosResult] = await connection.execute(
-            'SELECT COALESCE(SUM(importe), 0) as total_servicios FROM reservas_servicios WHERE reserva_id = ?',
-            [this.reserva_id]
-          );
+          await Reserva.guardarPrecios(this.reserva_id, cotizacion, connection);
           
-          const nuevo_importe_total = parseFloat(salonResult[0].importe) + parseFloat(serviciosResult[0].total_servicios);
-          
-          updateFields.push('importe_total = ?');
-          params.push(nuevo_importe_total);
+          updateFields.push('importe_salon = ?', 'importe_total = ?', 'cupon_id = ?', 'importe_descuento = ?');
+          params.push(
+            cotizacion.importe_salon,
+            cotizacion.importe_total,
+            cotizacion.cupon ? cotizacion.cupon.cupon_id : null,
+            cotizacion.importe_descuento
+          );
         }
         
         if (updateFields.length === 0) {
@@ -508,28 +679,36 @@ class Reserva {
         updateFields.push('modificado = NOW()');
         params.push(this.reserva_id);
         
-        await connection.execute(
+        await query(
           `UPDATE reservas SET ${updateFields.join(', ')} WHERE reserva_id = ?`,
-          params
+          params, connection
         );
         
-        return await Reserva.findById(this.reserva_id);
-      });
+        return await Reserva.findById(this.reserva_id, true, null, connection);
+      }, executor);
     } catch (error) {
       console.error('Error en update:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error(MENSAJE_NO_DISPONIBLE);
+      }
       throw error;
     }
   }
 
   /**
-   * Soft delete
+   * Soft delete. Libera el turno con el salón bloqueado, como las altas que lo ocupan.
    */
-  async softDelete() {
+  async softDelete(executor = null) {
     try {
-      await query(
-        'UPDATE reservas SET activo = 0, modificado = NOW() WHERE reserva_id = ?',
-        [this.reserva_id]
-      );
+      await transaction(async (connection) => {
+        // El salón puede estar dado de baja: la reserva se elimina igual
+        await Disponibilidad.lockSalon(this.salon_id, connection, { soloActivo: false });
+
+        await query(
+          'UPDATE reservas SET activo = 0, modificado = NOW() WHERE reserva_id = ?',
+          [this.reserva_id], connection
+        );
+      }, executor);
       
       this.activo = false;
       return true;
@@ -540,30 +719,178 @@ class Reserva {
   }
 
   /**
-   * Restaura reserva eliminada
+   * Fecha y hora límite para cancelar: inicio del turno menos las horas de
+   * anticipación del salón. Requiere la reserva cargada con relaciones.
+   */
+  getLimiteCancelacion() {
+    if (!this.salon || !this.turno) {
+      return null;
+    }
+    
+    const inicio = this.fecha_reserva instanceof Date
+      ? new Date(this.fecha_reserva)
+      : new Date(`${String(this.fecha_reserva).split('T')[0]}T00:00:00`);
+    const [horas, minutos] = String(this.turno.hora_desde).split(':');
+    inicio.setHours(parseInt(horas), parseInt(minutos), 0, 0);
+    
+    const horasCancelacion = parseInt(this.salon.horas_cancelacion ?? 0);
+    return new Date(inicio.getTime() - horasCancelacion * 60 * 60 * 1000);
+  }
+
+  /**
+   * Importe que resta cobrar (negativo si se cobró de más)
+   */
+  getSaldo() {
+    return Math.round((parseFloat(this.importe_total) - parseFloat(this.importe_pagado)) * 100) / 100;
+  }
+
+  /**
+   * Fecha (AAAA-MM-DD) en que la reserva debe estar paga por completo
+   */
+  getFechaLimitePago() {
+    if (!this.fecha_reserva) {
+      return null;
+    }
+    
+    const [anio, mes, dia] = ReglaPrecio.fechaISO(this.fecha_reserva).split('-').map(Number);
+    return new Date(Date.UTC(anio, mes - 1, dia - pagosConfig.diasLimitePago)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Indica si pasó la fecha límite de pago sin que la reserva esté paga por completo
+   */
+  isPagoVencido() {
+    const limite = this.getFechaLimitePago();
+    return Boolean(limite) && this.activo && this.estado !== ESTADOS_RESERVA.CANCELADA &&
+      this.getSaldo() > 0 && ReglaPrecio.fechaISO(new Date()) > limite;
+  }
+
+  /**
+   * Indica si los datos de la reserva todavía pueden editarse (no está en un estado final)
+   */
+  static isModifiable(estado) {
+    return estado !== ESTADOS_RESERVA.CANCELADA && estado !== ESTADOS_RESERVA.REALIZADA;
+  }
+
+  /**
+   * Registra un cambio de estado en el historial, dentro de la transacción que lo produce
    */
-  async restore() {
+  static async registrarHistorial(reservaId, estadoAnterior, estadoNuevo, usuarioId = null, motivo = null, executor = null) {
+    await query(
+      'INSERT INTO reservas_historial (reserva_id, estado_anterior, estado_nuevo, usuario_id, motivo, creado) VALUES (?, ?, ?, ?, ?, NOW())',
+      [reservaId, estadoAnterior, estadoNuevo, usuarioId, motivo], executor
+    );
+  }
+
+  /**
+   * Cambia el estado de la reserva si la transición está permitida y la registra en el historial.
+   * El UPDATE exige el estado leído, de modo que dos transiciones simultáneas no se pisen.
+   * Con usuarioDueno la actualización solo alcanza a reservas de ese usuario (alcance "own").
+   */
+  async cambiarEstado(nuevoEstado, { autorId = null, motivo = null, usuarioDueno = null } = {}, executor = null) {
     try {
-      // Verificar disponibilidad antes de restaurar
-      const isAvailable = await Reserva.checkAvailability(
-        this.salon_id, 
-        this.fecha_reserva, 
-        this.turno_id, 
-        this.reserva_id
-      );
-      
-      if (!isAvailable) {
-        throw new Error('No se puede restaurar: el salón ya no está disponible en esa fecha y turno');
+      if (!puedeTransicionar(this.estado, nuevoEstado)) {
+        throw new Error(`Transición de estado no permitida: ${this.estado} → ${nuevoEstado}`);
       }
       
-      await query(
-        'UPDATE reservas SET activo = 1, modificado = NOW() WHERE reserva_id = ?',
-        [this.reserva_id]
-      );
+      const estadoAnterior = this.estado;
       
-      return await Reserva.findById(this.reserva_id);
+      return await transaction(async (connection) => {
+        let sql = 'UPDATE reservas SET estado = ?, modificado = NOW() WHERE reserva_id = ? AND estado = ? AND activo = 1';
+        const params = [nuevoEstado, this.reserva_id, estadoAnterior];
+        
+        if (usuarioDueno) {
+          sql += ' AND usuario_id = ?';
+          params.push(usuarioDueno);
+        }
+        
+        const result = await query(sql, params, connection);
+        if (result.affectedRows === 0) {
+          throw new Error('La reserva cambió de estado, vuelva a consultarla');
+        }
+        
+        await Reserva.registrarHistorial(this.reserva_id, estadoAnterior, nuevoEstado, autorId, motivo, connection);
+        
+        return await Reserva.findById(this.reserva_id, true, null, connection);
+      }, executor);
+    } catch (error) {
+      console.error('Error en cambiarEstado:', error);
+      if (error.message.includes('Transición de estado') || error.message.includes('cambió de estado')) {
+        throw error;
+      }
+      throw new Error('Error al cambiar estado de la reserva');
+    }
+  }
+
+  /**
+   * Cancela la reserva, liberando el salón y el turno.
+   * Con respetarPlazo se rechaza si ya venció la ventana de cancelación del salón.
+   */
+  async cancel({ autorId = null, motivo = null, usuarioDueno = null, respetarPlazo = false } = {}, executor = null) {
+    if (respetarPlazo) {
+      const limite = this.getLimiteCancelacion();
+      if (!limite || limite <= new Date()) {
+        throw new Error('El plazo para cancelar la reserva ya venció');
+      }
+    }
+    
+    return this.cambiarEstado(ESTADOS_RESERVA.CANCELADA, { autorId, motivo, usuarioDueno }, executor);
+  }
+
+  /**
+   * Historial de cambios de estado, del más antiguo al más reciente
+   */
+  async getHistorial(executor = null) {
+    try {
+      return await query(`
+        SELECT 
+          h.historial_id, h.estado_anterior, h.estado_nuevo, h.motivo, h.creado,
+          h.usuario_id, u.nombre, u.apellido
+        FROM reservas_historial h
+        LEFT JOIN usuarios u ON h.usuario_id = u.usuario_id
+        WHERE h.reserva_id = ?
+        ORDER BY h.creado ASC, h.historial_id ASC
+      `, [this.reserva_id], executor);
+    } catch (error) {
+      console.error('Error en getHistorial:', error);
+      throw new Error('Error al obtener historial de la reserva');
+    }
+  }
+
+  /**
+   * Restaura reserva eliminada
+   */
+  async restore(executor = null) {
+    try {
+      return await transaction(async (connection) => {
+        // Con el salón bloqueado nadie ocupa el turno entre la verificación y la restauración
+        await Disponibilidad.lockSalon(this.salon_id, connection);
+
+        const isAvailable = await Reserva.checkAvailability(
+          this.salon_id, 
+          this.fecha_reserva, 
+          this.turno_id, 
+          this.reserva_id,
+          connection
+        );
+        
+        if (!isAvailable) {
+          throw new Error(MENSAJE_NO_DISPONIBLE);
+        }
+        
+        await query(
+          'UPDATE reservas SET activo = 1, modificado = NOW() WHERE reserva_id = ?',
+          [this.reserva_id], connection
+        );
+        
+        return await Reserva.findById(this.reserva_id, true, null, connection);
+      }, executor);
     } catch (error) {
       console.error('Error en restore:', error);
+      // uq_reservas_slot rechaza el turno si ya lo ocupa otra reserva, como en create
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error(MENSAJE_NO_DISPONIBLE);
+      }
       throw error;
     }
   }
@@ -571,7 +898,7 @@ class Reserva {
   /**
    * Obtener servicios de la reserva
    */
-  async getServicios() {
+  async getServicios(executor = null) {
     try {
       const servicios = await query(`
         SELECT 
@@ -585,7 +912,7 @@ class Reserva {
         INNER JOIN servicios s ON rs.servicio_id = s.servicio_id
         WHERE rs.reserva_id = ?
         ORDER BY s.descripcion ASC
-      `, [this.reserva_id]);
+      `, [this.reserva_id], executor);
       
       return servicios.map(servicio => ({
         servicio_id: servicio.servicio_id,
@@ -601,10 +928,30 @@ class Reserva {
     }
   }
 
+  /**
+   * Desglose del precio con que se cotizó la reserva: por concepto, la línea base
+   * (regla_id null) y los ajustes de cada regla aplicada
+   */
+  async getDesglose(executor = null) {
+    try {
+      const lineas = await query(`
+        SELECT concepto, servicio_id, regla_id, descripcion, importe
+        FROM reservas_precios
+        WHERE reserva_id = ?
+        ORDER BY detalle_id ASC
+      `, [this.reserva_id], executor);
+      
+      return lineas.map(linea => ({ ...linea, importe: parseFloat(linea.importe) }));
+    } catch (error) {
+      console.error('Error en getDesglose:', error);
+      throw new Error('Error al obtener desglose de la reserva');
+    }
+  }
+
   /**
    * Obtener reservas próximas (para recordatorios)
    */
-  static async getUpcoming(dias = 1) {
+  static async getUpcoming(dias = 1, executor = null) {
     try {
       const fechaLimite = new Date();
       fechaLimite.setDate(fechaLimite.getDate() + dias);
@@ -620,10 +967,11 @@ class Reserva {
         INNER JOIN salones s ON r.salon_id = s.salon_id
         INNER JOIN turnos t ON r.turno_id = t.turno_id
         WHERE r.activo = 1 
+          AND r.estado <> 'cancelada'
           AND r.fecha_reserva BETWEEN CURDATE() AND ?
           AND u.activo = 1
         ORDER BY r.fecha_reserva ASC, t.orden ASC
-      `, [fechaLimite.toISOString().split('T')[0]]);
+      `, [fechaLimite.toISOString().split('T')[0]], executor);
       
       return reservas;
     } catch (error) {
@@ -635,7 +983,7 @@ class Reserva {
   /**
    * Estadísticas de reservas por mes
    */
-  static async getStatsByMonth(year = new Date().getFullYear()) {
+  static async getStatsByMonth(year = new Date().getFullYear(), executor = null) {
     try {
       const stats = await query(`
         SELECT 
@@ -644,10 +992,10 @@ class Reserva {
           SUM(importe_total) as total_ingresos,
           AVG(importe_total) as promedio_por_reserva
         FROM reservas 
-        WHERE YEAR(fecha_reserva) = ? AND activo = 1
+        WHERE YEAR(fecha_reserva) = ? AND activo = 1 AND estado <> 'cancelada'
         GROUP BY MONTH(fecha_reserva)
         ORDER BY mes
-      `, [year]);
+      `, [year], executor);
       
       return stats.map(stat => ({
         mes: stat.mes,
@@ -700,17 +1048,26 @@ class Reserva {
       salon_id: this.salon_id,
       usuario_id: this.usuario_id,
       turno_id: this.turno_id,
+      serie_id: this.serie_id,
       foto_cumpleaniero: this.foto_cumpleaniero,
       tematica: this.tematica,
       importe_salon: parseFloat(this.importe_salon),
       importe_total: parseFloat(this.importe_total),
+      cupon_id: this.cupon_id,
+      importe_descuento: parseFloat(this.importe_descuento),
+      importe_pagado: parseFloat(this.importe_pagado),
+      saldo: this.getSaldo(),
+      fecha_limite_pago: this.getFechaLimitePago(),
+      pago_vencido: this.isPagoVencido(),
+      estado: this.estado,
       activo: Boolean(this.activo),
       creado: this.creado,
       modificado: this.modificado,
       salon: this.salon,
       usuario: this.usuario,
       turno: this.turno,
-      servicios: this.servicios
+      servicios: this.servicios,
+      desglose: this.desglose
     };
   }
 
@@ -772,4 +1129,5 @@ class Reserva {
   }
 }
 
+export { MENSAJE_NO_DISPONIBLE };
 export default Reserva;
\ No newline at end of file
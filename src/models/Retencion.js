@@ -0,0 +1,242 @@
+import { query } from '../config/database.js';
+
+/**
+ * Retenciones temporales de turnos durante el checkout (tabla en
+ * src/database/migrations/009_retenciones.js). Ver RetencionesService para la duración
+ * y el límite por usuario.
+ */
+
+const ESTADOS_RETENCION = {
+  ACTIVA: 'activa',
+  CONVERTIDA: 'convertida',
+  LIBERADA: 'liberada',
+  VENCIDA: 'vencida'
+};
+
+/**
+ * Condición SQL "el turno está retenido". Recibe expresiones SQL (columnas de la consulta
+ * que la usa, o '?' para parámetros en ese orden). Es una de las reglas que combina Disponibilidad.
+ */
+const retencionVigenteSql = (salon, fecha, turno) => `EXISTS (
+  SELECT 1 FROM retenciones ret_vigente
+  WHERE ret_vigente.salon_id = ${salon} AND ret_vigente.fecha_reserva = ${fecha} AND ret_vigente.turno_id = ${turno}
+    AND ret_vigente.estado = '${ESTADOS_RETENCION.ACTIVA}' AND ret_vigente.vence > NOW()
+)`;
+
+const CAMPOS = `
+  rt.retencion_id, rt.salon_id, DATE_FORMAT(rt.fecha_reserva, '%Y-%m-%d') AS fecha_reserva, rt.turno_id,
+  rt.usuario_id, rt.estado, rt.vence, rt.reserva_id, rt.creado, rt.modificado,
+  s.titulo AS salon_titulo, t.hora_desde, t.hora_hasta
+`;
+
+const JOINS = `
+  FROM retenciones rt
+  INNER JOIN salones s ON rt.salon_id = s.salon_id
+  INNER JOIN turnos t ON rt.turno_id = t.turno_id
+`;
+
+class Retencion {
+  constructor(data = {}) {
+    this.retencion_id = data.retencion_id || null;
+    this.salon_id = data.salon_id || null;
+    this.fecha_reserva = data.fecha_reserva || null;
+    this.turno_id = data.turno_id || null;
+    this.usuario_id = data.usuario_id || null;
+    this.estado = data.estado || ESTADOS_RETENCION.ACTIVA;
+    this.vence = data.vence || null;
+    this.reserva_id = data.reserva_id || null;
+    this.creado = data.creado || null;
+    this.modificado = data.modificado || null;
+
+    this.salon = data.salon_titulo ? { salon_id: data.salon_id, titulo: data.salon_titulo } : null;
+    this.turno = data.hora_desde ? { turno_id: data.turno_id, hora_desde: data.hora_desde, hora_hasta: data.hora_hasta } : null;
+  }
+
+  /**
+   * Retenciones con paginación y filtros, las más recientes primero
+   */
+  static async findAll(options = {}, executor = null) {
+    const { page = 1, limit = 10, usuarioId = null, salonId = null, estado = null } = options;
+    const offset = (page - 1) * limit;
+
+    let whereClause = '1=1';
+    const params = [];
+
+    if (usuarioId) {
+      whereClause += ' AND rt.usuario_id = ?';
+      params.push(usuarioId);
+    }
+
+    if (salonId) {
+      whereClause += ' AND rt.salon_id = ?';
+      params.push(salonId);
+    }
+
+    if (estado) {
+      whereClause += ' AND rt.estado = ?';
+      params.push(estado);
+    }
+
+    try {
+      const [retenciones, totalResult] = await Promise.all([
+        query(
+          `SELECT ${CAMPOS} ${JOINS} WHERE ${whereClause} ORDER BY rt.retencion_id DESC LIMIT ? OFFSET ?`,
+          [...params, limit, offset], executor
+        ),
+        query(`SELECT COUNT(*) as total FROM retenciones rt WHERE ${whereClause}`, params, executor)
+      ]);
+
+      const total = totalResult[0].total;
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        retenciones: retenciones.map(retencion => new Retencion(retencion)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      console.error('Error en findAll:', error);
+      throw new Error('Error al obtener las retenciones');
+    }
+  }
+
+  /**
+   * Buscar retención por ID; con usuarioId, solo si pertenece a ese usuario
+   */
+  static async findById(id, usuarioId = null, executor = null) {
+    try {
+      const retenciones = await query(
+        `SELECT ${CAMPOS} ${JOINS} WHERE rt.retencion_id = ? ${usuarioId ? 'AND rt.usuario_id = ?' : ''}`,
+        usuarioId ? [id, usuarioId] : [id], executor
+      );
+      return retenciones.length > 0 ? new Retencion(retenciones[0]) : null;
+    } catch (error) {
+      console.error('Error en findById:', error);
+      throw new Error('Error al buscar retención');
+    }
+  }
+
+  /**
+   * Retiene el turno por los minutos indicados. Una retención del turno ya vencida pero
+   * todavía no barrida por la tarea periódica se da por vencida antes de insertar.
+   */
+  static async create({ salon_id, fecha_reserva, turno_id, usuario_id }, minutos, executor = null) {
+    await query(
+      `UPDATE retenciones SET estado = '${ESTADOS_RETENCION.VENCIDA}', modificado = NOW()
+       WHERE salon_id = ? AND fecha_reserva = ? AND turno_id = ? AND estado = '${ESTADOS_RETENCION.ACTIVA}' AND vence <= NOW()`,
+      [salon_id, fecha_reserva, turno_id], executor
+    );
+
+    try {
+      const result = await query(
+        `INSERT INTO retenciones (salon_id, fecha_reserva, turno_id, usuario_id, estado, vence, creado, modificado)
+         VALUES (?, ?, ?, ?, '${ESTADOS_RETENCION.ACTIVA}', NOW() + INTERVAL ? MINUTE, NOW(), NOW())`,
+        [salon_id, fecha_reserva, turno_id, usuario_id, minutos], executor
+      );
+      return await Retencion.findById(result.insertId, null, executor);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('El turno ya está retenido por otro cliente');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Retenciones vigentes del usuario
+   */
+  static async countActivas(usuarioId, executor = null) {
+    const result = await query(
+      `SELECT COUNT(*) AS total FROM retenciones
+       WHERE usuario_id = ? AND estado = '${ESTADOS_RETENCION.ACTIVA}' AND vence > NOW()`,
+      [usuarioId], executor
+    );
+    return result[0].total;
+  }
+
+  /**
+   * Si el usuario tiene retenido el turno, la marca como convertida (deja de ocupar el
+   * turno) y la devuelve como estaba, para auditar el cambio; si no, null. Se usa dentro de
+   * la transacción que crea la reserva.
+   */
+  static async tomar(salonId, fecha, turnoId, usuarioId, executor) {
+    const retenciones = await query(
+      `SELECT retencion_id FROM retenciones
+       WHERE salon_id = ? AND fecha_reserva = ? AND turno_id = ? AND usuario_id = ?
+         AND estado = '${ESTADOS_RETENCION.ACTIVA}' AND vence > NOW()
+       FOR UPDATE`,
+      [salonId, fecha, turnoId, usuarioId], executor
+    );
+    if (retenciones.length === 0) {
+      return null;
+    }
+
+    const retencion = await Retencion.findById(retenciones[0].retencion_id, null, executor);
+    await query(
+      `UPDATE retenciones SET estado = '${ESTADOS_RETENCION.CONVERTIDA}', modificado = NOW() WHERE retencion_id = ?`,
+      [retencion.retencion_id], executor
+    );
+    return retencion;
+  }
+
+  static async asignarReserva(retencionId, reservaId, executor = null) {
+    await query(
+      'UPDATE retenciones SET reserva_id = ?, modificado = NOW() WHERE retencion_id = ?',
+      [reservaId, retencionId], executor
+    );
+  }
+
+  /**
+   * Retenciones activas cuyo plazo ya pasó
+   */
+  static async findVencidas(executor = null) {
+    const retenciones = await query(
+      `SELECT ${CAMPOS} ${JOINS} WHERE rt.estado = '${ESTADOS_RETENCION.ACTIVA}' AND rt.vence <= NOW()`,
+      [], executor
+    );
+    return retenciones.map(retencion => new Retencion(retencion));
+  }
+
+  /**
+   * Cierra la retención activa con el estado indicado (liberada o vencida).
+   * Devuelve false si ya no estaba activa.
+   */
+  async cerrar(estado, executor = null) {
+    const result = await query(
+      `UPDATE retenciones SET estado = ?, modificado = NOW()
+       WHERE retencion_id = ? AND estado = '${ESTADOS_RETENCION.ACTIVA}'`,
+      [estado, this.retencion_id], executor
+    );
+    return result.affectedRows > 0;
+  }
+
+  isVigente() {
+    return this.estado === ESTADOS_RETENCION.ACTIVA && new Date(this.vence) > new Date();
+  }
+
+  toJSON() {
+    return {
+      retencion_id: this.retencion_id,
+      salon_id: this.salon_id,
+      fecha_reserva: this.fecha_reserva,
+      turno_id: this.turno_id,
+      usuario_id: this.usuario_id,
+      estado: this.estado,
+      vence: this.vence,
+      reserva_id: this.reserva_id,
+      salon: this.salon,
+      turno: this.turno,
+      creado: this.creado,
+      modificado: this.modificado
+    };
+  }
+}
+
+export { ESTADOS_RETENCION, retencionVigenteSql };
+export default Retencion;
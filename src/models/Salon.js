@@ -1,5 +1,34 @@
-import { query, transaction } from '../config/database.js';
+import { query } from '../config/database.js';
+import Disponibilidad, { reservaOcupaSql, turnoReservadoSql, turnoBloqueadoSql } from './Disponibilidad.js';
 
+// Anticipación mínima (en horas) con la que un cliente puede cancelar una reserva del salón
+const HORAS_CANCELACION_DEFAULT = 48;
+
+// Estado de un turno del salón en una fecha, para los calendarios de disponibilidad
+const ESTADOS_SLOT = {
+  LIBRE: 'libre',
+  RESERVADO: 'reservado',
+  BLOQUEADO: 'bloqueado',
+  PASADO: 'pasado'
+};
+
+// Calcula el estado de cada fila salón (s) × fecha (columnaFecha) × turno (t) con las reglas
+// de Disponibilidad. Un turno retenido por una oferta de la lista de espera o durante un
+// checkout figura como reservado. Un salón inactivo o con un bloqueo vigente no admite
+// reservas: bloqueado.
+const estadoSlotSql = (columnaFecha) => `
+  CASE
+    WHEN TIMESTAMP(${columnaFecha}, t.hora_desde) <= NOW() THEN '${ESTADOS_SLOT.PASADO}'
+    WHEN ${turnoReservadoSql('s.salon_id', columnaFecha, 't.turno_id')} THEN '${ESTADOS_SLOT.RESERVADO}'
+    WHEN s.activo = 0 OR ${turnoBloqueadoSql('s.salon_id', columnaFecha, 't.turno_id')} THEN '${ESTADOS_SLOT.BLOQUEADO}'
+    ELSE '${ESTADOS_SLOT.LIBRE}'
+  END`;
+
+/**
+ * Salones de cumpleaños.
+ * La columna horas_cancelacion (INT NOT NULL DEFAULT 48) define la ventana de cancelación
+ * de cada salón: los clientes no pueden cancelar cuando faltan menos horas para el turno.
+ */
 class Salon {
   constructor(data = {}) {
     this.salon_id = data.salon_id || null;
@@ -9,6 +38,7 @@ class Salon {
     this.longitud = data.longitud || null;
     this.capacidad = data.capacidad || 0;
     this.importe = data.importe || 0;
+    this.horas_cancelacion = data.horas_cancelacion ?? HORAS_CANCELACION_DEFAULT;
     this.activo = data.activo !== undefined ? Boolean(data.activo) : true;
     this.creado = data.creado || null;
     this.modificado = data.modificado || null;
@@ -17,7 +47,7 @@ class Salon {
   /**
    * Obtener todos los salones con paginación y filtros
    */
-  static async findAll(options = {}) {
+  static async findAll(options = {}, executor = null) {
     const { 
       page = 1, 
       limit = 10, 
@@ -62,7 +92,7 @@ class Salon {
     
     try {
       const salonesQuery = `
-        SELECT salon_id, titulo, direccion, latitud, longitud, capacidad, importe, activo, creado, modificado 
+        SELECT salon_id, titulo, direccion, latitud, longitud, capacidad, importe, horas_cancelacion, activo, creado, modificado 
         FROM salones 
         WHERE ${whereClause}
         ORDER BY activo DESC, titulo ASC
@@ -79,8 +109,8 @@ class Salon {
       const countParams = [...params];
       
       const [salones, totalResult] = await Promise.all([
-        query(salonesQuery, salonesParams),
-        query(countQuery, countParams)
+        query(salonesQuery, salonesParams, executor),
+        query(countQuery, countParams, executor)
       ]);
       
       const total = totalResult[0].total;
@@ -106,11 +136,11 @@ class Salon {
   /**
    * Buscar salon por ID
    */
-  static async findById(id) {
+  static async findById(id, executor = null) {
     try {
       const salones = await query(
-        'SELECT salon_id, titulo, direccion, latitud, longitud, capacidad, importe, activo, creado, modificado FROM salones WHERE salon_id = ?',
-        [id]
+        'SELECT salon_id, titulo, direccion, latitud, longitud, capacidad, importe, horas_cancelacion, activo, creado, modificado FROM salones WHERE salon_id = ?',
+        [id], executor
       );
       
       return salones.length > 0 ? new Salon(salones[0]) : null;
@@ -123,11 +153,11 @@ class Salon {
   /**
    * Buscar salon activo por ID
    */
-  static async findActiveById(id) {
+  static async findActiveById(id, executor = null) {
     try {
       const salones = await query(
-        'SELECT salon_id, titulo, direccion, latitud, longitud, capacidad, importe, activo, creado, modificado FROM salones WHERE salon_id = ? AND activo = 1',
-        [id]
+        'SELECT salon_id, titulo, direccion, latitud, longitud, capacidad, importe, horas_cancelacion, activo, creado, modificado FROM salones WHERE salon_id = ? AND activo = 1',
+        [id], executor
       );
       
       return salones.length > 0 ? new Salon(salones[0]) : null;
@@ -140,7 +170,7 @@ class Salon {
   /**
    * Verifica si existe un salon con el mismo título
    */
-  static async existsByTitulo(titulo, excludeId = null) {
+  static async existsByTitulo(titulo, excludeId = null, executor = null) {
     try {
       let sql = 'SELECT COUNT(*) as count FROM salones WHERE LOWER(TRIM(titulo)) = LOWER(TRIM(?)) AND activo = 1';
       let params = [titulo];
@@ -150,7 +180,7 @@ class Salon {
         params.push(excludeId);
       }
       
-      const result = await query(sql, params);
+      const result = await query(sql, params, executor);
       return result[0].count > 0;
     } catch (error) {
       console.error('Error en existsByTitulo:', error);
@@ -161,29 +191,30 @@ class Salon {
   /**
    * Crea nuevo salon
    */
-  static async create(data) {
-    const { titulo, direccion, latitud, longitud, capacidad, importe } = data;
+  static async create(data, executor = null) {
+    const { titulo, direccion, latitud, longitud, capacidad, importe, horas_cancelacion } = data;
     
     try {
       // Verifica que no existe un salon con el mismo título
-      const exists = await Salon.existsByTitulo(titulo);
+      const exists = await Salon.existsByTitulo(titulo, null, executor);
       if (exists) {
         throw new Error('Ya existe un salon con este título');
       }
       
       const result = await query(
-        'INSERT INTO salones (titulo, direccion, latitud, longitud, capacidad, importe, activo, creado, modificado) VALUES (?, ?, ?, ?, ?, ?, 1, NOW(), NOW())',
+        'INSERT INTO salones (titulo, direccion, latitud, longitud, capacidad, importe, horas_cancelacion, activo, creado, modificado) VALUES (?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())',
         [
           titulo.trim(), 
           direccion.trim(), 
           latitud || null, 
           longitud || null, 
           parseInt(capacidad), 
-          parseFloat(importe)
-        ]
+          parseFloat(importe),
+          horas_cancelacion !== undefined && horas_cancelacion !== null ? parseInt(horas_cancelacion) : HORAS_CANCELACION_DEFAULT
+        ], executor
       );
       
-      return await Salon.findById(result.insertId);
+      return await Salon.findById(result.insertId, executor);
     } catch (error) {
       console.error('Error en create:', error);
       if (error.message.includes('Ya existe un salon')) {
@@ -196,8 +227,8 @@ class Salon {
   /**
    * Actualiza salon
    */
-  async update(data) {
-    const { titulo, direccion, latitud, longitud, capacidad, importe, activo } = data;
+  async update(data, executor = null) {
+    const { titulo, direccion, latitud, longitud, capacidad, importe, horas_cancelacion, activo } = data;
     const updateFields = [];
     const params = [];
     
@@ -205,7 +236,7 @@ class Salon {
       if (titulo !== undefined && titulo !== null) {
         const trimmedTitulo = titulo.trim();
         if (trimmedTitulo !== this.titulo) {
-          const exists = await Salon.existsByTitulo(trimmedTitulo, this.salon_id);
+          const exists = await Salon.existsByTitulo(trimmedTitulo, this.salon_id, executor);
           if (exists) {
             throw new Error('Ya existe un salon con este título');
           }
@@ -240,6 +271,11 @@ class Salon {
         params.push(parseFloat(importe));
       }
       
+      if (horas_cancelacion !== undefined && horas_cancelacion !== null) {
+        updateFields.push('horas_cancelacion = ?');
+        params.push(parseInt(horas_cancelacion));
+      }
+      
       if (activo !== undefined && activo !== null) {
         updateFields.push('activo = ?');
         params.push(Boolean(activo));
@@ -254,10 +290,10 @@ class Salon {
       
       await query(
         `UPDATE salones SET ${updateFields.join(', ')} WHERE salon_id = ?`,
-        params
+        params, executor
       );
       
-      return await Salon.findById(this.salon_id);
+      return await Salon.findById(this.salon_id, executor);
     } catch (error) {
       console.error('Error en update:', error);
       if (error.message.includes('Ya existe un salon')) {
@@ -270,12 +306,12 @@ class Salon {
   /**
    * Soft delete - marcar como inactivo
    */
-  async softDelete() {
+  async softDelete(executor = null) {
     try {
       // Verifica si el salon está siendo usado en reservas activas
       const reservasActivas = await query(
         'SELECT COUNT(*) as count FROM reservas WHERE salon_id = ? AND activo = 1',
-        [this.salon_id]
+        [this.salon_id], executor
       );
       
       if (reservasActivas[0].count > 0) {
@@ -284,7 +320,7 @@ class Salon {
       
       await query(
         'UPDATE salones SET activo = 0, modificado = NOW() WHERE salon_id = ?',
-        [this.salon_id]
+        [this.salon_id], executor
       );
       
       this.activo = false;
@@ -301,14 +337,14 @@ class Salon {
   /**
    * Restaura salon eliminado
    */
-  async restore() {
+  async restore(executor = null) {
     try {
       await query(
         'UPDATE salones SET activo = 1, modificado = NOW() WHERE salon_id = ?',
-        [this.salon_id]
+        [this.salon_id], executor
       );
       
-      return await Salon.findById(this.salon_id);
+      return await Salon.findById(this.salon_id, executor);
     } catch (error) {
       console.error('Error en restore:', error);
       throw new Error('Error al restaurar salon');
@@ -318,7 +354,7 @@ class Salon {
   /**
    * Obtener salones más reservados
    */
-  static async getMostReserved(limit = 5) {
+  static async getMostReserved(limit = 5, executor = null) {
     try {
       const salones = await query(`
         SELECT 
@@ -339,7 +375,7 @@ class Salon {
         GROUP BY s.salon_id
         ORDER BY reservas_count DESC, s.titulo ASC
         LIMIT ?
-      `, [limit]);
+      `, [limit], executor);
       
       return salones.map(salon => ({
         ...new Salon(salon),
@@ -352,16 +388,92 @@ class Salon {
   }
 
   /**
-   * Verifica disponibilidad del salon en fecha y turno específico
+   * Calendario de disponibilidad del salón entre dos fechas (inclusive), en una sola consulta:
+   * cada fecha del rango con cada turno activo y su estado (ver ESTADOS_SLOT).
+   * Devuelve [{ fecha, turnos: [{ turno_id, orden, hora_desde, hora_hasta, estado, reserva_id }] }]
    */
-  async checkAvailability(fecha, turnoId) {
+  async getCalendar(desde, hasta, executor = null) {
     try {
-      const reservas = await query(
-        'SELECT COUNT(*) as count FROM reservas WHERE salon_id = ? AND fecha_reserva = ? AND turno_id = ? AND activo = 1',
-        [this.salon_id, fecha, turnoId]
-      );
-      
-      return reservas[0].count === 0;
+      const filas = await query(`
+        WITH RECURSIVE fechas (fecha) AS (
+          SELECT CAST(? AS DATE)
+          UNION ALL
+          SELECT fecha + INTERVAL 1 DAY FROM fechas WHERE fecha < ?
+        )
+        SELECT
+          DATE_FORMAT(fechas.fecha, '%Y-%m-%d') AS fecha,
+          t.turno_id, t.orden, t.hora_desde, t.hora_hasta,
+          r.reserva_id,
+          ${estadoSlotSql('fechas.fecha')} AS estado
+        FROM fechas
+        CROSS JOIN turnos t
+        INNER JOIN salones s ON s.salon_id = ?
+        LEFT JOIN reservas r ON ${reservaOcupaSql('r', 's.salon_id', 'fechas.fecha', 't.turno_id')}
+        WHERE t.activo = 1
+        ORDER BY fechas.fecha ASC, t.orden ASC
+      `, [desde, hasta, this.salon_id], executor);
+
+      const dias = new Map();
+      filas.forEach(fila => {
+        if (!dias.has(fila.fecha)) {
+          dias.set(fila.fecha, { fecha: fila.fecha, turnos: [] });
+        }
+
+        dias.get(fila.fecha).turnos.push({
+          turno_id: fila.turno_id,
+          orden: fila.orden,
+          hora_desde: fila.hora_desde,
+          hora_hasta: fila.hora_hasta,
+          estado: fila.estado,
+          reserva_id: fila.reserva_id
+        });
+      });
+
+      return [...dias.values()];
+    } catch (error) {
+      console.error('Error en getCalendar:', error);
+      throw new Error('Error al obtener el calendario del salon');
+    }
+  }
+
+  /**
+   * Disponibilidad de todos los salones activos en una fecha y turno, en una sola consulta.
+   * Devuelve los salones con su estado (ver ESTADOS_SLOT), los libres primero.
+   */
+  static async findAvailability(fecha, turnoId, executor = null) {
+    try {
+      const salones = await query(`
+        SELECT
+          s.salon_id, s.titulo, s.direccion, s.capacidad, s.importe,
+          ${estadoSlotSql('f.fecha')} AS estado
+        FROM salones s
+        INNER JOIN turnos t ON t.turno_id = ? AND t.activo = 1
+        CROSS JOIN (SELECT CAST(? AS DATE) AS fecha) f
+        WHERE s.activo = 1
+        ORDER BY estado = '${ESTADOS_SLOT.LIBRE}' DESC, s.titulo ASC
+      `, [turnoId, fecha], executor);
+
+      return salones.map(salon => ({
+        salon_id: salon.salon_id,
+        titulo: salon.titulo,
+        direccion: salon.direccion,
+        capacidad: parseInt(salon.capacidad),
+        importe: parseFloat(salon.importe),
+        estado: salon.estado,
+        disponible: salon.estado === ESTADOS_SLOT.LIBRE
+      }));
+    } catch (error) {
+      console.error('Error en findAvailability:', error);
+      throw new Error('Error al obtener la disponibilidad de los salones');
+    }
+  }
+
+  /**
+   * Verifica disponibilidad del salon en fecha y turno específico (ver Disponibilidad)
+   */
+  async checkAvailability(fecha, turnoId, executor = null) {
+    try {
+      return await Disponibilidad.isLibre(this.salon_id, fecha, turnoId, null, executor);
     } catch (error) {
       console.error('Error en checkAvailability:', error);
       throw new Error('Error al verificar disponibilidad del salon');
@@ -387,6 +499,7 @@ class Salon {
       longitud: this.longitud ? parseFloat(this.longitud) : null,
       capacidad: parseInt(this.capacidad),
       importe: parseFloat(this.importe),
+      horas_cancelacion: parseInt(this.horas_cancelacion),
       activo: Boolean(this.activo),
       creado: this.creado,
       modificado: this.modificado
@@ -433,6 +546,13 @@ class Salon {
       }
     }
     
+    if (data.horas_cancelacion !== undefined && data.horas_cancelacion !== null) {
+      const horas = parseInt(data.horas_cancelacion);
+      if (isNaN(horas) || horas < 0 || horas > 720) {
+        errors.push('Las horas de anticipación para cancelar deben estar entre 0 y 720');
+      }
+    }
+    
     if (data.latitud !== undefined && data.latitud !== null) {
       const lat = parseFloat(data.latitud);
       if (isNaN(lat) || lat < -90 || lat > 90) {
@@ -451,4 +571,5 @@ class Salon {
   }
 }
 
+export { ESTADOS_SLOT };
 export default Salon;
\ No newline at end of file
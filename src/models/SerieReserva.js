@@ -0,0 +1,100 @@
+import { query } from '../config/database.js';
+import Reserva from './Reserva.js';
+import ReglaPrecio from './ReglaPrecio.js';
+
+/**
+ * Series de reservas (tabla en src/database/migrations/010_series_reservas.js). La serie
+ * solo guarda cómo se generaron sus reservas; las reservas (con serie_id) son las que
+ * ocupan los turnos. Ver SeriesReservasService.
+ */
+
+// Tope de reservas que se leen por serie (SeriesReservasService limita las que se crean)
+const MAX_RESERVAS_LECTURA = 500;
+
+const CAMPOS = `
+  serie_id, usuario_id, salon_id, frecuencia, DATE_FORMAT(fecha_inicio, '%Y-%m-%d') AS fecha_inicio,
+  DATE_FORMAT(fecha_fin, '%Y-%m-%d') AS fecha_fin, repeticiones, turnos, creado, modificado
+`;
+
+class SerieReserva {
+  constructor(data = {}) {
+    this.serie_id = data.serie_id || null;
+    this.usuario_id = data.usuario_id || null;
+    this.salon_id = data.salon_id || null;
+    this.frecuencia = data.frecuencia || null;
+    this.fecha_inicio = data.fecha_inicio || null;
+    this.fecha_fin = data.fecha_fin || null;
+    this.repeticiones = data.repeticiones || null;
+    this.turnos = typeof data.turnos === 'string' ? JSON.parse(data.turnos) : data.turnos || [];
+    this.creado = data.creado || null;
+    this.modificado = data.modificado || null;
+
+    this.reservas = data.reservas || [];
+  }
+
+  /**
+   * Buscar serie por ID con sus reservas activas, ordenadas por fecha y turno.
+   * Con usuarioId solo se devuelve si la serie pertenece a ese usuario.
+   */
+  static async findById(id, usuarioId = null, executor = null) {
+    try {
+      const series = await query(
+        `SELECT ${CAMPOS} FROM series_reservas WHERE serie_id = ? ${usuarioId ? 'AND usuario_id = ?' : ''}`,
+        usuarioId ? [id, usuarioId] : [id], executor
+      );
+      if (series.length === 0) return null;
+
+      const serie = new SerieReserva(series[0]);
+      serie.reservas = await serie.getReservas(executor);
+      return serie;
+    } catch (error) {
+      console.error('Error en findById:', error);
+      throw new Error('Error al buscar serie de reservas');
+    }
+  }
+
+  static async create({ usuario_id, salon_id, frecuencia = null, fecha_inicio, fecha_fin = null, repeticiones = null, turnos }, executor = null) {
+    const result = await query(
+      `INSERT INTO series_reservas (usuario_id, salon_id, frecuencia, fecha_inicio, fecha_fin, repeticiones, turnos, creado, modificado)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [usuario_id, salon_id, frecuencia, fecha_inicio, fecha_fin, repeticiones, JSON.stringify(turnos)], executor
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Reservas activas de la serie (con relaciones), de la primera a la última
+   */
+  async getReservas(executor = null) {
+    const { reservas } = await Reserva.findAll({ serieId: this.serie_id, limit: MAX_RESERVAS_LECTURA }, executor);
+
+    const inicio = (reserva) => `${ReglaPrecio.fechaISO(reserva.fecha_reserva)} ${reserva.turno ? reserva.turno.hora_desde : ''}`;
+    return reservas.sort((a, b) => inicio(a).localeCompare(inicio(b)));
+  }
+
+  async setSalon(salonId, executor = null) {
+    await query(
+      'UPDATE series_reservas SET salon_id = ?, modificado = NOW() WHERE serie_id = ?',
+      [salonId, this.serie_id], executor
+    );
+    this.salon_id = salonId;
+  }
+
+  toJSON() {
+    return {
+      serie_id: this.serie_id,
+      usuario_id: this.usuario_id,
+      salon_id: this.salon_id,
+      frecuencia: this.frecuencia,
+      fecha_inicio: this.fecha_inicio,
+      fecha_fin: this.fecha_fin,
+      repeticiones: this.repeticiones,
+      turnos: this.turnos,
+      creado: this.creado,
+      modificado: this.modificado,
+      reservas: this.reservas
+    };
+  }
+}
+
+export default SerieReserva;
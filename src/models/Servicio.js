@@ -1,4 +1,4 @@
-import { query, transaction } from '../config/database.js';
+import { query } from '../config/database.js';
 
 class Servicio {
   constructor(data = {}) {
@@ -13,7 +13,7 @@ class Servicio {
   /**
    * Obtener todos los servicios con paginación y filtros
    */
-  static async findAll(options = {}) {
+  static async findAll(options = {}, executor = null) {
     const { 
       page = 1, 
       limit = 10, 
@@ -52,8 +52,8 @@ class Servicio {
       const countParams = [...params];
       
       const [servicios, totalResult] = await Promise.all([
-        query(serviciosQuery, serviciosParams),
-        query(countQuery, countParams)
+        query(serviciosQuery, serviciosParams, executor),
+        query(countQuery, countParams, executor)
       ]);
       
       const total = totalResult[0].total;
@@ -79,11 +79,11 @@ class Servicio {
   /**
    * Buscar servicio por ID (incluye inactivos)
    */
-  static async findById(id) {
+  static async findById(id, executor = null) {
     try {
       const servicios = await query(
         'SELECT servicio_id, descripcion, importe, activo, creado, modificado FROM servicios WHERE servicio_id = ?',
-        [id]
+        [id], executor
       );
       
       return servicios.length > 0 ? new Servicio(servicios[0]) : null;
@@ -96,11 +96,11 @@ class Servicio {
   /**
    * Buscar servicio activo por ID
    */
-  static async findActiveById(id) {
+  static async findActiveById(id, executor = null) {
     try {
       const servicios = await query(
         'SELECT servicio_id, descripcion, importe, activo, creado, modificado FROM servicios WHERE servicio_id = ? AND activo = 1',
-        [id]
+        [id], executor
       );
       
       return servicios.length > 0 ? new Servicio(servicios[0]) : null;
@@ -113,7 +113,7 @@ class Servicio {
   /**
    * Verifica si existe un servicio con la misma descripción
    */
-  static async existsByDescripcion(descripcion, excludeId = null) {
+  static async existsByDescripcion(descripcion, excludeId = null, executor = null) {
     try {
       let sql = 'SELECT COUNT(*) as count FROM servicios WHERE LOWER(TRIM(descripcion)) = LOWER(TRIM(?)) AND activo = 1';
       let params = [descripcion];
@@ -123,7 +123,7 @@ class Servicio {
         params.push(excludeId);
       }
       
-      const result = await query(sql, params);
+      const result = await query(sql, params, executor);
       return result[0].count > 0;
     } catch (error) {
       console.error('Error en existsByDescripcion:', error);
@@ -134,22 +134,22 @@ class Servicio {
   /**
    * Crea nuevo servicio
    */
-  static async create(data) {
+  static async create(data, executor = null) {
     const { descripcion, importe } = data;
     
     try {
       // Verifica que no existe un servicio con la misma descripción
-      const exists = await Servicio.existsByDescripcion(descripcion);
+      const exists = await Servicio.existsByDescripcion(descripcion, null, executor);
       if (exists) {
         throw new Error('Ya existe un servicio con esta descripción');
       }
       
       const result = await query(
         'INSERT INTO servicios (descripcion, importe, activo, creado, modificado) VALUES (?, ?, 1, NOW(), NOW())',
-        [descripcion.trim(), parseFloat(importe)]
+        [descripcion.trim(), parseFloat(importe)], executor
       );
       
-      return await Servicio.findById(result.insertId);
+      return await Servicio.findById(result.insertId, executor);
     } catch (error) {
       console.error('Error en create:', error);
       if (error.message.includes('Ya existe un servicio')) {
@@ -162,7 +162,7 @@ class Servicio {
   /**
    * Actualiza servicio
    */
-  async update(data) {
+  async update(data, executor = null) {
     const { descripcion, importe, activo } = data;
     const updateFields = [];
     const params = [];
@@ -172,7 +172,7 @@ class Servicio {
         const trimmedDesc = descripcion.trim();
         if (trimmedDesc !== this.descripcion) {
           // Verifica que no existe otro servicio con la misma descripción
-          const exists = await Servicio.existsByDescripcion(trimmedDesc, this.servicio_id);
+          const exists = await Servicio.existsByDescripcion(trimmedDesc, this.servicio_id, executor);
           if (exists) {
             throw new Error('Ya existe un servicio con esta descripción');
           }
@@ -201,10 +201,10 @@ class Servicio {
       
       await query(
         `UPDATE servicios SET ${updateFields.join(', ')} WHERE servicio_id = ?`,
-        params
+        params, executor
       );
       
-      return await Servicio.findById(this.servicio_id);
+      return await Servicio.findById(this.servicio_id, executor);
     } catch (error) {
       console.error('Error en update:', error);
       if (error.message.includes('Ya existe un servicio')) {
@@ -217,7 +217,7 @@ class Servicio {
   /**
    * Soft delete - marcar como inactivo
    */
-  async softDelete() {
+  async softDelete(executor = null) {
     try {
       // Verifica si el servicio está siendo usado en reservas activas
       const reservasActivas = await query(
@@ -225,7 +225,7 @@ class Servicio {
          FROM reservas_servicios rs 
          INNER JOIN reservas r ON rs.reserva_id = r.reserva_id 
          WHERE rs.servicio_id = ? AND r.activo = 1`,
-        [this.servicio_id]
+        [this.servicio_id], executor
       );
       
       if (reservasActivas[0].count > 0) {
@@ -234,7 +234,7 @@ class Servicio {
       
       await query(
         'UPDATE servicios SET activo = 0, modificado = NOW() WHERE servicio_id = ?',
-        [this.servicio_id]
+        [this.servicio_id], executor
       );
       
       this.activo = false;
@@ -251,14 +251,14 @@ class Servicio {
   /**
    * Restaura servicio eliminado
    */
-  async restore() {
+  async restore(executor = null) {
     try {
       await query(
         'UPDATE servicios SET activo = 1, modificado = NOW() WHERE servicio_id = ?',
-        [this.servicio_id]
+        [this.servicio_id], executor
       );
       
-      return await Servicio.findById(this.servicio_id);
+      return await Servicio.findById(this.servicio_id, executor);
     } catch (error) {
       console.error('Error en restore:', error);
       throw new Error('Error al restaurar servicio');
@@ -275,7 +275,7 @@ class Servicio {
   /**
    * Obtiene servicios más utilizados
    */
-  static async getMostUsed(limit = 5) {
+  static async getMostUsed(limit = 5, executor = null) {
     try {
       const servicios = await query(`
         SELECT 
@@ -293,7 +293,7 @@ class Servicio {
         GROUP BY s.servicio_id
         ORDER BY uso_count DESC, s.descripcion ASC
         LIMIT ?
-      `, [limit]);
+      `, [limit], executor);
       
       return servicios.map(servicio => ({
         ...new Servicio(servicio),
@@ -0,0 +1,80 @@
+import { query } from '../config/database.js';
+
+/**
+ * Estado persistente de las tareas programadas (tabla en
+ * src/database/migrations/006_tareas_recordatorios.js). La definición de cada tarea
+ * (qué hace y cada cuánto corre) vive en SchedulerService.
+ */
+class TareaProgramada {
+  constructor(data = {}) {
+    this.nombre = data.nombre || null;
+    this.descripcion = data.descripcion || null;
+    this.pausada = Boolean(data.pausada);
+    this.ultima_ejecucion = data.ultima_ejecucion || null;
+    this.ultimo_resultado = typeof data.ultimo_resultado === 'string'
+      ? JSON.parse(data.ultimo_resultado)
+      : data.ultimo_resultado ?? null;
+    this.ultimo_error = data.ultimo_error || null;
+  }
+
+  static async findAll(executor = null) {
+    try {
+      const tareas = await query('SELECT * FROM tareas_programadas ORDER BY nombre ASC', [], executor);
+      return tareas.map(tarea => new TareaProgramada(tarea));
+    } catch (error) {
+      console.error('Error en findAll:', error);
+      throw new Error('Error al obtener tareas programadas');
+    }
+  }
+
+  static async findByNombre(nombre, executor = null) {
+    try {
+      const tareas = await query('SELECT * FROM tareas_programadas WHERE nombre = ?', [nombre], executor);
+      return tareas.length > 0 ? new TareaProgramada(tareas[0]) : null;
+    } catch (error) {
+      console.error('Error en findByNombre:', error);
+      throw new Error('Error al buscar tarea programada');
+    }
+  }
+
+  /**
+   * Crea la fila de la tarea si no existe; conserva la pausa y la última ejecución
+   */
+  static async registrar(nombre, descripcion, executor = null) {
+    await query(
+      `INSERT INTO tareas_programadas (nombre, descripcion, creado, modificado) VALUES (?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE descripcion = VALUES(descripcion)`,
+      [nombre, descripcion], executor
+    );
+  }
+
+  static async setPausada(nombre, pausada, executor = null) {
+    await query(
+      'UPDATE tareas_programadas SET pausada = ?, modificado = NOW() WHERE nombre = ?',
+      [pausada ? 1 : 0, nombre], executor
+    );
+  }
+
+  static async registrarEjecucion(nombre, { resultado = null, error = null } = {}, executor = null) {
+    await query(
+      `UPDATE tareas_programadas
+       SET ultima_ejecucion = NOW(), ultimo_resultado = ?, ultimo_error = ?, modificado = NOW()
+       WHERE nombre = ?`,
+      [resultado === null ? null : JSON.stringify(resultado), error ? String(error).slice(0, 500) : null, nombre],
+      executor
+    );
+  }
+
+  toJSON() {
+    return {
+      nombre: this.nombre,
+      descripcion: this.descripcion,
+      pausada: this.pausada,
+      ultima_ejecucion: this.ultima_ejecucion,
+      ultimo_resultado: this.ultimo_resultado,
+      ultimo_error: this.ultimo_error
+    };
+  }
+}
+
+export default TareaProgramada;
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+
+/**
+ * Tokens de recuperación de contraseña.
+ * Solo se guarda el hash SHA-256 del token; el token en claro viaja únicamente en el correo.
+ *
+ * Tabla tokens_recuperacion:
+ *   token_id INT AUTO_INCREMENT PRIMARY KEY,
+ *   usuario_id INT NOT NULL (FK usuarios),
+ *   token_hash CHAR(64) NOT NULL UNIQUE,
+ *   expira DATETIME NOT NULL,
+ *   usado DATETIME NULL,
+ *   creado DATETIME NOT NULL
+ */
+class TokenRecuperacion {
+  /**
+   * Minutos de validez de un token
+   */
+  static get ttlMinutos() {
+    return parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+  }
+
+  /**
+   * Hash del token en claro
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Genera un nuevo token para el usuario e invalida los anteriores.
+   * Devuelve el token en claro.
+   */
+  static async create(usuarioId, executor = null) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await query(
+        'UPDATE tokens_recuperacion SET usado = NOW() WHERE usuario_id = ? AND usado IS NULL',
+        [usuarioId], executor
+      );
+
+      await query(
+        'INSERT INTO tokens_recuperacion (usuario_id, token_hash, expira, usado, creado) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NULL, NOW())',
+        [usuarioId, TokenRecuperacion.hashToken(token), TokenRecuperacion.ttlMinutos], executor
+      );
+
+      return token;
+    } catch (error) {
+      console.error('Error en create:', error);
+      throw new Error('Error al generar token de recuperación');
+    }
+  }
+
+  /**
+   * Consume un token vigente (un solo uso).
+   * Devuelve el usuario_id asociado o null si el token es inválido, ya se usó o expiró.
+   */
+  static async consume(token, executor = null) {
+    try {
+      const tokenHash = TokenRecuperacion.hashToken(token);
+
+      const result = await query(
+        'UPDATE tokens_recuperacion SET usado = NOW() WHERE token_hash = ? AND usado IS NULL AND expira > NOW()',
+        [tokenHash], executor
+      );
+
+      if (result.affectedRows !== 1) {
+        return null;
+      }
+
+      const tokens = await query(
+        'SELECT usuario_id FROM tokens_recuperacion WHERE token_hash = ?',
+        [tokenHash], executor
+      );
+
+      return tokens.length > 0 ? tokens[0].usuario_id : null;
+    } catch (error) {
+      console.error('Error en consume:', error);
+      throw new Error('Error al validar token de recuperación');
+    }
+  }
+}
+
+export default TokenRecuperacion;
@@ -1,4 +1,5 @@
 import { query } from '../config/database.js';
+import Disponibilidad from './Disponibilidad.js';
 
 class Turno {
   constructor(data = {}) {
@@ -14,7 +15,7 @@ class Turno {
   /**
    * Obtener todos los turnos con paginación y filtros
    */
-  static async findAll(options = {}) {
+  static async findAll(options = {}, executor = null) {
     const { 
       page = 1, 
       limit = 10, 
@@ -41,8 +42,8 @@ class Turno {
       `;
       
       const [turnos, totalResult] = await Promise.all([
-        query(turnosQuery, [limit, offset]),
-        query(countQuery, [])
+        query(turnosQuery, [limit, offset], executor),
+        query(countQuery, [], executor)
       ]);
       
       const total = totalResult[0].total;
@@ -68,11 +69,11 @@ class Turno {
   /**
    * Buscar turno por ID
    */
-  static async findById(id) {
+  static async findById(id, executor = null) {
     try {
       const turnos = await query(
         'SELECT turno_id, orden, hora_desde, hora_hasta, activo, creado, modificado FROM turnos WHERE turno_id = ?',
-        [id]
+        [id], executor
       );
       
       return turnos.length > 0 ? new Turno(turnos[0]) : null;
@@ -85,11 +86,11 @@ class Turno {
   /**
    * Buscar turno activo por ID
    */
-  static async findActiveById(id) {
+  static async findActiveById(id, executor = null) {
     try {
       const turnos = await query(
         'SELECT turno_id, orden, hora_desde, hora_hasta, activo, creado, modificado FROM turnos WHERE turno_id = ? AND activo = 1',
-        [id]
+        [id], executor
       );
       
       return turnos.length > 0 ? new Turno(turnos[0]) : null;
@@ -102,7 +103,7 @@ class Turno {
   /**
    * Verifica si existe un turno con el mismo orden
    */
-  static async existsByOrden(orden, excludeId = null) {
+  static async existsByOrden(orden, excludeId = null, executor = null) {
     try {
       let sql = 'SELECT COUNT(*) as count FROM turnos WHERE orden = ? AND activo = 1';
       let params = [orden];
@@ -112,7 +113,7 @@ class Turno {
         params.push(excludeId);
       }
       
-      const result = await query(sql, params);
+      const result = await query(sql, params, executor);
       return result[0].count > 0;
     } catch (error) {
       console.error('Error en existsByOrden:', error);
@@ -123,7 +124,7 @@ class Turno {
   /**
    * Verifica solapamiento de horarios
    */
-  static async checkTimeOverlap(horaDesde, horaHasta, excludeId = null) {
+  static async checkTimeOverlap(horaDesde, horaHasta, excludeId = null, executor = null) {
     try {
       let sql = `
         SELECT COUNT(*) as count FROM turnos 
@@ -141,7 +142,7 @@ class Turno {
         params.push(excludeId);
       }
       
-      const result = await query(sql, params);
+      const result = await query(sql, params, executor);
       return result[0].count > 0;
     } catch (error) {
       console.error('Error en checkTimeOverlap:', error);
@@ -152,18 +153,18 @@ class Turno {
   /**
    * Crea nuevo turno
    */
-  static async create(data) {
+  static async create(data, executor = null) {
     const { orden, hora_desde, hora_hasta } = data;
     
     try {
       // Verifica que no existe un turno con el mismo orden
-      const existsOrden = await Turno.existsByOrden(orden);
+      const existsOrden = await Turno.existsByOrden(orden, null, executor);
       if (existsOrden) {
         throw new Error('Ya existe un turno con este orden');
       }
       
       // Verifica solapamiento de horarios
-      const hasOverlap = await Turno.checkTimeOverlap(hora_desde, hora_hasta);
+      const hasOverlap = await Turno.checkTimeOverlap(hora_desde, hora_hasta, null, executor);
       if (hasOverlap) {
         throw new Error('El horario se solapa con otro turno existente');
       }
@@ -175,10 +176,10 @@ class Turno {
       
       const result = await query(
         'INSERT INTO turnos (orden, hora_desde, hora_hasta, activo, creado, modificado) VALUES (?, ?, ?, 1, NOW(), NOW())',
-        [parseInt(orden), hora_desde, hora_hasta]
+        [parseInt(orden), hora_desde, hora_hasta], executor
       );
       
-      return await Turno.findById(result.insertId);
+      return await Turno.findById(result.insertId, executor);
     } catch (error) {
       console.error('Error en create:', error);
       if (error.message.includes('Ya existe un turno') || 
@@ -193,7 +194,7 @@ class Turno {
   /**
    * Actualiza turno
    */
-  async update(data) {
+  async update(data, executor = null) {
     const { orden, hora_desde, hora_hasta, activo } = data;
     const updateFields = [];
     const params = [];
@@ -202,7 +203,7 @@ class Turno {
       if (orden !== undefined && orden !== null) {
         const newOrden = parseInt(orden);
         if (newOrden !== this.orden) {
-          const exists = await Turno.existsByOrden(newOrden, this.turno_id);
+          const exists = await Turno.existsByOrden(newOrden, this.turno_id, executor);
           if (exists) {
             throw new Error('Ya existe un turno con este orden');
           }
@@ -234,7 +235,7 @@ class Turno {
         }
         
         // Verificar solapamiento
-        const hasOverlap = await Turno.checkTimeOverlap(newHoraDesde, newHoraHasta, this.turno_id);
+        const hasOverlap = await Turno.checkTimeOverlap(newHoraDesde, newHoraHasta, this.turno_id, executor);
         if (hasOverlap) {
           throw new Error('El horario se solapa con otro turno existente');
         }
@@ -254,10 +255,10 @@ class Turno {
       
       await query(
         `UPDATE turnos SET ${updateFields.join(', ')} WHERE turno_id = ?`,
-        params
+        params, executor
       );
       
-      return await Turno.findById(this.turno_id);
+      return await Turno.findById(this.turno_id, executor);
     } catch (error) {
       console.error('Error en update:', error);
       if (error.message.includes('Ya existe un turno') || 
@@ -272,12 +273,12 @@ class Turno {
   /**
    * Soft delete - marcar como inactivo
    */
-  async softDelete() {
+  async softDelete(executor = null) {
     try {
       // Verifica si el turno está siendo usado en reservas activas
       const reservasActivas = await query(
         'SELECT COUNT(*) as count FROM reservas WHERE turno_id = ? AND activo = 1',
-        [this.turno_id]
+        [this.turno_id], executor
       );
       
       if (reservasActivas[0].count > 0) {
@@ -286,7 +287,7 @@ class Turno {
       
       await query(
         'UPDATE turnos SET activo = 0, modificado = NOW() WHERE turno_id = ?',
-        [this.turno_id]
+        [this.turno_id], executor
       );
       
       this.activo = false;
@@ -303,25 +304,25 @@ class Turno {
   /**
    * Restaura turno eliminado
    */
-  async restore() {
+  async restore(executor = null) {
     try {
       // Verificar que no haya conflictos al restaurar
-      const existsOrden = await Turno.existsByOrden(this.orden, this.turno_id);
+      const existsOrden = await Turno.existsByOrden(this.orden, this.turno_id, executor);
       if (existsOrden) {
         throw new Error('No se puede restaurar: ya existe un turno activo con este orden');
       }
       
-      const hasOverlap = await Turno.checkTimeOverlap(this.hora_desde, this.hora_hasta, this.turno_id);
+      const hasOverlap = await Turno.checkTimeOverlap(this.hora_desde, this.hora_hasta, this.turno_id, executor);
       if (hasOverlap) {
         throw new Error('No se puede restaurar: el horario se solapa con otro turno activo');
       }
       
       await query(
         'UPDATE turnos SET activo = 1, modificado = NOW() WHERE turno_id = ?',
-        [this.turno_id]
+        [this.turno_id], executor
       );
       
-      return await Turno.findById(this.turno_id);
+      return await Turno.findById(this.turno_id, executor);
     } catch (error) {
       console.error('Error en restore:', error);
       if (error.message.includes('No se puede restaurar')) {
@@ -334,7 +335,7 @@ class Turno {
   /**
    * Obtener turnos más utilizados
    */
-  static async getMostUsed(limit = 5) {
+  static async getMostUsed(limit = 5, executor = null) {
     try {
       const turnos = await query(`
         SELECT 
@@ -352,7 +353,7 @@ class Turno {
         GROUP BY t.turno_id
         ORDER BY reservas_count DESC, t.orden ASC
         LIMIT ?
-      `, [limit]);
+      `, [limit], executor);
       
       return turnos.map(turno => ({
         ...new Turno(turno),
@@ -367,10 +368,10 @@ class Turno {
   /**
    * Obtener todos los turnos activos ordenados
    */
-  static async findAllActive() {
+  static async findAllActive(executor = null) {
     try {
       const turnos = await query(
-        'SELECT turno_id, orden, hora_desde, hora_hasta, activo, creado, modificado FROM turnos WHERE activo = 1 ORDER BY orden ASC'
+        'SELECT turno_id, orden, hora_desde, hora_hasta, activo, creado, modificado FROM turnos WHERE activo = 1 ORDER BY orden ASC', [], executor
       );
       
       return turnos.map(turno => new Turno(turno));
@@ -381,16 +382,11 @@ class Turno {
   }
 
   /**
-   * Verificar disponibilidad en fecha específica
+   * Verificar disponibilidad en fecha específica (ver Disponibilidad)
    */
-  async checkAvailability(fecha, salonId) {
+  async checkAvailability(fecha, salonId, executor = null) {
     try {
-      const reservas = await query(
-        'SELECT COUNT(*) as count FROM reservas WHERE salon_id = ? AND fecha_reserva = ? AND turno_id = ? AND activo = 1',
-        [salonId, fecha, this.turno_id]
-      );
-      
-      return reservas[0].count === 0;
+      return await Disponibilidad.isLibre(salonId, fecha, this.turno_id, null, executor);
     } catch (error) {
       console.error('Error en checkAvailability:', error);
       throw new Error('Error al verificar disponibilidad del turno');
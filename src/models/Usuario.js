@@ -1,5 +1,6 @@
 import { query } from '../config/database.js';
-import crypto from 'crypto';
+import PasswordService from '../services/passwordService.js';
+import RefreshToken from './RefreshToken.js';
 
 class Usuario {
   constructor(data = {}) {
@@ -19,7 +20,7 @@ class Usuario {
   /**
    * Obtener todos los usuarios con paginación y filtros
    */
-  static async findAll(options = {}) {
+  static async findAll(options = {}, executor = null) {
     const { 
       page = 1, 
       limit = 10, 
@@ -63,8 +64,8 @@ class Usuario {
       const countParams = [...params];
       
       const [usuarios, totalResult] = await Promise.all([
-        query(usuariosQuery, usuariosParams),
-        query(countQuery, countParams)
+        query(usuariosQuery, usuariosParams, executor),
+        query(countQuery, countParams, executor)
       ]);
       
       const total = totalResult[0].total;
@@ -90,11 +91,11 @@ class Usuario {
   /**
    * Buscar usuario por ID
    */
-  static async findById(id) {
+  static async findById(id, executor = null) {
     try {
       const usuarios = await query(
         'SELECT usuario_id, nombre, apellido, nombre_usuario, tipo_usuario, celular, foto, activo, creado, modificado FROM usuarios WHERE usuario_id = ?',
-        [id]
+        [id], executor
       );
       
       return usuarios.length > 0 ? new Usuario(usuarios[0]) : null;
@@ -107,11 +108,11 @@ class Usuario {
   /**
    * Buscar usuario activo por ID
    */
-  static async findActiveById(id) {
+  static async findActiveById(id, executor = null) {
     try {
       const usuarios = await query(
         'SELECT usuario_id, nombre, apellido, nombre_usuario, tipo_usuario, celular, foto, activo, creado, modificado FROM usuarios WHERE usuario_id = ? AND activo = 1',
-        [id]
+        [id], executor
       );
       
       return usuarios.length > 0 ? new Usuario(usuarios[0]) : null;
@@ -124,11 +125,11 @@ class Usuario {
   /**
    * Buscar usuario por nombre_usuario (email)
    */
-  static async findByEmail(email) {
+  static async findByEmail(email, executor = null) {
     try {
       const usuarios = await query(
         'SELECT usuario_id, nombre, apellido, nombre_usuario, contrasenia, tipo_usuario, celular, foto, activo, creado, modificado FROM usuarios WHERE nombre_usuario = ? AND activo = 1',
-        [email.toLowerCase()]
+        [email.toLowerCase()], executor
       );
       
       return usuarios.length > 0 ? new Usuario(usuarios[0]) : null;
@@ -141,7 +142,7 @@ class Usuario {
   /**
    * Verifica si existe un usuario con el mismo email
    */
-  static async existsByEmail(email, excludeId = null) {
+  static async existsByEmail(email, excludeId = null, executor = null) {
     try {
       let sql = 'SELECT COUNT(*) as count FROM usuarios WHERE LOWER(nombre_usuario) = LOWER(?) AND activo = 1';
       let params = [email];
@@ -151,7 +152,7 @@ class Usuario {
         params.push(excludeId);
       }
       
-      const result = await query(sql, params);
+      const result = await query(sql, params, executor);
       return result[0].count > 0;
     } catch (error) {
       console.error('Error en existsByEmail:', error);
@@ -160,35 +161,34 @@ class Usuario {
   }
 
   /**
-   * Hash de contraseña usando MD5 (compatibilidad con datos existentes)
+   * Hash de contraseña con bcrypt
    */
-  static hashPassword(password) {
-    return crypto.createHash('md5').update(password).digest('hex');
+  static async hashPassword(password) {
+    return PasswordService.hash(password);
   }
 
   /**
-   * Verifica contraseña
+   * Verifica contraseña (acepta hashes bcrypt y MD5 heredados)
    */
-  verifyPassword(password) {
-    const hashedPassword = Usuario.hashPassword(password);
-    return hashedPassword === this.contrasenia;
+  async verifyPassword(password) {
+    return PasswordService.verify(password, this.contrasenia);
   }
 
   /**
    * Crea nuevo usuario
    */
-  static async create(data) {
+  static async create(data, executor = null) {
     const { nombre, apellido, nombre_usuario, contrasenia, tipo_usuario = 3, celular = null, foto = null } = data;
     
     try {
       // Verifica que no existe un usuario con el mismo email
-      const exists = await Usuario.existsByEmail(nombre_usuario);
+      const exists = await Usuario.existsByEmail(nombre_usuario, null, executor);
       if (exists) {
         throw new Error('Ya existe un usuario con este email');
       }
       
       // Hash de la contraseña
-      const hashedPassword = Usuario.hashPassword(contrasenia);
+      const hashedPassword = await Usuario.hashPassword(contrasenia);
       
       const result = await query(
         'INSERT INTO usuarios (nombre, apellido, nombre_usuario, contrasenia, tipo_usuario, celular, foto, activo, creado, modificado) VALUES (?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())',
@@ -200,15 +200,19 @@ class Usuario {
           parseInt(tipo_usuario),
           celular,
           foto
-        ]
+        ], executor
       );
       
-      return await Usuario.findById(result.insertId);
+      return await Usuario.findById(result.insertId, executor);
     } catch (error) {
       console.error('Error en create:', error);
       if (error.message.includes('Ya existe un usuario')) {
         throw error;
       }
+      // uq_usuarios_nombre_usuario (011) rechaza el email si otra alta simultánea pasó la verificación
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Ya existe un usuario con este email');
+      }
       throw new Error('Error al crear usuario');
     }
   }
@@ -216,7 +220,7 @@ class Usuario {
   /**
    * Actualiza usuario
    */
-  async update(data) {
+  async update(data, executor = null) {
     const { nombre, apellido, nombre_usuario, contrasenia, tipo_usuario, celular, foto, activo } = data;
     const updateFields = [];
     const params = [];
@@ -235,7 +239,7 @@ class Usuario {
       if (nombre_usuario !== undefined && nombre_usuario !== null) {
         const newEmail = nombre_usuario.toLowerCase();
         if (newEmail !== this.nombre_usuario) {
-          const exists = await Usuario.existsByEmail(newEmail, this.usuario_id);
+          const exists = await Usuario.existsByEmail(newEmail, this.usuario_id, executor);
           if (exists) {
             throw new Error('Ya existe un usuario con este email');
           }
@@ -247,7 +251,7 @@ class Usuario {
       
       if (contrasenia !== undefined && contrasenia !== null && contrasenia.trim() !== '') {
         updateFields.push('contrasenia = ?');
-        params.push(Usuario.hashPassword(contrasenia));
+        params.push(await Usuario.hashPassword(contrasenia));
       }
       
       if (tipo_usuario !== undefined && tipo_usuario !== null) {
@@ -279,15 +283,18 @@ class Usuario {
       
       await query(
         `UPDATE usuarios SET ${updateFields.join(', ')} WHERE usuario_id = ?`,
-        params
+        params, executor
       );
       
-      return await Usuario.findById(this.usuario_id);
+      return await Usuario.findById(this.usuario_id, executor);
     } catch (error) {
       console.error('Error en update:', error);
       if (error.message.includes('Ya existe un usuario')) {
         throw error;
       }
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Ya existe un usuario con este email');
+      }
       throw new Error('Error al actualizar usuario');
     }
   }
@@ -295,12 +302,12 @@ class Usuario {
   /**
    * Soft delete - marcar como inactivo
    */
-  async softDelete() {
+  async softDelete(executor = null) {
     try {
       // Verifica si el usuario tiene reservas activas
       const reservasActivas = await query(
         'SELECT COUNT(*) as count FROM reservas WHERE usuario_id = ? AND activo = 1',
-        [this.usuario_id]
+        [this.usuario_id], executor
       );
       
       if (reservasActivas[0].count > 0) {
@@ -309,7 +316,7 @@ class Usuario {
       
       await query(
         'UPDATE usuarios SET activo = 0, modificado = NOW() WHERE usuario_id = ?',
-        [this.usuario_id]
+        [this.usuario_id], executor
       );
       
       this.activo = false;
@@ -326,20 +333,20 @@ class Usuario {
   /**
    * Restaura usuario eliminado
    */
-  async restore() {
+  async restore(executor = null) {
     try {
       // Verificar que no haya conflicto de email
-      const exists = await Usuario.existsByEmail(this.nombre_usuario, this.usuario_id);
+      const exists = await Usuario.existsByEmail(this.nombre_usuario, this.usuario_id, executor);
       if (exists) {
         throw new Error('No se puede restaurar: ya existe un usuario activo con este email');
       }
       
       await query(
         'UPDATE usuarios SET activo = 1, modificado = NOW() WHERE usuario_id = ?',
-        [this.usuario_id]
+        [this.usuario_id], executor
       );
       
-      return await Usuario.findById(this.usuario_id);
+      return await Usuario.findById(this.usuario_id, executor);
     } catch (error) {
       console.error('Error en restore:', error);
       if (error.message.includes('No se puede restaurar')) {
@@ -352,7 +359,7 @@ class Usuario {
   /**
    * Obtener estadísticas de usuarios por tipo
    */
-  static async getStatsByType() {
+  static async getStatsByType(executor = null) {
     try {
       const stats = await query(`
         SELECT 
@@ -362,7 +369,7 @@ class Usuario {
         FROM usuarios 
         GROUP BY tipo_usuario
         ORDER BY tipo_usuario
-      `);
+      `, [], executor);
       
       return stats.map(stat => ({
         tipo_usuario: stat.tipo_usuario,
@@ -380,7 +387,7 @@ class Usuario {
   /**
    * Obtener clientes con más reservas
    */
-  static async getTopClientes(limit = 5) {
+  static async getTopClientes(limit = 5, executor = null) {
     try {
       const clientes = await query(`
         SELECT 
@@ -398,7 +405,7 @@ class Usuario {
         GROUP BY u.usuario_id
         ORDER BY reservas_count DESC, u.nombre ASC, u.apellido ASC
         LIMIT ?
-      `, [limit]);
+      `, [limit], executor);
       
       return clientes.map(cliente => ({
         ...new Usuario(cliente),
@@ -413,7 +420,7 @@ class Usuario {
   /**
    * Cambiar tipo de usuario
    */
-  async changeTipo(nuevoTipo) {
+  async changeTipo(nuevoTipo, executor = null) {
     try {
       if (![1, 2, 3].includes(parseInt(nuevoTipo))) {
         throw new Error('Tipo de usuario inválido');
@@ -421,10 +428,10 @@ class Usuario {
       
       await query(
         'UPDATE usuarios SET tipo_usuario = ?, modificado = NOW() WHERE usuario_id = ?',
-        [parseInt(nuevoTipo), this.usuario_id]
+        [parseInt(nuevoTipo), this.usuario_id], executor
       );
       
-      return await Usuario.findById(this.usuario_id);
+      return await Usuario.findById(this.usuario_id, executor);
     } catch (error) {
       console.error('Error en changeTipo:', error);
       throw new Error('Error al cambiar tipo de usuario');
@@ -434,13 +441,13 @@ class Usuario {
   /**
    * Cambiar contraseña
    */
-  async changePassword(nuevaContrasenia) {
+  async changePassword(nuevaContrasenia, executor = null) {
     try {
-      const hashedPassword = Usuario.hashPassword(nuevaContrasenia);
+      const hashedPassword = await Usuario.hashPassword(nuevaContrasenia);
       
       await query(
         'UPDATE usuarios SET contrasenia = ?, modificado = NOW() WHERE usuario_id = ?',
-        [hashedPassword, this.usuario_id]
+        [hashedPassword, this.usuario_id], executor
       );
       
       return true;
@@ -450,6 +457,25 @@ class Usuario {
     }
   }
 
+  /**
+   * Cierra todas las sesiones del usuario: invalida los tokens de acceso emitidos
+   * (token_version) y revoca todos sus refresh tokens
+   */
+  async revokeSessions(executor = null) {
+    try {
+      await query(
+        'UPDATE usuarios SET token_version = token_version + 1 WHERE usuario_id = ?',
+        [this.usuario_id], executor
+      );
+      
+      await RefreshToken.revokeAllForUser(this.usuario_id, executor);
+      return true;
+    } catch (error) {
+      console.error('Error en revokeSessions:', error);
+      throw new Error('Error al cerrar las sesiones del usuario');
+    }
+  }
+
   /**
    * Verifica si el usuario está activo
    */
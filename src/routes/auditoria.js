@@ -0,0 +1,20 @@
+import express from 'express';
+const router = express.Router();
+
+import AuditoriaController from '../controllers/auditoriaController.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
+import { handleValidationErrors } from '../middlewares/errorHandler.js';
+import validations from '../middlewares/validation.js';
+
+// Middleware de autenticación para todas las rutas de auditoría
+router.use(verifyToken);
+
+router.get('/',
+    requirePermission('auditoria:read'),
+    validations.validatePagination,
+    validations.validateAuditoriaFilters,
+    handleValidationErrors,
+    AuditoriaController.getAll
+);
+
+export default router;
@@ -2,7 +2,7 @@ import express from 'express';
 const router = express.Router();
 
 import AuthController from '../controllers/authController.js';
-import { verifyToken } from '../middlewares/auth.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
 import { handleValidationErrors } from '../middlewares/errorHandler.js';
 import validations from '../middlewares/validation.js';
 
@@ -20,10 +20,54 @@ router.get('/me',
     AuthController.getProfile
 );
 
-// POST /api/auth/refresh - Renovar token (requiere autenticación)
+// POST /api/auth/refresh - Renovar token con refresh token (rotación)
 router.post('/refresh',
-    verifyToken,
+    validations.validateRefreshToken,
+    handleValidationErrors,
     AuthController.refreshToken
 );
 
+// POST /api/auth/logout - Cerrar la sesión actual
+router.post('/logout',
+    verifyToken,
+    validations.validateLogout,
+    handleValidationErrors,
+    AuthController.logout
+);
+
+// POST /api/auth/logout-all - Cerrar todas las sesiones del usuario
+router.post('/logout-all',
+    verifyToken,
+    AuthController.logoutAll
+);
+
+// GET /api/auth/calendar-token - Token para suscribirse a los calendarios .ics
+router.get('/calendar-token',
+    verifyToken,
+    AuthController.getCalendarToken
+);
+
+// GET /api/auth/bloqueos - Bloqueos de login vigentes (solo administradores)
+router.get('/bloqueos',
+    verifyToken,
+    requirePermission('bloqueos:read'),
+    AuthController.getBloqueos
+);
+
+// DELETE /api/auth/bloqueos/:tipo/:valor - Quitar bloqueo de un usuario o IP (solo administradores)
+router.delete('/bloqueos/:tipo/:valor',
+    verifyToken,
+    requirePermission('bloqueos:delete'),
+    validations.validateBloqueoClear,
+    handleValidationErrors,
+    AuthController.clearBloqueo
+);
+
+// GET /api/auth/permisos - Matriz efectiva de permisos por rol (solo administradores)
+router.get('/permisos',
+    verifyToken,
+    requirePermission('permisos:read'),
+    AuthController.getPermisos
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,48 @@
+import express from 'express';
+const router = express.Router();
+
+import CuponesController from '../controllers/cuponesController.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
+import { handleValidationErrors } from '../middlewares/errorHandler.js';
+import validations from '../middlewares/validation.js';
+
+// Middleware de autenticación para todas las rutas de cupones
+router.use(verifyToken);
+
+router.get('/',
+    requirePermission('cupones:read'),
+    validations.validatePagination,
+    validations.validateOptionalBoolean,
+    handleValidationErrors,
+    CuponesController.getAll
+);
+
+router.get('/:id',
+    requirePermission('cupones:read'),
+    validations.validateCuponId,
+    handleValidationErrors,
+    CuponesController.getById
+);
+
+router.post('/',
+    requirePermission('cupones:create'),
+    validations.validateCuponCreate,
+    handleValidationErrors,
+    CuponesController.create
+);
+
+router.put('/:id',
+    requirePermission('cupones:update'),
+    validations.validateCuponUpdate,
+    handleValidationErrors,
+    CuponesController.update
+);
+
+router.delete('/:id',
+    requirePermission('cupones:delete'),
+    validations.validateCuponId,
+    handleValidationErrors,
+    CuponesController.delete
+);
+
+export default router;
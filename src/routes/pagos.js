@@ -0,0 +1,23 @@
+import express from 'express';
+const router = express.Router();
+
+import PagosController from '../controllers/pagosController.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
+import { handleValidationErrors } from '../middlewares/errorHandler.js';
+import validations from '../middlewares/validation.js';
+
+// Sin token: el proveedor se autentica con la firma de la notificación
+router.post('/webhooks/:proveedor', PagosController.webhook);
+
+// Simulación de cobros del proveedor fake, solo fuera de producción
+if (process.env.NODE_ENV !== 'production') {
+    router.post('/fake/:referencia',
+        verifyToken,
+        requirePermission('pagos:checkout'),
+        validations.validatePagoSimulacion,
+        handleValidationErrors,
+        PagosController.simularFake
+    );
+}
+
+export default router;
@@ -0,0 +1,49 @@
+import express from 'express';
+const router = express.Router();
+
+import ReglasPrecioController from '../controllers/reglasPrecioController.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
+import { handleValidationErrors } from '../middlewares/errorHandler.js';
+import validations from '../middlewares/validation.js';
+
+// Middleware de autenticación para todas las rutas de reglas de precio
+router.use(verifyToken);
+
+router.get('/',
+    requirePermission('reglas_precio:read'),
+    validations.validatePagination,
+    validations.validateOptionalBoolean,
+    validations.validateReglaPrecioFilters,
+    handleValidationErrors,
+    ReglasPrecioController.getAll
+);
+
+router.get('/:id',
+    requirePermission('reglas_precio:read'),
+    validations.validateReglaPrecioId,
+    handleValidationErrors,
+    ReglasPrecioController.getById
+);
+
+router.post('/',
+    requirePermission('reglas_precio:create'),
+    validations.validateReglaPrecioCreate,
+    handleValidationErrors,
+    ReglasPrecioController.create
+);
+
+router.put('/:id',
+    requirePermission('reglas_precio:update'),
+    validations.validateReglaPrecioUpdate,
+    handleValidationErrors,
+    ReglasPrecioController.update
+);
+
+router.delete('/:id',
+    requirePermission('reglas_precio:delete'),
+    validations.validateReglaPrecioId,
+    handleValidationErrors,
+    ReglasPrecioController.delete
+);
+
+export default router;
@@ -2,80 +2,281 @@ import express from 'express';
 const router = express.Router();
 
 import ReservasController from '../controllers/reservasController.js';
-import { verifyToken, requireRole, ROLES } from '../middlewares/auth.js';
+import PagosController from '../controllers/pagosController.js';
+import ListaEsperaController from '../controllers/listaEsperaController.js';
+import RetencionesController from '../controllers/retencionesController.js';
+import SeriesReservasController from '../controllers/seriesReservasController.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
 import { handleValidationErrors } from '../middlewares/errorHandler.js';
 import validations from '../middlewares/validation.js';
 
 // Middleware de autenticación para todas las rutas
 router.use(verifyToken);
-router.use(requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]));
 
 // Rutas
 router.post('/check-availability',
+    requirePermission('reservas:read'),
     validations.validateAvailabilityCheck,
     handleValidationErrors,
     ReservasController.checkAvailability
 );
 
+router.post('/quote',
+    requirePermission('reservas:create'),
+    validations.validateReservaQuote,
+    handleValidationErrors,
+    ReservasController.quote
+);
+
 router.get('/stats/monthly-reservations',
+    requirePermission('reservas:stats'),
     validations.validateStatsMonthly,
     handleValidationErrors,
-    ReservasController.getMonthlyReservations
+    ReservasController.getStatsByMonth
 );
 
 router.get('/stats/upcoming',
+    requirePermission('reservas:stats'),
     validations.validateUpcoming,
     handleValidationErrors,
-    ReservasController.getUpcomingReservations
+    ReservasController.getUpcoming
 );
 
 router.get('/stats/most-reserved-month',
+    requirePermission('reservas:stats'),
+    validations.validateStatsMonthly,
+    handleValidationErrors,
     ReservasController.getMostReservedMonth
 );
 
+// Series de reservas recurrentes o de varios turnos (antes de las rutas /:id)
+router.post('/series',
+    requirePermission('reservas:create'),
+    validations.validateSerieCreate,
+    handleValidationErrors,
+    SeriesReservasController.create
+);
+
+router.get('/series/:id',
+    requirePermission('reservas:read'),
+    validations.validateId,
+    handleValidationErrors,
+    SeriesReservasController.getById
+);
+
+router.patch('/series/:id',
+    requirePermission('reservas:update'),
+    validations.validateSerieUpdate,
+    handleValidationErrors,
+    SeriesReservasController.update
+);
+
+router.patch('/series/:id/cancel',
+    requirePermission('reservas:cancel'),
+    validations.validateReservaTransition,
+    handleValidationErrors,
+    SeriesReservasController.cancel
+);
+
+// Retenciones de turnos durante el checkout (antes de las rutas /:id)
+router.get('/holds',
+    requirePermission('retenciones:read'),
+    validations.validatePagination,
+    validations.validateRetencionFilters,
+    handleValidationErrors,
+    RetencionesController.getAll
+);
+
+router.get('/holds/:id',
+    requirePermission('retenciones:read'),
+    validations.validateId,
+    handleValidationErrors,
+    RetencionesController.getById
+);
+
+router.post('/holds',
+    requirePermission('retenciones:create'),
+    validations.validateRetencionCreate,
+    handleValidationErrors,
+    RetencionesController.create
+);
+
+router.delete('/holds/:id',
+    requirePermission('retenciones:release'),
+    validations.validateId,
+    handleValidationErrors,
+    RetencionesController.release
+);
+
+router.post('/holds/:id/confirm',
+    requirePermission('retenciones:confirm'),
+    validations.validateRetencionConfirm,
+    handleValidationErrors,
+    RetencionesController.confirm
+);
+
+// Lista de espera de turnos ocupados (antes de las rutas /:id)
+router.get('/lista-espera',
+    requirePermission('lista_espera:read'),
+    validations.validatePagination,
+    validations.validateListaEsperaFilters,
+    handleValidationErrors,
+    ListaEsperaController.getAll
+);
+
+router.get('/lista-espera/:id',
+    requirePermission('lista_espera:read'),
+    validations.validateId,
+    handleValidationErrors,
+    ListaEsperaController.getById
+);
+
+router.post('/lista-espera',
+    requirePermission('lista_espera:create'),
+    validations.validateListaEsperaCreate,
+    handleValidationErrors,
+    ListaEsperaController.create
+);
+
+router.delete('/lista-espera/:id',
+    requirePermission('lista_espera:cancel'),
+    validations.validateId,
+    handleValidationErrors,
+    ListaEsperaController.cancel
+);
+
+router.post('/lista-espera/:id/confirm',
+    requirePermission('lista_espera:confirm'),
+    validations.validateListaEsperaConfirm,
+    handleValidationErrors,
+    ListaEsperaController.confirm
+);
+
 router.get('/',
+    requirePermission('reservas:read'),
     validations.validatePagination,
     validations.validateOptionalBoolean,
+    validations.validateReservaFilters,
     handleValidationErrors,
     ReservasController.getAll
 );
 
 router.get('/:id',
+    requirePermission('reservas:read'),
     validations.validateId,
     handleValidationErrors,
     ReservasController.getById
 );
 
+router.get('/:id/historial',
+    requirePermission('reservas:read'),
+    validations.validateId,
+    handleValidationErrors,
+    ReservasController.getHistorial
+);
+
+router.get('/:id/comprobante',
+    requirePermission('reservas:read'),
+    validations.validateId,
+    handleValidationErrors,
+    ReservasController.getComprobante
+);
+
+// Pagos de la reserva
+router.get('/:id/pagos',
+    requirePermission('pagos:read'),
+    validations.validateId,
+    handleValidationErrors,
+    PagosController.getByReserva
+);
+
+router.post('/:id/pagos',
+    requirePermission('pagos:create'),
+    validations.validatePagoCreate,
+    handleValidationErrors,
+    PagosController.create
+);
+
+router.post('/:id/pagos/online',
+    requirePermission('pagos:checkout'),
+    validations.validatePagoOnline,
+    handleValidationErrors,
+    PagosController.checkout
+);
+
+router.post('/:id/pagos/:pagoId/cancel',
+    requirePermission('pagos:checkout'),
+    validations.validatePagoCancel,
+    handleValidationErrors,
+    PagosController.cancel
+);
+
+router.post('/:id/pagos/:pagoId/refund',
+    requirePermission('pagos:refund'),
+    validations.validatePagoRefund,
+    handleValidationErrors,
+    PagosController.refund
+);
+
 router.post('/',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO, ROLES.CLIENTE]),
+    requirePermission('reservas:create'),
     validations.validateReservaCreate,
     handleValidationErrors,
     ReservasController.create
 );
 
 router.put('/:id',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('reservas:update'),
     validations.validateReservaUpdate,
     handleValidationErrors,
     ReservasController.update
 );
 
 router.patch('/:id',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('reservas:update'),
     validations.validateReservaPartialUpdate,
     handleValidationErrors,
     ReservasController.partialUpdate
 );
 
 router.delete('/:id',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('reservas:delete'),
     validations.validateId,
     handleValidationErrors,
     ReservasController.delete
 );
 
+// Transiciones de estado
+router.patch('/:id/confirm',
+    requirePermission('reservas:transition'),
+    validations.validateReservaTransition,
+    handleValidationErrors,
+    ReservasController.confirm
+);
+
+router.patch('/:id/pay',
+    requirePermission('reservas:transition'),
+    validations.validateReservaTransition,
+    handleValidationErrors,
+    ReservasController.markPaid
+);
+
+router.patch('/:id/complete',
+    requirePermission('reservas:transition'),
+    validations.validateReservaTransition,
+    handleValidationErrors,
+    ReservasController.complete
+);
+
+router.patch('/:id/cancel',
+    requirePermission('reservas:cancel'),
+    validations.validateReservaTransition,
+    handleValidationErrors,
+    ReservasController.cancel
+);
+
 router.patch('/:id/restore',
-    requireRole([ROLES.ADMINISTRADOR]),
+    requirePermission('reservas:restore'),
     validations.validateId,
     handleValidationErrors,
     ReservasController.restore
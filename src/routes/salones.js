@@ -2,23 +2,41 @@ import express from 'express';
 const router = express.Router();
 
 import SalonesController from '../controllers/salonesController.js';
-import { verifyToken, requireRole, ROLES } from '../middlewares/auth.js';
+import BloqueosSalonController from '../controllers/bloqueosSalonController.js';
+import { verifyToken, verifyFeedToken, requirePermission } from '../middlewares/auth.js';
 import { handleValidationErrors } from '../middlewares/errorHandler.js';
 import validations from '../middlewares/validation.js';
 
-// Middleware de autenticación y rol para todas las rutas
+// Feed de calendario: además del JWT admite el token de calendario en ?token=
+router.get('/:id/calendar.ics',
+    verifyFeedToken,
+    requirePermission('salones:read'),
+    validations.validateId,
+    handleValidationErrors,
+    SalonesController.getCalendar
+);
+
+// Middleware de autenticación para todas las rutas siguientes
 router.use(verifyToken);
-router.use(requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]));
 
 // Rutas específicas PRIMERO
 router.get('/stats/most-reserved',
+    requirePermission('salones:stats'),
     validations.validateStatsQuery,
     handleValidationErrors,
     SalonesController.getMostUsed   // <-- corregido
 );
 
+router.get('/availability',
+    requirePermission('salones:read'),
+    validations.validateSalonesAvailability,
+    handleValidationErrors,
+    SalonesController.findAvailable
+);
+
 // BREAD Routes
 router.get('/',
+    requirePermission('salones:read'),
     validations.validatePagination,
     validations.validateOptionalBoolean,
     handleValidationErrors,
@@ -26,26 +44,71 @@ router.get('/',
 );
 
 router.get('/:id/availability',
+    requirePermission('salones:read'),
     validations.validateSalonAvailability,
     handleValidationErrors,
     SalonesController.checkAvailability
 );
 
+router.get('/:id/calendar',
+    requirePermission('salones:read'),
+    validations.validateSalonCalendar,
+    handleValidationErrors,
+    SalonesController.getAvailabilityCalendar
+);
+
+// Bloqueos del salón (feriados, reparaciones, eventos privados)
+router.get('/:id/bloqueos',
+    requirePermission('salones:read'),
+    validations.validateBloqueoSalonFilters,
+    handleValidationErrors,
+    BloqueosSalonController.getAll
+);
+
+router.get('/:id/bloqueos/:bloqueoId',
+    requirePermission('salones:read'),
+    validations.validateBloqueoSalonId,
+    handleValidationErrors,
+    BloqueosSalonController.getById
+);
+
+router.post('/:id/bloqueos',
+    requirePermission('salones:block'),
+    validations.validateBloqueoSalonCreate,
+    handleValidationErrors,
+    BloqueosSalonController.create
+);
+
+router.put('/:id/bloqueos/:bloqueoId',
+    requirePermission('salones:block'),
+    validations.validateBloqueoSalonUpdate,
+    handleValidationErrors,
+    BloqueosSalonController.update
+);
+
+router.delete('/:id/bloqueos/:bloqueoId',
+    requirePermission('salones:block'),
+    validations.validateBloqueoSalonId,
+    handleValidationErrors,
+    BloqueosSalonController.delete
+);
+
 router.get('/:id',
+    requirePermission('salones:read'),
     validations.validateId,
     handleValidationErrors,
     SalonesController.getById
 );
 
 router.post('/',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('salones:create'),
     validations.validateSalonCreate,
     handleValidationErrors,
     SalonesController.create
 );
 
 router.put('/:id',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('salones:update'),
     validations.validateId,
     validations.validateSalonUpdate,
     handleValidationErrors,
@@ -53,21 +116,21 @@ router.put('/:id',
 );
 
 router.patch('/:id',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('salones:update'),
     validations.validateSalonPartialUpdate,
     handleValidationErrors,
     SalonesController.partialUpdate
 );
 
 router.delete('/:id',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('salones:delete'),
     validations.validateId,
     handleValidationErrors,
     SalonesController.softDelete    // <-- ojo: tu controller usa "softDelete"
 );
 
 router.patch('/:id/restore',
-    requireRole([ROLES.ADMINISTRADOR]),
+    requirePermission('salones:restore'),
     validations.validateId,
     handleValidationErrors,
     SalonesController.restore
@@ -2,7 +2,7 @@ import express from 'express';
 const router = express.Router();
 
 import ServiciosController from '../controllers/serviciosController.js';
-import { verifyToken, requireRole, ROLES } from '../middlewares/auth.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
 import { handleValidationErrors } from '../middlewares/errorHandler.js';
 import validations from '../middlewares/validation.js';
 
@@ -11,53 +11,56 @@ router.use(verifyToken);
 
 // IMPORTANTE: Rutas específicas PRIMERO antes que las parametrizadas
 router.get('/stats/most-used',
+    requirePermission('servicios:stats'),
     validations.validateStatsQuery,
     handleValidationErrors,
     ServiciosController.getMostUsed
 );
 
 router.get('/',
+    requirePermission('servicios:read'),
     validations.validatePagination,
     handleValidationErrors,
     ServiciosController.getAll
 );
 
 router.get('/:id',
+    requirePermission('servicios:read'),
     validations.validateServicioId,
     handleValidationErrors,
     ServiciosController.getById
 );
 
 router.post('/',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('servicios:create'),
     validations.validateServicioCreate,
     handleValidationErrors,
     ServiciosController.create
 );
 
 router.put('/:id',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('servicios:update'),
     validations.validateServicioUpdate,
     handleValidationErrors,
     ServiciosController.update
 );
 
 router.patch('/:id',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('servicios:update'),
     validations.validatePartialUpdate,
     handleValidationErrors,
     ServiciosController.partialUpdate
 );
 
 router.delete('/:id',
-    requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+    requirePermission('servicios:delete'),
     validations.validateServicioId,
     handleValidationErrors,
     ServiciosController.delete
 );
 
 router.patch('/:id/restore',
-    requireRole([ROLES.ADMINISTRADOR]),
+    requirePermission('servicios:restore'),
     validations.validateServicioId,
     handleValidationErrors,
     ServiciosController.restore
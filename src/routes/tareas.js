@@ -0,0 +1,38 @@
+import express from 'express';
+const router = express.Router();
+
+import TareasController from '../controllers/tareasController.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
+import { handleValidationErrors } from '../middlewares/errorHandler.js';
+import validations from '../middlewares/validation.js';
+
+// Middleware de autenticación para todas las rutas de tareas
+router.use(verifyToken);
+
+router.get('/',
+    requirePermission('tareas:read'),
+    TareasController.getAll
+);
+
+router.patch('/:nombre/pause',
+    requirePermission('tareas:update'),
+    validations.validateTareaNombre,
+    handleValidationErrors,
+    TareasController.pause
+);
+
+router.patch('/:nombre/resume',
+    requirePermission('tareas:update'),
+    validations.validateTareaNombre,
+    handleValidationErrors,
+    TareasController.resume
+);
+
+router.post('/:nombre/run',
+    requirePermission('tareas:run'),
+    validations.validateTareaNombre,
+    handleValidationErrors,
+    TareasController.run
+);
+
+export default router;
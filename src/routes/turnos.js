@@ -2,20 +2,21 @@ import express from 'express';
 const router = express.Router();
 
 import TurnosController from '../controllers/turnosController.js';
-import { verifyToken, requireRole, ROLES } from '../middlewares/auth.js';
+import { verifyToken, requirePermission } from '../middlewares/auth.js';
 import { handleValidationErrors } from '../middlewares/errorHandler.js';
 import validations from '../middlewares/validation.js';
 
 // Middleware de autenticación para todas las rutas
 router.use(verifyToken);
-router.use(requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]));
 
 // Rutas específicas PRIMERO
 router.get('/active',
+  requirePermission('turnos:read'),
   TurnosController.getAllActive
 );
 
 router.get('/stats/most-used',
+  requirePermission('turnos:stats'),
   validations.validateStatsQuery,
   handleValidationErrors,
   TurnosController.getMostUsed
@@ -23,53 +24,56 @@ router.get('/stats/most-used',
 
 // BREAD Routes
 router.get('/',
+  requirePermission('turnos:read'),
   validations.validatePagination,
   handleValidationErrors,
   TurnosController.getAll
 );
 
 router.get('/:id/availability',
+  requirePermission('turnos:read'),
   validations.validateTurnoAvailability,
   handleValidationErrors,
   TurnosController.checkAvailability
 );
 
 router.get('/:id',
+  requirePermission('turnos:read'),
   validations.validateId,
   handleValidationErrors,
   TurnosController.getById
 );
 
 router.post('/',
-  requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+  requirePermission('turnos:create'),
   validations.validateTurnoCreate,
   handleValidationErrors,
   TurnosController.create
 );
 
 router.put('/:id',
-  requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+  requirePermission('turnos:update'),
   validations.validateTurnoUpdate,
   handleValidationErrors,
   TurnosController.update
 );
 
 router.patch('/:id',
-  requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+  requirePermission('turnos:update'),
   validations.validateTurnoPartialUpdate,
   handleValidationErrors,
   TurnosController.partialUpdate
 );
 
 router.delete('/:id',
-  requireRole([ROLES.ADMINISTRADOR, ROLES.EMPLEADO]),
+  requirePermission('turnos:delete'),
   validations.validateId,
   handleValidationErrors,
   TurnosController.delete
 );
 
 router.patch('/:id/restore',
-  requireRole([ROLES.ADMINISTRADOR]),
+  requirePermission('turnos:restore'),
   validations.validateId,
   handleValidationErrors,
   TurnosController.restore
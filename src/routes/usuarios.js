@@ -2,7 +2,7 @@ import express from 'express';
 const router = express.Router();
 
 import UsuariosController from '../controllers/usuariosController.js';
-import { verifyToken, requireRole, ROLES } from '../middlewares/auth.js';
+import { verifyToken, verifyFeedToken, requirePermission } from '../middlewares/auth.js';
 import { handleValidationErrors } from '../middlewares/errorHandler.js';
 import validations from '../middlewares/validation.js';
 
@@ -25,89 +25,93 @@ router.post('/reset-password',
   UsuariosController.resetPassword
 );
 
+// Feed de calendario: además del JWT admite el token de calendario en ?token=
+router.get('/:id/calendar.ics',
+  verifyFeedToken,
+  requirePermission('reservas:read'),
+  validations.validateId,
+  handleValidationErrors,
+  UsuariosController.getCalendar
+);
+
 // Middleware de autenticación para todas las rutas siguientes
 router.use(verifyToken);
 
 // Rutas específicas PRIMERO
-router.get('/profile',
-  UsuariosController.getProfile
+router.get('/stats',
+  requirePermission('usuarios:stats'),
+  UsuariosController.getStats
 );
 
-router.get('/stats/most-active',
-  requireRole([ROLES.ADMINISTRADOR]),
+router.get('/top-clientes',
+  requirePermission('usuarios:stats'),
   validations.validateStatsQuery,
   handleValidationErrors,
-  UsuariosController.getMostActiveUsers
+  UsuariosController.getTopClientes
 );
 
 // BREAD Routes
 router.get('/',
-  requireRole([ROLES.ADMINISTRADOR]),
+  requirePermission('usuarios:read', 'any'),
   validations.validatePagination,
   handleValidationErrors,
   UsuariosController.getAll
 );
 
 router.get('/:id',
-  requireRole([ROLES.ADMINISTRADOR]),
+  requirePermission('usuarios:read'),
   validations.validateId,
   handleValidationErrors,
   UsuariosController.getById
 );
 
 router.post('/',
-  requireRole([ROLES.ADMINISTRADOR]),
-  validations.validateUserCreate,
+  requirePermission('usuarios:create'),
+  validations.validateUsuarioCreate,
   handleValidationErrors,
   UsuariosController.create
 );
 
 router.put('/:id',
-  requireRole([ROLES.ADMINISTRADOR]),
-  validations.validateUserUpdate,
+  requirePermission('usuarios:update'),
+  validations.validateUsuarioUpdate,
   handleValidationErrors,
   UsuariosController.update
 );
 
-router.patch('/:id/change-password',
-  validations.validateChangePassword,
+router.patch('/:id',
+  requirePermission('usuarios:update'),
+  validations.validateUsuarioPartialUpdate,
   handleValidationErrors,
-  UsuariosController.changePassword
+  UsuariosController.partialUpdate
 );
 
-router.patch('/:id/activate',
-  requireRole([ROLES.ADMINISTRADOR]),
-  validations.validateId,
-  handleValidationErrors,
-  UsuariosController.activateUser
-);
-
-router.patch('/:id/deactivate',
-  requireRole([ROLES.ADMINISTRADOR]),
-  validations.validateId,
+router.patch('/:id/change-password',
+  requirePermission('usuarios:change_password'),
+  validations.validateChangePassword,
   handleValidationErrors,
-  UsuariosController.deactivateUser
+  UsuariosController.changePassword
 );
 
-router.patch('/:id/role',
-  requireRole([ROLES.ADMINISTRADOR]),
-  validations.validateUserRoleUpdate,
+router.patch('/:id/change-tipo',
+  requirePermission('usuarios:change_role'),
+  validations.validateChangeTipo,
   handleValidationErrors,
-  UsuariosController.updateRole
+  UsuariosController.changeTipo
 );
 
 router.delete('/:id',
-  requireRole([ROLES.ADMINISTRADOR]),
+  requirePermission('usuarios:delete'),
   validations.validateId,
   handleValidationErrors,
   UsuariosController.delete
 );
 
 router.patch('/:id/restore',
-  requireRole([ROLES.ADMINISTRADOR]),
+  requirePermission('usuarios:restore'),
   validations.validateId,
   handleValidationErrors,
   UsuariosController.restore
 );
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,122 @@
+import Auditoria from '../models/Auditoria.js';
+import ReglaPrecio from '../models/ReglaPrecio.js';
+
+// Campos que no aportan al detalle: cambian en cada modificación
+const CAMPOS_IGNORADOS = ['creado', 'modificado'];
+
+const VALOR_OCULTO = '[oculto]';
+
+/**
+ * Auditoría de los cambios hechos desde los controladores BREAD y de los que hacen los
+ * servicios por su cuenta (pago completo, conversión de retenciones e inscripciones en
+ * reservas, vencimientos de las tareas periódicas). Registra quién hizo cada alta,
+ * modificación, baja o restauración y qué campos cambiaron. El registro se escribe en la
+ * misma transacción que el cambio: no hay cambios sin auditar.
+ *
+ * La entidad es el nombre del recurso en los permisos (salones, turnos, servicios, usuarios,
+ * reservas, pagos, lista_espera, retenciones); la acción, una de create, update,
+ * partial_update, delete, restore, transition (cambios de estado), change_role y
+ * change_password.
+ */
+class AuditoriaService {
+
+    /**
+     * Foto del registro para comparar: la representación pública del modelo (toJSON), sin
+     * timestamps ni relaciones anidadas (salón, usuario y turno de una reserva). Las listas,
+     * como los servicios de una reserva, se conservan.
+     */
+    static snapshot(registro) {
+        if (!registro) {
+            return null;
+        }
+
+        const datos = typeof registro.toJSON === 'function' ? registro.toJSON() : registro;
+        const foto = {};
+
+        for (const [campo, valor] of Object.entries(datos)) {
+            if (CAMPOS_IGNORADOS.includes(campo) || valor === undefined) continue;
+
+            if (Array.isArray(valor)) {
+                foto[campo] = valor.map(item => AuditoriaService.normalizar(item));
+            } else if (valor !== null && typeof valor === 'object' && !(valor instanceof Date)) {
+                continue;
+            } else {
+                foto[campo] = AuditoriaService.normalizar(valor);
+            }
+        }
+
+        return foto;
+    }
+
+    /**
+     * Valor apto para JSON; las columnas DATE (fecha sin hora) se guardan como AAAA-MM-DD
+     */
+    static normalizar(valor) {
+        if (valor instanceof Date) {
+            const sinHora = valor.getHours() === 0 && valor.getMinutes() === 0 &&
+                valor.getSeconds() === 0 && valor.getMilliseconds() === 0;
+            return sinHora ? ReglaPrecio.fechaISO(valor) : valor.toISOString();
+        }
+
+        if (valor !== null && typeof valor === 'object') {
+            const { creado, modificado, ...resto } = valor;
+            return JSON.parse(JSON.stringify(resto));
+        }
+
+        return valor;
+    }
+
+    /**
+     * Campos que difieren entre dos fotos: { campo: { antes, despues } }. Los campos de
+     * "ocultos" (contraseñas) se marcan como cambiados sin guardar su valor.
+     */
+    static diff(antes, despues, ocultos = []) {
+        const cambios = {};
+        const campos = new Set([...Object.keys(antes || {}), ...Object.keys(despues || {})]);
+
+        for (const campo of campos) {
+            const valorAntes = antes && campo in antes ? antes[campo] : null;
+            const valorDespues = despues && campo in despues ? despues[campo] : null;
+
+            if (JSON.stringify(valorAntes) !== JSON.stringify(valorDespues)) {
+                cambios[campo] = { antes: valorAntes, despues: valorDespues };
+            }
+        }
+
+        for (const campo of ocultos) {
+            cambios[campo] = { antes: VALOR_OCULTO, despues: VALOR_OCULTO };
+        }
+
+        return cambios;
+    }
+
+    /**
+     * Registra un cambio. "antes" y "despues" son el registro (modelo o fila) antes y después
+     * de la operación: null en un alta, o la foto tomada con snapshot() si la operación
+     * modifica el objeto cargado (soft delete). El actor es null en los cambios que hace el
+     * sistema (tareas periódicas, webhooks).
+     * No registra nada si no cambió ningún campo. Con el executor de la transacción que hace
+     * el cambio, un fallo al registrarlo lanza y revierte también el cambio.
+     */
+    static async registrar(actor, entidad, entidadId, accion, antes = null, despues = null, { ocultos = [] } = {}, executor = null) {
+        const cambios = AuditoriaService.diff(
+            AuditoriaService.snapshot(antes),
+            AuditoriaService.snapshot(despues),
+            ocultos
+        );
+
+        if (Object.keys(cambios).length === 0) {
+            return null;
+        }
+
+        return Auditoria.create({
+            usuarioId: actor ? actor.id : null,
+            entidad,
+            entidadId,
+            accion,
+            cambios
+        }, executor);
+    }
+}
+
+export default AuditoriaService;
@@ -0,0 +1,241 @@
+import { createError } from '../middlewares/errorHandler.js';
+
+/**
+ * Store en memoria del proceso para los intentos de login.
+ * Cualquier otro store (Redis, base de datos) debe implementar la misma interfaz asíncrona:
+ * get(clave), set(clave, registro), delete(clave) y entries().
+ *
+ * Cada registro trae su vencimiento (expiraEn); los vencidos se descartan al leerlos y en
+ * cada barrido. Al llegar a maxEntradas se barre y, si sigue lleno, se descarta el registro
+ * sin bloqueo vigente actualizado hace más tiempo. Un bloqueo vigente nunca se descarta: si
+ * todo el store son bloqueos vigentes, las claves nuevas no se registran y se tratan como
+ * bloqueadas hasta que venza el primero de ellos.
+ */
+class MemoryStore {
+    constructor({ maxEntradas = parseInt(process.env.LOGIN_STORE_MAX_ENTRIES || '10000') } = {}) {
+        this.registros = new Map();
+        this.maxEntradas = maxEntradas;
+        this.saturadoHasta = 0;
+    }
+
+    static vencido(registro, ahora = Date.now()) {
+        return registro.expiraEn <= ahora;
+    }
+
+    static bloqueado(registro, ahora = Date.now()) {
+        return registro.bloqueadoHasta > ahora;
+    }
+
+    async get(clave) {
+        const ahora = Date.now();
+        const registro = this.registros.get(clave);
+
+        if (registro && !MemoryStore.vencido(registro, ahora)) {
+            return registro;
+        }
+        if (registro) {
+            this.registros.delete(clave);
+        }
+
+        // Sin lugar para la clave: queda bloqueada hasta que se libere uno
+        if (this.registros.size >= this.maxEntradas && this.saturadoHasta > ahora) {
+            return { intentos: 0, bloqueos: 0, bloqueadoHasta: this.saturadoHasta, ultimoIntento: 0, expiraEn: this.saturadoHasta };
+        }
+        return null;
+    }
+
+    /**
+     * Guarda el registro. Devuelve false si el store está lleno de bloqueos vigentes.
+     */
+    async set(clave, registro) {
+        const ahora = Date.now();
+
+        if (!this.registros.has(clave) && this.registros.size >= this.maxEntradas) {
+            this.purgar(ahora);
+            this.descartarSinBloqueo(ahora);
+
+            if (this.registros.size >= this.maxEntradas) {
+                this.saturadoHasta = Infinity;
+                for (const { bloqueadoHasta } of this.registros.values()) {
+                    this.saturadoHasta = Math.min(this.saturadoHasta, bloqueadoHasta);
+                }
+                return false;
+            }
+        }
+
+        // Reinsertar mantiene el Map ordenado del registro más viejo al más reciente
+        this.registros.delete(clave);
+        this.registros.set(clave, registro);
+        return true;
+    }
+
+    async delete(clave) {
+        return this.registros.delete(clave);
+    }
+
+    async entries() {
+        this.purgar();
+        return [...this.registros.entries()];
+    }
+
+    /**
+     * Elimina los registros vencidos. Devuelve la cantidad eliminada.
+     */
+    purgar(ahora = Date.now()) {
+        let eliminados = 0;
+        for (const [clave, registro] of this.registros) {
+            if (MemoryStore.vencido(registro, ahora)) {
+                this.registros.delete(clave);
+                eliminados++;
+            }
+        }
+        return eliminados;
+    }
+
+    /**
+     * Descarta el registro sin bloqueo vigente actualizado hace más tiempo, si lo hay
+     */
+    descartarSinBloqueo(ahora = Date.now()) {
+        for (const [clave, registro] of this.registros) {
+            if (!MemoryStore.bloqueado(registro, ahora)) {
+                return this.registros.delete(clave);
+            }
+        }
+        return false;
+    }
+}
+
+const TIPOS = ['usuario', 'ip'];
+
+let store = new MemoryStore();
+
+/**
+ * Protección contra fuerza bruta en el login.
+ * Cuenta los intentos fallidos por nombre_usuario y por IP; al superar el máximo
+ * bloquea la clave durante un tiempo que se duplica en cada bloqueo sucesivo.
+ */
+class BloqueoLoginService {
+
+    static get config() {
+        return {
+            maxIntentosUsuario: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5'),
+            maxIntentosIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_IP || '20'),
+            ventanaSegundos: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_SECONDS || '900'),
+            bloqueoBaseSegundos: parseInt(process.env.LOGIN_LOCK_SECONDS || '60'),
+            bloqueoMaxSegundos: parseInt(process.env.LOGIN_LOCK_MAX_SECONDS || '3600')
+        };
+    }
+
+    // Permite reemplazar el store (por ejemplo uno compartido entre instancias)
+    static setStore(nuevoStore) {
+        store = nuevoStore;
+    }
+
+    static clave(tipo, valor) {
+        return `${tipo}:${String(valor).toLowerCase()}`;
+    }
+
+    static clavesPara(nombreUsuario, ip) {
+        return [
+            { clave: BloqueoLoginService.clave('usuario', nombreUsuario), max: BloqueoLoginService.config.maxIntentosUsuario },
+            { clave: BloqueoLoginService.clave('ip', ip), max: BloqueoLoginService.config.maxIntentosIp }
+        ];
+    }
+
+    /**
+     * Lanza un error 429 (con retryAfter en segundos) si el usuario o la IP están bloqueados
+     */
+    static async verificar(nombreUsuario, ip) {
+        const ahora = Date.now();
+        let retryAfter = 0;
+
+        for (const { clave } of BloqueoLoginService.clavesPara(nombreUsuario, ip)) {
+            const registro = await store.get(clave);
+            if (registro && registro.bloqueadoHasta > ahora) {
+                retryAfter = Math.max(retryAfter, Math.ceil((registro.bloqueadoHasta - ahora) / 1000));
+            }
+        }
+
+        if (retryAfter > 0) {
+            const error = createError('Demasiados intentos fallidos, intente nuevamente más tarde', 429);
+            error.retryAfter = retryAfter;
+            throw error;
+        }
+    }
+
+    /**
+     * Registra un intento fallido y aplica el bloqueo con backoff exponencial si corresponde
+     */
+    static async registrarFallo(nombreUsuario, ip) {
+        const { ventanaSegundos, bloqueoBaseSegundos, bloqueoMaxSegundos } = BloqueoLoginService.config;
+        const ahora = Date.now();
+
+        for (const { clave, max } of BloqueoLoginService.clavesPara(nombreUsuario, ip)) {
+            const registro = (await store.get(clave)) || { intentos: 0, bloqueos: 0, bloqueadoHasta: 0, ultimoIntento: 0 };
+
+            // Pasada la ventana sin bloqueo vigente, el contador vuelve a cero
+            if (ahora - registro.ultimoIntento > ventanaSegundos * 1000 && registro.bloqueadoHasta <= ahora) {
+                registro.intentos = 0;
+                registro.bloqueos = 0;
+            }
+
+            registro.intentos += 1;
+            registro.ultimoIntento = ahora;
+
+            if (registro.intentos >= max) {
+                registro.bloqueos += 1;
+                registro.intentos = 0;
+                const segundos = Math.min(bloqueoBaseSegundos * 2 ** (registro.bloqueos - 1), bloqueoMaxSegundos);
+                registro.bloqueadoHasta = ahora + segundos * 1000;
+            }
+
+            // El registro deja de servir cuando vencen tanto la ventana como el bloqueo
+            registro.expiraEn = Math.max(registro.bloqueadoHasta, ahora + ventanaSegundos * 1000);
+
+            await store.set(clave, registro);
+        }
+    }
+
+    /**
+     * Un login exitoso limpia el historial del usuario (la IP conserva su contador)
+     */
+    static async registrarExito(nombreUsuario) {
+        await store.delete(BloqueoLoginService.clave('usuario', nombreUsuario));
+    }
+
+    /**
+     * Lista las claves con intentos fallidos o bloqueos vigentes
+     */
+    static async listar() {
+        const ahora = Date.now();
+        const ventana = BloqueoLoginService.config.ventanaSegundos * 1000;
+
+        return (await store.entries())
+            .filter(([, registro]) => registro.bloqueadoHasta > ahora || ahora - registro.ultimoIntento <= ventana)
+            .map(([clave, registro]) => {
+                const [tipo, ...valor] = clave.split(':');
+                return {
+                    tipo,
+                    valor: valor.join(':'),
+                    intentos: registro.intentos,
+                    bloqueos: registro.bloqueos,
+                    bloqueado: registro.bloqueadoHasta > ahora,
+                    bloqueado_hasta: registro.bloqueadoHasta > ahora ? new Date(registro.bloqueadoHasta).toISOString() : null,
+                    ultimo_intento: new Date(registro.ultimoIntento).toISOString()
+                };
+            });
+    }
+
+    /**
+     * Elimina el bloqueo y el historial de una clave. Devuelve false si no existía.
+     */
+    static async limpiar(tipo, valor) {
+        if (!TIPOS.includes(tipo)) {
+            throw new Error('Tipo de bloqueo inválido');
+        }
+        return store.delete(BloqueoLoginService.clave(tipo, valor));
+    }
+}
+
+export { MemoryStore };
+export default BloqueoLoginService;
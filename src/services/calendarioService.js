@@ -0,0 +1,166 @@
+import Reserva from '../models/Reserva.js';
+
+// Ventana de los feeds: reservas desde hace DIAS_PASADOS días en adelante
+const DIAS_PASADOS = 90;
+const MAX_EVENTOS = 1000;
+
+const PRODID = '-//PROGIII//API Reservas//ES';
+const DOMINIO_UID = 'reservas.progiii';
+
+class CalendarioService {
+
+    /**
+     * Escapa un valor TEXT según RFC 5545 (barra invertida, coma, punto y coma, saltos de línea)
+     */
+    static escapeText(valor) {
+        return String(valor ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Pliega una línea a 75 octetos: las continuaciones empiezan con un espacio.
+     * Se corta por caracteres completos para no partir secuencias UTF-8.
+     */
+    static foldLine(linea) {
+        const partes = [];
+        let actual = '';
+        let octetos = 0;
+
+        for (const caracter of linea) {
+            const largo = Buffer.byteLength(caracter);
+            const limite = partes.length === 0 ? 75 : 74;
+
+            if (octetos + largo > limite) {
+                partes.push(actual);
+                actual = '';
+                octetos = 0;
+            }
+
+            actual += caracter;
+            octetos += largo;
+        }
+
+        partes.push(actual);
+        return partes.join('\r\n ');
+    }
+
+    /**
+     * Fecha de la reserva como AAAAMMDD (DATE de MySQL llega como Date en hora local)
+     */
+    static formatFecha(fecha) {
+        if (fecha instanceof Date) {
+            return `${fecha.getFullYear()}${String(fecha.getMonth() + 1).padStart(2, '0')}${String(fecha.getDate()).padStart(2, '0')}`;
+        }
+        return String(fecha).split('T')[0].replace(/-/g, '');
+    }
+
+    /**
+     * Suma un día a una fecha AAAAMMDD (turnos que terminan después de medianoche)
+     */
+    static diaSiguiente(fecha) {
+        const dia = new Date(Date.UTC(Number(fecha.slice(0, 4)), Number(fecha.slice(4, 6)) - 1, Number(fecha.slice(6, 8)) + 1));
+        return dia.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    /**
+     * Instante en UTC como AAAAMMDDTHHMMSSZ
+     */
+    static formatInstante(fecha) {
+        return new Date(fecha).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Hora del turno (HH:MM:SS) como HHMMSS
+     */
+    static formatHora(hora) {
+        return String(hora).padEnd(8, ':00').slice(0, 8).replace(/:/g, '');
+    }
+
+    /**
+     * Convierte una reserva (con salón, turno y servicios) en las líneas de un VEVENT.
+     * Las reservas canceladas o eliminadas se emiten con STATUS:CANCELLED para que los
+     * calendarios suscriptos quiten el evento en la próxima sincronización.
+     */
+    static toEvento(reserva) {
+        const fecha = CalendarioService.formatFecha(reserva.fecha_reserva);
+        const horaDesde = CalendarioService.formatHora(reserva.turno.hora_desde);
+        const horaHasta = CalendarioService.formatHora(reserva.turno.hora_hasta);
+        const fechaFin = horaHasta <= horaDesde ? CalendarioService.diaSiguiente(fecha) : fecha;
+        const cancelada = reserva.estado === 'cancelada' || !reserva.activo;
+
+        const titulo = reserva.tematica
+            ? `${reserva.salon.titulo}: ${reserva.tematica}`
+            : `Reserva en ${reserva.salon.titulo}`;
+
+        const descripcion = [
+            `Reserva #${reserva.reserva_id} (${reserva.estado})`,
+            reserva.tematica && `Temática: ${reserva.tematica}`,
+            reserva.usuario && `Cliente: ${reserva.usuario.nombre} ${reserva.usuario.apellido}`,
+            reserva.servicios && reserva.servicios.length > 0 &&
+                `Servicios: ${reserva.servicios.map(servicio => servicio.descripcion).join(', ')}`
+        ].filter(Boolean).join('\n');
+
+        const escape = CalendarioService.escapeText;
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:reserva-${reserva.reserva_id}@${DOMINIO_UID}`,
+            `DTSTAMP:${CalendarioService.formatInstante(reserva.modificado || reserva.creado || new Date())}`,
+            `LAST-MODIFIED:${CalendarioService.formatInstante(reserva.modificado || reserva.creado || new Date())}`,
+            `DTSTART:${fecha}T${horaDesde}`,
+            `DTEND:${fechaFin}T${horaHasta}`,
+            `SUMMARY:${escape(titulo)}`,
+            `DESCRIPTION:${escape(descripcion)}`,
+            `LOCATION:${escape(`${reserva.salon.titulo}, ${reserva.salon.direccion}`)}`,
+            `STATUS:${cancelada ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        ];
+    }
+
+    /**
+     * Arma el VCALENDAR completo. Las horas de los turnos se emiten como hora local
+     * ("flotante"); X-WR-TIMEZONE indica a los clientes en qué zona interpretarlas.
+     */
+    static generar(nombre, reservas) {
+        const lineas = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${CalendarioService.escapeText(nombre)}`,
+            `X-WR-TIMEZONE:${process.env.CALENDAR_TIMEZONE || 'America/Argentina/Buenos_Aires'}`,
+            ...reservas
+                .filter(reserva => reserva.salon && reserva.turno)
+                .flatMap(reserva => CalendarioService.toEvento(reserva)),
+            'END:VCALENDAR'
+        ];
+
+        return lineas.map(CalendarioService.foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Reservas a publicar en un feed (filtro por salonId o usuarioId), incluidas las
+     * canceladas y eliminadas de la ventana para que los suscriptores las quiten
+     */
+    static async getReservas(filtro) {
+        const desde = new Date();
+        desde.setDate(desde.getDate() - DIAS_PASADOS);
+
+        const { reservas } = await Reserva.findAll({
+            ...filtro,
+            page: 1,
+            limit: MAX_EVENTOS,
+            includeInactive: true,
+            fechaDesde: desde.toISOString().split('T')[0],
+            includeRelations: true
+        });
+
+        return reservas;
+    }
+}
+
+export default CalendarioService;
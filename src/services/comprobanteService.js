@@ -0,0 +1,188 @@
+import pdfmake from 'pdfmake';
+import htmlToPdfmake from 'html-to-pdfmake';
+import { JSDOM } from 'jsdom';
+import QRCode from 'qrcode';
+import Pago from '../models/Pago.js';
+import NotificacionesService from './notificacionesService.js';
+import { ESTADOS_PAGO, TIPOS_PAGO } from '../config/pagos.js';
+import { logCriticalError } from '../middlewares/errorHandler.js';
+
+const formatoImporte = new Intl.NumberFormat('es-AR', { style: 'currency', currency: 'ARS' });
+
+const CONCEPTOS_PAGO = {
+    [TIPOS_PAGO.SENA]: 'Seña',
+    [TIPOS_PAGO.PAGO]: 'Pago',
+    [TIPOS_PAGO.REEMBOLSO]: 'Reembolso'
+};
+
+const COLORES = {
+    titulo: '#03912e',
+    texto: '#333333',
+    secundario: '#666666'
+};
+
+// pdfmake dibuja con las fuentes estándar de PDF; la plantilla solo trae imágenes embebidas
+// (data:), así que no se permite leer otros archivos locales ni descargar URLs
+const FUENTES = {
+    Helvetica: {
+        normal: 'Helvetica',
+        bold: 'Helvetica-Bold',
+        italics: 'Helvetica-Oblique',
+        bolditalics: 'Helvetica-BoldOblique'
+    }
+};
+
+pdfmake.setFonts(FUENTES);
+pdfmake.setUrlAccessPolicy(() => false);
+pdfmake.setLocalAccessPolicy(ruta => Object.values(FUENTES.Helvetica).includes(ruta));
+
+// Estilos de las etiquetas y de las clases de la plantilla (html-to-pdfmake no interpreta CSS)
+const ESTILOS_ETIQUETAS = {
+    h1: { fontSize: 18, bold: true, color: COLORES.titulo, marginBottom: 6 },
+    h2: { fontSize: 12, bold: true, color: COLORES.titulo, margin: [0, 12, 0, 4] },
+    p: { margin: [0, 0, 0, 3] },
+    th: { bold: true, fillColor: '#f7f7f7' },
+    table: { marginBottom: 6 }
+};
+
+const ESTILOS_CLASES = {
+    referencia: { fontSize: 12, bold: true },
+    importe: { alignment: 'right' },
+    total: { bold: true },
+    saldo: { bold: true, fontSize: 12 },
+    pie: { fontSize: 9, color: COLORES.secundario, alignment: 'center' }
+};
+
+// Ventana de jsdom que html-to-pdfmake usa para leer el HTML; se crea una sola vez
+let ventana = null;
+
+/**
+ * Comprobante de la reserva en PDF: se arma con la plantilla utiles/Handlebars/comprobante.hbs
+ * y se convierte en el mismo proceso, sin navegador (html-to-pdfmake y pdfmake). Incluye un
+ * QR con la referencia de la reserva.
+ * Adjuntarlo al correo de nueva reserva es opcional (MAIL_ATTACH_COMPROBANTE=true).
+ */
+class ComprobanteService {
+
+    static get config() {
+        return {
+            adjuntarAlCorreo: process.env.MAIL_ATTACH_COMPROBANTE === 'true'
+        };
+    }
+
+    /**
+     * Referencia de la reserva que figura en el comprobante y en el QR
+     */
+    static referencia(reserva) {
+        return `RES-${String(reserva.reserva_id).padStart(6, '0')}`;
+    }
+
+    static formatImporte(importe) {
+        return formatoImporte.format(parseFloat(importe) || 0);
+    }
+
+    /**
+     * Datos de la plantilla a partir de la reserva (cargada con relaciones) y sus pagos
+     */
+    static async datos(reserva, pagos = []) {
+        const referencia = ComprobanteService.referencia(reserva);
+        const aprobados = pagos.filter(pago => pago.estado === ESTADOS_PAGO.APROBADO);
+        const descuento = parseFloat(reserva.importe_descuento) || 0;
+        const limite = reserva.getFechaLimitePago();
+
+        return {
+            referencia,
+            qr: await QRCode.toDataURL(referencia, { margin: 1, width: 220 }),
+            emitido: NotificacionesService.formatFecha(new Date()),
+            anio: new Date().getFullYear(),
+            estado: reserva.estado,
+            cliente: {
+                nombre: reserva.usuario ? `${reserva.usuario.nombre} ${reserva.usuario.apellido}` : '',
+                email: reserva.usuario ? reserva.usuario.nombre_usuario : '',
+                celular: reserva.usuario ? reserva.usuario.celular : null
+            },
+            fecha: NotificacionesService.formatFecha(reserva.fecha_reserva),
+            turno: NotificacionesService.formatTurno(reserva.turno),
+            salon: reserva.salon || {},
+            tematica: reserva.tematica,
+            lineas: [
+                {
+                    descripcion: reserva.salon ? reserva.salon.titulo : 'Salón',
+                    importe: ComprobanteService.formatImporte(reserva.importe_salon)
+                },
+                ...reserva.servicios.map(servicio => ({
+                    descripcion: servicio.descripcion,
+                    importe: ComprobanteService.formatImporte(servicio.importe)
+                }))
+            ],
+            subtotal: ComprobanteService.formatImporte(parseFloat(reserva.importe_total) + descuento),
+            descuento: descuento > 0 ? ComprobanteService.formatImporte(descuento) : null,
+            total: ComprobanteService.formatImporte(reserva.importe_total),
+            pagos: aprobados.map(pago => ({
+                fecha: NotificacionesService.formatFecha(pago.creado),
+                concepto: CONCEPTOS_PAGO[pago.tipo] || pago.tipo,
+                metodo: pago.metodo,
+                importe: ComprobanteService.formatImporte(pago.tipo === TIPOS_PAGO.REEMBOLSO ? -pago.importe : pago.importe)
+            })),
+            pagado: ComprobanteService.formatImporte(reserva.importe_pagado),
+            saldo: ComprobanteService.formatImporte(reserva.getSaldo()),
+            fechaLimitePago: reserva.getSaldo() > 0 && limite ? NotificacionesService.formatFecha(limite) : null
+        };
+    }
+
+    /**
+     * HTML del comprobante (plantilla utiles/Handlebars/comprobante.hbs)
+     */
+    static async html(reserva, pagos = []) {
+        return NotificacionesService.render('comprobante', await ComprobanteService.datos(reserva, pagos));
+    }
+
+    /**
+     * Convierte el HTML del comprobante en un PDF A4 y lo devuelve como Buffer
+     */
+    static async renderPdf(html) {
+        if (!ventana) {
+            ventana = new JSDOM('').window;
+        }
+
+        const contenido = htmlToPdfmake(html, { window: ventana, defaultStyles: ESTILOS_ETIQUETAS });
+        return pdfmake.createPdf({
+            pageSize: 'A4',
+            pageMargins: [42, 42, 42, 42],
+            defaultStyle: { font: 'Helvetica', fontSize: 10, color: COLORES.texto },
+            styles: ESTILOS_CLASES,
+            content: contenido
+        }).getBuffer();
+    }
+
+    /**
+     * PDF del comprobante de la reserva (cargada con relaciones)
+     */
+    static async generarPdf(reserva) {
+        const pagos = await Pago.findByReserva(reserva.reserva_id);
+        return ComprobanteService.renderPdf(await ComprobanteService.html(reserva, pagos));
+    }
+
+    /**
+     * Adjuntos para el correo de confirmación. Nunca lanza: si el PDF no se puede generar
+     * el correo sale igual, sin el comprobante.
+     */
+    static async adjuntos(reserva) {
+        if (!ComprobanteService.config.adjuntarAlCorreo) {
+            return [];
+        }
+
+        try {
+            return [{
+                filename: `comprobante-${ComprobanteService.referencia(reserva)}.pdf`,
+                content: await ComprobanteService.generarPdf(reserva),
+                contentType: 'application/pdf'
+            }];
+        } catch (error) {
+            logCriticalError(error, { comprobante: 'adjunto', reserva_id: reserva.reserva_id });
+            return [];
+        }
+    }
+}
+
+export default ComprobanteService;
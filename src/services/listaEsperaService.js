@@ -0,0 +1,166 @@
+import { transaction } from '../config/database.js';
+import Reserva from '../models/Reserva.js';
+import Turno from '../models/Turno.js';
+import Disponibilidad from '../models/Disponibilidad.js';
+import BloqueoSalon from '../models/BloqueoSalon.js';
+import ReglaPrecio from '../models/ReglaPrecio.js';
+import ListaEspera, { ESTADOS_ESPERA } from '../models/ListaEspera.js';
+import NotificacionesService from './notificacionesService.js';
+import AuditoriaService from './auditoriaService.js';
+import { createError, logCriticalError } from '../middlewares/errorHandler.js';
+
+/**
+ * Lista de espera de turnos ocupados. Cuando el turno se libera (la reserva se cancela, se
+ * elimina o se mueve), la primera inscripción recibe una oferta: el turno queda retenido para
+ * ese cliente durante WAITLIST_HOLD_MINUTES minutos (120 por defecto) y se le avisa por
+ * correo. Si no reserva a tiempo, la tarea "lista_espera" del SchedulerService vence la
+ * oferta y ofrece el turno al siguiente. Las ofertas y los vencimientos se auditan sin actor.
+ */
+class ListaEsperaService {
+
+    static get config() {
+        return {
+            minutosOferta: parseInt(process.env.WAITLIST_HOLD_MINUTES || '120')
+        };
+    }
+
+    /**
+     * Anota al usuario al final de la lista. Solo se puede esperar un turno ocupado: si
+     * está libre se reserva directamente, y un turno bloqueado no se libera al cancelar.
+     */
+    static async inscribir({ salon_id, fecha_reserva, turno_id, usuario_id }) {
+        return transaction(async (connection) => {
+            // Con el salón bloqueado, el turno no puede liberarse entre la verificación y el alta
+            await Disponibilidad.lockSalon(salon_id, connection);
+
+            const turno = await Turno.findById(turno_id, connection);
+            if (!turno || !turno.activo) {
+                throw createError('El turno especificado no existe o no está activo', 400);
+            }
+
+            if (await BloqueoSalon.isBlocked(salon_id, fecha_reserva, turno_id, connection)) {
+                throw createError('El salón no admite reservas en esa fecha y turno', 409);
+            }
+
+            if (await Reserva.checkAvailability(salon_id, fecha_reserva, turno_id, null, connection)) {
+                throw createError('El turno está disponible: puede reservarlo directamente', 409);
+            }
+
+            return ListaEspera.create({ salon_id, fecha_reserva, turno_id, usuario_id }, connection);
+        });
+    }
+
+    /**
+     * Ofrece el turno a la primera inscripción que lo espera, si el turno quedó libre y no
+     * hay otra oferta vigente. Devuelve la inscripción ofrecida o null.
+     * Nunca lanza: lo llaman los controladores después de cancelar o mover una reserva.
+     */
+    static async liberarTurno(salonId, fecha, turnoId) {
+        const fechaReserva = ReglaPrecio.fechaISO(fecha);
+
+        try {
+            if (fechaReserva < ReglaPrecio.fechaISO(new Date())) {
+                return null;
+            }
+
+            const { minutosOferta } = ListaEsperaService.config;
+
+            const ofrecida = await transaction(async (connection) => {
+                await Disponibilidad.lockSalon(salonId, connection);
+
+                // Sigue ocupado, ya ofrecido a alguien o bloqueado
+                if (!(await Reserva.checkAvailability(salonId, fechaReserva, turnoId, null, connection))) {
+                    return null;
+                }
+
+                const esperaId = await ListaEspera.lockSiguiente(salonId, fechaReserva, turnoId, connection);
+                if (!esperaId) {
+                    return null;
+                }
+
+                const antes = await ListaEspera.findById(esperaId, null, connection);
+                await ListaEspera.ofrecer(esperaId, minutosOferta, connection);
+                const ofrecida = await ListaEspera.findById(esperaId, null, connection);
+                await AuditoriaService.registrar(null, 'lista_espera', esperaId, 'transition', antes, ofrecida, {}, connection);
+                return ofrecida;
+            });
+
+            if (ofrecida) {
+                // El aviso no bloquea: la oferta ya quedó registrada
+                NotificacionesService.notificarOfertaListaEspera(ofrecida);
+            }
+
+            return ofrecida;
+        } catch (error) {
+            logCriticalError(error, { lista_espera: 'liberar-turno', salon_id: salonId, fecha: fechaReserva, turno_id: turnoId });
+            return null;
+        }
+    }
+
+    /**
+     * Tarea periódica: vence las ofertas no confirmadas a tiempo y las inscripciones de
+     * fechas pasadas, y ofrece los turnos libres que tienen gente esperando.
+     */
+    static async vencerOfertas() {
+        const { ofertas, pasadas } = await transaction(async (connection) => {
+            const vencidas = { ofertas: 0, pasadas: 0 };
+
+            for (const { espera_id, oferta_vencida } of await ListaEspera.lockVencidas(connection)) {
+                const antes = await ListaEspera.findById(espera_id, null, connection);
+                await ListaEspera.vencer(espera_id, connection);
+                await AuditoriaService.registrar(null, 'lista_espera', espera_id, 'transition',
+                    antes, await ListaEspera.findById(espera_id, null, connection), {}, connection);
+                vencidas[oferta_vencida ? 'ofertas' : 'pasadas']++;
+            }
+
+            return vencidas;
+        });
+
+        let ofrecidas = 0;
+        for (const turno of await ListaEspera.findTurnosEnEspera()) {
+            if (await ListaEsperaService.liberarTurno(turno.salon_id, turno.fecha_reserva, turno.turno_id)) {
+                ofrecidas++;
+            }
+        }
+
+        return { vencidas: ofertas, pasadas, ofrecidas };
+    }
+
+    /**
+     * Baja de la inscripción; si tenía la oferta, el turno pasa al siguiente
+     */
+    static async cancelar(inscripcion) {
+        if (!(await inscripcion.cancelar())) {
+            throw createError('La inscripción ya no está vigente', 409);
+        }
+
+        if (inscripcion.estado === ESTADOS_ESPERA.OFRECIDA) {
+            await ListaEsperaService.liberarTurno(inscripcion.salon_id, inscripcion.fecha_reserva, inscripcion.turno_id);
+        }
+
+        return ListaEspera.findById(inscripcion.espera_id);
+    }
+
+    /**
+     * Convierte la oferta en una reserva del cliente inscripto (Reserva.create da por
+     * confirmada la inscripción y lo audita en la misma transacción)
+     */
+    static async confirmar(inscripcion, datos, autorId, executor = null) {
+        if (inscripcion.estado !== ESTADOS_ESPERA.OFRECIDA || new Date(inscripcion.oferta_vence) <= new Date()) {
+            throw createError('La inscripción no tiene una oferta vigente para confirmar', 409);
+        }
+
+        return Reserva.create({
+            fecha_reserva: inscripcion.fecha_reserva,
+            salon_id: inscripcion.salon_id,
+            usuario_id: inscripcion.usuario_id,
+            turno_id: inscripcion.turno_id,
+            foto_cumpleaniero: datos.foto_cumpleaniero,
+            tematica: datos.tematica,
+            servicios: datos.servicios,
+            codigo_cupon: datos.codigo_cupon
+        }, autorId, executor);
+    }
+}
+
+export default ListaEsperaService;
@@ -0,0 +1,159 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+import { mailConfig, sendMail } from '../config/mailer.js';
+import { logCriticalError } from '../middlewares/errorHandler.js';
+
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'utiles', 'Handlebars');
+
+// Cache de plantillas compiladas
+const templates = new Map();
+
+class NotificacionesService {
+
+    /**
+     * Compila (una sola vez) y renderiza una plantilla de utiles/Handlebars
+     */
+    static async render(nombre, data = {}) {
+        if (!templates.has(nombre)) {
+            const source = await fs.readFile(path.join(TEMPLATES_DIR, `${nombre}.hbs`), 'utf8');
+            templates.set(nombre, Handlebars.compile(source));
+        }
+
+        return templates.get(nombre)(data);
+    }
+
+    /**
+     * Formatea la fecha de reserva como DD/MM/AAAA
+     */
+    static formatFecha(fecha) {
+        const iso = fecha instanceof Date
+            ? `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}-${String(fecha.getDate()).padStart(2, '0')}`
+            : String(fecha).split('T')[0];
+        const [anio, mes, dia] = iso.split('-');
+        return `${dia}/${mes}/${anio}`;
+    }
+
+    /**
+     * Formatea el turno como "HH:MM - HH:MM"
+     */
+    static formatTurno(turno) {
+        if (!turno) return '';
+        return `${String(turno.hora_desde).slice(0, 5)} - ${String(turno.hora_hasta).slice(0, 5)}`;
+    }
+
+    /**
+     * Envía el aviso de nueva reserva al cliente y al administrador; los adjuntos
+     * (el comprobante) van solo en el correo del cliente.
+     * Nunca lanza: un fallo de correo no debe afectar a la reserva ya confirmada.
+     */
+    static async notificarNuevaReserva(reserva, { adjuntos = [] } = {}) {
+        try {
+            const html = await NotificacionesService.render('plantilla', {
+                fecha: NotificacionesService.formatFecha(reserva.fecha_reserva),
+                salon: reserva.salon ? reserva.salon.titulo : '',
+                turno: NotificacionesService.formatTurno(reserva.turno)
+            });
+
+            const cliente = reserva.usuario && reserva.usuario.nombre_usuario;
+            const destinatarios = [cliente, mailConfig.adminInbox].filter(Boolean);
+
+            if (destinatarios.length === 0) {
+                return [];
+            }
+
+            return await Promise.all(destinatarios.map(to => sendMail({
+                to,
+                subject: `Nueva reserva #${reserva.reserva_id}`,
+                html,
+                ...(to === cliente && adjuntos.length > 0 && { attachments: adjuntos })
+            })));
+        } catch (error) {
+            logCriticalError(error, { notificacion: 'nueva-reserva', reserva_id: reserva.reserva_id });
+            return [];
+        }
+    }
+
+    /**
+     * Envía al cliente el recordatorio de una reserva próxima (fila de Reserva.getUpcoming).
+     * Nunca lanza: devuelve null si el correo no pudo enviarse.
+     */
+    static async notificarRecordatorio(reserva, { cantidad, unidad }) {
+        try {
+            const plural = cantidad !== 1;
+            const unidades = unidad === 'd' ? (plural ? 'días' : 'día') : (plural ? 'horas' : 'hora');
+
+            const html = await NotificacionesService.render('recordatorio', {
+                nombre: reserva.nombre,
+                faltan: `${cantidad} ${unidades}`,
+                plural,
+                fecha: NotificacionesService.formatFecha(reserva.fecha_reserva),
+                salon: reserva.salon_titulo,
+                turno: NotificacionesService.formatTurno(reserva)
+            });
+
+            return await sendMail({
+                to: reserva.nombre_usuario,
+                subject: `Recordatorio de tu reserva #${reserva.reserva_id}`,
+                html
+            });
+        } catch (error) {
+            logCriticalError(error, { notificacion: 'recordatorio', reserva_id: reserva.reserva_id });
+            return null;
+        }
+    }
+
+    /**
+     * Avisa al cliente que se liberó el turno de su inscripción en la lista de espera y
+     * hasta cuándo se lo guardamos. Nunca lanza: devuelve null si el correo no pudo enviarse.
+     */
+    static async notificarOfertaListaEspera(inscripcion) {
+        try {
+            const vence = new Date(inscripcion.oferta_vence);
+
+            const html = await NotificacionesService.render('listaEspera', {
+                nombre: inscripcion.usuario.nombre,
+                fecha: NotificacionesService.formatFecha(inscripcion.fecha_reserva),
+                salon: inscripcion.salon ? inscripcion.salon.titulo : '',
+                turno: NotificacionesService.formatTurno(inscripcion.turno),
+                vence: `${NotificacionesService.formatFecha(vence)} a las ${String(vence.getHours()).padStart(2, '0')}:${String(vence.getMinutes()).padStart(2, '0')}`
+            });
+
+            return await sendMail({
+                to: inscripcion.usuario.nombre_usuario,
+                subject: 'Se liberó el turno que estabas esperando',
+                html
+            });
+        } catch (error) {
+            logCriticalError(error, { notificacion: 'lista-espera', espera_id: inscripcion.espera_id });
+            return null;
+        }
+    }
+
+    /**
+     * Envía el enlace de recuperación de contraseña al usuario
+     */
+    static async notificarRecuperacionContrasenia(usuario, token, minutos) {
+        try {
+            const baseUrl = process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+            const html = await NotificacionesService.render('recuperarContrasenia', {
+                nombre: usuario.nombre,
+                enlace: `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`,
+                minutos
+            });
+
+            return await sendMail({
+                to: usuario.nombre_usuario,
+                subject: 'Recuperación de contraseña',
+                html
+            });
+        } catch (error) {
+            logCriticalError(error, { notificacion: 'recuperar-contrasenia', usuario_id: usuario.usuario_id });
+            return null;
+        }
+    }
+}
+
+export default NotificacionesService;
@@ -0,0 +1,187 @@
+import { transaction } from '../config/database.js';
+import Pago, { MENSAJE_PAGO_INVALIDO } from '../models/Pago.js';
+import { TIPOS_PAGO, ESTADOS_PAGO, pagosConfig, getProveedor } from '../config/pagos.js';
+import AuditoriaService from './auditoriaService.js';
+import { createError, logCriticalError } from '../middlewares/errorHandler.js';
+
+/**
+ * Cobros a través del proveedor de pagos configurado (PAYMENT_PROVIDER, ver src/config/pagos.js).
+ * El pago se registra pendiente antes de llamar al proveedor y se resuelve con su webhook,
+ * o se rechaza si se cancela o vence antes (tarea "pagos" del SchedulerService); los
+ * reembolsos de cobros online se registran pendientes y se piden al mismo proveedor que cobró.
+ */
+class PagosService {
+
+    /**
+     * Proveedor por nombre (por defecto el configurado); 404 si no existe
+     */
+    static proveedor(nombre) {
+        const proveedor = getProveedor(nombre);
+        if (!proveedor) {
+            throw createError(`Proveedor de pago desconocido: ${nombre ?? pagosConfig.proveedor}`, 404);
+        }
+        return proveedor;
+    }
+
+    /**
+     * Inicia un cobro online: devuelve el pago pendiente y la URL donde el cliente paga
+     */
+    static async iniciarCobro(reserva, { tipo = TIPOS_PAGO.PAGO, importe }, autorId = null) {
+        const proveedor = PagosService.proveedor();
+
+        const pago = await Pago.registrar(reserva.reserva_id, {
+            tipo,
+            metodo: 'online',
+            importe: importe ?? reserva.getSaldo(),
+            estado: ESTADOS_PAGO.PENDIENTE,
+            proveedor: proveedor.nombre
+        }, autorId);
+
+        try {
+            const cobro = await proveedor.crearPago({
+                pago_id: pago.pago_id,
+                reserva_id: reserva.reserva_id,
+                importe: pago.importe,
+                descripcion: `Reserva #${reserva.reserva_id}`
+            });
+            await pago.asignarReferencia(proveedor.nombre, cobro.referencia);
+
+            return { pago, url_pago: cobro.url_pago };
+        } catch (error) {
+            console.error('Error al iniciar cobro:', error);
+            await pago.resolver(ESTADOS_PAGO.RECHAZADO);
+            throw createError('No se pudo iniciar el cobro con el proveedor de pagos', 502);
+        }
+    }
+
+    /**
+     * Procesa la notificación del proveedor: verifica la firma y resuelve el pago.
+     * Las notificaciones repetidas devuelven el pago sin volver a aplicarlo.
+     */
+    static async procesarWebhook(nombre, rawBody, headers) {
+        const proveedor = PagosService.proveedor(nombre);
+
+        let evento;
+        try {
+            evento = proveedor.verificarWebhook(rawBody, headers);
+        } catch (error) {
+            throw createError(error.message, 401);
+        }
+
+        if (![ESTADOS_PAGO.APROBADO, ESTADOS_PAGO.RECHAZADO].includes(evento.estado)) {
+            throw createError(`Estado de pago desconocido: ${evento.estado}`, 400);
+        }
+
+        const pago = await Pago.findByReferencia(proveedor.nombre, evento.referencia);
+        if (!pago) {
+            throw createError('Pago no encontrado', 404);
+        }
+
+        const resuelto = await pago.resolver(evento.estado);
+
+        // El proveedor cobró un pago que ya se había cancelado o vencido: hay que devolverlo a mano
+        if (evento.estado === ESTADOS_PAGO.APROBADO && resuelto.estado === ESTADOS_PAGO.RECHAZADO) {
+            logCriticalError(new Error('El proveedor aprobó un cobro ya rechazado'), {
+                pago_id: resuelto.pago_id, reserva_id: resuelto.reserva_id, referencia: evento.referencia
+            });
+        }
+
+        return resuelto;
+    }
+
+    /**
+     * Cancela un cobro online pendiente: lo anula en el proveedor (si lo permite) y lo
+     * rechaza, liberando el saldo que comprometía. El rechazo se audita a nombre del actor
+     * (null si lo venció la tarea periódica).
+     */
+    static async cancelarCobro(pago, actor = null) {
+        if (pago.estado !== ESTADOS_PAGO.PENDIENTE || pago.tipo === TIPOS_PAGO.REEMBOLSO) {
+            throw createError('Solo se cancelan cobros online pendientes', 409);
+        }
+
+        const proveedor = PagosService.proveedor(pago.proveedor);
+        if (proveedor.cancelarPago && pago.referencia_externa) {
+            try {
+                await proveedor.cancelarPago({ referencia: pago.referencia_externa });
+            } catch (error) {
+                console.error('Error al cancelar cobro:', error);
+                throw createError('El proveedor de pagos no permitió cancelar el cobro', 502);
+            }
+        }
+
+        return transaction(async (connection) => {
+            const cancelado = await pago.resolver(ESTADOS_PAGO.RECHAZADO, connection);
+            if (cancelado.estado !== ESTADOS_PAGO.RECHAZADO) {
+                throw createError('El cobro ya fue resuelto por el proveedor', 409);
+            }
+
+            await AuditoriaService.registrar(actor, 'pagos', pago.pago_id, 'transition', pago, cancelado, {}, connection);
+            return cancelado;
+        });
+    }
+
+    /**
+     * Tarea periódica: rechaza los cobros pendientes que vencieron sin respuesta del proveedor
+     */
+    static async vencerCobros() {
+        let vencidos = 0;
+
+        for (const pago of await Pago.findCobrosVencidos()) {
+            try {
+                await PagosService.cancelarCobro(pago);
+                vencidos++;
+            } catch (error) {
+                logCriticalError(error, { pagos: 'vencer', pago_id: pago.pago_id });
+            }
+        }
+
+        return { vencidos };
+    }
+
+    /**
+     * Reembolsa un pago aprobado, por el importe indicado o por lo que resta devolver.
+     * Si el pago se cobró online, el reembolso se registra pendiente (reservando el importe
+     * bajo el bloqueo de la reserva) antes de pedirlo al proveedor, y se resuelve con su respuesta.
+     */
+    static async reembolsar(pago, { importe, nota } = {}, autorId = null) {
+        const disponible = Math.round((pago.importe - pago.reembolsado) * 100) / 100;
+        const monto = importe ?? disponible;
+
+        if (pago.estado !== ESTADOS_PAGO.APROBADO || pago.tipo === TIPOS_PAGO.REEMBOLSO) {
+            throw createError(`${MENSAJE_PAGO_INVALIDO}: solo se reembolsan pagos aprobados de la reserva`, 400);
+        }
+        if (monto <= 0 || monto > disponible) {
+            throw createError(`${MENSAJE_PAGO_INVALIDO}: el importe supera lo que resta reembolsar del pago (${disponible})`, 400);
+        }
+
+        const proveedor = pago.proveedor ? PagosService.proveedor(pago.proveedor) : null;
+
+        const reembolso = await Pago.registrar(pago.reserva_id, {
+            tipo: TIPOS_PAGO.REEMBOLSO,
+            metodo: pago.metodo,
+            importe: monto,
+            estado: proveedor ? ESTADOS_PAGO.PENDIENTE : ESTADOS_PAGO.APROBADO,
+            proveedor: pago.proveedor,
+            pago_origen_id: pago.pago_id,
+            nota
+        }, autorId);
+
+        if (!proveedor) {
+            return reembolso;
+        }
+
+        let referencia;
+        try {
+            ({ referencia } = await proveedor.reembolsar({ referencia: pago.referencia_externa, importe: monto }));
+        } catch (error) {
+            console.error('Error al reembolsar:', error);
+            await reembolso.resolver(ESTADOS_PAGO.RECHAZADO);
+            throw createError('El proveedor de pagos rechazó el reembolso', 502);
+        }
+
+        await reembolso.asignarReferencia(pago.proveedor, referencia);
+        return reembolso.resolver(ESTADOS_PAGO.APROBADO);
+    }
+}
+
+export default PagosService;
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+
+// Hashes MD5 heredados de la base de datos de ejemplo: 32 caracteres hexadecimales
+const LEGACY_MD5_REGEX = /^[a-f0-9]{32}$/i;
+
+/**
+ * Único punto de hasheo y verificación de contraseñas.
+ * Las contraseñas nuevas usan bcrypt; los hashes MD5 heredados se aceptan
+ * hasta que el usuario vuelve a iniciar sesión y se reemplazan por bcrypt.
+ */
+class PasswordService {
+
+    static get rounds() {
+        return parseInt(process.env.BCRYPT_ROUNDS || '10');
+    }
+
+    /**
+     * Hashea una contraseña en texto plano con bcrypt
+     */
+    static async hash(password) {
+        return bcrypt.hash(password, PasswordService.rounds);
+    }
+
+    /**
+     * Indica si el hash almacenado es un MD5 heredado
+     */
+    static isLegacyHash(hash) {
+        return LEGACY_MD5_REGEX.test(hash || '');
+    }
+
+    /**
+     * Compara una contraseña contra el hash almacenado (bcrypt o MD5 heredado)
+     */
+    static async verify(password, hash) {
+        if (!password || !hash) {
+            return false;
+        }
+
+        if (PasswordService.isLegacyHash(hash)) {
+            const md5 = crypto.createHash('md5').update(password).digest('hex');
+            return crypto.timingSafeEqual(Buffer.from(md5), Buffer.from(hash.toLowerCase()));
+        }
+
+        return bcrypt.compare(password, hash);
+    }
+
+    /**
+     * Indica si el hash debe regenerarse (MD5 heredado o bcrypt con menos rondas de las configuradas)
+     */
+    static needsRehash(hash) {
+        if (PasswordService.isLegacyHash(hash)) {
+            return true;
+        }
+
+        try {
+            return bcrypt.getRounds(hash) < PasswordService.rounds;
+        } catch (error) {
+            return true;
+        }
+    }
+}
+
+export default PasswordService;
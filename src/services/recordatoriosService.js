@@ -0,0 +1,99 @@
+import Reserva from '../models/Reserva.js';
+import ReglaPrecio from '../models/ReglaPrecio.js';
+import Recordatorio from '../models/Recordatorio.js';
+import NotificacionesService from './notificacionesService.js';
+
+const UNA_HORA_MS = 60 * 60 * 1000;
+
+/**
+ * Recordatorios de reservas próximas, enviados por la tarea "recordatorios" del SchedulerService.
+ * Las anticipaciones se configuran en REMINDER_OFFSETS ("7d,24h" por defecto: 7 días y
+ * 24 horas antes del inicio del turno).
+ */
+class RecordatoriosService {
+
+    static get config() {
+        return {
+            anticipaciones: RecordatoriosService.parseAnticipaciones(process.env.REMINDER_OFFSETS || '7d,24h')
+        };
+    }
+
+    /**
+     * "7d,24h" → anticipaciones ordenadas de la más lejana a la más cercana
+     */
+    static parseAnticipaciones(valor) {
+        return String(valor).split(',')
+            .map(parte => parte.trim().toLowerCase())
+            .filter(Boolean)
+            .map(clave => {
+                const match = clave.match(/^(\d+)([dh])$/);
+                if (!match || parseInt(match[1]) === 0) {
+                    throw new Error(`Anticipación de recordatorio inválida: ${clave} (use por ejemplo 7d o 24h)`);
+                }
+                const cantidad = parseInt(match[1]);
+                return { clave, cantidad, unidad: match[2], horas: match[2] === 'd' ? cantidad * 24 : cantidad };
+            })
+            .sort((a, b) => b.horas - a.horas);
+    }
+
+    /**
+     * Inicio del turno reservado
+     */
+    static inicio(reserva) {
+        const [anio, mes, dia] = ReglaPrecio.fechaISO(reserva.fecha_reserva).split('-').map(Number);
+        const [horas, minutos] = String(reserva.hora_desde).split(':').map(Number);
+        return new Date(anio, mes - 1, dia, horas, minutos);
+    }
+
+    /**
+     * Anticipación que corresponde enviar ahora, o null. Si se pasaron varias (por ejemplo
+     * el servidor estuvo detenido), solo se envía la más cercana al evento.
+     */
+    static anticipacionVigente(reserva, anticipaciones, ahora = new Date()) {
+        const inicio = RecordatoriosService.inicio(reserva);
+        if (inicio <= ahora) {
+            return null;
+        }
+
+        const vencidas = anticipaciones.filter(anticipacion => ahora >= inicio.getTime() - anticipacion.horas * UNA_HORA_MS);
+        return vencidas.length > 0 ? vencidas[vencidas.length - 1] : null;
+    }
+
+    /**
+     * Envía los recordatorios pendientes. Es idempotente: cada recordatorio queda registrado
+     * en recordatorios_enviados y no se repite, aunque la tarea corra varias veces.
+     */
+    static async enviarPendientes(ahora = new Date()) {
+        const { anticipaciones } = RecordatoriosService.config;
+        const maxDias = Math.ceil(Math.max(0, ...anticipaciones.map(anticipacion => anticipacion.horas)) / 24) + 1;
+
+        const reservas = await Reserva.getUpcoming(maxDias);
+        const resultado = { revisadas: reservas.length, enviados: 0, fallidos: 0 };
+
+        for (const reserva of reservas) {
+            const anticipacion = RecordatoriosService.anticipacionVigente(reserva, anticipaciones, ahora);
+            if (!anticipacion) {
+                continue;
+            }
+
+            const recordatorioId = await Recordatorio.registrar(
+                reserva.reserva_id, ReglaPrecio.fechaISO(reserva.fecha_reserva), anticipacion.clave, reserva.nombre_usuario
+            );
+            if (!recordatorioId) {
+                continue;
+            }
+
+            const envio = await NotificacionesService.notificarRecordatorio(reserva, anticipacion);
+            if (envio) {
+                resultado.enviados++;
+            } else {
+                await Recordatorio.liberar(recordatorioId);
+                resultado.fallidos++;
+            }
+        }
+
+        return resultado;
+    }
+}
+
+export default RecordatoriosService;
@@ -0,0 +1,118 @@
+import { transaction } from '../config/database.js';
+import Reserva from '../models/Reserva.js';
+import Turno from '../models/Turno.js';
+import Disponibilidad from '../models/Disponibilidad.js';
+import Retencion, { ESTADOS_RETENCION } from '../models/Retencion.js';
+import ListaEsperaService from './listaEsperaService.js';
+import AuditoriaService from './auditoriaService.js';
+import { createError, logCriticalError } from '../middlewares/errorHandler.js';
+
+/**
+ * Retenciones de turnos durante el checkout: el turno queda ocupado para el cliente
+ * durante HOLD_MINUTES minutos (15 por defecto) mientras elige servicios y paga. Al crear
+ * la reserva del mismo turno la retención se convierte y el turno no se libera en ningún
+ * momento. Cada usuario puede tener hasta HOLD_MAX_PER_USER retenciones vigentes (3 por
+ * defecto). La tarea "retenciones" del SchedulerService barre las vencidas.
+ */
+class RetencionesService {
+
+    static get config() {
+        return {
+            minutos: parseInt(process.env.HOLD_MINUTES || '15'),
+            maxPorUsuario: parseInt(process.env.HOLD_MAX_PER_USER || '3')
+        };
+    }
+
+    /**
+     * Retiene un turno disponible para el usuario
+     */
+    static async retener({ salon_id, fecha_reserva, turno_id, usuario_id }) {
+        const { minutos, maxPorUsuario } = RetencionesService.config;
+
+        return transaction(async (connection) => {
+            // Con el salón bloqueado, nadie puede reservar el turno entre la verificación y el alta
+            await Disponibilidad.lockSalon(salon_id, connection);
+
+            const turno = await Turno.findById(turno_id, connection);
+            if (!turno || !turno.activo) {
+                throw createError('El turno especificado no existe o no está activo', 400);
+            }
+
+            if (!(await Reserva.checkAvailability(salon_id, fecha_reserva, turno_id, null, connection))) {
+                throw createError('El salón no está disponible en esa fecha y turno', 409);
+            }
+
+            if (await Retencion.countActivas(usuario_id, connection) >= maxPorUsuario) {
+                throw createError(`El usuario ya tiene ${maxPorUsuario} turnos retenidos`, 409);
+            }
+
+            return Retencion.create({ salon_id, fecha_reserva, turno_id, usuario_id }, minutos, connection);
+        });
+    }
+
+    /**
+     * Libera la retención antes de que venza; el turno pasa a la lista de espera si la hay
+     */
+    static async liberar(retencion) {
+        if (!retencion.isVigente() || !(await retencion.cerrar(ESTADOS_RETENCION.LIBERADA))) {
+            throw createError('La retención ya no está vigente', 409);
+        }
+
+        await ListaEsperaService.liberarTurno(retencion.salon_id, retencion.fecha_reserva, retencion.turno_id);
+
+        return Retencion.findById(retencion.retencion_id);
+    }
+
+    /**
+     * Tarea periódica: da por vencidas las retenciones no convertidas a tiempo (cada una
+     * auditada en su transacción, sin actor) y ofrece esos turnos a la lista de espera
+     */
+    static async vencer() {
+        let vencidas = 0;
+
+        for (const retencion of await Retencion.findVencidas()) {
+            try {
+                const vencida = await transaction(async (connection) => {
+                    if (!(await retencion.cerrar(ESTADOS_RETENCION.VENCIDA, connection))) {
+                        return false;
+                    }
+                    await AuditoriaService.registrar(null, 'retenciones', retencion.retencion_id, 'transition',
+                        retencion, await Retencion.findById(retencion.retencion_id, null, connection), {}, connection);
+                    return true;
+                });
+
+                if (vencida) {
+                    vencidas++;
+                    await ListaEsperaService.liberarTurno(retencion.salon_id, retencion.fecha_reserva, retencion.turno_id);
+                }
+            } catch (error) {
+                logCriticalError(error, { retencion: 'vencer', retencion_id: retencion.retencion_id });
+            }
+        }
+
+        return { vencidas };
+    }
+
+    /**
+     * Convierte la retención en una reserva del mismo turno (Reserva.create la da por
+     * convertida y lo audita en la misma transacción)
+     */
+    static async confirmar(retencion, datos, autorId, executor = null) {
+        if (!retencion.isVigente()) {
+            throw createError('La retención ya no está vigente', 409);
+        }
+
+        return Reserva.create({
+            fecha_reserva: retencion.fecha_reserva,
+            salon_id: retencion.salon_id,
+            usuario_id: retencion.usuario_id,
+            turno_id: retencion.turno_id,
+            foto_cumpleaniero: datos.foto_cumpleaniero,
+            tematica: datos.tematica,
+            servicios: datos.servicios,
+            codigo_cupon: datos.codigo_cupon
+        }, autorId, executor);
+    }
+}
+
+export default RetencionesService;
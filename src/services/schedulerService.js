@@ -0,0 +1,144 @@
+import TareaProgramada from '../models/TareaProgramada.js';
+import RecordatoriosService from './recordatoriosService.js';
+import ListaEsperaService from './listaEsperaService.js';
+import RetencionesService from './retencionesService.js';
+import PagosService from './pagosService.js';
+import { createError, logCriticalError } from '../middlewares/errorHandler.js';
+
+/**
+ * Tareas que corren periódicamente dentro del proceso. Se definen acá; la pausa y el
+ * resultado de la última ejecución se guardan en tareas_programadas, de modo que una
+ * tarea pausada sigue pausada después de reiniciar (y en todas las instancias).
+ */
+const TAREAS = [
+    {
+        nombre: 'recordatorios',
+        descripcion: 'Envía a los clientes los recordatorios de sus reservas próximas',
+        intervaloSegundos: () => parseInt(process.env.REMINDER_INTERVAL_SECONDS || '900'),
+        ejecutar: () => RecordatoriosService.enviarPendientes()
+    },
+    {
+        nombre: 'lista_espera',
+        descripcion: 'Vence las ofertas de la lista de espera no confirmadas y ofrece el turno al siguiente',
+        intervaloSegundos: () => parseInt(process.env.WAITLIST_INTERVAL_SECONDS || '60'),
+        ejecutar: () => ListaEsperaService.vencerOfertas()
+    },
+    {
+        nombre: 'retenciones',
+        descripcion: 'Vence las retenciones de turnos no convertidas en reserva a tiempo',
+        intervaloSegundos: () => parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS || '60'),
+        ejecutar: () => RetencionesService.vencer()
+    },
+    {
+        nombre: 'pagos',
+        descripcion: 'Rechaza los cobros online pendientes que vencieron sin confirmación del proveedor',
+        intervaloSegundos: () => parseInt(process.env.PAYMENT_SWEEP_INTERVAL_SECONDS || '60'),
+        ejecutar: () => PagosService.vencerCobros()
+    }
+];
+
+const tareas = new Map(TAREAS.map(tarea => [tarea.nombre, { ...tarea, timer: null, enEjecucion: false }]));
+
+class SchedulerService {
+
+    static getTarea(nombre) {
+        const tarea = tareas.get(nombre);
+        if (!tarea) {
+            throw createError('Tarea no encontrada', 404);
+        }
+        return tarea;
+    }
+
+    /**
+     * Registra las tareas en la base y las programa. No hace nada si ya estaban iniciadas.
+     */
+    static async iniciar() {
+        for (const tarea of tareas.values()) {
+            if (tarea.timer) continue;
+
+            await TareaProgramada.registrar(tarea.nombre, tarea.descripcion);
+
+            tarea.timer = setInterval(() => SchedulerService.ejecutarProgramada(tarea.nombre), tarea.intervaloSegundos() * 1000);
+            // El scheduler no debe impedir que el proceso termine
+            tarea.timer.unref();
+        }
+    }
+
+    static detener() {
+        for (const tarea of tareas.values()) {
+            clearInterval(tarea.timer);
+            tarea.timer = null;
+        }
+    }
+
+    /**
+     * Ejecución periódica: se omite si la tarea está pausada. Nunca lanza.
+     */
+    static async ejecutarProgramada(nombre) {
+        try {
+            const estado = await TareaProgramada.findByNombre(nombre);
+            if (estado && estado.pausada) {
+                return null;
+            }
+            return await SchedulerService.ejecutar(nombre);
+        } catch (error) {
+            logCriticalError(error, { tarea: nombre });
+            return null;
+        }
+    }
+
+    /**
+     * Ejecuta la tarea ahora (también si está pausada) y guarda el resultado.
+     * Rechaza con 409 si ya hay una ejecución en curso en este proceso.
+     */
+    static async ejecutar(nombre) {
+        const tarea = SchedulerService.getTarea(nombre);
+        if (tarea.enEjecucion) {
+            throw createError('La tarea ya se está ejecutando', 409);
+        }
+
+        tarea.enEjecucion = true;
+        try {
+            await TareaProgramada.registrar(tarea.nombre, tarea.descripcion);
+
+            const resultado = await tarea.ejecutar();
+            await TareaProgramada.registrarEjecucion(tarea.nombre, { resultado });
+            return resultado;
+        } catch (error) {
+            await TareaProgramada.registrarEjecucion(tarea.nombre, { error: error.message });
+            throw error;
+        } finally {
+            tarea.enEjecucion = false;
+        }
+    }
+
+    static async pausar(nombre, pausada = true) {
+        const tarea = SchedulerService.getTarea(nombre);
+
+        await TareaProgramada.registrar(tarea.nombre, tarea.descripcion);
+        await TareaProgramada.setPausada(tarea.nombre, pausada);
+
+        return SchedulerService.estado(tarea.nombre);
+    }
+
+    /**
+     * Tarea con su programación y el estado guardado
+     */
+    static async estado(nombre) {
+        const tarea = SchedulerService.getTarea(nombre);
+        const guardada = await TareaProgramada.findByNombre(nombre);
+
+        return {
+            ...(guardada ? guardada.toJSON() : { nombre, descripcion: tarea.descripcion, pausada: false }),
+            intervalo_segundos: tarea.intervaloSegundos(),
+            programada: Boolean(tarea.timer),
+            en_ejecucion: tarea.enEjecucion
+        };
+    }
+
+    static async listar() {
+        return Promise.all([...tareas.keys()].map(nombre => SchedulerService.estado(nombre)));
+    }
+}
+
+export default SchedulerService;
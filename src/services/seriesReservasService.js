@@ -0,0 +1,218 @@
+import { transaction } from '../config/database.js';
+import { ESTADOS_RESERVA, puedeTransicionar } from '../config/estadosReserva.js';
+import Reserva, { MENSAJE_NO_DISPONIBLE } from '../models/Reserva.js';
+import Disponibilidad from '../models/Disponibilidad.js';
+import ReglaPrecio from '../models/ReglaPrecio.js';
+import SerieReserva from '../models/SerieReserva.js';
+import ListaEsperaService from './listaEsperaService.js';
+import AuditoriaService from './auditoriaService.js';
+import { createError } from '../middlewares/errorHandler.js';
+
+/**
+ * Reservas recurrentes (cada semana o cada mes, hasta una fecha o por una cantidad de
+ * repeticiones) y de varios turnos del mismo día. Todas las reservas de la serie se crean
+ * en una sola transacción: si algún turno no está disponible no se crea ninguna y se
+ * informan todos los conflictos. Cada reserva lleva los mismos servicios y cupón.
+ *
+ * Editar o cancelar la serie alcanza a sus reservas futuras que todavía lo admiten; cada
+ * reserva puede además editarse o cancelarse sola con los endpoints de reservas. Cada reserva
+ * creada, editada o cancelada se audita dentro de la transacción de la serie.
+ */
+class SeriesReservasService {
+
+    static get config() {
+        return {
+            maxReservas: parseInt(process.env.SERIES_MAX_RESERVATIONS || '52')
+        };
+    }
+
+    /**
+     * Fechas (AAAA-MM-DD) de la serie a partir de fechaInicio. Sin recurrencia es solo esa
+     * fecha. Con frecuencia mensual se repite el mismo día del mes; en los meses que no lo
+     * tienen (31, 29 de febrero) se usa el último día. Se corta en hasta (inclusive), al
+     * llegar a repeticiones o al superar limite (para que el llamador lo rechace).
+     */
+    static generarFechas(fechaInicio, recurrencia = null, limite = Infinity) {
+        if (!recurrencia) {
+            return [fechaInicio];
+        }
+
+        const { frecuencia, hasta = null, repeticiones = null } = recurrencia;
+        const [anio, mes, dia] = fechaInicio.split('-').map(Number);
+        const fechas = [];
+
+        for (let i = 0; fechas.length <= limite; i++) {
+            const fecha = frecuencia === 'semanal'
+                ? new Date(Date.UTC(anio, mes - 1, dia + 7 * i))
+                : new Date(Date.UTC(anio, mes - 1 + i, Math.min(dia, new Date(Date.UTC(anio, mes + i, 0)).getUTCDate())));
+            const iso = fecha.toISOString().slice(0, 10);
+
+            if (hasta && iso > hasta) break;
+            fechas.push(iso);
+            if (repeticiones && fechas.length >= repeticiones) break;
+        }
+
+        return fechas;
+    }
+
+    /**
+     * Crea la serie y todas sus reservas, o ninguna. Rechaza con 409 y el detalle de los
+     * turnos ocupados si alguno no está disponible.
+     */
+    static async crear(datos, autorId) {
+        const { fecha_reserva, salon_id, usuario_id, turnos, recurrencia = null, ...detalle } = datos;
+        const { maxReservas } = SeriesReservasService.config;
+
+        const fechas = SeriesReservasService.generarFechas(fecha_reserva, recurrencia, maxReservas);
+        if (fechas.length === 0) {
+            throw createError('La recurrencia no genera ninguna fecha', 400);
+        }
+        if (fechas.length * turnos.length > maxReservas) {
+            throw createError(`La serie no puede tener más de ${maxReservas} reservas`, 400);
+        }
+
+        const serieId = await transaction(async (connection) => {
+            // Con el salón bloqueado ninguna otra reserva ocupa un turno de la serie a mitad de camino
+            await Disponibilidad.lockSalon(salon_id, connection);
+
+            const serieId = await SerieReserva.create({
+                usuario_id,
+                salon_id,
+                frecuencia: recurrencia ? recurrencia.frecuencia : null,
+                fecha_inicio: fecha_reserva,
+                fecha_fin: fechas[fechas.length - 1],
+                repeticiones: recurrencia ? recurrencia.repeticiones ?? null : null,
+                turnos
+            }, connection);
+
+            const conflictos = [];
+            for (const fecha of fechas) {
+                for (const turno_id of turnos) {
+                    try {
+                        const reserva = await Reserva.create({
+                            ...detalle,
+                            fecha_reserva: fecha,
+                            salon_id,
+                            usuario_id,
+                            turno_id,
+                            serie_id: serieId
+                        }, autorId, connection);
+                        await AuditoriaService.registrar({ id: autorId }, 'reservas', reserva.reserva_id, 'create', null, reserva, {}, connection);
+                    } catch (error) {
+                        if (error.message !== MENSAJE_NO_DISPONIBLE) throw error;
+                        conflictos.push({ fecha_reserva: fecha, turno_id });
+                    }
+                }
+            }
+
+            if (conflictos.length > 0) {
+                throw createError('Algunos turnos de la serie no están disponibles', 409, conflictos);
+            }
+
+            return serieId;
+        });
+
+        return SerieReserva.findById(serieId);
+    }
+
+    /**
+     * Reservas de la serie que todavía pueden editarse: activas, no finalizadas y de hoy en adelante
+     */
+    static pendientes(serie) {
+        const hoy = ReglaPrecio.fechaISO(new Date());
+        return serie.reservas.filter(reserva =>
+            reserva.activo && Reserva.isModifiable(reserva.estado) && ReglaPrecio.fechaISO(reserva.fecha_reserva) >= hoy);
+    }
+
+    /**
+     * Aplica los mismos cambios (salón, temática, foto, servicios, cupón) a todas las reservas
+     * pendientes de la serie, o a ninguna. Devuelve la serie y los pares { antes, despues }
+     * de cada reserva modificada.
+     */
+    static async actualizar(serie, datos, autorId = null) {
+        const reservas = SeriesReservasService.pendientes(serie);
+        if (reservas.length === 0) {
+            throw createError('La serie no tiene reservas pendientes para modificar', 409);
+        }
+
+        const cambiaSalon = datos.salon_id !== undefined && datos.salon_id !== serie.salon_id;
+
+        const cambios = await transaction(async (connection) => {
+            const cambios = [];
+            const conflictos = [];
+
+            for (const reserva of reservas) {
+                try {
+                    const despues = await reserva.update(datos, connection);
+                    await AuditoriaService.registrar({ id: autorId }, 'reservas', reserva.reserva_id, 'update', reserva, despues, {}, connection);
+                    cambios.push({ antes: reserva, despues });
+                } catch (error) {
+                    if (error.message !== MENSAJE_NO_DISPONIBLE) throw error;
+                    conflictos.push({ reserva_id: reserva.reserva_id, fecha_reserva: ReglaPrecio.fechaISO(reserva.fecha_reserva), turno_id: reserva.turno_id });
+                }
+            }
+
+            if (conflictos.length > 0) {
+                throw createError('Algunos turnos de la serie no están disponibles en el nuevo salón', 409, conflictos);
+            }
+
+            if (cambiaSalon) {
+                await serie.setSalon(datos.salon_id, connection);
+            }
+
+            return cambios;
+        });
+
+        // Los turnos que quedaron libres en el salón anterior pueden ofrecerse a la lista de espera
+        if (cambiaSalon) {
+            for (const { antes } of cambios) {
+                await ListaEsperaService.liberarTurno(antes.salon_id, antes.fecha_reserva, antes.turno_id);
+            }
+        }
+
+        return { serie: await SerieReserva.findById(serie.serie_id), cambios };
+    }
+
+    /**
+     * Cancela todas las reservas futuras de la serie que admiten cancelación. Con
+     * usuarioDueno (clientes) se respeta la ventana de cancelación de cada reserva: las que
+     * ya no pueden cancelarse se dejan como están y se informan en omitidas.
+     */
+    static async cancelar(serie, { autorId = null, motivo = null, usuarioDueno = null } = {}) {
+        const hoy = ReglaPrecio.fechaISO(new Date());
+        const ahora = new Date();
+
+        const candidatas = serie.reservas.filter(reserva =>
+            reserva.activo && puedeTransicionar(reserva.estado, ESTADOS_RESERVA.CANCELADA) &&
+            ReglaPrecio.fechaISO(reserva.fecha_reserva) >= hoy);
+        const cancelables = usuarioDueno
+            ? candidatas.filter(reserva => reserva.getLimiteCancelacion() > ahora)
+            : candidatas;
+
+        if (cancelables.length === 0) {
+            throw createError('La serie no tiene reservas que puedan cancelarse', 409);
+        }
+
+        const cambios = await transaction(async (connection) => {
+            const cambios = [];
+            for (const reserva of cancelables) {
+                const despues = await reserva.cancel({ autorId, motivo, usuarioDueno }, connection);
+                await AuditoriaService.registrar({ id: autorId }, 'reservas', reserva.reserva_id, 'transition', reserva, despues, {}, connection);
+                cambios.push({ antes: reserva, despues });
+            }
+            return cambios;
+        });
+
+        for (const { antes } of cambios) {
+            await ListaEsperaService.liberarTurno(antes.salon_id, antes.fecha_reserva, antes.turno_id);
+        }
+
+        return {
+            serie: await SerieReserva.findById(serie.serie_id),
+            cambios,
+            omitidas: candidatas.length - cancelables.length
+        };
+    }
+}
+
+export default SeriesReservasService;
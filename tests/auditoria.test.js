@@ -0,0 +1,100 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import AuditoriaService from '../src/services/auditoriaService.js';
+import Reserva from '../src/models/Reserva.js';
+import Auditoria from '../src/models/Auditoria.js';
+
+afterAll(cerrarPool);
+
+describe('AuditoriaService', () => {
+  test('compara solo los campos propios, sin timestamps ni relaciones', () => {
+    const antes = new Reserva({
+      reserva_id: 7, fecha_reserva: new Date(2031, 4, 10), estado: 'confirmada', importe_total: 1000,
+      salon: { titulo: 'Salón' }, servicios: [{ servicio_id: 1, importe: 100, creado: new Date() }],
+      modificado: new Date(2031, 0, 1, 10, 0)
+    });
+    const despues = new Reserva({
+      ...antes, fecha_reserva: new Date(2031, 4, 11), estado: 'confirmada', importe_total: 1200,
+      servicios: [{ servicio_id: 1, importe: 100 }, { servicio_id: 2, importe: 100 }],
+      modificado: new Date(2031, 0, 2, 10, 0)
+    });
+
+    const cambios = AuditoriaService.diff(AuditoriaService.snapshot(antes), AuditoriaService.snapshot(despues));
+
+    expect(Object.keys(cambios).sort()).toEqual(['fecha_limite_pago', 'fecha_reserva', 'importe_total', 'saldo', 'servicios']);
+    expect(cambios.fecha_reserva).toEqual({ antes: '2031-05-10', despues: '2031-05-11' });
+    expect(cambios.servicios.antes).toEqual([{ servicio_id: 1, importe: 100 }]);
+  });
+
+  test('oculta el valor de las contraseñas', () => {
+    const cambios = AuditoriaService.diff({ nombre: 'Ana' }, { nombre: 'Ana' }, ['contrasenia']);
+    expect(cambios).toEqual({ contrasenia: { antes: '[oculto]', despues: '[oculto]' } });
+  });
+});
+
+describeDb('/api/auditoria', () => {
+  let tokens;
+  let salonId;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const empleado = auth(tokens.empleado.token);
+
+    const creado = await api().post('/api/salones').set(empleado).send({
+      titulo: 'Salón Auditado', direccion: 'Calle 10', capacidad: 50, importe: 90000
+    });
+    salonId = creado.body.data.salon_id;
+
+    await api().patch(`/api/salones/${salonId}`).set(empleado).send({ importe: 110000 });
+    // Sin cambios: no genera registro
+    await api().patch(`/api/salones/${salonId}`).set(empleado).send({ importe: 110000 });
+    await api().delete(`/api/salones/${salonId}`).set(empleado);
+  });
+
+  test('solo los administradores consultan la auditoría', async () => {
+    const res = await api().get('/api/auditoria').set(auth(tokens.empleado.token));
+    expect(res.status).toBe(403);
+  });
+
+  test('registra quién cambió el salón y qué campos', async () => {
+    const res = await api().get(`/api/auditoria?entidad=salones&entidadId=${salonId}`).set(auth(tokens.admin.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(registro => registro.accion)).toEqual(['delete', 'partial_update', 'create']);
+    expect(res.body.data.every(registro => registro.usuario_id === tokens.empleado.user.id)).toBe(true);
+
+    const [baja, cambio, alta] = res.body.data;
+    expect(baja.cambios).toEqual({ activo: { antes: true, despues: false } });
+    expect(cambio.cambios).toEqual({ importe: { antes: 90000, despues: 110000 } });
+    expect(alta.cambios.titulo).toEqual({ antes: null, despues: 'Salón Auditado' });
+  });
+
+  test('si no se puede auditar, el cambio se revierte', async () => {
+    const create = Auditoria.create;
+    Auditoria.create = async () => { throw new Error('Auditoría no disponible'); };
+
+    try {
+      const res = await api().patch(`/api/salones/${salonId}/restore`).set(auth(tokens.admin.token));
+      expect(res.status).toBe(500);
+    } finally {
+      Auditoria.create = create;
+    }
+
+    const salon = await api().get(`/api/salones/${salonId}`).set(auth(tokens.admin.token));
+    expect(salon.body.data.activo).toBe(false);
+  });
+
+  test('filtra por acción y pagina', async () => {
+    const res = await api().get(`/api/auditoria?entidad=salones&entidadId=${salonId}&accion=create&limit=1`)
+      .set(auth(tokens.admin.token));
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.pagination).toMatchObject({ totalItems: 1, itemsPerPage: 1 });
+  });
+
+  test('valida los filtros', async () => {
+    const admin = auth(tokens.admin.token);
+
+    expect((await api().get('/api/auditoria?entidad=cupones').set(admin)).status).toBe(400);
+    expect((await api().get('/api/auditoria?entidadId=3').set(admin)).status).toBe(400);
+  });
+});
@@ -0,0 +1,142 @@
+import { api, auth, login, describeDb, cerrarPool } from './helpers/api.js';
+import { USUARIOS } from './helpers/fixtures.js';
+import { MemoryStore } from '../src/services/bloqueoLoginService.js';
+
+afterAll(cerrarPool);
+
+describe('MemoryStore de intentos de login', () => {
+  test('descarta los registros vencidos al leerlos y al listarlos', async () => {
+    const store = new MemoryStore();
+    await store.set('usuario:vencido', { intentos: 1, expiraEn: Date.now() - 1 });
+    await store.set('ip:vigente', { intentos: 1, expiraEn: Date.now() + 60000 });
+
+    expect(await store.get('usuario:vencido')).toBeNull();
+    expect((await store.entries()).map(([clave]) => clave)).toEqual(['ip:vigente']);
+  });
+
+  test('no supera el máximo de entradas y descarta la actualizada hace más tiempo', async () => {
+    const store = new MemoryStore({ maxEntradas: 2 });
+    const expiraEn = Date.now() + 60000;
+    await store.set('ip:1', { expiraEn });
+    await store.set('ip:2', { expiraEn });
+    await store.set('ip:1', { expiraEn });
+    await store.set('ip:3', { expiraEn });
+
+    expect((await store.entries()).map(([clave]) => clave)).toEqual(['ip:1', 'ip:3']);
+  });
+
+  test('nunca descarta un bloqueo vigente para hacer lugar', async () => {
+    const store = new MemoryStore({ maxEntradas: 2 });
+    const expiraEn = Date.now() + 60000;
+    await store.set('usuario:victima', { bloqueadoHasta: expiraEn, expiraEn });
+    await store.set('ip:1', { bloqueadoHasta: 0, expiraEn });
+    await store.set('ip:2', { bloqueadoHasta: 0, expiraEn });
+
+    expect((await store.entries()).map(([clave]) => clave)).toEqual(['usuario:victima', 'ip:2']);
+  });
+
+  test('lleno de bloqueos vigentes, no registra claves nuevas y las trata como bloqueadas', async () => {
+    const store = new MemoryStore({ maxEntradas: 2 });
+    const expiraEn = Date.now() + 60000;
+    await store.set('usuario:a', { bloqueadoHasta: expiraEn, expiraEn });
+    await store.set('usuario:b', { bloqueadoHasta: expiraEn + 1000, expiraEn: expiraEn + 1000 });
+
+    expect(await store.set('usuario:nuevo', { bloqueadoHasta: 0, expiraEn })).toBe(false);
+    expect((await store.entries()).map(([clave]) => clave)).toEqual(['usuario:a', 'usuario:b']);
+    expect((await store.get('usuario:nuevo')).bloqueadoHasta).toBe(expiraEn);
+
+    await store.delete('usuario:a');
+    expect(await store.get('usuario:nuevo')).toBeNull();
+  });
+});
+
+describeDb('/api/auth', () => {
+  describe('POST /login', () => {
+    test('devuelve token, refresh token y datos del usuario', async () => {
+      const { nombre_usuario, contrasenia } = USUARIOS.cliente;
+      const res = await api().post('/api/auth/login').send({ nombre_usuario, contrasenia });
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('success');
+      expect(res.body.data.token).toEqual(expect.any(String));
+      expect(res.body.data.refreshToken).toEqual(expect.any(String));
+      expect(res.body.data.user).toMatchObject({ nombre_usuario, tipo_usuario: 3 });
+      expect(res.body.data.user.contrasenia).toBeUndefined();
+    });
+
+    test('rechaza credenciales inválidas con 401', async () => {
+      const res = await api().post('/api/auth/login')
+        .send({ nombre_usuario: 'nadie@pruebas.local', contrasenia: 'incorrecta' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.status).toBe('error');
+    });
+
+    test('valida el formato de los datos con 400', async () => {
+      const res = await api().post('/api/auth/login').send({ nombre_usuario: 'no-es-un-email' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual(expect.any(Array));
+    });
+  });
+
+  describe('GET /me', () => {
+    test('devuelve el perfil del usuario autenticado', async () => {
+      const { token } = await login('empleado');
+      const res = await api().get('/api/auth/me').set(auth(token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.nombre_usuario).toBe(USUARIOS.empleado.nombre_usuario);
+    });
+
+    test('exige token', async () => {
+      const res = await api().get('/api/auth/me');
+      expect(res.status).toBe(401);
+    });
+
+    test('rechaza un token mal formado', async () => {
+      const res = await api().get('/api/auth/me').set(auth('no-es-un-jwt'));
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('POST /refresh y /logout', () => {
+    test('rota el refresh token y rechaza reutilizar el anterior', async () => {
+      const { refreshToken } = await login('cliente');
+
+      const rotado = await api().post('/api/auth/refresh').send({ refreshToken });
+      expect(rotado.status).toBe(200);
+      expect(rotado.body.data.refreshToken).not.toBe(refreshToken);
+
+      const reutilizado = await api().post('/api/auth/refresh').send({ refreshToken });
+      expect(reutilizado.status).toBe(401);
+    });
+
+    test('el logout revoca el refresh token de la sesión', async () => {
+      const { token, refreshToken } = await login('cliente');
+
+      const res = await api().post('/api/auth/logout').set(auth(token)).send({ refreshToken });
+      expect(res.status).toBe(200);
+
+      const refresh = await api().post('/api/auth/refresh').send({ refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+  });
+
+  describe('rutas de administración', () => {
+    test.each(['/api/auth/bloqueos', '/api/auth/permisos'])('%s es solo para administradores', async (ruta) => {
+      const [admin, empleado, cliente] = await Promise.all([login('admin'), login('empleado'), login('cliente')]);
+
+      expect((await api().get(ruta).set(auth(admin.token))).status).toBe(200);
+      expect((await api().get(ruta).set(auth(empleado.token))).status).toBe(403);
+      expect((await api().get(ruta).set(auth(cliente.token))).status).toBe(403);
+    });
+
+    test('quitar un bloqueo inexistente devuelve 404', async () => {
+      const { token } = await login('admin');
+      const res = await api().delete('/api/auth/bloqueos/usuario/sin-bloqueo@pruebas.local').set(auth(token));
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+import CalendarioService from '../src/services/calendarioService.js';
+
+afterAll(cerrarPool);
+
+const reservaEjemplo = (cambios = {}) => ({
+  reserva_id: 7,
+  fecha_reserva: new Date(2031, 0, 5),
+  estado: 'confirmada',
+  activo: 1,
+  tematica: 'Piratas',
+  modificado: new Date(Date.UTC(2030, 11, 1, 15, 30)),
+  salon: { titulo: 'Salón Norte', direccion: 'Av. Siempreviva 742, Córdoba' },
+  turno: { hora_desde: '18:00:00', hora_hasta: '20:00:00' },
+  usuario: { nombre: 'Ana', apellido: 'Pérez' },
+  servicios: [{ descripcion: 'Mago' }, { descripcion: 'Catering' }],
+  ...cambios
+});
+
+describe('CalendarioService', () => {
+  test('escapa los caracteres especiales de TEXT', () => {
+    expect(CalendarioService.escapeText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+  });
+
+  test('pliega las líneas largas sin superar 75 octetos', () => {
+    const plegada = CalendarioService.foldLine(`DESCRIPTION:${'ñ'.repeat(100)}`);
+    const lineas = plegada.split('\r\n');
+
+    expect(lineas.length).toBeGreaterThan(1);
+    lineas.forEach(linea => expect(Buffer.byteLength(linea)).toBeLessThanOrEqual(75));
+    expect(lineas.slice(1).every(linea => linea.startsWith(' '))).toBe(true);
+    expect(lineas.map((linea, i) => (i === 0 ? linea : linea.slice(1))).join('')).toBe(`DESCRIPTION:${'ñ'.repeat(100)}`);
+  });
+
+  test('arma el evento con horario del turno, temática, servicios y dirección', () => {
+    const evento = CalendarioService.toEvento(reservaEjemplo()).join('\n');
+
+    expect(evento).toContain('UID:reserva-7@');
+    expect(evento).toContain('DTSTART:20310105T180000');
+    expect(evento).toContain('DTEND:20310105T200000');
+    expect(evento).toContain('DTSTAMP:20301201T153000Z');
+    expect(evento).toContain('SUMMARY:Salón Norte: Piratas');
+    expect(evento).toContain('Servicios: Mago\\, Catering');
+    expect(evento).toContain('LOCATION:Salón Norte\\, Av. Siempreviva 742\\, Córdoba');
+    expect(evento).toContain('STATUS:CONFIRMED');
+  });
+
+  test('los turnos que pasan la medianoche terminan al día siguiente', () => {
+    const evento = CalendarioService.toEvento(reservaEjemplo({
+      turno: { hora_desde: '22:00:00', hora_hasta: '02:00:00' }
+    }));
+
+    expect(evento).toContain('DTEND:20310106T020000');
+  });
+
+  test.each([
+    ['canceladas', { estado: 'cancelada' }],
+    ['eliminadas', { activo: 0 }]
+  ])('las reservas %s se publican como STATUS:CANCELLED', (_, cambios) => {
+    expect(CalendarioService.toEvento(reservaEjemplo(cambios))).toContain('STATUS:CANCELLED');
+  });
+
+  test('el calendario usa CRLF y envuelve los eventos', () => {
+    const ics = CalendarioService.generar('Reservas', [reservaEjemplo()]);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  });
+});
+
+describeDb('Feeds .ics', () => {
+  let tokens;
+  let salonId;
+  let reservaId;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    const [salones, turnos] = await Promise.all([
+      api().get('/api/salones').set(admin),
+      api().get('/api/turnos/active').set(admin)
+    ]);
+    salonId = salones.body.data[0].salon_id;
+
+    const reserva = await api().post('/api/reservas').set(auth(tokens.cliente.token)).send({
+      fecha_reserva: fechaFutura(40),
+      salon_id: salonId,
+      turno_id: turnos.body.data[0].turno_id,
+      tematica: 'Calendario'
+    });
+    reservaId = reserva.body.data.reserva_id;
+  });
+
+  test('el token de calendario trae las URLs de suscripción', async () => {
+    const cliente = await api().get('/api/auth/calendar-token').set(auth(tokens.cliente.token));
+    expect(cliente.status).toBe(200);
+    expect(cliente.body.data.urls.usuario).toContain(`/api/usuarios/${tokens.cliente.user.id}/calendar.ics?token=`);
+    expect(cliente.body.data.urls.salon).toBeUndefined();
+
+    const empleado = await api().get('/api/auth/calendar-token').set(auth(tokens.empleado.token));
+    expect(empleado.body.data.urls.salon).toBeDefined();
+  });
+
+  test('el token de calendario no sirve como token de acceso', async () => {
+    const { body } = await api().get('/api/auth/calendar-token').set(auth(tokens.cliente.token));
+    const res = await api().get('/api/auth/me').set(auth(body.data.token));
+
+    expect(res.status).toBe(401);
+  });
+
+  test('el cliente se suscribe a su calendario con el token', async () => {
+    const { body } = await api().get('/api/auth/calendar-token').set(auth(tokens.cliente.token));
+    const res = await api().get(`/api/usuarios/${tokens.cliente.user.id}/calendar.ics?token=${body.data.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(res.text).toContain(`UID:reserva-${reservaId}@`);
+  });
+
+  test('el cliente no accede al calendario de otro usuario ni al de los salones', async () => {
+    const { body } = await api().get('/api/auth/calendar-token').set(auth(tokens.cliente.token));
+
+    const ajeno = await api().get(`/api/usuarios/${tokens.empleado.user.id}/calendar.ics?token=${body.data.token}`);
+    expect(ajeno.status).toBe(403);
+
+    const salon = await api().get(`/api/salones/${salonId}/calendar.ics?token=${body.data.token}`);
+    expect(salon.status).toBe(403);
+  });
+
+  test('el calendario del salón publica las cancelaciones', async () => {
+    await api().patch(`/api/reservas/${reservaId}/cancel`).set(auth(tokens.cliente.token));
+
+    const res = await api().get(`/api/salones/${salonId}/calendar.ics`).set(auth(tokens.empleado.token));
+    const evento = res.text.split('BEGIN:VEVENT').find(bloque => bloque.includes(`UID:reserva-${reservaId}@`));
+
+    expect(res.status).toBe(200);
+    expect(evento).toContain('STATUS:CANCELLED');
+  });
+
+  test('404 para un salón inexistente y 401 con un token inválido', async () => {
+    expect((await api().get('/api/salones/999999/calendar.ics').set(auth(tokens.admin.token))).status).toBe(404);
+    expect((await api().get(`/api/salones/${salonId}/calendar.ics?token=invalido`)).status).toBe(401);
+  });
+});
@@ -0,0 +1,100 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+import ComprobanteService from '../src/services/comprobanteService.js';
+import Reserva from '../src/models/Reserva.js';
+import Pago from '../src/models/Pago.js';
+
+afterAll(cerrarPool);
+
+describe('ComprobanteService', () => {
+  const reserva = new Reserva({
+    reserva_id: 42,
+    fecha_reserva: '2031-05-10',
+    importe_salon: 100000,
+    importe_total: 108000,
+    importe_descuento: 12000,
+    importe_pagado: 30000,
+    estado: 'confirmada',
+    salon: { titulo: 'Salón Arcoíris', direccion: 'Calle 1' },
+    turno: { hora_desde: '12:00:00', hora_hasta: '14:00:00' },
+    usuario: { nombre: 'Ana', apellido: 'Pérez', nombre_usuario: 'ana@correo.com' },
+    servicios: [{ servicio_id: 1, descripcion: 'Sonido', importe: 20000 }]
+  });
+
+  const pagos = [
+    new Pago({ tipo: 'sena', metodo: 'efectivo', importe: 30000, estado: 'aprobado', creado: new Date(2031, 0, 15) }),
+    new Pago({ tipo: 'pago', metodo: 'online', importe: 78000, estado: 'pendiente', creado: new Date(2031, 0, 16) })
+  ];
+
+  test('arma el detalle, los pagos aprobados y el QR con la referencia', async () => {
+    const datos = await ComprobanteService.datos(reserva, pagos);
+
+    expect(datos.referencia).toBe('RES-000042');
+    expect(datos.qr).toMatch(/^data:image\/png;base64,/);
+    expect(datos).toMatchObject({ fecha: '10/05/2031', turno: '12:00 - 14:00', fechaLimitePago: '03/05/2031' });
+    expect(datos.lineas.map(linea => linea.descripcion)).toEqual(['Salón Arcoíris', 'Sonido']);
+    expect(datos.pagos).toEqual([expect.objectContaining({ fecha: '15/01/2031', concepto: 'Seña', metodo: 'efectivo' })]);
+    expect(datos.descuento).not.toBeNull();
+  });
+
+  test('arma el HTML con la plantilla de Handlebars', async () => {
+    const html = await ComprobanteService.html(reserva, pagos);
+
+    expect(html).toContain('Comprobante de reserva RES-000042');
+    expect(html).toContain('Salón Arcoíris');
+    expect(html).toContain(`${new Date().getFullYear()} Reservas de Casas de Cumpleaños`);
+  });
+
+  test('convierte la plantilla en PDF sin navegador', async () => {
+    const pdf = await ComprobanteService.renderPdf(await ComprobanteService.html(reserva, pagos));
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('el comprobante se adjunta al correo solo si se habilita', async () => {
+    expect(ComprobanteService.config.adjuntarAlCorreo).toBe(false);
+    expect(await ComprobanteService.adjuntos(reserva)).toEqual([]);
+  });
+});
+
+describeDb('GET /api/reservas/:id/comprobante', () => {
+  let tokens;
+  let reservaId;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    const [salones, turnos] = await Promise.all([
+      api().get('/api/salones').set(admin),
+      api().get('/api/turnos/active').set(admin)
+    ]);
+
+    const res = await api().post('/api/reservas').set(auth(tokens.cliente.token)).send({
+      fecha_reserva: fechaFutura(100),
+      salon_id: salones.body.data[0].salon_id,
+      turno_id: turnos.body.data[0].turno_id
+    });
+    reservaId = res.body.data.reserva_id;
+  });
+
+  test('devuelve el PDF de la reserva propia', async () => {
+    const res = await api().get(`/api/reservas/${reservaId}/comprobante`).set(auth(tokens.cliente.token))
+      .buffer(true).parse((respuesta, callback) => {
+        const partes = [];
+        respuesta.on('data', parte => partes.push(parte));
+        respuesta.on('end', () => callback(null, Buffer.concat(partes)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toContain(ComprobanteService.referencia({ reserva_id: reservaId }));
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('404 para reservas inexistentes', async () => {
+    const res = await api().get('/api/reservas/999999/comprobante').set(auth(tokens.admin.token));
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,117 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+
+afterAll(cerrarPool);
+
+describeDb('/api/cupones', () => {
+  let tokens;
+  let salones;
+  let turnoId;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    const [listaSalones, turnos] = await Promise.all([
+      api().get('/api/salones').set(admin),
+      api().get('/api/turnos/active').set(admin)
+    ]);
+
+    salones = listaSalones.body.data.map(salon => salon.salon_id);
+    turnoId = turnos.body.data[0].turno_id;
+  });
+
+  const reservar = (dias, codigo_cupon, salon_id = salones[0]) => api().post('/api/reservas')
+    .set(auth(tokens.cliente.token))
+    .send({ fecha_reserva: fechaFutura(dias), salon_id, turno_id: turnoId, codigo_cupon });
+
+  test('solo el administrador gestiona cupones', async () => {
+    const res = await api().get('/api/cupones').set(auth(tokens.empleado.token));
+    expect(res.status).toBe(403);
+  });
+
+  test('valida el cupón', async () => {
+    const res = await api().post('/api/cupones').set(auth(tokens.admin.token))
+      .send({ codigo: 'a b', tipo: 'porcentaje', valor: 150 });
+
+    expect(res.status).toBe(400);
+  });
+
+  describe('con un cupón de un uso por usuario', () => {
+    let reservaId;
+
+    beforeAll(async () => {
+      const res = await api().post('/api/cupones').set(auth(tokens.admin.token))
+        .send({ codigo: 'prueba10', tipo: 'porcentaje', valor: 10, usos_por_usuario: 1 });
+      expect(res.status).toBe(201);
+      expect(res.body.data.codigo).toBe('PRUEBA10');
+    });
+
+    test('409 si el código ya existe', async () => {
+      const res = await api().post('/api/cupones').set(auth(tokens.admin.token))
+        .send({ codigo: 'Prueba10', tipo: 'fijo', valor: 100 });
+
+      expect(res.status).toBe(409);
+    });
+
+    test('la cotización muestra el descuento', async () => {
+      const res = await api().post('/api/reservas/quote').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: fechaFutura(80), salon_id: salones[0], turno_id: turnoId, codigo_cupon: 'PRUEBA10' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.cupon.codigo).toBe('PRUEBA10');
+      expect(res.body.data.importe_descuento).toBeCloseTo(res.body.data.subtotal * 0.1, 2);
+      expect(res.body.data.importe_total).toBeCloseTo(res.body.data.subtotal - res.body.data.importe_descuento, 2);
+    });
+
+    test('la reserva guarda el cupón y el descuento', async () => {
+      const res = await reservar(80, 'prueba10');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.cupon_id).not.toBeNull();
+      expect(res.body.data.importe_descuento).toBeCloseTo(res.body.data.importe_salon * 0.1, 2);
+      expect(res.body.data.importe_total).toBeCloseTo(res.body.data.importe_salon - res.body.data.importe_descuento, 2);
+      reservaId = res.body.data.reserva_id;
+    });
+
+    test('rechaza un segundo uso del mismo usuario', async () => {
+      const res = await reservar(81, 'PRUEBA10');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/Cupón inválido/);
+    });
+
+    test('cancelar la reserva devuelve el uso', async () => {
+      const cancelada = await api().patch(`/api/reservas/${reservaId}/cancel`).set(auth(tokens.cliente.token)).send({});
+      expect(cancelada.status).toBe(200);
+
+      const res = await reservar(81, 'PRUEBA10');
+      expect(res.status).toBe(201);
+    });
+  });
+
+  test('rechaza códigos inexistentes, vencidos o de otro salón', async () => {
+    const admin = auth(tokens.admin.token);
+    await api().post('/api/cupones').set(admin)
+      .send({ codigo: 'VENCIDO', tipo: 'fijo', valor: 500, fecha_desde: '2020-01-01', fecha_hasta: '2020-12-31' });
+    await api().post('/api/cupones').set(admin)
+      .send({ codigo: 'SOLOSALON', tipo: 'fijo', valor: 500, salon_id: salones[1] });
+
+    const inexistente = await reservar(82, 'NOEXISTE');
+    const vencido = await reservar(82, 'VENCIDO');
+    const otroSalon = await reservar(82, 'SOLOSALON');
+
+    expect([inexistente.status, vencido.status, otroSalon.status]).toEqual([400, 400, 400]);
+  });
+
+  test('un cupón desactivado deja de aceptarse', async () => {
+    const admin = auth(tokens.admin.token);
+    const cupon = await api().post('/api/cupones').set(admin)
+      .send({ codigo: 'TEMPORAL', tipo: 'fijo', valor: 1000 });
+
+    await api().delete(`/api/cupones/${cupon.body.data.cupon_id}`).set(admin);
+
+    const res = await reservar(83, 'TEMPORAL');
+    expect(res.status).toBe(400);
+  });
+});
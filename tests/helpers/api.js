@@ -0,0 +1,51 @@
+import request from 'supertest';
+import { createApp } from '../../src/app.js';
+import { pool } from '../../src/config/database.js';
+import { USUARIOS } from './fixtures.js';
+
+/**
+ * Utilidades compartidas por los tests de integración: la app sin servidor escuchando,
+ * inicio de sesión por rol y cierre del pool al terminar cada archivo.
+ */
+
+export const app = createApp();
+
+// Las suites se omiten si globalSetup no pudo preparar la base de pruebas
+export const dbDisponible = process.env.TEST_DB_DISPONIBLE === '1';
+export const describeDb = dbDisponible ? describe : describe.skip;
+
+export const api = () => request(app);
+
+export const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+/**
+ * Inicia sesión con el usuario de prueba del rol indicado y devuelve { token, refreshToken, user }
+ */
+export const login = async (rol) => {
+  const { nombre_usuario, contrasenia } = USUARIOS[rol];
+  const res = await api().post('/api/auth/login').send({ nombre_usuario, contrasenia });
+
+  if (res.status !== 200) {
+    throw new Error(`No se pudo iniciar sesión como ${rol}: ${res.status} ${res.body.message}`);
+  }
+
+  return res.body.data;
+};
+
+/**
+ * Tokens de los tres roles, para usar en beforeAll
+ */
+export const loginTodos = async () => {
+  const [admin, empleado, cliente] = await Promise.all([login('admin'), login('empleado'), login('cliente')]);
+  return { admin, empleado, cliente };
+};
+
+/**
+ * Registros de auditoría de un registro, del más reciente al más antiguo (token de administrador)
+ */
+export const auditoria = async (token, entidad, entidadId) => {
+  const res = await api().get(`/api/auditoria?entidad=${entidad}&entidadId=${entidadId}`).set(auth(token));
+  return res.body.data;
+};
+
+export const cerrarPool = () => pool.end();
@@ -0,0 +1,34 @@
+/**
+ * Usuarios de prueba con los que se inicia sesión en cada rol.
+ * El administrador lo crea el seeder (SEED_ADMIN_*); empleado y cliente, globalSetup.
+ */
+export const USUARIOS = {
+  admin: {
+    nombre: 'Admin',
+    apellido: 'Pruebas',
+    nombre_usuario: 'admin@pruebas.local',
+    contrasenia: 'Admin1234',
+    tipo_usuario: 1
+  },
+  empleado: {
+    nombre: 'Empleado',
+    apellido: 'Pruebas',
+    nombre_usuario: 'empleado@pruebas.local',
+    contrasenia: 'Empleado1234',
+    tipo_usuario: 2
+  },
+  cliente: {
+    nombre: 'Cliente',
+    apellido: 'Pruebas',
+    nombre_usuario: 'cliente@pruebas.local',
+    contrasenia: 'Cliente1234',
+    tipo_usuario: 3
+  }
+};
+
+// Fecha futura fija para reservas de prueba (YYYY-MM-DD), desplazada por un número de días
+export const fechaFutura = (dias = 0) => {
+  const fecha = new Date(Date.UTC(2031, 0, 1));
+  fecha.setUTCDate(fecha.getUTCDate() + dias);
+  return fecha.toISOString().split('T')[0];
+};
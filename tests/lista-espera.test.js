@@ -0,0 +1,110 @@
+import { api, auth, loginTodos, auditoria, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+import ListaEsperaService from '../src/services/listaEsperaService.js';
+
+afterAll(cerrarPool);
+
+describe('ListaEsperaService.confirmar', () => {
+  test('rechaza inscripciones sin oferta vigente', async () => {
+    const vencida = { estado: 'ofrecida', oferta_vence: new Date(Date.now() - 60000) };
+
+    await expect(ListaEsperaService.confirmar({ estado: 'esperando' }, {}, 1)).rejects.toMatchObject({ status: 409 });
+    await expect(ListaEsperaService.confirmar(vencida, {}, 1)).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describeDb('/api/reservas/lista-espera', () => {
+  const fecha = fechaFutura(110);
+  let tokens;
+  let turno;
+  let reservaId;
+  let inscripcionCliente;
+  let inscripcionEmpleado;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    const [salones, turnos] = await Promise.all([
+      api().get('/api/salones').set(admin),
+      api().get('/api/turnos/active').set(admin)
+    ]);
+    turno = { salon_id: salones.body.data[0].salon_id, turno_id: turnos.body.data[0].turno_id };
+
+    const res = await api().post('/api/reservas').set(admin).send({
+      fecha_reserva: fecha,
+      ...turno,
+      usuario_id: tokens.admin.user.id
+    });
+    expect(res.status).toBe(201);
+    reservaId = res.body.data.reserva_id;
+  });
+
+  test('solo se puede esperar un turno ocupado', async () => {
+    const res = await api().post('/api/reservas/lista-espera').set(auth(tokens.cliente.token))
+      .send({ fecha_reserva: fechaFutura(111), ...turno });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('anota en orden de llegada', async () => {
+    const cliente = await api().post('/api/reservas/lista-espera').set(auth(tokens.cliente.token))
+      .send({ fecha_reserva: fecha, ...turno });
+    expect(cliente.status).toBe(201);
+    expect(cliente.body.data).toMatchObject({ estado: 'esperando', posicion: 1, usuario_id: tokens.cliente.user.id });
+    inscripcionCliente = cliente.body.data.espera_id;
+
+    const empleado = await api().post('/api/reservas/lista-espera').set(auth(tokens.empleado.token))
+      .send({ fecha_reserva: fecha, ...turno, usuario_id: tokens.empleado.user.id });
+    expect(empleado.status).toBe(201);
+    expect(empleado.body.data.posicion).toBe(2);
+    inscripcionEmpleado = empleado.body.data.espera_id;
+
+    const repetida = await api().post('/api/reservas/lista-espera').set(auth(tokens.cliente.token))
+      .send({ fecha_reserva: fecha, ...turno });
+    expect(repetida.status).toBe(409);
+  });
+
+  test('los clientes solo ven sus inscripciones', async () => {
+    const res = await api().get('/api/reservas/lista-espera').set(auth(tokens.cliente.token));
+    expect(res.body.data.every(inscripcion => inscripcion.usuario_id === tokens.cliente.user.id)).toBe(true);
+
+    const ajena = await api().get(`/api/reservas/lista-espera/${inscripcionEmpleado}`).set(auth(tokens.cliente.token));
+    expect(ajena.status).toBe(404);
+  });
+
+  test('al cancelar la reserva ofrece el turno al primero y lo retiene', async () => {
+    const cancelada = await api().patch(`/api/reservas/${reservaId}/cancel`).set(auth(tokens.admin.token));
+    expect(cancelada.status).toBe(200);
+
+    const inscripcion = await api().get(`/api/reservas/lista-espera/${inscripcionCliente}`).set(auth(tokens.cliente.token));
+    expect(inscripcion.body.data.estado).toBe('ofrecida');
+    expect(inscripcion.body.data.oferta_vence).toBeTruthy();
+
+    const disponibilidad = await api().post('/api/reservas/check-availability').set(auth(tokens.empleado.token))
+      .send({ fecha_reserva: fecha, ...turno });
+    expect(disponibilidad.body.data.disponible).toBe(false);
+
+    const otra = await api().post('/api/reservas').set(auth(tokens.empleado.token))
+      .send({ fecha_reserva: fecha, ...turno, usuario_id: tokens.empleado.user.id });
+    expect(otra.status).toBe(409);
+  });
+
+  test('confirmar la oferta crea la reserva del inscripto', async () => {
+    const sinOferta = await api().post(`/api/reservas/lista-espera/${inscripcionEmpleado}/confirm`).set(auth(tokens.empleado.token));
+    expect(sinOferta.status).toBe(409);
+
+    const res = await api().post(`/api/reservas/lista-espera/${inscripcionCliente}/confirm`).set(auth(tokens.cliente.token))
+      .send({ tematica: 'Lista de espera' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ usuario_id: tokens.cliente.user.id, tematica: 'Lista de espera' });
+
+    const inscripcion = await api().get(`/api/reservas/lista-espera/${inscripcionCliente}`).set(auth(tokens.cliente.token));
+    expect(inscripcion.body.data).toMatchObject({ estado: 'confirmada', reserva_id: res.body.data.reserva_id });
+
+    const [confirmada, ofrecida] = await auditoria(tokens.admin.token, 'lista_espera', inscripcionCliente);
+    expect(confirmada).toMatchObject({ accion: 'transition', usuario_id: tokens.cliente.user.id });
+    expect(confirmada.cambios.estado).toEqual({ antes: 'ofrecida', despues: 'confirmada' });
+    expect(ofrecida).toMatchObject({ accion: 'transition', usuario_id: null });
+  });
+});
@@ -0,0 +1,235 @@
+import { api, auth, loginTodos, auditoria, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+import { createFakeProvider, getProveedor } from '../src/config/pagos.js';
+import { query } from '../src/config/database.js';
+import Reserva from '../src/models/Reserva.js';
+import PagosService from '../src/services/pagosService.js';
+
+afterAll(cerrarPool);
+
+describe('Proveedor fake', () => {
+  const proveedor = createFakeProvider('secreto');
+
+  test('verifica la firma de las notificaciones que simula', () => {
+    const { body, headers } = proveedor.simularWebhook('fake_1', 'aprobado');
+
+    expect(proveedor.verificarWebhook(body, headers)).toEqual({ referencia: 'fake_1', estado: 'aprobado' });
+    expect(() => proveedor.verificarWebhook(body.replace('aprobado', 'rechazado'), headers)).toThrow('Firma de webhook inválida');
+    expect(() => createFakeProvider('otro').verificarWebhook(body, headers)).toThrow('Firma de webhook inválida');
+  });
+});
+
+describe('Saldo de la reserva', () => {
+  const reserva = (datos) => new Reserva({ importe_total: 1000, importe_pagado: 400, estado: 'confirmada', ...datos });
+
+  test('calcula saldo y fecha límite de pago', () => {
+    const pasada = reserva({ fecha_reserva: '2020-01-10' });
+
+    expect(pasada.getSaldo()).toBe(600);
+    expect(pasada.getFechaLimitePago()).toBe('2020-01-03');
+    expect(pasada.isPagoVencido()).toBe(true);
+  });
+
+  test('no marca vencidas las reservas pagas, canceladas o con plazo', () => {
+    expect(reserva({ fecha_reserva: '2020-01-10', importe_pagado: 1000 }).isPagoVencido()).toBe(false);
+    expect(reserva({ fecha_reserva: '2020-01-10', estado: 'cancelada' }).isPagoVencido()).toBe(false);
+    expect(reserva({ fecha_reserva: fechaFutura(90) }).isPagoVencido()).toBe(false);
+  });
+});
+
+describeDb('/api/reservas/:id/pagos', () => {
+  let tokens;
+  let reserva;
+  let senaId;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    const [salones, turnos] = await Promise.all([
+      api().get('/api/salones').set(admin),
+      api().get('/api/turnos/active').set(admin)
+    ]);
+
+    const res = await api().post('/api/reservas').set(auth(tokens.cliente.token)).send({
+      fecha_reserva: fechaFutura(90),
+      salon_id: salones.body.data[0].salon_id,
+      turno_id: turnos.body.data[0].turno_id
+    });
+    expect(res.status).toBe(201);
+    reserva = res.body.data;
+  });
+
+  const pagos = () => api().get(`/api/reservas/${reserva.reserva_id}/pagos`).set(auth(tokens.cliente.token));
+
+  test('la reserva nueva tiene todo el importe como saldo', async () => {
+    expect(reserva).toMatchObject({ importe_pagado: 0, saldo: reserva.importe_total, pago_vencido: false });
+
+    const res = await pagos();
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ saldo: reserva.importe_total, pagos: [] });
+  });
+
+  test('solo administradores y empleados registran pagos en el local', async () => {
+    const res = await api().post(`/api/reservas/${reserva.reserva_id}/pagos`).set(auth(tokens.cliente.token))
+      .send({ tipo: 'sena', metodo: 'efectivo', importe: 1000 });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('registra la seña y descuenta el saldo', async () => {
+    const res = await api().post(`/api/reservas/${reserva.reserva_id}/pagos`).set(auth(tokens.empleado.token))
+      .send({ tipo: 'sena', metodo: 'efectivo', importe: 1000 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.pago).toMatchObject({ tipo: 'sena', estado: 'aprobado', importe: 1000 });
+    expect(res.body.data.reserva.saldo).toBeCloseTo(reserva.importe_total - 1000, 2);
+    senaId = res.body.data.pago.pago_id;
+
+    const leida = await api().get(`/api/reservas/${reserva.reserva_id}`).set(auth(tokens.cliente.token));
+    expect(leida.body.data.importe_pagado).toBe(1000);
+  });
+
+  test('400 si el pago supera el saldo', async () => {
+    const res = await api().post(`/api/reservas/${reserva.reserva_id}/pagos`).set(auth(tokens.admin.token))
+      .send({ metodo: 'transferencia', importe: reserva.importe_total });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/supera el saldo/);
+  });
+
+  describe('cobro online', () => {
+    let referencia;
+
+    beforeAll(async () => {
+      const confirmada = await api().patch(`/api/reservas/${reserva.reserva_id}/confirm`).set(auth(tokens.admin.token)).send({});
+      expect(confirmada.status).toBe(200);
+    });
+
+    test('queda pendiente hasta la confirmación del proveedor', async () => {
+      const res = await api().post(`/api/reservas/${reserva.reserva_id}/pagos/online`).set(auth(tokens.cliente.token)).send({});
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.pago).toMatchObject({ estado: 'pendiente', metodo: 'online', proveedor: 'fake' });
+      expect(res.body.data.pago.importe).toBeCloseTo(reserva.importe_total - 1000, 2);
+      expect(res.body.data.url_pago).toContain(res.body.data.pago.referencia_externa);
+      referencia = res.body.data.pago.referencia_externa;
+
+      const estado = await pagos();
+      expect(estado.body.data.importe_pagado).toBe(1000);
+    });
+
+    test('el cobro pendiente compromete el saldo para otros pagos', async () => {
+      const res = await api().post(`/api/reservas/${reserva.reserva_id}/pagos/online`).set(auth(tokens.cliente.token)).send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/cobros pendientes/);
+    });
+
+    test('rechaza webhooks sin firma válida', async () => {
+      const res = await api().post('/api/pagos/webhooks/fake')
+        .send({ referencia, estado: 'aprobado' });
+
+      expect(res.status).toBe(401);
+    });
+
+    test('el pago aprobado salda la reserva confirmada y la marca pagada', async () => {
+      const res = await api().post(`/api/pagos/fake/${referencia}`).set(auth(tokens.cliente.token)).send({ estado: 'aprobado' });
+      expect(res.status).toBe(200);
+      expect(res.body.data.estado).toBe('aprobado');
+
+      const leida = await api().get(`/api/reservas/${reserva.reserva_id}`).set(auth(tokens.cliente.token));
+      expect(leida.body.data).toMatchObject({ estado: 'pagada', saldo: 0 });
+
+      // La aprobó el proveedor: el cambio se audita sin usuario
+      const [pagada] = await auditoria(tokens.admin.token, 'reservas', reserva.reserva_id);
+      expect(pagada).toMatchObject({ accion: 'transition', usuario_id: null });
+      expect(pagada.cambios.estado).toEqual({ antes: 'confirmada', despues: 'pagada' });
+    });
+
+    test('las notificaciones repetidas no se aplican dos veces', async () => {
+      const { body, headers } = getProveedor('fake').simularWebhook(referencia, 'aprobado');
+      const res = await api().post('/api/pagos/webhooks/fake')
+        .set({ 'Content-Type': 'application/json', ...headers })
+        .send(body);
+
+      expect(res.status).toBe(200);
+      const estado = await pagos();
+      expect(estado.body.data.saldo).toBe(0);
+    });
+  });
+
+  describe('reembolsos', () => {
+    test('solo los administradores reembolsan', async () => {
+      const res = await api().post(`/api/reservas/${reserva.reserva_id}/pagos/${senaId}/refund`)
+        .set(auth(tokens.empleado.token)).send({ importe: 100 });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('un reembolso parcial vuelve a dejar saldo', async () => {
+      const res = await api().post(`/api/reservas/${reserva.reserva_id}/pagos/${senaId}/refund`)
+        .set(auth(tokens.admin.token)).send({ importe: 400, nota: 'Cambio de servicios' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.pago).toMatchObject({ tipo: 'reembolso', pago_origen_id: senaId, importe: 400 });
+      expect(res.body.data.reserva.saldo).toBe(400);
+    });
+
+    test('no se reembolsa más de lo pagado', async () => {
+      const res = await api().post(`/api/reservas/${reserva.reserva_id}/pagos/${senaId}/refund`)
+        .set(auth(tokens.admin.token)).send({ importe: 700 });
+
+      expect(res.status).toBe(400);
+
+      const estado = await pagos();
+      expect(estado.body.data.pagos.find(pago => pago.pago_id === senaId).reembolsado).toBe(400);
+    });
+  });
+
+  describe('cobros pendientes', () => {
+    let pendienteId;
+
+    const checkout = () => api().post(`/api/reservas/${reserva.reserva_id}/pagos/online`).set(auth(tokens.cliente.token)).send({});
+    const cancelar = (pagoId) => api().post(`/api/reservas/${reserva.reserva_id}/pagos/${pagoId}/cancel`).set(auth(tokens.cliente.token));
+
+    test('un cobro online sin resolver no frena los pagos en el local', async () => {
+      const cobro = await checkout();
+      expect(cobro.status).toBe(201);
+      expect(cobro.body.data.pago.vence).toEqual(expect.any(String));
+      pendienteId = cobro.body.data.pago.pago_id;
+
+      const res = await api().post(`/api/reservas/${reserva.reserva_id}/pagos`).set(auth(tokens.empleado.token))
+        .send({ metodo: 'efectivo', importe: 100 });
+      expect(res.status).toBe(201);
+    });
+
+    test('el cliente cancela su cobro pendiente y libera el saldo', async () => {
+      const res = await cancelar(pendienteId);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.pago.estado).toBe('rechazado');
+      expect((await cancelar(pendienteId)).status).toBe(409);
+
+      const [cancelado] = await auditoria(tokens.admin.token, 'pagos', pendienteId);
+      expect(cancelado).toMatchObject({ accion: 'transition', usuario_id: tokens.cliente.user.id });
+      expect((await checkout()).status).toBe(201);
+    });
+
+    test('la tarea de pagos rechaza los cobros vencidos', async () => {
+      const [{ pago_id }] = await query(
+        "SELECT pago_id FROM pagos WHERE reserva_id = ? AND estado = 'pendiente'", [reserva.reserva_id]
+      );
+      await query('UPDATE pagos SET vence = NOW() - INTERVAL 1 MINUTE WHERE pago_id = ?', [pago_id]);
+
+      expect((await PagosService.vencerCobros()).vencidos).toBe(1);
+
+      const estado = await pagos();
+      expect(estado.body.data.pagos.find(pago => pago.pago_id === pago_id).estado).toBe('rechazado');
+
+      const [vencido] = await auditoria(tokens.admin.token, 'pagos', pago_id);
+      expect(vencido).toMatchObject({ accion: 'transition', usuario_id: null });
+      expect(vencido.cambios.estado).toEqual({ antes: 'pendiente', despues: 'rechazado' });
+    });
+  });
+});
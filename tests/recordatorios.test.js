@@ -0,0 +1,91 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import RecordatoriosService from '../src/services/recordatoriosService.js';
+
+afterAll(cerrarPool);
+
+describe('RecordatoriosService', () => {
+  const anticipaciones = RecordatoriosService.parseAnticipaciones('24h, 7d');
+  const reserva = { fecha_reserva: '2031-03-10', hora_desde: '12:00:00' };
+
+  test('interpreta y ordena las anticipaciones', () => {
+    expect(anticipaciones.map(anticipacion => [anticipacion.clave, anticipacion.horas])).toEqual([['7d', 168], ['24h', 24]]);
+    expect(() => RecordatoriosService.parseAnticipaciones('7 semanas')).toThrow('Anticipación de recordatorio inválida');
+  });
+
+  test('elige la anticipación más cercana ya alcanzada', () => {
+    const vigente = (ahora) => RecordatoriosService.anticipacionVigente(reserva, anticipaciones, ahora);
+
+    expect(vigente(new Date(2031, 1, 28, 12, 0))).toBeNull();
+    expect(vigente(new Date(2031, 2, 3, 12, 0)).clave).toBe('7d');
+    expect(vigente(new Date(2031, 2, 9, 13, 0)).clave).toBe('24h');
+    expect(vigente(new Date(2031, 2, 10, 12, 0))).toBeNull();
+  });
+});
+
+describeDb('/api/tareas', () => {
+  let tokens;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    // Reserva dentro de la ventana de recordatorios (las demás pruebas usan fechas de 2031)
+    const fecha = new Date();
+    fecha.setDate(fecha.getDate() + 3);
+    const fechaReserva = `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}-${String(fecha.getDate()).padStart(2, '0')}`;
+
+    const [salones, turnos] = await Promise.all([
+      api().get('/api/salones').set(admin),
+      api().get('/api/turnos/active').set(admin)
+    ]);
+
+    const res = await api().post('/api/reservas').set(auth(tokens.cliente.token)).send({
+      fecha_reserva: fechaReserva,
+      salon_id: salones.body.data[0].salon_id,
+      turno_id: turnos.body.data[0].turno_id
+    });
+    expect(res.status).toBe(201);
+  });
+
+  test('solo los administradores ven las tareas', async () => {
+    const res = await api().get('/api/tareas').set(auth(tokens.empleado.token));
+    expect(res.status).toBe(403);
+  });
+
+  test('lista la tarea de recordatorios', async () => {
+    const res = await api().get('/api/tareas').set(auth(tokens.admin.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(expect.arrayContaining([expect.objectContaining({ nombre: 'recordatorios', pausada: false })]));
+  });
+
+  test('pausa y reanuda', async () => {
+    const admin = auth(tokens.admin.token);
+
+    const pausada = await api().patch('/api/tareas/recordatorios/pause').set(admin);
+    expect(pausada.body.data.pausada).toBe(true);
+
+    const reanudada = await api().patch('/api/tareas/recordatorios/resume').set(admin);
+    expect(reanudada.body.data.pausada).toBe(false);
+  });
+
+  test('404 para tareas inexistentes', async () => {
+    const res = await api().post('/api/tareas/inexistente/run').set(auth(tokens.admin.token));
+    expect(res.status).toBe(404);
+  });
+
+  test('envía cada recordatorio una sola vez', async () => {
+    const admin = auth(tokens.admin.token);
+
+    const primera = await api().post('/api/tareas/recordatorios/run').set(admin);
+    expect(primera.status).toBe(200);
+    expect(primera.body.data.enviados).toBeGreaterThanOrEqual(1);
+
+    const segunda = await api().post('/api/tareas/recordatorios/run').set(admin);
+    expect(segunda.body.data.enviados).toBe(0);
+
+    const lista = await api().get('/api/tareas').set(admin);
+    const tarea = lista.body.data.find(item => item.nombre === 'recordatorios');
+    expect(tarea.ultimo_resultado).toEqual(segunda.body.data);
+  });
+});
@@ -0,0 +1,168 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+import ReglaPrecio from '../src/models/ReglaPrecio.js';
+
+afterAll(cerrarPool);
+
+const regla = (datos) => new ReglaPrecio({ regla_id: 1, nombre: 'Regla', tipo: 'porcentaje', valor: 0, ...datos });
+
+describe('ReglaPrecio', () => {
+  // 2031-01-04 es sábado
+  const contexto = ReglaPrecio.contexto({
+    salon_id: 1,
+    turno_id: 2,
+    fecha_reserva: '2031-01-04',
+    fecha_operacion: '2030-12-01'
+  });
+
+  test('calcula día de la semana y anticipación de la reserva', () => {
+    expect(contexto).toEqual({ salon_id: 1, turno_id: 2, fecha: '2031-01-04', dia_semana: 6, anticipacion: 34 });
+  });
+
+  test('evalúa cada condición de la regla', () => {
+    expect(regla({ dias_semana: '0,6' }).coincide('salon', contexto)).toBe(true);
+    expect(regla({ dias_semana: '1,2,3,4,5' }).coincide('salon', contexto)).toBe(false);
+    expect(regla({ salon_id: 2 }).coincide('salon', contexto)).toBe(false);
+    expect(regla({ turno_id: 2, fecha_desde: '2031-01-01', fecha_hasta: '2031-01-04' }).coincide('salon', contexto)).toBe(true);
+    expect(regla({ anticipacion_min: 30 }).coincide('salon', contexto)).toBe(true);
+    expect(regla({ anticipacion_max: 7 }).coincide('salon', contexto)).toBe(false);
+    expect(regla({ aplica_a: 'servicio', servicio_id: 5 }).coincide('servicio', contexto, 5)).toBe(true);
+    expect(regla({ aplica_a: 'servicio' }).coincide('salon', contexto)).toBe(false);
+  });
+
+  test('aplica las reglas en orden, acumulando porcentajes y montos fijos', () => {
+    const reglas = [
+      regla({ regla_id: 1, nombre: 'Fin de semana', valor: 20 }),
+      regla({ regla_id: 2, nombre: 'Reserva anticipada', tipo: 'fijo', valor: -2000 })
+    ];
+
+    expect(ReglaPrecio.aplicar(10000, reglas, 'salon', contexto)).toEqual({
+      importe: 10000,
+      ajustes: [
+        { regla_id: 1, descripcion: 'Fin de semana', importe: 2000 },
+        { regla_id: 2, descripcion: 'Reserva anticipada', importe: -2000 }
+      ]
+    });
+  });
+
+  test('una regla exclusiva corta la evaluación y el importe no baja de cero', () => {
+    const reglas = [
+      regla({ regla_id: 1, tipo: 'fijo', valor: -15000, exclusiva: true }),
+      regla({ regla_id: 2, valor: 50 })
+    ];
+
+    const resultado = ReglaPrecio.aplicar(10000, reglas, 'salon', contexto);
+    expect(resultado.importe).toBe(0);
+    expect(resultado.ajustes).toEqual([{ regla_id: 1, descripcion: 'Regla', importe: -10000 }]);
+  });
+});
+
+describeDb('/api/reglas-precio y cotización', () => {
+  let tokens;
+  let salonId;
+  let turnoId;
+  let servicio;
+  const fecha = fechaFutura(70);
+  const diaSemana = ReglaPrecio.contexto({ salon_id: 0, turno_id: 0, fecha_reserva: fecha }).dia_semana;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    // Salón propio para que las reglas no afecten los importes de otras pruebas
+    const [salon, turnos, servicios] = await Promise.all([
+      api().post('/api/salones').set(admin).send({
+        titulo: 'Salón de tarifas', direccion: 'Calle Falsa 123', capacidad: 50, importe: 100000, horas_cancelacion: 24
+      }),
+      api().get('/api/turnos/active').set(admin),
+      api().get('/api/servicios').set(admin)
+    ]);
+
+    salonId = salon.body.data.salon_id;
+    turnoId = turnos.body.data[0].turno_id;
+    servicio = servicios.body.data[0];
+  });
+
+  test('solo el administrador crea reglas', async () => {
+    const res = await api().post('/api/reglas-precio').set(auth(tokens.empleado.token))
+      .send({ nombre: 'Recargo', tipo: 'porcentaje', valor: 10 });
+    expect(res.status).toBe(403);
+
+    const lista = await api().get('/api/reglas-precio').set(auth(tokens.empleado.token));
+    expect(lista.status).toBe(200);
+  });
+
+  test('valida la regla', async () => {
+    const res = await api().post('/api/reglas-precio').set(auth(tokens.admin.token))
+      .send({ nombre: 'Inválida', tipo: 'porcentaje', valor: -150, dias_semana: [7], servicio_id: 1 });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('400 si la regla referencia un salón inexistente', async () => {
+    const res = await api().post('/api/reglas-precio').set(auth(tokens.admin.token))
+      .send({ nombre: 'Huérfana', tipo: 'fijo', valor: 100, salon_id: 999999 });
+
+    expect(res.status).toBe(400);
+  });
+
+  describe('con reglas del salón', () => {
+    let recargoId;
+
+    beforeAll(async () => {
+      const admin = auth(tokens.admin.token);
+
+      const recargo = await api().post('/api/reglas-precio').set(admin)
+        .send({ nombre: 'Recargo del día', tipo: 'porcentaje', valor: 20, prioridad: 10, salon_id: salonId, dias_semana: [diaSemana] });
+      expect(recargo.status).toBe(201);
+      recargoId = recargo.body.data.regla_id;
+
+      const descuento = await api().post('/api/reglas-precio').set(admin)
+        .send({ nombre: 'Descuento servicio', aplica_a: 'servicio', tipo: 'fijo', valor: -100, salon_id: salonId, servicio_id: servicio.servicio_id });
+      expect(descuento.status).toBe(201);
+    });
+
+    test('la cotización aplica las reglas sin crear la reserva', async () => {
+      const res = await api().post('/api/reservas/quote').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: fecha, salon_id: salonId, turno_id: turnoId, servicios: [{ servicio_id: servicio.servicio_id }] });
+
+      const importeServicio = Math.max(0, parseFloat(servicio.importe) - 100);
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        importe_salon: 120000,
+        importe_servicios: importeServicio,
+        importe_total: 120000 + importeServicio,
+        disponible: true
+      });
+      expect(res.body.data.desglose.filter(linea => linea.regla_id !== null)).toHaveLength(2);
+
+      const reservas = await api().get(`/api/reservas?salonId=${salonId}`).set(auth(tokens.admin.token));
+      expect(reservas.body.data).toHaveLength(0);
+    });
+
+    test('las reglas de otros días no se aplican', async () => {
+      const res = await api().post('/api/reservas/quote').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: fechaFutura(71), salon_id: salonId, turno_id: turnoId });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.importe_salon).toBe(100000);
+    });
+
+    test('la reserva guarda el precio y su desglose', async () => {
+      const res = await api().post('/api/reservas').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: fecha, salon_id: salonId, turno_id: turnoId });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.importe_salon).toBe(120000);
+      expect(res.body.data.desglose).toEqual([
+        expect.objectContaining({ concepto: 'salon', regla_id: null, importe: 100000 }),
+        expect.objectContaining({ concepto: 'salon', regla_id: recargoId, importe: 20000 })
+      ]);
+
+      // Cambiar la regla no altera reservas ya creadas
+      await api().delete(`/api/reglas-precio/${recargoId}`).set(auth(tokens.admin.token));
+      const reserva = await api().get(`/api/reservas/${res.body.data.reserva_id}`).set(auth(tokens.cliente.token));
+      expect(reserva.body.data.importe_salon).toBe(120000);
+    });
+  });
+});
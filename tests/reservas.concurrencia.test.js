@@ -0,0 +1,69 @@
+import { describeDb, cerrarPool } from './helpers/api.js';
+import { USUARIOS, fechaFutura } from './helpers/fixtures.js';
+import { query } from '../src/config/database.js';
+import Reserva from '../src/models/Reserva.js';
+
+afterAll(cerrarPool);
+
+/**
+ * Reservas simultáneas del mismo salón, fecha y turno sobre los salones, turnos y
+ * usuarios de prueba que prepara globalSetup.
+ */
+
+const INTENTOS = 8;
+const FECHA = fechaFutura(160);
+
+describeDb('Reserva.create concurrente', () => {
+  let salonId;
+  let turnoId;
+  let usuarioId;
+
+  const crearReserva = () => Reserva.create({
+    fecha_reserva: FECHA,
+    salon_id: salonId,
+    usuario_id: usuarioId,
+    turno_id: turnoId
+  }, usuarioId);
+
+  beforeAll(async () => {
+    const [[salon], [turno], [usuario]] = await Promise.all([
+      query('SELECT salon_id FROM salones WHERE activo = 1 ORDER BY salon_id LIMIT 1'),
+      query('SELECT turno_id FROM turnos WHERE activo = 1 ORDER BY orden LIMIT 1'),
+      query('SELECT usuario_id FROM usuarios WHERE nombre_usuario = ?', [USUARIOS.cliente.nombre_usuario])
+    ]);
+
+    salonId = salon.salon_id;
+    turnoId = turno.turno_id;
+    usuarioId = usuario.usuario_id;
+  });
+
+  test('solo una de varias reservas simultáneas ocupa el turno', async () => {
+    const resultados = await Promise.allSettled(Array.from({ length: INTENTOS }, crearReserva));
+
+    const creadas = resultados.filter(r => r.status === 'fulfilled');
+    const rechazadas = resultados.filter(r => r.status === 'rejected');
+
+    expect(creadas).toHaveLength(1);
+    expect(rechazadas).toHaveLength(INTENTOS - 1);
+    rechazadas.forEach(r => expect(r.reason.message).toMatch('no está disponible'));
+
+    const [{ total }] = await query(
+      'SELECT COUNT(*) AS total FROM reservas WHERE salon_id = ? AND fecha_reserva = ? AND turno_id = ?',
+      [salonId, FECHA, turnoId]
+    );
+    expect(total).toBe(1);
+  });
+
+  test('una reserva cancelada libera el turno', async () => {
+    const [{ reserva_id }] = await query(
+      "SELECT reserva_id FROM reservas WHERE salon_id = ? AND fecha_reserva = ? AND turno_id = ? AND estado <> 'cancelada'",
+      [salonId, FECHA, turnoId]
+    );
+    const reserva = await Reserva.findById(reserva_id, true);
+    await reserva.cancel({ autorId: usuarioId });
+
+    const nueva = await crearReserva();
+    expect(nueva.estado).toBe('pendiente');
+    expect(nueva.reserva_id).not.toBe(reserva_id);
+  });
+});
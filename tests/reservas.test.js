@@ -0,0 +1,229 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+
+afterAll(cerrarPool);
+
+describeDb('/api/reservas', () => {
+  let tokens;
+  let salonId;
+  let turnos;
+  let servicioId;
+  let reservaCliente;
+  let reservaEmpleado;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    const [salones, turnosActivos, servicios] = await Promise.all([
+      api().get('/api/salones').set(admin),
+      api().get('/api/turnos/active').set(admin),
+      api().get('/api/servicios').set(admin)
+    ]);
+
+    salonId = salones.body.data[0].salon_id;
+    turnos = turnosActivos.body.data.map(turno => turno.turno_id);
+    servicioId = servicios.body.data[0].servicio_id;
+  });
+
+  test('exige token', async () => {
+    const res = await api().get('/api/reservas');
+    expect(res.status).toBe(401);
+  });
+
+  describe('Add', () => {
+    test('el cliente reserva para sí mismo aunque indique otro usuario', async () => {
+      const res = await api().post('/api/reservas').set(auth(tokens.cliente.token)).send({
+        fecha_reserva: fechaFutura(30),
+        salon_id: salonId,
+        turno_id: turnos[0],
+        usuario_id: tokens.empleado.user.id,
+        tematica: 'Superhéroes',
+        servicios: [{ servicio_id: servicioId }]
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ usuario_id: tokens.cliente.user.id, estado: 'pendiente' });
+      expect(res.body.data.servicios).toHaveLength(1);
+      expect(res.body.data.importe_total).toBeGreaterThan(res.body.data.importe_salon);
+      reservaCliente = res.body.data;
+    });
+
+    test('rechaza el mismo salón, fecha y turno con 409', async () => {
+      const res = await api().post('/api/reservas').set(auth(tokens.empleado.token)).send({
+        fecha_reserva: fechaFutura(30),
+        salon_id: salonId,
+        turno_id: turnos[0],
+        usuario_id: tokens.cliente.user.id
+      });
+
+      expect(res.status).toBe(409);
+    });
+
+    test('el empleado debe indicar el usuario', async () => {
+      const res = await api().post('/api/reservas').set(auth(tokens.empleado.token)).send({
+        fecha_reserva: fechaFutura(31),
+        salon_id: salonId,
+        turno_id: turnos[0]
+      });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('el empleado reserva para un cliente', async () => {
+      const res = await api().post('/api/reservas').set(auth(tokens.empleado.token)).send({
+        fecha_reserva: fechaFutura(31),
+        salon_id: salonId,
+        turno_id: turnos[1],
+        usuario_id: tokens.cliente.user.id
+      });
+
+      expect(res.status).toBe(201);
+      reservaEmpleado = res.body.data;
+    });
+
+    test('valida fecha pasada y referencias inexistentes', async () => {
+      const pasada = await api().post('/api/reservas').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: '2020-01-01', salon_id: salonId, turno_id: turnos[0] });
+      expect(pasada.status).toBe(400);
+
+      const sinSalon = await api().post('/api/reservas').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: fechaFutura(32), salon_id: 999999, turno_id: turnos[0] });
+      expect(sinSalon.status).toBe(400);
+    });
+
+    test('check-availability refleja la reserva creada', async () => {
+      const res = await api().post('/api/reservas/check-availability').set(auth(tokens.cliente.token))
+        .send({ salon_id: salonId, fecha_reserva: fechaFutura(30), turno_id: turnos[0] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.disponible).toBe(false);
+    });
+  });
+
+  describe('Browse / Read', () => {
+    test('el cliente solo ve sus reservas', async () => {
+      const res = await api().get('/api/reservas').set(auth(tokens.cliente.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.every(reserva => reserva.usuario_id === tokens.cliente.user.id)).toBe(true);
+    });
+
+    test('el cliente no ve reservas ajenas', async () => {
+      const ajena = await api().post('/api/reservas').set(auth(tokens.admin.token)).send({
+        fecha_reserva: fechaFutura(33),
+        salon_id: salonId,
+        turno_id: turnos[0],
+        usuario_id: tokens.empleado.user.id
+      });
+      expect(ajena.status).toBe(201);
+
+      const res = await api().get(`/api/reservas/${ajena.body.data.reserva_id}`).set(auth(tokens.cliente.token));
+      expect(res.status).toBe(404);
+    });
+
+    test('lee una reserva propia con sus relaciones', async () => {
+      const res = await api().get(`/api/reservas/${reservaCliente.reserva_id}`).set(auth(tokens.cliente.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.salon).toBeDefined();
+      expect(res.body.data.turno).toBeDefined();
+    });
+
+    test('404 para una reserva inexistente', async () => {
+      const res = await api().get('/api/reservas/999999').set(auth(tokens.admin.token));
+      expect(res.status).toBe(404);
+    });
+
+    test('estadísticas para administración', async () => {
+      const empleado = auth(tokens.empleado.token);
+
+      expect((await api().get('/api/reservas/stats/monthly-reservations').set(empleado)).status).toBe(200);
+      expect((await api().get('/api/reservas/stats/upcoming?dias=7').set(empleado)).status).toBe(200);
+      expect((await api().get('/api/reservas/stats/most-reserved-month').set(empleado)).status).toBe(200);
+      expect((await api().get('/api/reservas/stats/upcoming').set(auth(tokens.cliente.token))).status).toBe(403);
+    });
+  });
+
+  describe('Edit', () => {
+    test('solo el administrador edita reservas', async () => {
+      const cliente = await api().patch(`/api/reservas/${reservaCliente.reserva_id}`).set(auth(tokens.cliente.token))
+        .send({ tematica: 'Piratas' });
+      expect(cliente.status).toBe(403);
+
+      const admin = await api().patch(`/api/reservas/${reservaCliente.reserva_id}`).set(auth(tokens.admin.token))
+        .send({ tematica: 'Piratas' });
+      expect(admin.status).toBe(200);
+      expect(admin.body.data.tematica).toBe('Piratas');
+    });
+
+    test('rechaza mover una reserva a un turno ocupado con 409', async () => {
+      const res = await api().put(`/api/reservas/${reservaEmpleado.reserva_id}`).set(auth(tokens.admin.token))
+        .send({ fecha_reserva: fechaFutura(30), salon_id: salonId, turno_id: turnos[0] });
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('Estados', () => {
+    test('recorre confirmada, pagada y realizada registrando el historial', async () => {
+      const id = reservaEmpleado.reserva_id;
+      const empleado = auth(tokens.empleado.token);
+
+      expect((await api().patch(`/api/reservas/${id}/confirm`).set(empleado)).body.data.estado).toBe('confirmada');
+      expect((await api().patch(`/api/reservas/${id}/pay`).set(empleado)).body.data.estado).toBe('pagada');
+      expect((await api().patch(`/api/reservas/${id}/complete`).set(empleado)).body.data.estado).toBe('realizada');
+
+      const historial = await api().get(`/api/reservas/${id}/historial`).set(auth(tokens.cliente.token));
+      expect(historial.status).toBe(200);
+      expect(historial.body.data.map(cambio => cambio.estado_nuevo))
+        .toEqual(expect.arrayContaining(['pendiente', 'confirmada', 'pagada', 'realizada']));
+    });
+
+    test('no permite transiciones desde un estado final', async () => {
+      const res = await api().patch(`/api/reservas/${reservaEmpleado.reserva_id}/cancel`).set(auth(tokens.admin.token));
+      expect(res.status).toBe(409);
+    });
+
+    test('el cliente no confirma reservas', async () => {
+      const res = await api().patch(`/api/reservas/${reservaCliente.reserva_id}/confirm`).set(auth(tokens.cliente.token));
+      expect(res.status).toBe(403);
+    });
+
+    test('el cliente cancela su reserva y libera el turno', async () => {
+      const res = await api().patch(`/api/reservas/${reservaCliente.reserva_id}/cancel`).set(auth(tokens.cliente.token))
+        .send({ motivo: 'Cambio de planes' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.estado).toBe('cancelada');
+
+      const disponibilidad = await api().post('/api/reservas/check-availability').set(auth(tokens.cliente.token))
+        .send({ salon_id: salonId, fecha_reserva: fechaFutura(30), turno_id: turnos[0] });
+      expect(disponibilidad.body.data.disponible).toBe(true);
+    });
+  });
+
+  describe('Delete', () => {
+    test('solo el administrador elimina y restaura', async () => {
+      const id = reservaCliente.reserva_id;
+
+      expect((await api().delete(`/api/reservas/${id}`).set(auth(tokens.empleado.token))).status).toBe(403);
+      expect((await api().delete(`/api/reservas/${id}`).set(auth(tokens.admin.token))).status).toBe(200);
+      expect((await api().delete(`/api/reservas/${id}`).set(auth(tokens.admin.token))).status).toBe(400);
+      expect((await api().get(`/api/reservas/${id}`).set(auth(tokens.cliente.token))).status).toBe(404);
+      expect((await api().patch(`/api/reservas/${id}/restore`).set(auth(tokens.admin.token))).status).toBe(200);
+    });
+
+    test('no restaura una reserva cuyo turno ya ocupó otra (409)', async () => {
+      const admin = auth(tokens.admin.token);
+      const turno = { salon_id: salonId, fecha_reserva: fechaFutura(45), turno_id: turnos[0], usuario_id: tokens.cliente.user.id };
+
+      const eliminada = await api().post('/api/reservas').set(admin).send(turno);
+      expect((await api().delete(`/api/reservas/${eliminada.body.data.reserva_id}`).set(admin)).status).toBe(200);
+      expect((await api().post('/api/reservas').set(admin).send(turno)).status).toBe(201);
+
+      const res = await api().patch(`/api/reservas/${eliminada.body.data.reserva_id}/restore`).set(admin);
+      expect(res.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { api, auth, loginTodos, auditoria, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+import { query } from '../src/config/database.js';
+import Retencion from '../src/models/Retencion.js';
+import RetencionesService from '../src/services/retencionesService.js';
+
+afterAll(cerrarPool);
+
+describe('RetencionesService.confirmar', () => {
+  test('rechaza retenciones vencidas o cerradas', async () => {
+    const vencida = new Retencion({ estado: 'activa', vence: new Date(Date.now() - 60000) });
+    const liberada = new Retencion({ estado: 'liberada', vence: new Date(Date.now() + 60000) });
+
+    await expect(RetencionesService.confirmar(vencida, {}, 1)).rejects.toMatchObject({ status: 409 });
+    await expect(RetencionesService.confirmar(liberada, {}, 1)).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describeDb('/api/reservas/holds', () => {
+  let tokens;
+  let turno;
+
+  const disponible = async (fecha) => {
+    const res = await api().post('/api/reservas/check-availability').set(auth(tokens.empleado.token))
+      .send({ fecha_reserva: fecha, ...turno });
+    return res.body.data.disponible;
+  };
+
+  const retener = (token, fecha, extra = {}) => api().post('/api/reservas/holds').set(auth(token))
+    .send({ fecha_reserva: fecha, ...turno, ...extra });
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    const [salones, turnos] = await Promise.all([
+      api().get('/api/salones').set(admin),
+      api().get('/api/turnos/active').set(admin)
+    ]);
+    turno = { salon_id: salones.body.data[0].salon_id, turno_id: turnos.body.data[0].turno_id };
+  });
+
+  test('el turno retenido figura ocupado para los demás', async () => {
+    const fecha = fechaFutura(112);
+
+    const res = await retener(tokens.cliente.token, fecha);
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ estado: 'activa', usuario_id: tokens.cliente.user.id });
+    expect(new Date(res.body.data.vence).getTime()).toBeGreaterThan(Date.now());
+
+    expect(await disponible(fecha)).toBe(false);
+
+    const otraRetencion = await retener(tokens.empleado.token, fecha, { usuario_id: tokens.empleado.user.id });
+    expect(otraRetencion.status).toBe(409);
+
+    const otraReserva = await api().post('/api/reservas').set(auth(tokens.empleado.token))
+      .send({ fecha_reserva: fecha, ...turno, usuario_id: tokens.empleado.user.id });
+    expect(otraReserva.status).toBe(409);
+  });
+
+  test('reservar el turno retenido convierte la retención', async () => {
+    const fecha = fechaFutura(112);
+    const retenciones = await api().get('/api/reservas/holds?estado=activa').set(auth(tokens.cliente.token));
+    const retencion = retenciones.body.data.find(item => item.fecha_reserva === fecha);
+
+    const reserva = await api().post('/api/reservas').set(auth(tokens.cliente.token))
+      .send({ fecha_reserva: fecha, ...turno });
+    expect(reserva.status).toBe(201);
+
+    const convertida = await api().get(`/api/reservas/holds/${retencion.retencion_id}`).set(auth(tokens.cliente.token));
+    expect(convertida.body.data).toMatchObject({ estado: 'convertida', reserva_id: reserva.body.data.reserva_id });
+
+    const [conversion] = await auditoria(tokens.admin.token, 'retenciones', retencion.retencion_id);
+    expect(conversion).toMatchObject({ accion: 'transition', usuario_id: tokens.cliente.user.id });
+    expect(conversion.cambios.estado).toEqual({ antes: 'activa', despues: 'convertida' });
+  });
+
+  test('liberar la retención deja el turno disponible', async () => {
+    const fecha = fechaFutura(113);
+    const { body } = await retener(tokens.cliente.token, fecha);
+
+    const liberada = await api().delete(`/api/reservas/holds/${body.data.retencion_id}`).set(auth(tokens.cliente.token));
+    expect(liberada.status).toBe(200);
+    expect(liberada.body.data.estado).toBe('liberada');
+    expect(await disponible(fecha)).toBe(true);
+
+    const repetida = await api().delete(`/api/reservas/holds/${body.data.retencion_id}`).set(auth(tokens.cliente.token));
+    expect(repetida.status).toBe(409);
+  });
+
+  test('la tarea de retenciones vence las no convertidas', async () => {
+    const fecha = fechaFutura(114);
+    const { body } = await retener(tokens.admin.token, fecha, { usuario_id: tokens.cliente.user.id });
+    expect(body.data.usuario_id).toBe(tokens.cliente.user.id);
+
+    await query('UPDATE retenciones SET vence = NOW() - INTERVAL 1 MINUTE WHERE retencion_id = ?', [body.data.retencion_id]);
+    expect(await disponible(fecha)).toBe(true);
+
+    const tarea = await api().post('/api/tareas/retenciones/run').set(auth(tokens.admin.token));
+    expect(tarea.body.data.vencidas).toBeGreaterThanOrEqual(1);
+
+    const vencida = await api().get(`/api/reservas/holds/${body.data.retencion_id}`).set(auth(tokens.admin.token));
+    expect(vencida.body.data.estado).toBe('vencida');
+
+    const [vencimiento] = await auditoria(tokens.admin.token, 'retenciones', body.data.retencion_id);
+    expect(vencimiento).toMatchObject({ accion: 'transition', usuario_id: null });
+  });
+});
@@ -0,0 +1,301 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+
+afterAll(cerrarPool);
+
+const nuevoSalon = {
+  titulo: 'Salón de pruebas',
+  direccion: 'Av. Siempreviva 742',
+  latitud: -31.4,
+  longitud: -64.2,
+  capacidad: 80,
+  importe: 95000,
+  horas_cancelacion: 24
+};
+
+describeDb('/api/salones', () => {
+  let tokens;
+  let salonId;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+  });
+
+  test('exige token', async () => {
+    const res = await api().get('/api/salones');
+    expect(res.status).toBe(401);
+  });
+
+  test('el cliente no accede a los salones', async () => {
+    const res = await api().get('/api/salones').set(auth(tokens.cliente.token));
+    expect(res.status).toBe(403);
+  });
+
+  describe('Browse / Read', () => {
+    test('lista los salones paginados', async () => {
+      const res = await api().get('/api/salones?limit=2').set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.length).toBeLessThanOrEqual(2);
+      expect(res.body.pagination).toBeDefined();
+    });
+
+    test('404 para un salón inexistente', async () => {
+      const res = await api().get('/api/salones/999999').set(auth(tokens.admin.token));
+      expect(res.status).toBe(404);
+    });
+
+    test('estadística de más reservados', async () => {
+      const res = await api().get('/api/salones/stats/most-reserved').set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.any(Array));
+    });
+  });
+
+  describe('Add / Edit / Delete', () => {
+    test('el empleado crea un salón', async () => {
+      const res = await api().post('/api/salones').set(auth(tokens.empleado.token)).send(nuevoSalon);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ titulo: nuevoSalon.titulo, capacidad: 80, horas_cancelacion: 24 });
+      salonId = res.body.data.salon_id;
+    });
+
+    test('rechaza un título duplicado con 409', async () => {
+      const res = await api().post('/api/salones').set(auth(tokens.admin.token)).send(nuevoSalon);
+      expect(res.status).toBe(409);
+    });
+
+    test('valida los campos requeridos al crear', async () => {
+      const res = await api().post('/api/salones').set(auth(tokens.admin.token))
+        .send({ titulo: 'Sin datos', latitud: 120 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(error => error.field))
+        .toEqual(expect.arrayContaining(['direccion', 'capacidad', 'importe', 'latitud']));
+    });
+
+    test('actualiza completo y parcialmente', async () => {
+      const put = await api().put(`/api/salones/${salonId}`).set(auth(tokens.admin.token))
+        .send({ ...nuevoSalon, capacidad: 100 });
+      expect(put.status).toBe(200);
+      expect(put.body.data.capacidad).toBe(100);
+
+      const patch = await api().patch(`/api/salones/${salonId}`).set(auth(tokens.empleado.token))
+        .send({ importe: 99000 });
+      expect(patch.status).toBe(200);
+      expect(patch.body.data.importe).toBe(99000);
+    });
+
+    test('404 al editar un salón inexistente', async () => {
+      const res = await api().patch('/api/salones/999999').set(auth(tokens.admin.token)).send({ capacidad: 10 });
+      expect(res.status).toBe(404);
+    });
+
+    test('consulta la disponibilidad de un turno', async () => {
+      const turnos = await api().get('/api/turnos/active').set(auth(tokens.admin.token));
+      const turnoId = turnos.body.data[0].turno_id;
+
+      const res = await api()
+        .get(`/api/salones/${salonId}/availability?fecha=${fechaFutura(10)}&turno_id=${turnoId}`)
+        .set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ salon_id: salonId, turno_id: turnoId, disponible: true });
+    });
+
+    test('la disponibilidad exige fecha y turno', async () => {
+      const res = await api().get(`/api/salones/${salonId}/availability`).set(auth(tokens.empleado.token));
+      expect(res.status).toBe(400);
+    });
+
+    test('elimina, rechaza eliminar dos veces y solo el admin restaura', async () => {
+      const eliminado = await api().delete(`/api/salones/${salonId}`).set(auth(tokens.empleado.token));
+      expect(eliminado.status).toBe(200);
+
+      const otraVez = await api().delete(`/api/salones/${salonId}`).set(auth(tokens.admin.token));
+      expect(otraVez.status).toBe(400);
+
+      const oculto = await api().get(`/api/salones/${salonId}`).set(auth(tokens.empleado.token));
+      expect(oculto.status).toBe(404);
+
+      const sinPermiso = await api().patch(`/api/salones/${salonId}/restore`).set(auth(tokens.empleado.token));
+      expect(sinPermiso.status).toBe(403);
+
+      const restaurado = await api().patch(`/api/salones/${salonId}/restore`).set(auth(tokens.admin.token));
+      expect(restaurado.status).toBe(200);
+      expect(restaurado.body.data.activo).toBe(true);
+    });
+  });
+
+  describe('Disponibilidad por rango', () => {
+    let turnos;
+    let salonReservado;
+
+    beforeAll(async () => {
+      const admin = auth(tokens.admin.token);
+      const [salones, activos] = await Promise.all([
+        api().get('/api/salones').set(admin),
+        api().get('/api/turnos/active').set(admin)
+      ]);
+
+      turnos = activos.body.data.map(turno => turno.turno_id);
+      salonReservado = salones.body.data[0].salon_id;
+
+      const reserva = await api().post('/api/reservas').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: fechaFutura(50), salon_id: salonReservado, turno_id: turnos[0] });
+      expect(reserva.status).toBe(201);
+    });
+
+    test('devuelve cada fecha del rango con el estado de cada turno', async () => {
+      const res = await api()
+        .get(`/api/salones/${salonReservado}/calendar?desde=${fechaFutura(49)}&hasta=${fechaFutura(51)}`)
+        .set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.dias.map(dia => dia.fecha)).toEqual([fechaFutura(49), fechaFutura(50), fechaFutura(51)]);
+
+      const [, diaReservado] = res.body.data.dias;
+      expect(diaReservado.turnos).toHaveLength(turnos.length);
+      expect(diaReservado.turnos.find(turno => turno.turno_id === turnos[0]).estado).toBe('reservado');
+      expect(diaReservado.turnos.find(turno => turno.turno_id === turnos[1]).estado).toBe('libre');
+    });
+
+    test('los turnos de fechas pasadas figuran como pasados', async () => {
+      const ayer = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const res = await api().get(`/api/salones/${salonReservado}/calendar?desde=${ayer}&hasta=${ayer}`)
+        .set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.dias[0].turnos.every(turno => turno.estado === 'pasado')).toBe(true);
+    });
+
+    test('valida el rango de fechas', async () => {
+      const invertido = await api().get(`/api/salones/${salonReservado}/calendar?desde=${fechaFutura(5)}&hasta=${fechaFutura(1)}`)
+        .set(auth(tokens.empleado.token));
+      expect(invertido.status).toBe(400);
+
+      const largo = await api().get(`/api/salones/${salonReservado}/calendar?desde=${fechaFutura(0)}&hasta=${fechaFutura(200)}`)
+        .set(auth(tokens.empleado.token));
+      expect(largo.status).toBe(400);
+    });
+
+    test('lista qué salones están libres en una fecha y turno', async () => {
+      const res = await api().get(`/api/salones/availability?fecha=${fechaFutura(50)}&turno_id=${turnos[0]}`)
+        .set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      const reservado = res.body.data.salones.find(salon => salon.salon_id === salonReservado);
+      expect(reservado).toMatchObject({ estado: 'reservado', disponible: false });
+      expect(res.body.data.salones.filter(salon => salon.disponible).length).toBeGreaterThan(0);
+    });
+
+    test('404 para un turno inexistente', async () => {
+      const res = await api().get(`/api/salones/availability?fecha=${fechaFutura(50)}&turno_id=999999`)
+        .set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Bloqueos', () => {
+    let turnos;
+    let salonBloqueado;
+    let bloqueoId;
+
+    beforeAll(async () => {
+      const admin = auth(tokens.admin.token);
+      const [salones, activos] = await Promise.all([
+        api().get('/api/salones').set(admin),
+        api().get('/api/turnos/active').set(admin)
+      ]);
+
+      turnos = activos.body.data.map(turno => turno.turno_id);
+      salonBloqueado = salones.body.data[1].salon_id;
+
+      const reserva = await api().post('/api/reservas').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: fechaFutura(62), salon_id: salonBloqueado, turno_id: turnos[0] });
+      expect(reserva.status).toBe(201);
+    });
+
+    test('solo el administrador bloquea salones', async () => {
+      const res = await api().post(`/api/salones/${salonBloqueado}/bloqueos`).set(auth(tokens.empleado.token))
+        .send({ fecha_desde: fechaFutura(60), fecha_hasta: fechaFutura(61), motivo: 'Pintura' });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('valida el período y el motivo', async () => {
+      const res = await api().post(`/api/salones/${salonBloqueado}/bloqueos`).set(auth(tokens.admin.token))
+        .send({ fecha_desde: fechaFutura(61), fecha_hasta: fechaFutura(60) });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('bloquea días enteros y las reservas en ese período se rechazan', async () => {
+      const res = await api().post(`/api/salones/${salonBloqueado}/bloqueos`).set(auth(tokens.admin.token))
+        .send({ fecha_desde: fechaFutura(60), fecha_hasta: fechaFutura(61), motivo: 'Reparación del techo' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ fecha_desde: fechaFutura(60), fecha_hasta: fechaFutura(61), dia_completo: true });
+      bloqueoId = res.body.data.bloqueo_id;
+
+      const reserva = await api().post('/api/reservas').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: fechaFutura(61), salon_id: salonBloqueado, turno_id: turnos[2] });
+      expect(reserva.status).toBe(409);
+    });
+
+    test('el calendario y la disponibilidad muestran el bloqueo', async () => {
+      const calendario = await api().get(`/api/salones/${salonBloqueado}/calendar?desde=${fechaFutura(60)}&hasta=${fechaFutura(60)}`)
+        .set(auth(tokens.empleado.token));
+      expect(calendario.body.data.dias[0].turnos.every(turno => turno.estado === 'bloqueado')).toBe(true);
+
+      const disponibilidad = await api().get(`/api/salones/availability?fecha=${fechaFutura(60)}&turno_id=${turnos[0]}`)
+        .set(auth(tokens.empleado.token));
+      const salon = disponibilidad.body.data.salones.find(item => item.salon_id === salonBloqueado);
+      expect(salon).toMatchObject({ estado: 'bloqueado', disponible: false });
+    });
+
+    test('409 si hay reservas activas en el período a bloquear', async () => {
+      const res = await api().post(`/api/salones/${salonBloqueado}/bloqueos`).set(auth(tokens.admin.token))
+        .send({ fecha_desde: fechaFutura(62), fecha_hasta: fechaFutura(62), motivo: 'Evento privado' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.details.reservas).toHaveLength(1);
+    });
+
+    test('un bloqueo por turnos solo cubre esos turnos', async () => {
+      const res = await api().post(`/api/salones/${salonBloqueado}/bloqueos`).set(auth(tokens.admin.token))
+        .send({ fecha_desde: fechaFutura(62), fecha_hasta: fechaFutura(62), motivo: 'Mantenimiento', turnos: [turnos[1]] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ turnos: [turnos[1]], dia_completo: false });
+
+      const calendario = await api().get(`/api/salones/${salonBloqueado}/calendar?desde=${fechaFutura(62)}&hasta=${fechaFutura(62)}`)
+        .set(auth(tokens.empleado.token));
+      const estados = calendario.body.data.dias[0].turnos.map(turno => turno.estado);
+      expect(estados).toEqual(['reservado', 'bloqueado', 'libre']);
+    });
+
+    test('lista los bloqueos del salón', async () => {
+      const res = await api().get(`/api/salones/${salonBloqueado}/bloqueos?desde=${fechaFutura(60)}`)
+        .set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+    });
+
+    test('quitar el bloqueo libera las fechas', async () => {
+      const res = await api().delete(`/api/salones/${salonBloqueado}/bloqueos/${bloqueoId}`).set(auth(tokens.admin.token));
+      expect(res.status).toBe(200);
+
+      const reserva = await api().post('/api/reservas').set(auth(tokens.cliente.token))
+        .send({ fecha_reserva: fechaFutura(61), salon_id: salonBloqueado, turno_id: turnos[2] });
+      expect(reserva.status).toBe(201);
+
+      const eliminado = await api().get(`/api/salones/${salonBloqueado}/bloqueos/${bloqueoId}`).set(auth(tokens.admin.token));
+      expect(eliminado.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+import SeriesReservasService from '../src/services/seriesReservasService.js';
+
+afterAll(cerrarPool);
+
+describe('SeriesReservasService.generarFechas', () => {
+  test('sin recurrencia es solo la primera fecha', () => {
+    expect(SeriesReservasService.generarFechas('2031-05-10')).toEqual(['2031-05-10']);
+  });
+
+  test('semanal hasta una fecha, inclusive', () => {
+    expect(SeriesReservasService.generarFechas('2031-05-10', { frecuencia: 'semanal', hasta: '2031-05-24' }))
+      .toEqual(['2031-05-10', '2031-05-17', '2031-05-24']);
+  });
+
+  test('mensual usa el último día en los meses más cortos', () => {
+    expect(SeriesReservasService.generarFechas('2031-01-31', { frecuencia: 'mensual', repeticiones: 3 }))
+      .toEqual(['2031-01-31', '2031-02-28', '2031-03-31']);
+  });
+});
+
+describeDb('/api/reservas/series', () => {
+  let tokens;
+  let salonId;
+  let turnos;
+  let serie;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+    const admin = auth(tokens.admin.token);
+
+    const [salones, activos] = await Promise.all([
+      api().get('/api/salones').set(admin),
+      api().get('/api/turnos/active').set(admin)
+    ]);
+    salonId = salones.body.data[0].salon_id;
+    turnos = activos.body.data.slice(0, 2).map(turno => turno.turno_id);
+  });
+
+  test('crea una reserva por fecha y turno, vinculadas a la serie', async () => {
+    const res = await api().post('/api/reservas/series').set(auth(tokens.cliente.token)).send({
+      fecha_reserva: fechaFutura(120),
+      salon_id: salonId,
+      turnos,
+      recurrencia: { frecuencia: 'semanal', repeticiones: 3 },
+      tematica: 'Serie'
+    });
+
+    expect(res.status).toBe(201);
+    serie = res.body.data;
+    expect(serie.reservas).toHaveLength(3 * turnos.length);
+    expect(serie.reservas.every(reserva => reserva.serie_id === serie.serie_id && reserva.tematica === 'Serie')).toBe(true);
+    expect(new Set(serie.reservas.map(reserva => reserva.fecha_reserva)).size).toBe(3);
+
+    const listado = await api().get(`/api/reservas?serieId=${serie.serie_id}`).set(auth(tokens.cliente.token));
+    expect(listado.body.pagination.totalItems).toBe(3 * turnos.length);
+  });
+
+  test('si un turno está ocupado no crea ninguna reserva', async () => {
+    const res = await api().post('/api/reservas/series').set(auth(tokens.admin.token)).send({
+      fecha_reserva: fechaFutura(120),
+      salon_id: salonId,
+      usuario_id: tokens.empleado.user.id,
+      turnos: [turnos[0]],
+      recurrencia: { frecuencia: 'semanal', hasta: fechaFutura(148) }
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toEqual(expect.arrayContaining([{ fecha_reserva: fechaFutura(120), turno_id: turnos[0] }]));
+
+    const libre = await api().get(`/api/reservas?usuarioId=${tokens.empleado.user.id}&fechaDesde=${fechaFutura(141)}&fechaHasta=${fechaFutura(148)}`)
+      .set(auth(tokens.admin.token));
+    expect(libre.body.pagination.totalItems).toBe(0);
+  });
+
+  test('una reserva de la serie se cancela sola', async () => {
+    const [primera] = serie.reservas;
+
+    const res = await api().patch(`/api/reservas/${primera.reserva_id}/cancel`).set(auth(tokens.admin.token));
+    expect(res.status).toBe(200);
+
+    const { body } = await api().get(`/api/reservas/series/${serie.serie_id}`).set(auth(tokens.cliente.token));
+    expect(body.data.reservas.filter(reserva => reserva.estado === 'cancelada')).toHaveLength(1);
+  });
+
+  test('editar la serie cambia todas las reservas pendientes', async () => {
+    const cliente = await api().patch(`/api/reservas/series/${serie.serie_id}`).set(auth(tokens.cliente.token))
+      .send({ tematica: 'No' });
+    expect(cliente.status).toBe(403);
+
+    const res = await api().patch(`/api/reservas/series/${serie.serie_id}`).set(auth(tokens.admin.token))
+      .send({ tematica: 'Serie editada' });
+    expect(res.status).toBe(200);
+
+    const pendientes = res.body.data.reservas.filter(reserva => reserva.estado !== 'cancelada');
+    expect(pendientes).toHaveLength(3 * turnos.length - 1);
+    expect(pendientes.every(reserva => reserva.tematica === 'Serie editada')).toBe(true);
+  });
+
+  test('cancelar la serie cancela las reservas restantes', async () => {
+    const res = await api().patch(`/api/reservas/series/${serie.serie_id}/cancel`).set(auth(tokens.empleado.token));
+    expect(res.status).toBe(200);
+    expect(res.body.data.reservas.every(reserva => reserva.estado === 'cancelada')).toBe(true);
+    expect(res.body.data.omitidas).toBe(0);
+
+    const repetida = await api().patch(`/api/reservas/series/${serie.serie_id}/cancel`).set(auth(tokens.cliente.token));
+    expect(repetida.status).toBe(409);
+  });
+});
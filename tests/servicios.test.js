@@ -0,0 +1,118 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+
+afterAll(cerrarPool);
+
+describeDb('/api/servicios', () => {
+  let tokens;
+  let servicioId;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+  });
+
+  test('exige token', async () => {
+    const res = await api().get('/api/servicios');
+    expect(res.status).toBe(401);
+  });
+
+  describe('Browse / Read', () => {
+    test.each(['admin', 'empleado', 'cliente'])('%s lista los servicios paginados', async (rol) => {
+      const res = await api().get('/api/servicios?page=1&limit=2').set(auth(tokens[rol].token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.length).toBeLessThanOrEqual(2);
+      expect(res.body.pagination).toBeDefined();
+    });
+
+    test('valida la paginación', async () => {
+      const res = await api().get('/api/servicios?page=0').set(auth(tokens.admin.token));
+      expect(res.status).toBe(400);
+    });
+
+    test('404 para un servicio inexistente', async () => {
+      const res = await api().get('/api/servicios/999999').set(auth(tokens.cliente.token));
+      expect(res.status).toBe(404);
+    });
+
+    test('400 para un id inválido', async () => {
+      const res = await api().get('/api/servicios/abc').set(auth(tokens.cliente.token));
+      expect(res.status).toBe(400);
+    });
+
+    test('estadística de más utilizados', async () => {
+      const res = await api().get('/api/servicios/stats/most-used?limit=3').set(auth(tokens.cliente.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.any(Array));
+    });
+  });
+
+  describe('Add / Edit / Delete', () => {
+    test('el cliente no puede crear servicios', async () => {
+      const res = await api().post('/api/servicios').set(auth(tokens.cliente.token))
+        .send({ descripcion: 'Servicio de cliente', importe: 100 });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('el empleado crea un servicio', async () => {
+      const res = await api().post('/api/servicios').set(auth(tokens.empleado.token))
+        .send({ descripcion: 'Mago de pruebas', importe: 15000 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.descripcion).toBe('Mago de pruebas');
+      servicioId = res.body.data.servicio_id;
+    });
+
+    test('rechaza una descripción duplicada con 409', async () => {
+      const res = await api().post('/api/servicios').set(auth(tokens.admin.token))
+        .send({ descripcion: 'Mago de pruebas', importe: 100 });
+
+      expect(res.status).toBe(409);
+    });
+
+    test('valida los datos al crear', async () => {
+      const res = await api().post('/api/servicios').set(auth(tokens.admin.token))
+        .send({ descripcion: 'ab', importe: -5 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(error => error.field)).toEqual(expect.arrayContaining(['descripcion', 'importe']));
+    });
+
+    test('actualiza completo y parcialmente', async () => {
+      const put = await api().put(`/api/servicios/${servicioId}`).set(auth(tokens.admin.token))
+        .send({ descripcion: 'Mago y payaso de pruebas', importe: 18000 });
+      expect(put.status).toBe(200);
+      expect(put.body.data.descripcion).toBe('Mago y payaso de pruebas');
+
+      const patch = await api().patch(`/api/servicios/${servicioId}`).set(auth(tokens.empleado.token))
+        .send({ importe: 20000 });
+      expect(patch.status).toBe(200);
+      expect(Number(patch.body.data.importe)).toBe(20000);
+    });
+
+    test('404 al editar un servicio inexistente', async () => {
+      const res = await api().put('/api/servicios/999999').set(auth(tokens.admin.token))
+        .send({ descripcion: 'No existe', importe: 1 });
+
+      expect(res.status).toBe(404);
+    });
+
+    test('elimina, rechaza eliminar dos veces y solo el admin restaura', async () => {
+      const eliminado = await api().delete(`/api/servicios/${servicioId}`).set(auth(tokens.empleado.token));
+      expect(eliminado.status).toBe(200);
+
+      const otraVez = await api().delete(`/api/servicios/${servicioId}`).set(auth(tokens.admin.token));
+      expect(otraVez.status).toBe(400);
+
+      const oculto = await api().get(`/api/servicios/${servicioId}`).set(auth(tokens.cliente.token));
+      expect(oculto.status).toBe(404);
+
+      const sinPermiso = await api().patch(`/api/servicios/${servicioId}/restore`).set(auth(tokens.empleado.token));
+      expect(sinPermiso.status).toBe(403);
+
+      const restaurado = await api().patch(`/api/servicios/${servicioId}/restore`).set(auth(tokens.admin.token));
+      expect(restaurado.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import 'dotenv/config';
+import os from 'os';
+import path from 'path';
+import mysql from 'mysql2/promise';
+import { USUARIOS } from '../helpers/fixtures.js';
+
+/**
+ * Crea un esquema descartable (DB_NAME_TEST o "<DB_NAME>_test"), aplica las migraciones,
+ * corre los seeders y agrega los usuarios de prueba. Las variables de entorno que se fijan
+ * acá llegan a los tests porque jest corre en el mismo proceso (--runInBand).
+ * Si MySQL no responde se marca TEST_DB_DISPONIBLE=0 y las suites de integración se omiten.
+ */
+export default async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+  process.env.MAIL_TRANSPORT = 'outbox';
+  process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), 'progiii-outbox-tests');
+  process.env.SEED_ADMIN_EMAIL = USUARIOS.admin.nombre_usuario;
+  process.env.SEED_ADMIN_PASSWORD = USUARIOS.admin.contrasenia;
+
+  const baseName = process.env.DB_NAME || 'reservas';
+  const testName = process.env.DB_NAME_TEST || `${baseName}_test`;
+
+  if (testName === baseName) {
+    throw new Error('DB_NAME_TEST no puede ser la misma base que DB_NAME: los tests la eliminan');
+  }
+
+  let connection;
+  try {
+    connection = await mysql.createConnection({
+      host: process.env.DB_HOST || 'localhost',
+      port: process.env.DB_PORT || 3306,
+      user: process.env.DB_USER || 'root',
+      password: process.env.DB_PASSWORD || ''
+    });
+  } catch (error) {
+    console.warn(`\n⚠️  MySQL no disponible (${error.message}): se omiten los tests de integración`);
+    process.env.TEST_DB_DISPONIBLE = '0';
+    return;
+  }
+
+  try {
+    await connection.query(`DROP DATABASE IF EXISTS \`${testName}\``);
+    await connection.query(`CREATE DATABASE \`${testName}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
+  } finally {
+    await connection.end();
+  }
+
+  process.env.DB_NAME = testName;
+  process.env.TEST_DB_DISPONIBLE = '1';
+
+  // Se importan recién ahora para que el pool se cree contra el esquema de pruebas
+  const { pool } = await import('../../src/config/database.js');
+  const { default: Migrator } = await import('../../src/database/migrator.js');
+  const { default: Usuario } = await import('../../src/models/Usuario.js');
+
+  try {
+    await Migrator.up();
+    await Migrator.seed();
+
+    for (const rol of ['empleado', 'cliente']) {
+      await Usuario.create(USUARIOS[rol]);
+    }
+  } finally {
+    await pool.end();
+  }
+};
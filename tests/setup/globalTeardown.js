@@ -0,0 +1,21 @@
+import mysql from 'mysql2/promise';
+
+// Elimina el esquema descartable (salvo con KEEP_TEST_DB=1, para inspeccionarlo)
+export default async () => {
+  if (process.env.TEST_DB_DISPONIBLE !== '1' || process.env.KEEP_TEST_DB === '1') {
+    return;
+  }
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 3306,
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || ''
+  });
+
+  try {
+    await connection.query(`DROP DATABASE IF EXISTS \`${process.env.DB_NAME}\``);
+  } finally {
+    await connection.end();
+  }
+};
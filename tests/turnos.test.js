@@ -0,0 +1,123 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+import { fechaFutura } from './helpers/fixtures.js';
+
+afterAll(cerrarPool);
+
+// Los turnos sembrados ocupan 12:00-14:00, 15:00-17:00 y 18:00-20:00 (orden 1 a 3)
+describeDb('/api/turnos', () => {
+  let tokens;
+  let turnoId;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+  });
+
+  test('exige token', async () => {
+    const res = await api().get('/api/turnos');
+    expect(res.status).toBe(401);
+  });
+
+  test('el cliente no accede a los turnos', async () => {
+    const res = await api().get('/api/turnos/active').set(auth(tokens.cliente.token));
+    expect(res.status).toBe(403);
+  });
+
+  describe('Browse / Read', () => {
+    test('lista los turnos paginados', async () => {
+      const res = await api().get('/api/turnos?limit=2').set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.pagination).toBeDefined();
+    });
+
+    test('lista los turnos activos ordenados', async () => {
+      const res = await api().get('/api/turnos/active').set(auth(tokens.empleado.token));
+      const ordenes = res.body.data.map(turno => turno.orden);
+
+      expect(res.status).toBe(200);
+      expect(ordenes).toEqual([...ordenes].sort((a, b) => a - b));
+    });
+
+    test('404 para un turno inexistente', async () => {
+      const res = await api().get('/api/turnos/999999').set(auth(tokens.admin.token));
+      expect(res.status).toBe(404);
+    });
+
+    test('estadística de más utilizados', async () => {
+      const res = await api().get('/api/turnos/stats/most-used').set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.any(Array));
+    });
+  });
+
+  describe('Add / Edit / Delete', () => {
+    test('el empleado crea un turno', async () => {
+      const res = await api().post('/api/turnos').set(auth(tokens.empleado.token))
+        .send({ orden: 4, hora_desde: '21:00', hora_hasta: '23:00' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ orden: 4, activo: true });
+      turnoId = res.body.data.turno_id;
+    });
+
+    test('rechaza un orden repetido con 409', async () => {
+      const res = await api().post('/api/turnos').set(auth(tokens.admin.token))
+        .send({ orden: 1, hora_desde: '08:00', hora_hasta: '09:00' });
+
+      expect(res.status).toBe(409);
+    });
+
+    test('rechaza un horario solapado con 409', async () => {
+      const res = await api().post('/api/turnos').set(auth(tokens.admin.token))
+        .send({ orden: 5, hora_desde: '13:00', hora_hasta: '14:30' });
+
+      expect(res.status).toBe(409);
+    });
+
+    test('valida que la hora de fin sea posterior a la de inicio', async () => {
+      const res = await api().post('/api/turnos').set(auth(tokens.admin.token))
+        .send({ orden: 6, hora_desde: '10:00', hora_hasta: '09:00' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('actualiza completo y parcialmente', async () => {
+      const put = await api().put(`/api/turnos/${turnoId}`).set(auth(tokens.admin.token))
+        .send({ orden: 4, hora_desde: '21:00', hora_hasta: '23:30' });
+      expect(put.status).toBe(200);
+
+      const patch = await api().patch(`/api/turnos/${turnoId}`).set(auth(tokens.empleado.token))
+        .send({ orden: 7 });
+      expect(patch.status).toBe(200);
+      expect(patch.body.data.orden).toBe(7);
+    });
+
+    test('consulta la disponibilidad en un salón', async () => {
+      const salones = await api().get('/api/salones').set(auth(tokens.admin.token));
+      const salonId = salones.body.data[0].salon_id;
+
+      const res = await api()
+        .get(`/api/turnos/${turnoId}/availability?fecha=${fechaFutura(20)}&salon_id=${salonId}`)
+        .set(auth(tokens.empleado.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ turno_id: turnoId, salon_id: salonId, disponible: true });
+    });
+
+    test('elimina, rechaza eliminar dos veces y solo el admin restaura', async () => {
+      const eliminado = await api().delete(`/api/turnos/${turnoId}`).set(auth(tokens.empleado.token));
+      expect(eliminado.status).toBe(200);
+
+      const otraVez = await api().delete(`/api/turnos/${turnoId}`).set(auth(tokens.admin.token));
+      expect(otraVez.status).toBe(400);
+
+      const sinPermiso = await api().patch(`/api/turnos/${turnoId}/restore`).set(auth(tokens.empleado.token));
+      expect(sinPermiso.status).toBe(403);
+
+      const restaurado = await api().patch(`/api/turnos/${turnoId}/restore`).set(auth(tokens.admin.token));
+      expect(restaurado.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+import { api, auth, loginTodos, describeDb, cerrarPool } from './helpers/api.js';
+
+afterAll(cerrarPool);
+
+const registro = {
+  nombre: 'Nuevo',
+  apellido: 'Cliente',
+  nombre_usuario: 'registro@pruebas.local',
+  contrasenia: 'Registro123',
+  celular: '351 555-0000'
+};
+
+describeDb('/api/usuarios', () => {
+  let tokens;
+  let registrado;
+
+  beforeAll(async () => {
+    tokens = await loginTodos();
+  });
+
+  describe('rutas públicas', () => {
+    test('el registro crea un cliente e inicia su sesión', async () => {
+      const res = await api().post('/api/usuarios/register').send({ ...registro, tipo_usuario: 1 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.token).toEqual(expect.any(String));
+      expect(res.body.data.user.tipo_usuario).toBe(3);
+      registrado = res.body.data;
+    });
+
+    test('rechaza un email ya registrado con 409', async () => {
+      const res = await api().post('/api/usuarios/register').send(registro);
+      expect(res.status).toBe(409);
+    });
+
+    test('de dos registros simultáneos con el mismo email solo uno crea la cuenta', async () => {
+      const datos = { ...registro, nombre_usuario: 'simultaneo@pruebas.local' };
+      const respuestas = await Promise.all([
+        api().post('/api/usuarios/register').send(datos),
+        api().post('/api/usuarios/register').send(datos)
+      ]);
+
+      expect(respuestas.map(res => res.status).sort()).toEqual([201, 409]);
+    });
+
+    test('aplica la política de contraseñas', async () => {
+      const res = await api().post('/api/usuarios/register')
+        .send({ ...registro, nombre_usuario: 'debil@pruebas.local', contrasenia: 'corta' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('forgot-password responde igual exista o no la cuenta', async () => {
+      const existe = await api().post('/api/usuarios/forgot-password').send({ nombre_usuario: registro.nombre_usuario });
+      const noExiste = await api().post('/api/usuarios/forgot-password').send({ nombre_usuario: 'nadie@pruebas.local' });
+
+      expect(existe.status).toBe(200);
+      expect(noExiste.status).toBe(200);
+      expect(noExiste.body.message).toBe(existe.body.message);
+    });
+
+    test('reset-password rechaza un token desconocido', async () => {
+      const res = await api().post('/api/usuarios/reset-password')
+        .send({ token: 'a'.repeat(64), nueva_contrasenia: 'Nueva12345' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Browse / Read', () => {
+    test('exige token', async () => {
+      const res = await api().get('/api/usuarios');
+      expect(res.status).toBe(401);
+    });
+
+    test('solo el administrador lista usuarios', async () => {
+      const admin = await api().get('/api/usuarios').set(auth(tokens.admin.token));
+      expect(admin.status).toBe(200);
+      expect(admin.body.pagination).toBeDefined();
+
+      const empleado = await api().get('/api/usuarios').set(auth(tokens.empleado.token));
+      expect(empleado.status).toBe(403);
+    });
+
+    test('cada usuario ve su propio perfil pero no el de otros', async () => {
+      const propio = await api().get(`/api/usuarios/${tokens.cliente.user.id}`).set(auth(tokens.cliente.token));
+      expect(propio.status).toBe(200);
+      expect(propio.body.data.contrasenia).toBeUndefined();
+
+      const ajeno = await api().get(`/api/usuarios/${tokens.empleado.user.id}`).set(auth(tokens.cliente.token));
+      expect(ajeno.status).toBe(403);
+    });
+
+    test('404 para un usuario inexistente', async () => {
+      const res = await api().get('/api/usuarios/999999').set(auth(tokens.admin.token));
+      expect(res.status).toBe(404);
+    });
+
+    test('estadísticas solo para administradores', async () => {
+      expect((await api().get('/api/usuarios/stats').set(auth(tokens.admin.token))).status).toBe(200);
+      expect((await api().get('/api/usuarios/top-clientes').set(auth(tokens.admin.token))).status).toBe(200);
+      expect((await api().get('/api/usuarios/stats').set(auth(tokens.empleado.token))).status).toBe(403);
+    });
+  });
+
+  describe('Add / Edit / Delete', () => {
+    let usuarioId;
+
+    test('el administrador crea usuarios de cualquier tipo', async () => {
+      const res = await api().post('/api/usuarios').set(auth(tokens.admin.token)).send({
+        nombre: 'Otro',
+        apellido: 'Empleado',
+        nombre_usuario: 'otro.empleado@pruebas.local',
+        contrasenia: 'Empleado123',
+        tipo_usuario: 2
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.tipo_usuario).toBe(2);
+      usuarioId = res.body.data.usuario_id;
+    });
+
+    test('el empleado no puede crear usuarios', async () => {
+      const res = await api().post('/api/usuarios').set(auth(tokens.empleado.token)).send({
+        nombre: 'Sin',
+        apellido: 'Permiso',
+        nombre_usuario: 'sin.permiso@pruebas.local',
+        contrasenia: 'Empleado123',
+        tipo_usuario: 1
+      });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('valida los datos al crear', async () => {
+      const res = await api().post('/api/usuarios').set(auth(tokens.admin.token))
+        .send({ nombre: 'X', nombre_usuario: 'no-es-email', tipo_usuario: 9 });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('actualiza completo, parcialmente y cambia el tipo', async () => {
+      const put = await api().put(`/api/usuarios/${usuarioId}`).set(auth(tokens.admin.token)).send({
+        nombre: 'Otro',
+        apellido: 'Modificado',
+        nombre_usuario: 'otro.empleado@pruebas.local',
+        tipo_usuario: 2
+      });
+      expect(put.status).toBe(200);
+      expect(put.body.data.apellido).toBe('Modificado');
+
+      const patch = await api().patch(`/api/usuarios/${usuarioId}`).set(auth(tokens.admin.token))
+        .send({ celular: '351 000-1111' });
+      expect(patch.status).toBe(200);
+      expect(patch.body.data.celular).toBe('351 000-1111');
+
+      const tipo = await api().patch(`/api/usuarios/${usuarioId}/change-tipo`).set(auth(tokens.admin.token))
+        .send({ tipo_usuario: 3 });
+      expect(tipo.status).toBe(200);
+
+      const tipoSinPermiso = await api().patch(`/api/usuarios/${usuarioId}/change-tipo`).set(auth(tokens.empleado.token))
+        .send({ tipo_usuario: 1 });
+      expect(tipoSinPermiso.status).toBe(403);
+    });
+
+    test('rechaza un email de otro usuario con 409', async () => {
+      const res = await api().patch(`/api/usuarios/${usuarioId}`).set(auth(tokens.admin.token))
+        .send({ nombre_usuario: registro.nombre_usuario });
+
+      expect(res.status).toBe(409);
+    });
+
+    test('cada usuario cambia solo su propia contraseña', async () => {
+      const propia = await api().patch(`/api/usuarios/${registrado.user.id}/change-password`)
+        .set(auth(registrado.token)).send({ nueva_contrasenia: 'Cambiada123' });
+      expect(propia.status).toBe(200);
+
+      const login = await api().post('/api/auth/login')
+        .send({ nombre_usuario: registro.nombre_usuario, contrasenia: 'Cambiada123' });
+      expect(login.status).toBe(200);
+
+      const ajena = await api().patch(`/api/usuarios/${usuarioId}/change-password`)
+        .set(auth(tokens.cliente.token)).send({ nueva_contrasenia: 'Ajena1234' });
+      expect(ajena.status).toBe(403);
+    });
+
+    test('el cambio de contraseña aplica la política de contraseñas', async () => {
+      const res = await api().patch(`/api/usuarios/${registrado.user.id}/change-password`)
+        .set(auth(registrado.token)).send({ nueva_contrasenia: 'abc' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('no permite eliminarse a sí mismo', async () => {
+      const res = await api().delete(`/api/usuarios/${tokens.admin.user.id}`).set(auth(tokens.admin.token));
+      expect(res.status).toBe(400);
+    });
+
+    test('elimina y restaura', async () => {
+      const eliminado = await api().delete(`/api/usuarios/${usuarioId}`).set(auth(tokens.admin.token));
+      expect(eliminado.status).toBe(200);
+
+      const otraVez = await api().delete(`/api/usuarios/${usuarioId}`).set(auth(tokens.admin.token));
+      expect(otraVez.status).toBe(400);
+
+      const restaurado = await api().patch(`/api/usuarios/${usuarioId}/restore`).set(auth(tokens.admin.token));
+      expect(restaurado.status).toBe(200);
+
+      const activo = await api().patch(`/api/usuarios/${usuarioId}/restore`).set(auth(tokens.admin.token));
+      expect(activo.status).toBe(400);
+    });
+  });
+});